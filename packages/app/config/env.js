@@ -18,5 +18,9 @@ module.exports = Object.keys(process.env)
       'process.env.CODESANDBOX_HOST': JSON.stringify(getHost()),
       'process.env.LOCAL_SERVER': !!LOCAL_SERVER,
       'process.env.STAGING': 'STAGING_BRANCH' in process.env,
+      // A self-hosted packager for the sandbox, see scripts/packager-server.js
+      'process.env.PACKAGER_URL': JSON.stringify(
+        process.env.PACKAGER_URL || ''
+      ),
     }
   );
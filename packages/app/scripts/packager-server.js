@@ -0,0 +1,303 @@
+/* eslint-disable */
+// A small reference implementation of the packager, for networks that can't
+// reach the public packager and unpkg. Dependencies are installed with npm, so
+// it uses whatever registry npm is configured with.
+//
+// GET /packages/:query          manifest of a combination of dependencies
+// GET /files/:name@:version/*   file of a package, `?meta` lists all files
+//
+// Point a sandbox to it with the PACKAGER_URL environment variable or the
+// `packager` field of sandbox.config.json.
+const express = require('express');
+const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const semver = require('semver');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const readdir = promisify(fs.readdir);
+const stat = promisify(fs.stat);
+const unlink = promisify(fs.unlink);
+
+const PORT = process.env.PORT || 4000;
+const CACHE_DIR =
+  process.env.PACKAGER_CACHE_DIR || path.join(os.tmpdir(), 'sandbox-packager');
+const MAX_BUFFER = 1024 * 1024 * 10;
+
+const pending = new Map();
+
+// Run the task only once for a key, even if it's requested concurrently
+function once(key, task) {
+  if (!pending.has(key)) {
+    pending.set(
+      key,
+      task().catch(e => {
+        pending.delete(key);
+        throw e;
+      })
+    );
+  }
+
+  return pending.get(key);
+}
+
+function exists(p) {
+  return stat(p).then(() => true, () => false);
+}
+
+function ensureDir(dir) {
+  if (fs.existsSync(dir)) {
+    return;
+  }
+
+  ensureDir(path.dirname(dir));
+  fs.mkdirSync(dir);
+}
+
+const PACKAGE_NAME_REGEX = /^(?:@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+const DIST_TAG_REGEX = /^[a-z][a-z0-9-._]*$/i;
+
+class InvalidDependencyError extends Error {}
+
+/**
+ * Only dependencies from the registry are installed. Other specs, like
+ * `file:`, git and tarball urls, would let a sandbox make npm read files of
+ * the server or run code from anywhere.
+ */
+function validateDependency(name, version) {
+  if (!PACKAGE_NAME_REGEX.test(name)) {
+    throw new InvalidDependencyError(`Invalid package name '${name}'`);
+  }
+
+  if (!semver.validRange(version) && !DIST_TAG_REGEX.test(version)) {
+    throw new InvalidDependencyError(
+      `Invalid version '${version}' of '${name}', only versions from the registry are supported`
+    );
+  }
+}
+
+// The sandbox sends `encodeURIComponent(name@version)` joined by `+`
+function parseQuery(query) {
+  return query.split('+').reduce((dependencies, part) => {
+    const dependency = decodeURIComponent(part);
+    const versionIndex = dependency.lastIndexOf('@');
+    const name =
+      versionIndex <= 0 ? dependency : dependency.slice(0, versionIndex);
+    const version =
+      versionIndex <= 0 ? 'latest' : dependency.slice(versionIndex + 1);
+
+    validateDependency(name, version);
+    dependencies[name] = version;
+
+    return dependencies;
+  }, {});
+}
+
+async function readPackageNames(nodeModulesDir) {
+  const names = [];
+
+  for (const name of await readdir(nodeModulesDir)) {
+    if (name.startsWith('@')) {
+      const scopedNames = await readdir(path.join(nodeModulesDir, name));
+      scopedNames.forEach(scopedName => names.push(`${name}/${scopedName}`));
+    } else if (!name.startsWith('.')) {
+      names.push(name);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * The manifest only contains the package.json files, the sandbox downloads
+ * the other files it needs from `/files`. Only the hoisted packages are added,
+ * dependencies that npm nested because of a version conflict are left out.
+ */
+async function buildManifest(dir, dependencies) {
+  const nodeModulesDir = path.join(dir, 'node_modules');
+  const packages = {};
+  const contents = {};
+
+  for (const name of await readPackageNames(nodeModulesDir)) {
+    const packageJSONPath = path.join(nodeModulesDir, name, 'package.json');
+
+    if (await exists(packageJSONPath)) {
+      const content = await readFile(packageJSONPath, 'utf8');
+
+      packages[name] = JSON.parse(content);
+      contents[`/node_modules/${name}/package.json`] = {
+        content,
+        requires: [],
+      };
+    }
+  }
+
+  const dependencyDependencies = {};
+  Object.keys(packages)
+    .filter(name => !dependencies[name])
+    .forEach(name => {
+      const parents = Object.keys(packages).filter(
+        parent =>
+          packages[parent].dependencies &&
+          packages[parent].dependencies[name]
+      );
+
+      dependencyDependencies[name] = {
+        semver: parents.length
+          ? packages[parents[0]].dependencies[name]
+          : packages[name].version,
+        resolved: packages[name].version,
+        parents,
+      };
+    });
+
+  return {
+    contents,
+    dependencies: Object.keys(dependencies)
+      .filter(name => packages[name])
+      .map(name => ({ name, version: packages[name].version })),
+    dependencyDependencies,
+    dependencyAliases: {},
+  };
+}
+
+function getManifest(dependencies) {
+  const hash = crypto
+    .createHash('sha1')
+    .update(JSON.stringify(dependencies))
+    .digest('hex');
+  const dir = path.join(CACHE_DIR, 'packages', hash);
+  const manifestPath = path.join(dir, 'manifest.json');
+
+  return once(manifestPath, async () => {
+    if (await exists(manifestPath)) {
+      return JSON.parse(await readFile(manifestPath, 'utf8'));
+    }
+
+    ensureDir(dir);
+    await writeFile(
+      path.join(dir, 'package.json'),
+      JSON.stringify({ private: true, dependencies })
+    );
+    await execFileAsync(
+      'npm',
+      ['install', '--production', '--ignore-scripts', '--no-package-lock'],
+      { cwd: dir, maxBuffer: MAX_BUFFER }
+    );
+
+    const manifest = await buildManifest(dir, dependencies);
+    await writeFile(manifestPath, JSON.stringify(manifest));
+
+    return manifest;
+  });
+}
+
+// Downloads and extracts the tarball of the package, like unpkg does
+function getPackageDir(name, version) {
+  const dir = path.join(CACHE_DIR, 'files', `${name}@${version}`);
+  const packageDir = path.join(dir, 'package');
+
+  return once(packageDir, async () => {
+    if (await exists(packageDir)) {
+      return packageDir;
+    }
+
+    ensureDir(dir);
+    const { stdout } = await execFileAsync(
+      'npm',
+      ['pack', `${name}@${version}`],
+      { cwd: dir, maxBuffer: MAX_BUFFER }
+    );
+    const tarball = stdout.trim().split('\n').pop();
+
+    await execFileAsync('tar', ['-xzf', tarball], { cwd: dir });
+    await unlink(path.join(dir, tarball));
+
+    return packageDir;
+  });
+}
+
+// Lists the files in the format of unpkg's `?meta`
+async function getMeta(packageDir, relativePath = '/') {
+  const absolutePath = path.join(packageDir, relativePath);
+  const stats = await stat(absolutePath);
+
+  if (!stats.isDirectory()) {
+    return { path: relativePath, type: 'file', size: stats.size };
+  }
+
+  const names = await readdir(absolutePath);
+  const files = [];
+  for (const name of names) {
+    files.push(await getMeta(packageDir, path.posix.join(relativePath, name)));
+  }
+
+  return { path: relativePath, type: 'directory', files };
+}
+
+const handle = fn => (req, res) =>
+  fn(req, res).catch(e => {
+    if (e instanceof InvalidDependencyError) {
+      res.status(422).json({ error: e.message });
+      return;
+    }
+
+    console.error(e);
+    res.status(500).json({ error: e.message });
+  });
+
+const app = express();
+app.use(cors());
+
+app.get(
+  '/packages/*',
+  handle(async (req, res) => {
+    // We don't use the decoded path, versions can contain an encoded `+`
+    const query = req.originalUrl.split('?')[0].replace(/^\/packages\//, '');
+
+    res.json(await getManifest(parseQuery(query)));
+  })
+);
+
+app.get(
+  '/files/*',
+  handle(async (req, res) => {
+    const match = /^((?:@[^/]+\/)?[^/@]+)@([^/]+)(\/.*)?$/.exec(req.params[0]);
+
+    if (!match) {
+      res.status(404).json({ error: 'Invalid package' });
+      return;
+    }
+
+    const [, name, version, relativePath = '/'] = match;
+    validateDependency(name, version);
+    const packageDir = await getPackageDir(name, version);
+
+    if (req.query.meta !== undefined) {
+      res.json(await getMeta(packageDir));
+      return;
+    }
+
+    const filePath = path.join(packageDir, relativePath);
+    if (!filePath.startsWith(packageDir + path.sep)) {
+      res.status(404).json({ error: 'Invalid path' });
+      return;
+    }
+
+    res.sendFile(filePath, { dotfiles: 'allow' }, err => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: `Could not find ${relativePath}` });
+      }
+    });
+  })
+);
+
+app.listen(PORT, () => {
+  console.log(`Packager listening on http://localhost:${PORT}`);
+});
@@ -46,6 +46,18 @@ export const CodeContainer = styled.div`
     }
   }
 
+  .coverage-covered {
+    margin-left: 3px;
+    width: 3px !important;
+    background-color: ${theme.green.clearer(0.4)};
+  }
+
+  .coverage-uncovered {
+    margin-left: 3px;
+    width: 3px !important;
+    background-color: ${theme.red.clearer(0.2)};
+  }
+
   .margin-view-overlays {
     background: ${theme.background2()};
   }
@@ -7,17 +7,20 @@ import { css } from 'glamor';
 import { listen } from 'codesandbox-api';
 
 import getTemplate from 'common/templates';
+import { getTypeScriptVersion } from 'common/utils/typescript-version';
+import { requestLintFix, getLinterWorker } from 'app/utils/lint-fix';
+import { addTypings } from 'app/utils/type-checker';
 import type {
   Module,
   Sandbox,
   ModuleError,
   ModuleCorrection,
+  ModuleLineCoverage,
   Directory,
 } from 'common/types';
 
 /* eslint-disable import/no-webpack-loader-syntax */
 import SyntaxHighlightWorker from 'worker-loader?publicPath=/&name=monaco-syntax-highlighter.[hash:8].worker.js!./workers/syntax-highlighter';
-import LinterWorker from 'worker-loader?publicPath=/&name=monaco-linter.[hash:8].worker.js!./workers/linter';
 import TypingsFetcherWorker from 'worker-loader?publicPath=/&name=monaco-typings-ata.[hash:8].worker.js!./workers/fetch-dependency-typings';
 /* eslint-enable import/no-webpack-loader-syntax */
 
@@ -25,6 +28,7 @@ import MonacoEditorComponent from './MonacoReactComponent';
 import FuzzySearch from '../FuzzySearch';
 import { Container, CodeContainer } from './elements';
 import defineTheme from './define-theme';
+import setTypeScriptVersion from './typescript-version';
 import getSettings from './settings';
 
 import type { Props, Editor } from '../types';
@@ -56,6 +60,12 @@ function indexToLineAndColumn(lines, index) {
   };
 }
 
+const lintCodeAction = (title: string, id: string, args: Array<any>) => ({
+  title,
+  command: { id, title, arguments: args },
+  score: 1,
+});
+
 const fadeIn = css.keyframes('fadeIn', {
   // optional name
   '0%': { opacity: 0 },
@@ -119,9 +129,14 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
   settings: $PropertyType<Props, 'settings'>;
   dependencies: ?$PropertyType<Props, 'dependencies'>;
   tsconfig: ?$PropertyType<Props, 'tsconfig'>;
+  eslintConfig: ?$PropertyType<Props, 'eslintConfig'>;
+  eslintConfigProblems: Array<string>;
   disposeInitializer: ?() => void;
   syntaxWorker: ?Worker;
   lintWorker: ?Worker;
+  lintMarkers: Array<Object> = [];
+  lintMarkersVersion: ?number;
+  codeActionProviders: Array<{ dispose: () => void }> = [];
   typingsFetcherWorker: ?Worker;
   sizeProbeInterval: ?number;
   editor: any;
@@ -140,6 +155,8 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
     this.dependencies = props.dependencies;
 
     this.tsconfig = props.tsconfig;
+    this.eslintConfig = props.eslintConfig;
+    this.eslintConfigProblems = [];
 
     this.syntaxWorker = null;
     this.lintWorker = null;
@@ -182,8 +199,10 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
         this.syntaxWorker.terminate();
       }
       if (this.lintWorker) {
-        this.lintWorker.terminate();
+        // The worker is shared with the lint fix on save
+        this.lintWorker.removeEventListener('message', this.onLintMessage);
       }
+      this.codeActionProviders.forEach(provider => provider.dispose());
       if (this.typingsFetcherWorker) {
         this.typingsFetcherWorker.terminate();
       }
@@ -408,6 +427,19 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
     this.setCompilerOptions();
   };
 
+  setESLintConfig = (config: ?Object) => {
+    this.eslintConfig = config;
+
+    const model = this.editor.getModel();
+    if (model) {
+      this.lint(
+        model.getValue(),
+        this.currentModule.title,
+        model.getVersionId()
+      );
+    }
+  };
+
   changeModule = (
     newModule: Module,
     errors?: Array<ModuleError>,
@@ -436,6 +468,9 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
         this.setCorrections(corrections);
       }
 
+      this.setLineCoverage(this.lineCoverage);
+      this.updateESLintConfigWarnings(this.eslintConfigProblems);
+
       this.receivingCode = false;
       if (this.props.onCodeReceived) {
         // Whenever the user changes a module we set up a state that defines
@@ -874,17 +909,30 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
     }
   };
 
+  getCorrectionSeverity = (severity: ?string) => {
+    if (severity === 'error') {
+      return this.monaco.Severity.Error;
+    }
+
+    return severity === 'warning'
+      ? this.monaco.Severity.Warning
+      : this.monaco.Severity.Notice;
+  };
+
   setCorrections = (corrections: Array<ModuleCorrection>) => {
     if (corrections.length > 0) {
+      const hasNativeTypescript = this.hasNativeTypescript();
       const correctionMarkers = corrections
         .filter(correction => correction.moduleId === this.currentModule.id)
+        // Monaco already shows the TypeScript diagnostics of the open file
+        .filter(
+          correction =>
+            !(hasNativeTypescript && correction.source === 'typescript')
+        )
         .map(correction => {
           if (correction) {
             return {
-              severity:
-                correction.severity === 'warning'
-                  ? this.monaco.Severity.Warning
-                  : this.monaco.Severity.Notice,
+              severity: this.getCorrectionSeverity(correction.severity),
               startColumn: correction.column,
               startLineNumber: correction.line,
               endColumn: 1,
@@ -936,6 +984,40 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
     }
   };
 
+  lineCoverage: Array<ModuleLineCoverage> = [];
+  lineCoverageDecorations: Array<string> = [];
+  setLineCoverage = (lineCoverage: Array<ModuleLineCoverage>) => {
+    this.lineCoverage = lineCoverage;
+
+    const moduleCoverage = lineCoverage.find(
+      coverage => coverage.moduleId === this.currentModule.id
+    );
+
+    const createDecoration = (line: number, className: string) => ({
+      range: new this.monaco.Range(line, 1, line, 1),
+      options: {
+        isWholeLine: true,
+        linesDecorationsClassName: className,
+      },
+    });
+
+    const coverageDecorations = moduleCoverage
+      ? [
+          ...moduleCoverage.coveredLines.map(line =>
+            createDecoration(line, 'coverage-covered')
+          ),
+          ...moduleCoverage.uncoveredLines.map(line =>
+            createDecoration(line, 'coverage-uncovered')
+          ),
+        ]
+      : [];
+
+    this.lineCoverageDecorations = this.editor.deltaDecorations(
+      this.lineCoverageDecorations,
+      coverageDecorations
+    );
+  };
+
   setupTypeWorker = () => {
     this.typingsFetcherWorker = new TypingsFetcherWorker();
     const regex = /node_modules\/(@types\/.*?)\//;
@@ -944,6 +1026,13 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
 
     if (this.typingsFetcherWorker) {
       this.typingsFetcherWorker.addEventListener('message', event => {
+        if (event.data.type === 'typescript-error') {
+          if (window.showNotification) {
+            window.showNotification(event.data.message, 'error');
+          }
+          return;
+        }
+
         const sandbox = this.sandbox;
         const dependencies = this.dependencies || sandbox.npmDependencies;
 
@@ -967,29 +1056,160 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
           }
 
           this.addLib(typings, '/' + path);
+          addTypings('/' + path, typings);
         });
       });
     }
   };
 
-  setupLintWorker = () => {
-    this.lintWorker = new LinterWorker();
+  onLintMessage = event => {
+    const { type, markers, version, problems } = event.data;
 
-    this.lintWorker.addEventListener('message', event => {
-      const { markers, version } = event.data;
+    // Fixes are handled by `requestLintFix`
+    if (type === 'fix') {
+      return;
+    }
 
-      requestAnimationFrame(() => {
-        if (this.editor.getModel()) {
-          if (version === this.editor.getModel().getVersionId()) {
-            this.updateLintWarnings(markers);
-          } else {
-            this.updateLintWarnings([]);
-          }
+    requestAnimationFrame(() => {
+      this.updateESLintConfigWarnings(problems);
+
+      if (this.editor.getModel()) {
+        if (version === this.editor.getModel().getVersionId()) {
+          this.lintMarkersVersion = version;
+          this.updateLintWarnings(markers);
+        } else {
+          this.updateLintWarnings([]);
         }
-      });
+      }
     });
+  };
+
+  setupLintWorker = () => {
+    this.lintWorker = getLinterWorker();
+    this.lintWorker.addEventListener('message', this.onLintMessage);
 
     this.lint = debounce(this.lint, 400);
+
+    this.setupLintCodeActions();
+  };
+
+  setupLintCodeActions = () => {
+    const { editor, monaco } = this;
+
+    // Command handlers get the services accessor as first argument
+    const fixCommand = editor.addCommand(0, (accessor, fix) =>
+      this.applyLintFix(fix)
+    );
+    const fixAllCommand = editor.addCommand(0, () =>
+      this.fixAllLintProblems()
+    );
+    const disableCommand = editor.addCommand(0, (accessor, marker) =>
+      this.disableLintRule(marker)
+    );
+
+    this.codeActionProviders = ['javascript', 'vue'].map(language =>
+      monaco.languages.registerCodeActionProvider(language, {
+        provideCodeActions: (model, range) => {
+          if (
+            model !== editor.getModel() ||
+            model.getVersionId() !== this.lintMarkersVersion
+          ) {
+            return [];
+          }
+
+          const markers = this.lintMarkers.filter(
+            marker =>
+              marker.ruleId &&
+              marker.startLineNumber <= range.endLineNumber &&
+              marker.endLineNumber >= range.startLineNumber
+          );
+
+          const actions = markers
+            .filter(marker => marker.fix)
+            .map(marker =>
+              lintCodeAction(`Fix this ${marker.ruleId} problem`, fixCommand, [
+                marker.fix,
+              ])
+            );
+
+          if (this.lintMarkers.some(marker => marker.fix)) {
+            actions.push(
+              lintCodeAction(
+                'Fix all auto-fixable problems',
+                fixAllCommand,
+                []
+              )
+            );
+          }
+
+          markers.forEach(marker => {
+            actions.push(
+              lintCodeAction(
+                `Disable ${marker.ruleId} for this line`,
+                disableCommand,
+                [marker]
+              )
+            );
+          });
+
+          return actions;
+        },
+      })
+    );
+  };
+
+  applyEdit = (range: Object, text: string) => {
+    this.editor.pushUndoStop();
+    this.editor.executeEdits('eslint', [{ range, text }]);
+    this.editor.pushUndoStop();
+  };
+
+  applyLintFix = (fix: { range: [number, number], text: string }) => {
+    const lines = this.editor.getModel().getLinesContent();
+    const start = indexToLineAndColumn(lines, fix.range[0]);
+    const end = indexToLineAndColumn(lines, fix.range[1]);
+
+    this.applyEdit(
+      new this.monaco.Range(
+        start.lineNumber,
+        start.column,
+        end.lineNumber,
+        end.column
+      ),
+      fix.text
+    );
+  };
+
+  fixAllLintProblems = async () => {
+    const model = this.editor.getModel();
+    const code = model.getValue();
+
+    const output = await requestLintFix(this.lintWorker, {
+      code,
+      title: this.currentModule.title,
+      template: this.sandbox.template,
+      eslintConfig: this.eslintConfig,
+    });
+
+    // Don't override changes that were made while fixing
+    if (output !== code && model.getValue() === code) {
+      this.applyEdit(model.getFullModelRange(), output);
+    }
+  };
+
+  disableLintRule = (marker: { startLineNumber: number, ruleId: string }) => {
+    const line = this.editor.getModel().getLineContent(marker.startLineNumber);
+    const indentation = /^\s*/.exec(line)[0];
+
+    this.applyEdit(
+      new this.monaco.Range(
+        marker.startLineNumber,
+        1,
+        marker.startLineNumber,
+        1
+      ),
+      `${indentation}// eslint-disable-next-line ${marker.ruleId}\n`
+    );
   };
 
   setupSyntaxWorker = () => {
@@ -1052,6 +1272,7 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
 
   updateLintWarnings = async (markers: Array<Object>) => {
     const currentModule = this.currentModule;
+    this.lintMarkers = markers;
 
     const mode = await getMode(currentModule.title, this.monaco);
     if (mode === 'javascript' || mode === 'vue') {
@@ -1063,6 +1284,48 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
     }
   };
 
+  /**
+   * The parts of the .eslintrc that the linter can't use are shown once, as
+   * warnings in the .eslintrc, instead of in every file that is linted.
+   */
+  updateESLintConfigWarnings = (problems: Array<string>) => {
+    const sandbox = this.sandbox;
+    this.eslintConfigProblems = problems;
+
+    const eslintrcModule = sandbox.modules.find(
+      module =>
+        getModulePath(sandbox.modules, sandbox.directories, module.id) ===
+        '/.eslintrc'
+    );
+    const modelInfo = eslintrcModule && modelCache[eslintrcModule.id];
+    if (!modelInfo || !modelInfo.model) {
+      return;
+    }
+
+    const lines = modelInfo.model.getLinesContent();
+    const markers = problems.map(problem => {
+      // The problems quote what isn't supported, we show the warning on the
+      // line that configures it
+      const [, name] = /'(.*)'/.exec(problem) || [];
+      const lineIndex = name
+        ? lines.findIndex(line => line.includes(`"${name}"`))
+        : -1;
+      const lineNumber = lineIndex === -1 ? 1 : lineIndex + 1;
+
+      return {
+        severity: 2,
+        startColumn: 1,
+        startLineNumber: lineNumber,
+        endColumn: (lines[lineNumber - 1] || '').length + 1,
+        endLineNumber: lineNumber,
+        message: `${problem}, it is ignored`,
+        source: 'eslint',
+      };
+    });
+
+    this.monaco.editor.setModelMarkers(modelInfo.model, 'eslint', markers);
+  };
+
   disposeModel = (id: string) => {
     if (modelCache[id]) {
       try {
@@ -1162,6 +1425,7 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
             title,
             version,
             template: this.sandbox.template,
+            eslintConfig: this.eslintConfig,
           });
         }
       }
@@ -1261,10 +1525,35 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
           noSyntaxValidation: !this.hasNativeTypescript(),
         }
       );
-      this.typingsFetcherWorker.postMessage({ dependencies });
+      this.typingsFetcherWorker.postMessage({
+        dependencies,
+        typescriptVersion: this.getTypeScriptVersion(),
+      });
     }
   };
 
+  getTypeScriptVersion = () => {
+    const packageJSON = this.sandbox.modules.find(
+      module =>
+        module.directoryShortid == null && module.title === 'package.json'
+    );
+
+    if (!packageJSON) {
+      return null;
+    }
+
+    try {
+      return getTypeScriptVersion(JSON.parse(packageJSON.code));
+    } catch (e) {
+      return null;
+    }
+  };
+
+  editorWillMount = (monaco: any) => {
+    setTypeScriptVersion(this.getTypeScriptVersion());
+    defineTheme(monaco);
+  };
+
   disposeModules = (modules: Array<Module>) => {
     if (this.editor) {
       this.editor.setModel(null);
@@ -1495,7 +1784,7 @@ class MonacoEditor extends React.Component<Props, State> implements Editor {
             theme="CodeSandbox"
             options={options}
             editorDidMount={this.configureEditor}
-            editorWillMount={defineTheme}
+            editorWillMount={this.editorWillMount}
             openReference={this.openReference}
           />
         </CodeContainer>
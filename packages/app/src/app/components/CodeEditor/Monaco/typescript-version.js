@@ -0,0 +1,47 @@
+// @flow
+import {
+  getTypeScriptUrl,
+  DEFAULT_TYPESCRIPT_VERSION,
+} from 'common/utils/typescript-version';
+
+const TYPESCRIPT_MODULE = 'vs/language/typescript/lib/typescriptServices';
+
+let configuredVersion = null;
+
+/**
+ * Makes the language service of Monaco use the given TypeScript version, by
+ * mapping the TypeScript module of Monaco to a loader of that version. This
+ * only works before the language service has started, so the version of the
+ * first sandbox that is opened is used until the page is reloaded.
+ */
+export default function setTypeScriptVersion(version: ?string) {
+  if (!version || version === configuredVersion) {
+    return;
+  }
+
+  if (configuredVersion) {
+    if (window.showNotification) {
+      window.showNotification(
+        `The editor uses TypeScript ${configuredVersion}, reload the page to use TypeScript ${version}.`,
+        'notice'
+      );
+    }
+    return;
+  }
+
+  configuredVersion = version;
+
+  window.require.config({
+    paths: {
+      [TYPESCRIPT_MODULE]: '/static/js/typescript-services-loader',
+    },
+    config: {
+      [TYPESCRIPT_MODULE]: {
+        version,
+        url: getTypeScriptUrl(version),
+        defaultVersion: DEFAULT_TYPESCRIPT_VERSION,
+        defaultUrl: getTypeScriptUrl(DEFAULT_TYPESCRIPT_VERSION),
+      },
+    },
+  });
+}
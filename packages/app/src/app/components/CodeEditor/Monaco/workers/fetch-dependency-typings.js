@@ -1,9 +1,40 @@
 /* eslint-disable no-param-reassign */
 import path from 'path';
+import { parseNpmAlias } from 'common/utils/npm-alias';
+import {
+  getTypeScriptUrl,
+  DEFAULT_TYPESCRIPT_VERSION,
+} from 'common/utils/typescript-version';
 
-self.importScripts([
-  'https://cdnjs.cloudflare.com/ajax/libs/typescript/2.7.2/typescript.min.js',
-]);
+self.importScripts([getTypeScriptUrl(DEFAULT_TYPESCRIPT_VERSION)]);
+
+let loadedTypeScriptVersion = DEFAULT_TYPESCRIPT_VERSION;
+
+/**
+ * Typings can use syntax of the TypeScript version of the sandbox, so we read
+ * them with that version.
+ */
+function loadTypeScript(version) {
+  if (!version || version === loadedTypeScriptVersion) {
+    return;
+  }
+
+  // Also set when it fails, so we don't try to load it again
+  loadedTypeScriptVersion = version;
+
+  try {
+    self.importScripts(getTypeScriptUrl(version));
+  } catch (e) {
+    // The editor shows this to the user, the language service can't load the
+    // version either
+    self.postMessage({
+      type: 'typescript-error',
+      message: `Could not load TypeScript ${version}, the editor uses TypeScript ${
+        self.ts.version
+      } instead.`,
+    });
+  }
+}
 
 const ROOT_URL = `https://cdn.jsdelivr.net/`;
 
@@ -43,14 +74,21 @@ const doFetch = url => {
   return promise;
 };
 
-const fetchFromDefinitelyTyped = (dependency, version, fetchedPaths) =>
+// The typings of packages installed with an npm alias are added under the
+// alias, which is the name the code imports
+const fetchFromDefinitelyTyped = (
+  dependency,
+  version,
+  fetchedPaths,
+  alias = dependency
+) =>
   doFetch(
     `${ROOT_URL}npm/@types/${dependency
       .replace('@', '')
       .replace(/\//g, '__')}/index.d.ts`
   ).then(typings => {
     addLib(
-      `node_modules/@types/${dependency}/index.d.ts`,
+      `node_modules/@types/${alias}/index.d.ts`,
       typings,
       fetchedPaths
     );
@@ -168,7 +206,7 @@ const getFileTypes = (
   });
 };
 
-function fetchFromMeta(dependency, version, fetchedPaths) {
+function fetchFromMeta(dependency, version, fetchedPaths, alias = dependency) {
   const depUrl = `https://data.jsdelivr.com/v1/package/npm/${dependency}@${version}/flat`;
   return doFetch(depUrl)
     .then(response => JSON.parse(response))
@@ -194,14 +232,19 @@ function fetchFromMeta(dependency, version, fetchedPaths) {
       dtsFiles.forEach(file => {
         doFetch(`https://cdn.jsdelivr.net/npm/${dependency}@${version}${file}`)
           .then(dtsFile =>
-            addLib(`node_modules/${dependency}${file}`, dtsFile, fetchedPaths)
+            addLib(`node_modules/${alias}${file}`, dtsFile, fetchedPaths)
           )
           .catch(() => {});
       });
     });
 }
 
-function fetchFromTypings(dependency, version, fetchedPaths) {
+function fetchFromTypings(
+  dependency,
+  version,
+  fetchedPaths,
+  alias = dependency
+) {
   const depUrl = `${ROOT_URL}npm/${dependency}@${version}`;
   return doFetch(`${depUrl}/package.json`)
     .then(response => JSON.parse(response))
@@ -210,7 +253,7 @@ function fetchFromTypings(dependency, version, fetchedPaths) {
       if (types) {
         // Add package.json, since this defines where all types lie
         addLib(
-          `node_modules/${dependency}/package.json`,
+          `node_modules/${alias}/package.json`,
           JSON.stringify(packageJSON),
           fetchedPaths
         );
@@ -223,7 +266,7 @@ function fetchFromTypings(dependency, version, fetchedPaths) {
         ).then(fileData =>
           getFileTypes(
             depUrl,
-            dependency,
+            alias,
             resolveAppropiateFile(fileData, types),
             fetchedPaths,
             fileData
@@ -246,19 +289,25 @@ async function fetchAndAddDependencies(dependencies) {
         if (loadedTypings.indexOf(dep) === -1) {
           loadedTypings.push(dep);
 
+          const alias = parseNpmAlias(dependencies[dep]);
+          const packageName = alias ? alias.name : dep;
+          const version = alias ? alias.version : dependencies[dep];
+
           const depVersion = await doFetch(
-            `https://data.jsdelivr.com/v1/package/resolve/npm/${dep}@${
-              dependencies[dep]
+            `https://data.jsdelivr.com/v1/package/resolve/npm/${packageName}@${
+              version
             }`
           )
             .then(x => JSON.parse(x))
             .then(x => x.version);
+
+          const fetchArgs = [packageName, depVersion, fetchedPaths, dep];
           // eslint-disable-next-line no-await-in-loop
-          await fetchFromTypings(dep, depVersion, fetchedPaths).catch(() =>
+          await fetchFromTypings(...fetchArgs).catch(() =>
             // not available in package.json, try checking meta for inline .d.ts files
-            fetchFromMeta(dep, depVersion, fetchedPaths).catch(() =>
+            fetchFromMeta(...fetchArgs).catch(() =>
               // Not available in package.json or inline from meta, try checking in @types/
-              fetchFromDefinitelyTyped(dep, depVersion, fetchedPaths)
+              fetchFromDefinitelyTyped(...fetchArgs)
             )
           );
         }
@@ -275,7 +324,8 @@ async function fetchAndAddDependencies(dependencies) {
 }
 
 self.addEventListener('message', event => {
-  const { dependencies } = event.data;
+  const { dependencies, typescriptVersion } = event.data;
 
+  loadTypeScript(typescriptVersion);
   fetchAndAddDependencies(dependencies);
 });
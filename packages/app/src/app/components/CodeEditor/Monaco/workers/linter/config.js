@@ -0,0 +1,88 @@
+const toArray = value => {
+  if (!value) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : [value];
+};
+
+export function mergeConfigs(base, config) {
+  const baseParserOptions = base.parserOptions || {};
+  const parserOptions = config.parserOptions || {};
+
+  return {
+    ...base,
+    ...config,
+    parserOptions: {
+      ...baseParserOptions,
+      ...parserOptions,
+      ecmaFeatures: {
+        ...baseParserOptions.ecmaFeatures,
+        ...parserOptions.ecmaFeatures,
+      },
+    },
+    env: { ...base.env, ...config.env },
+    globals: { ...base.globals, ...config.globals },
+    rules: { ...base.rules, ...config.rules },
+    plugins: [...toArray(base.plugins), ...toArray(config.plugins)],
+  };
+}
+
+/**
+ * Resolves an ESLint config of the sandbox to one config that we can give to
+ * the linter. We can only extend the shared configs and use the plugins,
+ * parsers and rules that are bundled with the worker, everything else is
+ * left out and returned as a problem.
+ */
+export async function resolveConfig(
+  eslintConfig,
+  baseConfig,
+  { getSharedConfig, plugins, parsers, rules }
+) {
+  const problems = [];
+
+  const names = toArray(eslintConfig.extends);
+  const sharedConfigs = await Promise.all(
+    names.map(name => getSharedConfig(name))
+  );
+
+  // The shared configs are merged in the order they're extended
+  let config = sharedConfigs.reduce((result, sharedConfig, index) => {
+    if (!sharedConfig) {
+      problems.push(
+        `Extending '${names[index]}' is not supported in the editor`
+      );
+      return result;
+    }
+
+    return mergeConfigs(result, sharedConfig);
+  }, baseConfig);
+
+  const ownConfig = { ...eslintConfig };
+  delete ownConfig.extends;
+  config = mergeConfigs(config, ownConfig);
+
+  if (config.parser && parsers.indexOf(config.parser) === -1) {
+    problems.push(`Parser '${config.parser}' is not supported in the editor`);
+    config.parser = baseConfig.parser;
+  }
+
+  toArray(ownConfig.plugins)
+    .filter(plugin => plugins.indexOf(plugin) === -1)
+    .forEach(plugin => {
+      problems.push(`Plugin '${plugin}' is not supported in the editor`);
+    });
+  // The rules of the plugins are already defined in the linter
+  delete config.plugins;
+
+  const supportedRules = {};
+  Object.keys(config.rules).forEach(rule => {
+    if (rules.indexOf(rule) === -1) {
+      problems.push(`Rule '${rule}' is unknown or not supported in the editor`);
+    } else {
+      supportedRules[rule] = config.rules[rule];
+    }
+  });
+
+  return { config: { ...config, rules: supportedRules }, problems };
+}
@@ -0,0 +1,79 @@
+import { mergeConfigs, resolveConfig } from './config';
+
+const options = {
+  getSharedConfig: name =>
+    name === 'react-app'
+      ? { env: { jest: true }, rules: { eqeqeq: 'warn', 'no-undef': 'error' } }
+      : null,
+  plugins: ['react'],
+  parsers: ['babel-eslint'],
+  rules: ['eqeqeq', 'no-undef', 'no-console'],
+};
+
+const baseConfig = {
+  parser: 'babel-eslint',
+  parserOptions: { ecmaVersion: 8, ecmaFeatures: { jsx: true } },
+  env: { browser: true },
+  rules: {},
+};
+
+describe('linter config', () => {
+  it('merges configs', () => {
+    expect(
+      mergeConfigs(baseConfig, {
+        parserOptions: { ecmaFeatures: { globalReturn: true } },
+        env: { node: true },
+        globals: { $: true },
+        rules: { eqeqeq: 'off' },
+      })
+    ).toEqual({
+      parser: 'babel-eslint',
+      parserOptions: {
+        ecmaVersion: 8,
+        ecmaFeatures: { jsx: true, globalReturn: true },
+      },
+      env: { browser: true, node: true },
+      globals: { $: true },
+      rules: { eqeqeq: 'off' },
+      plugins: [],
+    });
+  });
+
+  it('applies the rules of the config on top of the extended config', async () => {
+    const { config, problems } = await resolveConfig(
+      { extends: 'react-app', rules: { eqeqeq: 'off', 'no-console': 'warn' } },
+      baseConfig,
+      options
+    );
+
+    expect(config.env).toEqual({ browser: true, jest: true });
+    expect(config.rules).toEqual({
+      eqeqeq: 'off',
+      'no-undef': 'error',
+      'no-console': 'warn',
+    });
+    expect(problems).toEqual([]);
+  });
+
+  it('returns unsupported configs, plugins and rules as problems', async () => {
+    const { config, problems } = await resolveConfig(
+      {
+        extends: ['airbnb'],
+        parser: 'typescript-eslint-parser',
+        plugins: ['react', 'flowtype'],
+        rules: { 'flowtype/no-types-missing-file-annotation': 'error' },
+      },
+      baseConfig,
+      options
+    );
+
+    expect(config.parser).toBe('babel-eslint');
+    expect(config.rules).toEqual({});
+    expect(problems).toEqual([
+      "Extending 'airbnb' is not supported in the editor",
+      "Parser 'typescript-eslint-parser' is not supported in the editor",
+      "Plugin 'flowtype' is not supported in the editor",
+      "Rule 'flowtype/no-types-missing-file-annotation' is unknown or not supported in the editor",
+    ]);
+  });
+});
@@ -1,6 +1,8 @@
 import Linter from 'eslint/lib/linter';
+import eslintRecommended from 'eslint/conf/eslint-recommended';
 
 import monkeypatch from './monkeypatch-babel-eslint';
+import { resolveConfig } from './config';
 
 /* eslint-disable global-require */
 const allRules = {
@@ -316,6 +318,49 @@ linter.defineParser(
 
 linter.defineRules(allRules);
 
+const supportedPlugins = ['import', 'react', 'jsx-a11y', 'vue'];
+const supportedParsers = ['babel-eslint', 'espree', 'vue-eslint-parser'];
+
+async function getSharedConfig(name) {
+  switch (name) {
+    case 'react-app':
+      return defaultConfig;
+    case 'eslint:recommended':
+      return eslintRecommended;
+    case 'plugin:vue/base':
+    case 'plugin:vue/essential': {
+      const { getConfig: getVueConfig } = await import('./vue');
+
+      return getVueConfig(linter);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * The configuration of the sandbox replaces the rules of the default config,
+ * like ESLint does. We keep the parser and environment of the default config
+ * so the code can still be parsed if the configuration doesn't set them.
+ */
+async function getSandboxConfig(eslintConfig, baseConfig) {
+  if (eslintConfig.parser === 'vue-eslint-parser') {
+    // Defines the parser
+    await getSharedConfig('plugin:vue/base');
+  }
+
+  return resolveConfig(
+    eslintConfig,
+    { ...baseConfig, rules: {} },
+    {
+      getSharedConfig,
+      plugins: supportedPlugins,
+      parsers: supportedParsers,
+      rules: Array.from(linter.getRules().keys()),
+    }
+  );
+}
+
 function getPos(error, from) {
   let line = error.line - 1;
   let ch = from ? error.column : error.column + 1;
@@ -342,12 +387,10 @@ function getSeverity(error) {
   }
 }
 
-// Respond to message from parent thread
-self.addEventListener('message', async event => {
-  const { code, version, title: filename, template } = event.data;
-
+async function getLintConfig(template, filename, eslintConfig) {
   let config = defaultConfig;
   let options = { filename };
+  let problems = [];
 
   if (template === 'vue-cli') {
     const {
@@ -363,6 +406,38 @@ self.addEventListener('message', async event => {
     options = { ...options, ...getVueVerifyOptions(filename) };
   }
 
+  if (eslintConfig) {
+    ({ config, problems } = await getSandboxConfig(eslintConfig, config));
+  }
+
+  return { config, options, problems };
+}
+
+// Respond to message from parent thread
+self.addEventListener('message', async event => {
+  const {
+    type,
+    id,
+    code,
+    version,
+    title: filename,
+    template,
+    eslintConfig,
+  } = event.data;
+
+  const { config, options, problems } = await getLintConfig(
+    template,
+    filename,
+    eslintConfig
+  );
+
+  if (type === 'fix') {
+    const { output } = linter.verifyAndFix(code, config, options);
+
+    self.postMessage({ type, id, output });
+    return;
+  }
+
   const validations = linter.verify(code, config, options);
 
   const markers = validations.map(error => {
@@ -377,8 +452,12 @@ self.addEventListener('message', async event => {
       endLineNumber: endL,
       message: `${error.message} (${error.ruleId})`,
       source: 'eslint',
+      ruleId: error.ruleId,
+      // The offsets in the code to replace and the replacement
+      fix: error.fix,
     };
   });
 
-  self.postMessage({ markers, version });
+  // The problems of the config are shown in the .eslintrc
+  self.postMessage({ markers, version, problems });
 });
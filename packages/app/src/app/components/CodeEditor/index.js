@@ -6,6 +6,7 @@ import Loading from 'app/components/Loading';
 import Title from 'app/components/Title';
 import SubTitle from 'app/components/SubTitle';
 import getUI from 'common/templates/configuration/ui';
+import eslintrc from 'common/templates/configuration/eslintrc';
 import Centered from 'common/components/flex/Centered';
 import Margin from 'common/components/spacing/Margin';
 import isImage from 'common/utils/is-image';
@@ -114,7 +115,11 @@ export default class CodeEditor extends React.PureComponent<Props, State> {
       sandbox.directories,
       module.id
     );
-    const config = template.configurationFiles[modulePath];
+    // The .eslintrc isn't a configuration file of the templates, but it
+    // still gets the UI when the sandbox has one
+    const config =
+      template.configurationFiles[modulePath] ||
+      (modulePath === '/.eslintrc' ? eslintrc : null);
     if (config && getUI(config.type) && this.state.showConfigUI) {
       return (
         <Configuration
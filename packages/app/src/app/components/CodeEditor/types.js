@@ -4,6 +4,7 @@ import type {
   Sandbox,
   ModuleError,
   ModuleCorrection,
+  ModuleLineCoverage,
 } from 'common/types';
 
 export type Settings = {
@@ -45,6 +46,7 @@ export interface Editor {
   setErrors?: (errors: Array<ModuleError>) => any;
   setCorrections?: (corrections: Array<ModuleCorrection>) => any;
   setGlyphs?: (glyphs: Array<any>) => any;
+  setLineCoverage?: (lineCoverage: Array<ModuleLineCoverage>) => any;
   updateModules?: () => any;
   changeSettings?: (settings: Settings) => any;
   changeDependencies?: (deps: Object) => any;
@@ -56,6 +58,7 @@ export interface Editor {
   changeCode?: (code: string) => any;
   currentModule?: Module;
   setTSConfig?: (tsConfig: Object) => void;
+  setESLintConfig?: (eslintConfig: ?Object) => void;
   setReceivingCode?: (receivingCode: boolean) => void;
   applyOperation?: (operation: any) => void;
   updateUserSelections?: (selections: any) => void;
@@ -77,6 +80,7 @@ export type Props = {
   dependencies?: ?{ [name: string]: string },
   highlightedLines?: Array<number>,
   tsconfig?: Object,
+  eslintConfig?: ?Object,
   readOnly?: boolean,
   isLive: boolean,
   sendTransforms?: (transform: any) => void,
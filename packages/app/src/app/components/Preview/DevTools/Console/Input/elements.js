@@ -1,4 +1,5 @@
 import styled from 'styled-components';
+import Select from 'common/components/Select';
 
 export const Container = styled.div`
   position: relative;
@@ -30,3 +31,11 @@ export const IconContainer = styled.div`
   align-items: center;
   justify-content: center;
 `;
+
+export const ScopeSelect = styled(Select)`
+  flex: 0 0 auto;
+  width: auto;
+  max-width: 200px;
+  margin: 0.25rem 0.5rem;
+  font-size: 0.75rem;
+`;
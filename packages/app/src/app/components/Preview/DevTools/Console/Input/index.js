@@ -8,7 +8,7 @@ import theme from 'common/theme';
 import MonacoEditor from 'app/components/CodeEditor/Monaco/MonacoReactComponent';
 import defineTheme from 'app/components/CodeEditor/Monaco/define-theme';
 
-import { IconContainer } from './elements';
+import { IconContainer, ScopeSelect } from './elements';
 
 const CONSOLE_INPUT_TOP_PADDING = 6;
 const CONSOLE_INPUT_BOTTOM_PADDING = 6;
@@ -52,8 +52,19 @@ const Container = styled.div`
   }
 `;
 
+type Completion = {
+  name: string,
+  type: 'function' | 'property' | 'variable',
+};
+
 type Props = {
   evaluateConsole: (command: string) => void,
+  getCompletions: (expression: string) => Promise<Array<Completion>>,
+  scope: string,
+  scopePaths: Array<string>,
+  currentModulePath: ?string,
+  setScope: (scope: string) => void,
+  loadScopePaths: () => void,
 };
 
 type State = {
@@ -113,14 +124,17 @@ class ConsoleInput extends React.PureComponent<Props, State> {
   };
 
   editor: any;
+  completionProvider: ?{ dispose: () => void };
 
   resizeEditor = () => {
     this.editor.layout();
   };
 
-  editorDidMount = async (editor: any) => {
+  editorDidMount = async (editor: any, monaco: any) => {
     this.editor = editor;
 
+    this.registerCompletions(editor, monaco);
+
     let lastLineCount = 1;
     editor.onDidChangeModelContent(() => {
       const lineCount = editor.getModel().getLineCount();
@@ -189,15 +203,80 @@ class ConsoleInput extends React.PureComponent<Props, State> {
     this.sizeProbeInterval = setInterval(this.resizeEditor.bind(this), 3000);
   };
 
+  /**
+   * Completes with the properties of the live objects in the sandbox, Tab
+   * shows the completions when they're not shown yet.
+   */
+  registerCompletions(editor: any, monaco: any) {
+    const { CompletionItemKind } = monaco.languages;
+    const kinds = {
+      function: CompletionItemKind.Method,
+      property: CompletionItemKind.Property,
+      variable: CompletionItemKind.Variable,
+    };
+
+    this.completionProvider = monaco.languages.registerCompletionItemProvider(
+      'javascript',
+      {
+        triggerCharacters: ['.'],
+        provideCompletionItems: (model, position) => {
+          // The provider is registered for every JavaScript model
+          if (model !== editor.getModel()) {
+            return [];
+          }
+
+          const expression = model.getValueInRange({
+            startLineNumber: 1,
+            startColumn: 1,
+            endLineNumber: position.lineNumber,
+            endColumn: position.column,
+          });
+
+          return this.props.getCompletions(expression).then(
+            completions =>
+              completions.map(({ name, type }) => ({
+                label: name,
+                insertText: name,
+                kind: kinds[type],
+              })),
+            () => []
+          );
+        },
+      }
+    );
+
+    editor.addCommand(
+      monaco.KeyCode.Tab,
+      () => editor.trigger('console', 'editor.action.triggerSuggest', {}),
+      '!suggestWidgetVisible'
+    );
+  }
+
   componentWillUnmount() {
     window.removeEventListener('resize', this.resizeEditor);
     clearTimeout(this.sizeProbeInterval);
+    if (this.completionProvider) {
+      this.completionProvider.dispose();
+    }
     if (this.editor) {
       this.editor.dispose();
     }
   }
 
   render() {
+    const {
+      scope,
+      scopePaths,
+      currentModulePath,
+      setScope,
+      loadScopePaths,
+    } = this.props;
+    // Keep the selected file, also when it isn't evaluated anymore
+    const paths =
+      scope && scope !== 'current' && !scopePaths.includes(scope)
+        ? [scope, ...scopePaths]
+        : scopePaths;
+
     return (
       <Container height={this.state.editorHeight + 12}>
         <IconContainer style={{ color: theme.secondary() }}>
@@ -214,6 +293,22 @@ class ConsoleInput extends React.PureComponent<Props, State> {
             openReference={noop}
           />
         </InputWrapper>
+        <ScopeSelect
+          title="The scope commands are evaluated in"
+          value={scope}
+          onFocus={loadScopePaths}
+          onChange={e => setScope(e.target.value)}
+        >
+          <option value="">Global scope</option>
+          {currentModulePath && (
+            <option value="current">Current file ({currentModulePath})</option>
+          )}
+          {paths.map(path => (
+            <option key={path} value={path}>
+              {path}
+            </option>
+          ))}
+        </ScopeSelect>
       </Container>
     );
   }
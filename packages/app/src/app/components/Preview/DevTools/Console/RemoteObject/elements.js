@@ -0,0 +1,60 @@
+import styled from 'styled-components';
+
+import { inspectorTheme } from '../elements';
+
+const VALUE_COLORS = {
+  string: inspectorTheme.OBJECT_VALUE_STRING_COLOR,
+  symbol: inspectorTheme.OBJECT_VALUE_SYMBOL_COLOR,
+  number: inspectorTheme.OBJECT_VALUE_NUMBER_COLOR,
+  boolean: inspectorTheme.OBJECT_VALUE_BOOLEAN_COLOR,
+  bigint: inspectorTheme.OBJECT_VALUE_NUMBER_COLOR,
+  null: inspectorTheme.OBJECT_VALUE_NULL_COLOR,
+  undefined: inspectorTheme.OBJECT_VALUE_UNDEFINED_COLOR,
+  function: inspectorTheme.OBJECT_VALUE_FUNCTION_KEYWORD_COLOR,
+  error: inspectorTheme.LOG_ERROR_COLOR,
+};
+
+export const Node = styled.div`
+  font-family: ${inspectorTheme.TREENODE_FONT_FAMILY};
+  font-size: ${inspectorTheme.TREENODE_FONT_SIZE};
+  line-height: ${inspectorTheme.TREENODE_LINE_HEIGHT};
+  white-space: pre-wrap;
+  word-break: break-all;
+`;
+
+export const Line = styled.div`
+  cursor: ${props => (props.expandable ? 'pointer' : 'default')};
+`;
+
+export const Arrow = styled.span`
+  display: inline-block;
+  width: ${inspectorTheme.ARROW_FONT_SIZE}px;
+  margin-right: ${inspectorTheme.ARROW_MARGIN_RIGHT}px;
+  font-size: ${inspectorTheme.ARROW_FONT_SIZE}px;
+  color: ${inspectorTheme.ARROW_COLOR};
+  transition: 0.15s ease transform;
+  transform: rotateZ(${props => (props.open ? 90 : 0)}deg);
+`;
+
+export const Name = styled.span`
+  color: ${inspectorTheme.OBJECT_NAME_COLOR};
+`;
+
+export const Value = styled.span`
+  color: ${props => VALUE_COLORS[props.type] || inspectorTheme.BASE_COLOR};
+`;
+
+export const Preview = styled.span`
+  margin-left: 0.5em;
+  color: rgba(255, 255, 255, 0.5);
+`;
+
+export const Children = styled.div`
+  padding-left: ${inspectorTheme.TREENODE_PADDING_LEFT}px;
+`;
+
+export const Message = styled.div`
+  padding-left: ${inspectorTheme.TREENODE_PADDING_LEFT}px;
+  color: rgba(255, 255, 255, 0.5);
+  font-style: italic;
+`;
@@ -0,0 +1,106 @@
+// @flow
+import React from 'react';
+
+import requestFromSandbox from '../sandbox-request';
+import {
+  Node,
+  Line,
+  Arrow,
+  Name,
+  Value,
+  Preview,
+  Children,
+  Message,
+} from './elements';
+
+export type RemoteObjectDescription = {
+  type: string,
+  description: string,
+  id?: number,
+  preview?: string,
+};
+
+type Props = {
+  name?: string,
+  value: RemoteObjectDescription,
+};
+
+type State = {
+  open: boolean,
+  properties: ?Array<{ name: string, value: RemoteObjectDescription }>,
+  error: ?string,
+};
+
+/**
+ * A value that was evaluated in the sandbox. Objects are only described with a
+ * preview, their properties are requested from the sandbox when expanded.
+ */
+export default class RemoteObject extends React.PureComponent<Props, State> {
+  state = {
+    open: false,
+    properties: null,
+    error: null,
+  };
+
+  toggle = () => {
+    const { id } = this.props.value;
+    if (id == null) {
+      return;
+    }
+
+    if (!this.state.open && !this.state.properties) {
+      requestFromSandbox('console-object-properties', { objectId: id }).then(
+        properties => this.setState({ properties, error: null }),
+        error => this.setState({ error: error.message })
+      );
+    }
+
+    this.setState({ open: !this.state.open });
+  };
+
+  renderChildren() {
+    const { properties, error } = this.state;
+
+    if (error) {
+      return <Message>{error}</Message>;
+    }
+
+    if (!properties) {
+      return <Message>Loading…</Message>;
+    }
+
+    return (
+      <Children>
+        {properties.map(property => (
+          <RemoteObject
+            key={property.name}
+            name={property.name}
+            value={property.value}
+          />
+        ))}
+      </Children>
+    );
+  }
+
+  render() {
+    const { name, value } = this.props;
+    const expandable = value.id != null;
+    const description =
+      value.type === 'string' && name != null
+        ? JSON.stringify(value.description)
+        : value.description;
+
+    return (
+      <Node>
+        <Line expandable={expandable} onClick={this.toggle}>
+          {expandable && <Arrow open={this.state.open}>▶</Arrow>}
+          {name != null && <Name>{name}: </Name>}
+          <Value type={value.type}>{description}</Value>
+          {value.preview &&
+            !this.state.open && <Preview>{value.preview}</Preview>}
+        </Line>
+        {this.state.open && this.renderChildren()}
+      </Node>
+    );
+  }
+}
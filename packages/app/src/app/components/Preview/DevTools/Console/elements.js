@@ -1,5 +1,8 @@
-import styled from 'styled-components';
+import styled, { css } from 'styled-components';
+import ChevronRight from 'react-icons/lib/md/chevron-right';
 import theme from 'common/theme';
+import Input from 'common/components/Input';
+import Select from 'common/components/Select';
 
 export const Container = styled.div`
   background-color: ${props => props.theme.background};
@@ -95,3 +98,130 @@ export const inspectorTheme = {
     'linear-gradient(rgba(255, 255, 255, 0), rgba(255, 255, 255, 0) 50%, rgba(51, 139, 255, 0.0980392) 50%, rgba(51, 139, 255, 0.0980392))',
   TABLE_DATA_BACKGROUND_SIZE: '128px 32px',
 };
+
+export const Result = styled.div`
+  display: flex;
+  padding: ${inspectorTheme.PADDING};
+  border-bottom: 1px solid ${inspectorTheme.LOG_BORDER};
+  font-family: ${inspectorTheme.BASE_FONT_FAMILY};
+  font-size: ${inspectorTheme.BASE_FONT_SIZE};
+  line-height: ${inspectorTheme.BASE_LINE_HEIGHT};
+
+  ${props =>
+    props.error &&
+    css`
+      color: ${inspectorTheme.LOG_ERROR_COLOR};
+      background-color: ${inspectorTheme.LOG_ERROR_BACKGROUND};
+      border-color: ${inspectorTheme.LOG_ERROR_BORDER};
+    `};
+`;
+
+export const ResultIcon = styled.div`
+  flex: 0 0 auto;
+  width: 24px;
+  text-align: center;
+  color: rgba(255, 255, 255, 0.5);
+`;
+
+export const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  flex-shrink: 0;
+  padding: 0.25rem 0.5rem;
+  background-color: ${props => props.theme.background4};
+  border-bottom: 1px solid rgba(0, 0, 0, 0.3);
+`;
+
+export const SearchInput = styled(Input)`
+  width: 200px;
+  margin-right: 0.5rem;
+  font-size: 0.75rem;
+`;
+
+const toggleButton = css`
+  transition: 0.3s ease color;
+  padding: 0.125rem 0.5rem;
+  border: none;
+  border-radius: 2px;
+  outline: none;
+  background-color: transparent;
+  color: rgba(255, 255, 255, 0.6);
+  font-size: 0.75rem;
+  cursor: pointer;
+
+  &:hover {
+    color: rgba(255, 255, 255, 1);
+  }
+
+  ${props =>
+    props.active &&
+    css`
+      background-color: rgba(0, 0, 0, 0.3);
+      color: white;
+    `};
+`;
+
+export const LevelButton = styled.button`
+  ${toggleButton};
+`;
+
+export const SourceSelect = styled(Select)`
+  max-width: 200px;
+  margin-left: auto;
+  font-size: 0.75rem;
+`;
+
+export const Group = styled.div`
+  border-bottom: 1px solid rgba(0, 0, 0, 0.3);
+`;
+
+export const GroupHeader = styled.div`
+  display: flex;
+  align-items: center;
+  padding: 0.25rem 0.5rem;
+  background-color: ${props => props.theme.background2};
+  font-size: 0.75rem;
+  cursor: pointer;
+  user-select: none;
+`;
+
+export const GroupArrow = styled(ChevronRight)`
+  flex-shrink: 0;
+  transition: 0.3s ease transform;
+  margin-right: 0.25rem;
+  transform: rotateZ(${props => (props.open ? 90 : 0)}deg);
+`;
+
+export const GroupTitle = styled.span`
+  flex: 1;
+  overflow: hidden;
+  white-space: nowrap;
+  text-overflow: ellipsis;
+`;
+
+export const GroupInfo = styled.span`
+  flex-shrink: 0;
+  margin: 0 0.5rem;
+  color: rgba(255, 255, 255, 0.5);
+`;
+
+export const GroupButton = styled.button`
+  ${toggleButton};
+`;
+
+export const Comparison = styled.div`
+  display: flex;
+  flex-grow: 1;
+  min-height: 0;
+`;
+
+export const ComparisonColumn = styled.div`
+  flex: 1;
+  min-width: 0;
+  overflow-y: auto;
+  white-space: pre-wrap;
+
+  & + & {
+    border-left: 1px solid rgba(0, 0, 0, 0.3);
+  }
+`;
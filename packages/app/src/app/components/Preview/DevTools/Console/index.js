@@ -1,14 +1,51 @@
 import React from 'react';
+import { inject, observer } from 'mobx-react';
 import { listen, dispatch } from 'codesandbox-api';
 import { debounce } from 'lodash-es';
-import update from 'immutability-helper';
+import { saveAs } from 'file-saver';
 
 import ClearIcon from 'react-icons/lib/md/clear-all';
+import DownloadIcon from 'react-icons/lib/md/file-download';
+import ResultArrowIcon from 'react-icons/lib/md/chevron-left';
 import { Decode, Console as ConsoleFeed } from 'console-feed';
+import { Encode } from 'console-feed/lib/Transform';
+
+import {
+  LEVELS,
+  createGroup,
+  getNextGroupId,
+  startGroup,
+  addMessages,
+  toggleGroup,
+  matchesFilter,
+  getSources,
+  getGroupTitle,
+  serializeHistory,
+} from 'app/utils/console-history';
 
 import Input from './Input';
-
-import { Container, Messages, inspectorTheme } from './elements';
+import RemoteObject from './RemoteObject';
+import requestFromSandbox from './sandbox-request';
+
+import {
+  Container,
+  Messages,
+  Result,
+  ResultIcon,
+  Toolbar,
+  SearchInput,
+  LevelButton,
+  SourceSelect,
+  Group,
+  GroupHeader,
+  GroupArrow,
+  GroupTitle,
+  GroupInfo,
+  GroupButton,
+  Comparison,
+  ComparisonColumn,
+  inspectorTheme,
+} from './elements';
 
 export type IMessage = {
   type: 'message' | 'command' | 'return',
@@ -16,14 +53,42 @@ export type IMessage = {
   arguments: any[],
 };
 
+// The messages are stored encoded, they're decoded once for console-feed
+const decodedMessages = new WeakMap();
+
+function decode(message) {
+  if (!decodedMessages.has(message)) {
+    decodedMessages.set(
+      message,
+      Decode({ method: message.method, data: message.data })
+    );
+  }
+
+  return decodedMessages.get(message);
+}
+
+function getMessageCount(groups) {
+  return groups.reduce((count, group) => count + group.messages.length, 0);
+}
+
 class Console extends React.Component {
   state = {
-    messages: [],
-    scrollToBottom: true,
-    initialClear: true,
+    // The history when the console is not connected to the editor store
+    groups: [],
+    search: '',
+    levels: LEVELS,
+    source: '',
+    // The two groups that are compared side by side
+    comparedIds: [],
+    // '' is the global scope, 'current' the file that is open in the editor
+    scope: '',
+    scopePaths: [],
   };
 
   listener;
+  flushFrame = null;
+  pendingMessages = [];
+  messageCount = 0;
 
   constructor(props) {
     super(props);
@@ -39,13 +104,13 @@ class Console extends React.Component {
     if (this.listener) {
       this.listener();
     }
+    cancelAnimationFrame(this.flushFrame);
   }
 
   handleMessage = data => {
     switch (data.type) {
       case 'console': {
-        const message = Decode(data.log);
-        const { method, data: args } = message;
+        const { method, data: args } = data.log;
 
         switch (method) {
           case 'clear': {
@@ -56,32 +121,37 @@ class Console extends React.Component {
             break;
           }
           default: {
-            this.addMessage(method, args);
+            this.addEncodedMessage({
+              method,
+              data: args,
+              source: data.source || null,
+            });
             break;
           }
         }
         break;
       }
+      case 'start-console-group': {
+        this.startGroup(
+          data.kind,
+          '',
+          data.changedModules,
+          data.collapsePrevious
+        );
+        break;
+      }
       case 'clear-console': {
-        if (this.state.initialClear) {
-          this.setState({
-            initialClear: false,
-          });
-        } else {
-          this.clearConsole();
-        }
+        this.clearConsole();
+        break;
+      }
+      case 'export-console': {
+        this.exportConsole();
         break;
       }
       case 'eval-result': {
         const { result, error } = data;
 
-        const decoded = Decode(result);
-
-        if (!error) {
-          this.addMessage('result', [decoded]);
-        } else {
-          this.addMessage('error', [decoded]);
-        }
+        this.addMessage(error ? 'error' : 'result', [], result);
         break;
       }
       case 'test-result': {
@@ -121,25 +191,114 @@ class Console extends React.Component {
     return 'error';
   };
 
-  addMessage(method, data) {
+  getGroups() {
+    return this.props.consoleHistory || this.state.groups;
+  }
+
+  addMessage(method, data, remote) {
+    this.addEncodedMessage({
+      method,
+      data: Encode({ method, data }).data,
+      remote: remote || null,
+      source: null,
+    });
+  }
+
+  addEncodedMessage(message) {
     if (this.props.updateStatus) {
-      this.props.updateStatus(this.getType(method));
+      this.props.updateStatus(this.getType(message.method));
     }
 
-    this.setState(state =>
-      update(state, {
-        messages: {
-          $push: [
-            {
-              method,
-              data,
-            },
-          ],
-        },
-      })
-    );
+    // Messages are added once per frame, a loop that logs shouldn't update the
+    // history for every message
+    this.pendingMessages.push({ ...message, time: Date.now() });
+    if (!this.flushFrame) {
+      this.flushFrame = requestAnimationFrame(this.flushMessages);
+    }
+  }
+
+  flushMessages = () => {
+    cancelAnimationFrame(this.flushFrame);
+    this.flushFrame = null;
+
+    const messages = this.pendingMessages;
+    if (messages.length === 0) {
+      return;
+    }
+    this.pendingMessages = [];
+
+    if (this.props.signals) {
+      this.props.signals.consoleMessagesAdded({ messages });
+    } else {
+      this.setState(state => ({ groups: addMessages(state.groups, messages) }));
+    }
+  };
+
+  startGroup(
+    kind: 'compile' | 'evaluation',
+    label: string,
+    changedModules: Array<string> = [],
+    collapsePrevious: boolean = false
+  ) {
+    // The messages so far belong to the previous group
+    this.flushMessages();
+
+    if (this.props.signals) {
+      this.props.signals.consoleGroupStarted({
+        kind,
+        label,
+        changedModules,
+        collapsePrevious,
+      });
+    } else {
+      this.setState(state => ({
+        groups: startGroup(
+          state.groups,
+          createGroup(
+            getNextGroupId(state.groups),
+            kind,
+            label,
+            changedModules
+          ),
+          collapsePrevious
+        ),
+      }));
+    }
   }
 
+  toggleGroup = (id: number) => {
+    if (this.props.signals) {
+      this.props.signals.consoleGroupToggled({ id });
+    } else {
+      this.setState(state => ({ groups: toggleGroup(state.groups, id) }));
+    }
+  };
+
+  toggleCompared = (id: number) => {
+    this.setState(({ comparedIds }) => ({
+      comparedIds: comparedIds.includes(id)
+        ? comparedIds.filter(comparedId => comparedId !== id)
+        : [...comparedIds, id].slice(-2),
+    }));
+  };
+
+  toggleLevel = (level: string) => {
+    this.setState(({ levels }) => ({
+      levels: levels.includes(level)
+        ? levels.filter(l => l !== level)
+        : [...levels, level],
+    }));
+  };
+
+  exportConsole = () => {
+    this.flushMessages();
+
+    const blob = new Blob([serializeHistory(this.getGroups())], {
+      type: 'application/json',
+    });
+    saveAs(blob, 'console-history.json');
+  };
+
   list;
 
   componentWillReceiveProps(nextProps) {
@@ -153,25 +312,29 @@ class Console extends React.Component {
       this.props.updateStatus('clear');
     }
 
-    const messages = nothing
-      ? []
-      : [
-          {
-            method: 'log',
-            data: [
-              '%cConsole was cleared',
-              'font-style: italic; color: rgba(255, 255, 255, 0.3)',
-            ],
-          },
-        ];
-
-    this.setState({
-      messages,
-    });
+    this.pendingMessages = [];
+    if (this.props.signals) {
+      this.props.signals.consoleCleared();
+    } else {
+      this.setState({ groups: [] });
+    }
+    this.setState({ comparedIds: [] });
+
+    if (!nothing) {
+      this.addMessage('log', [
+        '%cConsole was cleared',
+        'font-style: italic; color: rgba(255, 255, 255, 0.3)',
+      ]);
+    }
   };
 
   componentDidUpdate() {
-    this.scrollToBottom();
+    // Only follow new messages, not expanding or filtering groups
+    const messageCount = getMessageCount(this.getGroups());
+    if (messageCount !== this.messageCount) {
+      this.messageCount = messageCount;
+      this.scrollToBottom();
+    }
   }
 
   scrollToBottom = () => {
@@ -180,32 +343,198 @@ class Console extends React.Component {
     }
   };
 
+  getModulePath = () =>
+    this.state.scope === 'current'
+      ? this.props.currentModulePath
+      : this.state.scope || null;
+
   evaluateConsole = (command: string) => {
+    this.startGroup('evaluation', command);
     this.addMessage('command', [command]);
 
     // TODO move everything of frames to store and this command too
-    dispatch({ type: 'evaluate', command });
+    dispatch({ type: 'evaluate', command, modulePath: this.getModulePath() });
+  };
+
+  getCompletions = (expression: string) =>
+    requestFromSandbox('console-completions', {
+      expression,
+      modulePath: this.getModulePath(),
+    });
+
+  loadScopePaths = () => {
+    requestFromSandbox('console-scopes').then(
+      scopePaths => this.setState({ scopePaths }),
+      () => {
+        // The sandbox is still loading
+      }
+    );
+  };
+
+  setScope = (scope: string) => {
+    this.setState({ scope });
   };
 
+  getVisibleMessages(group) {
+    const { search, levels, source } = this.state;
+
+    return group.messages.filter(message =>
+      matchesFilter(message, { search, levels, source })
+    );
+  }
+
+  renderMessages(messages) {
+    // Logs are shown by console-feed, results of evaluations can be inspected
+    // in the sandbox
+    const parts = [];
+    messages.forEach((message, index) => {
+      const lastPart = parts[parts.length - 1];
+
+      if (message.remote) {
+        parts.push({ key: index, result: message });
+      } else if (lastPart && lastPart.logs) {
+        lastPart.logs.push(decode(message));
+      } else {
+        parts.push({ key: index, logs: [decode(message)] });
+      }
+    });
+
+    return parts.map(
+      part =>
+        part.logs ? (
+          <ConsoleFeed
+            key={part.key}
+            logs={part.logs}
+            variant="dark"
+            styles={inspectorTheme}
+          />
+        ) : (
+          <Result key={part.key} error={part.result.method === 'error'}>
+            <ResultIcon>
+              <ResultArrowIcon />
+            </ResultIcon>
+            <RemoteObject value={part.result.remote} />
+          </Result>
+        )
+    );
+  }
+
+  renderGroup(group) {
+    const messages = this.getVisibleMessages(group);
+    const compared = this.state.comparedIds.includes(group.id);
+    const open = !group.collapsed;
+
+    return (
+      <Group key={group.id}>
+        <GroupHeader onClick={() => this.toggleGroup(group.id)}>
+          <GroupArrow open={open} />
+          <GroupTitle title={group.changedModules.join('\n')}>
+            {getGroupTitle(group)}
+          </GroupTitle>
+          <GroupInfo>
+            {messages.length === group.messages.length
+              ? group.messages.length
+              : `${messages.length} of ${group.messages.length}`}{' '}
+            messages, {new Date(group.time).toLocaleTimeString()}
+          </GroupInfo>
+          <GroupButton
+            active={compared}
+            onClick={e => {
+              e.stopPropagation();
+              this.toggleCompared(group.id);
+            }}
+          >
+            Compare
+          </GroupButton>
+        </GroupHeader>
+        {open && this.renderMessages(messages)}
+      </Group>
+    );
+  }
+
+  renderComparison(groups) {
+    return (
+      <Comparison>
+        {groups.map(group => (
+          <ComparisonColumn key={group.id}>
+            <GroupHeader>
+              <GroupTitle title={group.changedModules.join('\n')}>
+                {getGroupTitle(group)}
+              </GroupTitle>
+              <GroupButton
+                active
+                onClick={() => this.toggleCompared(group.id)}
+              >
+                Close
+              </GroupButton>
+            </GroupHeader>
+            {this.renderMessages(this.getVisibleMessages(group))}
+          </ComparisonColumn>
+        ))}
+      </Comparison>
+    );
+  }
+
   render() {
     if (this.props.hidden) {
       return null;
     }
 
+    const groups = this.getGroups();
+    const comparedGroups = this.state.comparedIds
+      .map(id => groups.find(group => group.id === id))
+      .filter(Boolean);
+    const sources = getSources(groups);
+
     return (
       <Container>
-        <Messages
-          innerRef={el => {
-            this.list = el;
-          }}
-        >
-          <ConsoleFeed
-            logs={this.state.messages}
-            variant="dark"
-            styles={inspectorTheme}
+        <Toolbar>
+          <SearchInput
+            placeholder="Filter"
+            value={this.state.search}
+            onChange={e => this.setState({ search: e.target.value })}
           />
-        </Messages>
-        <Input evaluateConsole={this.evaluateConsole} />
+          {LEVELS.map(level => (
+            <LevelButton
+              key={level}
+              active={this.state.levels.includes(level)}
+              onClick={() => this.toggleLevel(level)}
+            >
+              {level}
+            </LevelButton>
+          ))}
+          <SourceSelect
+            value={this.state.source}
+            onChange={e => this.setState({ source: e.target.value })}
+          >
+            <option value="">All files</option>
+            {sources.map(source => (
+              <option key={source} value={source}>
+                {source}
+              </option>
+            ))}
+          </SourceSelect>
+        </Toolbar>
+        {comparedGroups.length === 2 ? (
+          this.renderComparison(comparedGroups)
+        ) : (
+          <Messages
+            innerRef={el => {
+              this.list = el;
+            }}
+          >
+            {groups.map(group => this.renderGroup(group))}
+          </Messages>
+        )}
+        <Input
+          evaluateConsole={this.evaluateConsole}
+          getCompletions={this.getCompletions}
+          scope={this.state.scope}
+          scopePaths={this.state.scopePaths}
+          currentModulePath={this.props.currentModulePath}
+          setScope={this.setScope}
+          loadScopePaths={this.loadScopePaths}
+        />
       </Container>
     );
   }
@@ -213,8 +542,25 @@ class Console extends React.Component {
 
 export default {
   title: 'Console',
-  Content: Console,
+  // The history is kept in the editor store, the embed has no store and keeps
+  // it in the component
+  Content: inject(
+    ({ store, signals }) =>
+      store
+        ? {
+            consoleHistory: store.editor.consoleHistory,
+            signals: signals.editor,
+          }
+        : {}
+  )(observer(Console)),
   actions: [
+    {
+      title: 'Export Console',
+      onClick: () => {
+        dispatch({ type: 'export-console' });
+      },
+      Icon: DownloadIcon,
+    },
     {
       title: 'Clear Console',
       onClick: () => {
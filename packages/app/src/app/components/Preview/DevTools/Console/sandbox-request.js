@@ -0,0 +1,43 @@
+// @flow
+import { dispatch, listen } from 'codesandbox-api';
+
+const TIMEOUT = 5000;
+let lastRequestId = 0;
+
+/**
+ * Sends a request of the console to the sandbox and resolves with the
+ * `console-response` to it.
+ */
+export default function requestFromSandbox(
+  type: string,
+  data: Object = {}
+): Promise<any> {
+  lastRequestId += 1;
+  const requestId = lastRequestId;
+
+  return new Promise((resolve, reject) => {
+    let unlisten = () => {};
+    const timeout = setTimeout(() => {
+      unlisten();
+      reject(new Error('The sandbox did not respond.'));
+    }, TIMEOUT);
+
+    unlisten = listen(message => {
+      if (
+        message.type === 'console-response' &&
+        message.requestId === requestId
+      ) {
+        clearTimeout(timeout);
+        unlisten();
+
+        if (message.error) {
+          reject(new Error(message.error));
+        } else {
+          resolve(message.result);
+        }
+      }
+    });
+
+    dispatch({ type, requestId, ...data });
+  });
+}
@@ -0,0 +1,121 @@
+import styled, { css } from 'styled-components';
+import ChevronRight from 'react-icons/lib/md/chevron-right';
+import Input from 'common/components/Input';
+
+export const Container = styled.div`
+  display: flex;
+  flex-direction: column;
+  width: 100%;
+  height: 100%;
+  max-height: calc(100% - 2rem);
+
+  background-color: ${props => props.theme.background2};
+  color: rgba(255, 255, 255, 0.8);
+  font-size: 0.875rem;
+`;
+
+export const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  flex-shrink: 0;
+  padding: 0.25rem 0.5rem;
+  background-color: ${props => props.theme.background4};
+  border-bottom: 1px solid rgba(0, 0, 0, 0.3);
+`;
+
+export const FilterInput = styled(Input)`
+  width: 200px;
+  font-size: 0.75rem;
+`;
+
+export const Content = styled.div`
+  display: flex;
+  flex: 1;
+  min-height: 0;
+`;
+
+export const Tree = styled.div`
+  flex: 2;
+  overflow: auto;
+  padding: 0.25rem 0;
+  font-family: Menlo, monospace;
+  font-size: 0.75rem;
+`;
+
+export const Row = styled.div`
+  display: flex;
+  align-items: center;
+  padding: 0.125rem 0.5rem;
+  padding-left: ${props => props.depth + 0.5}rem;
+  white-space: nowrap;
+  cursor: pointer;
+
+  &:hover {
+    background-color: rgba(0, 0, 0, 0.2);
+  }
+
+  ${props =>
+    props.selected &&
+    css`
+      background-color: ${props.theme.background};
+
+      &:hover {
+        background-color: ${props.theme.background};
+      }
+    `};
+`;
+
+export const Arrow = styled(ChevronRight)`
+  flex-shrink: 0;
+  width: 1rem;
+  transition: 0.3s ease transform;
+  transform: rotateZ(${props => (props.open ? 90 : 0)}deg);
+`;
+
+// Takes the place of the arrow for components without children
+export const ArrowSpace = styled.span`
+  flex-shrink: 0;
+  width: 1rem;
+`;
+
+export const Name = styled.span`
+  color: ${props => props.theme.secondary};
+`;
+
+export const Key = styled.span`
+  margin-left: 0.5rem;
+  color: rgba(255, 255, 255, 0.5);
+`;
+
+export const Empty = styled.div`
+  padding: 1rem;
+`;
+
+export const Details = styled.div`
+  flex: 3;
+  overflow-y: auto;
+  background-color: ${props => props.theme.background};
+  border-left: 1px solid rgba(0, 0, 0, 0.3);
+`;
+
+export const DetailsHeader = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  padding: 0.5rem 1rem;
+  font-family: Menlo, monospace;
+  color: ${props => props.theme.secondary};
+`;
+
+export const Section = styled.div`
+  padding: 0 1rem 0.5rem;
+  font-family: Menlo, monospace;
+  font-size: 0.75rem;
+`;
+
+export const SectionTitle = styled.div`
+  margin: 0.5rem 0 0.25rem;
+  font-family: inherit;
+  font-weight: 600;
+  color: rgba(255, 255, 255, 0.6);
+`;
@@ -0,0 +1,33 @@
+// @flow
+
+export type ComponentNode = {
+  id: number,
+  name: string,
+  key: ?string,
+  source: ?string,
+  children: Array<ComponentNode>,
+};
+
+/**
+ * Keeps the components whose name contains the filter, together with their
+ * ancestors so they can still be found in the tree.
+ */
+export default function filterTree(
+  nodes: Array<ComponentNode>,
+  filter: string
+): Array<ComponentNode> {
+  const query = filter.trim().toLowerCase();
+  if (!query) {
+    return nodes;
+  }
+
+  return nodes.reduce((result, node) => {
+    const children = filterTree(node.children, query);
+
+    if (children.length > 0 || node.name.toLowerCase().includes(query)) {
+      result.push({ ...node, children });
+    }
+
+    return result;
+  }, []);
+}
@@ -0,0 +1,34 @@
+import filterTree from './filter-tree';
+
+function node(id, name, children = []) {
+  return { id, name, key: null, source: null, children };
+}
+
+describe('filterTree', () => {
+  const tree = [
+    node(1, 'App', [
+      node(2, 'Header', [node(3, 'Logo')]),
+      node(4, 'TodoList', [node(5, 'TodoItem'), node(6, 'TodoItem')]),
+    ]),
+  ];
+
+  it('returns the tree without a filter', () => {
+    expect(filterTree(tree, '  ')).toBe(tree);
+  });
+
+  it('keeps the ancestors of matching components', () => {
+    expect(filterTree(tree, 'logo')).toEqual([
+      node(1, 'App', [node(2, 'Header', [node(3, 'Logo')])]),
+    ]);
+  });
+
+  it('drops the children of a match that do not match', () => {
+    expect(filterTree(tree, 'todolist')).toEqual([
+      node(1, 'App', [node(4, 'TodoList')]),
+    ]);
+  });
+
+  it('returns nothing when no component matches', () => {
+    expect(filterTree(tree, 'Footer')).toEqual([]);
+  });
+});
@@ -0,0 +1,285 @@
+// @flow
+import React from 'react';
+import { listen, dispatch, actions } from 'codesandbox-api';
+
+import Button from 'app/components/Button';
+
+import RemoteObject, {
+  type RemoteObjectDescription,
+} from '../Console/RemoteObject';
+import filterTree, { type ComponentNode } from './filter-tree';
+import {
+  Container,
+  Toolbar,
+  FilterInput,
+  Content,
+  Tree,
+  Row,
+  Arrow,
+  ArrowSpace,
+  Name,
+  Key,
+  Empty,
+  Details,
+  DetailsHeader,
+  Section,
+  SectionTitle,
+} from './elements';
+
+type Entries = ?Array<{ name: string, value: RemoteObjectDescription }>;
+
+type ComponentDetails = {
+  id: number,
+  name: string,
+  props: Entries,
+  state: Entries,
+};
+
+type Props = {
+  hidden: boolean,
+  sandboxId: string,
+};
+
+type State = {
+  roots: Array<ComponentNode>,
+  selectedId: ?number,
+  details: ?ComponentDetails,
+  collapsedIds: Set<number>,
+  filter: string,
+};
+
+function findNode(nodes: Array<ComponentNode>, id: number): ?ComponentNode {
+  for (let i = 0; i < nodes.length; i += 1) {
+    const node =
+      nodes[i].id === id ? nodes[i] : findNode(nodes[i].children, id);
+    if (node) {
+      return node;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Shows the component tree of the preview, the sandbox only sends the tree
+ * while this pane is visible.
+ */
+class Inspector extends React.PureComponent<Props, State> {
+  state = {
+    roots: [],
+    selectedId: null,
+    details: null,
+    collapsedIds: new Set(),
+    filter: '',
+  };
+
+  listener: () => void;
+
+  componentDidMount() {
+    this.listener = listen(this.handleMessage);
+
+    if (!this.props.hidden) {
+      this.start();
+    }
+  }
+
+  componentWillUnmount() {
+    this.listener();
+    dispatch({ type: 'inspector-stop' });
+  }
+
+  componentWillReceiveProps(nextProps: Props) {
+    if (nextProps.sandboxId !== this.props.sandboxId) {
+      this.clear();
+    }
+
+    if (nextProps.hidden !== this.props.hidden) {
+      if (nextProps.hidden) {
+        this.stop();
+      } else {
+        this.start();
+      }
+    }
+  }
+
+  start() {
+    dispatch({ type: 'inspector-start' });
+  }
+
+  stop() {
+    dispatch({ type: 'inspector-stop' });
+    this.setState({ selectedId: null, details: null });
+  }
+
+  clear() {
+    this.setState({
+      roots: [],
+      selectedId: null,
+      details: null,
+      collapsedIds: new Set(),
+    });
+  }
+
+  handleMessage = (data: Object) => {
+    switch (data.type) {
+      case 'inspector-tree': {
+        this.setState({ roots: data.roots });
+        break;
+      }
+      case 'inspector-details': {
+        this.setState({ details: data.details });
+        break;
+      }
+      case 'initialized': {
+        // The sandbox forgets the components when it reloads
+        this.clear();
+        if (!this.props.hidden) {
+          this.start();
+        }
+        break;
+      }
+      default: {
+        break;
+      }
+    }
+  };
+
+  select = (node: ComponentNode) => {
+    this.setState({ selectedId: node.id });
+    dispatch({ type: 'inspector-select', id: node.id });
+
+    if (node.source) {
+      this.openSource(node.source);
+    }
+  };
+
+  openSource = (path: string) => {
+    dispatch(actions.editor.openModule(path));
+  };
+
+  highlight = (id: ?number) => {
+    dispatch({ type: 'inspector-highlight', id });
+  };
+
+  toggle = (id: number) => {
+    const collapsedIds = new Set(this.state.collapsedIds);
+    if (collapsedIds.has(id)) {
+      collapsedIds.delete(id);
+    } else {
+      collapsedIds.add(id);
+    }
+
+    this.setState({ collapsedIds });
+  };
+
+  renderNode = (node: ComponentNode, depth: number) => {
+    const hasChildren = node.children.length > 0;
+    // Matches of the filter are always shown
+    const open =
+      Boolean(this.state.filter) || !this.state.collapsedIds.has(node.id);
+
+    return (
+      <React.Fragment key={node.id}>
+        <Row
+          depth={depth}
+          selected={node.id === this.state.selectedId}
+          title={node.source || undefined}
+          onClick={() => this.select(node)}
+          onMouseEnter={() => this.highlight(node.id)}
+        >
+          {hasChildren ? (
+            <Arrow
+              open={open}
+              onClick={e => {
+                e.stopPropagation();
+                this.toggle(node.id);
+              }}
+            />
+          ) : (
+            <ArrowSpace />
+          )}
+          <Name>{node.name}</Name>
+          {node.key != null && <Key>key=&quot;{node.key}&quot;</Key>}
+        </Row>
+        {open &&
+          node.children.map(child => this.renderNode(child, depth + 1))}
+      </React.Fragment>
+    );
+  };
+
+  renderEntries(title: string, entries: Entries) {
+    if (!entries || entries.length === 0) {
+      return null;
+    }
+
+    return (
+      <Section>
+        <SectionTitle>{title}</SectionTitle>
+        {entries.map(({ name, value }) => (
+          <RemoteObject key={value.id || name} name={name} value={value} />
+        ))}
+      </Section>
+    );
+  }
+
+  renderDetails(details: ComponentDetails) {
+    const node = findNode(this.state.roots, details.id);
+    const source = node && node.source;
+
+    return (
+      <Details>
+        <DetailsHeader>
+          {details.name}
+          {source && (
+            <Button small onClick={() => this.openSource(source)}>
+              Open file
+            </Button>
+          )}
+        </DetailsHeader>
+        {this.renderEntries('Props', details.props)}
+        {this.renderEntries('State', details.state)}
+      </Details>
+    );
+  }
+
+  render() {
+    if (this.props.hidden) {
+      return null;
+    }
+
+    const { roots, details, filter } = this.state;
+    const nodes = filterTree(roots, filter);
+
+    return (
+      <Container>
+        <Toolbar>
+          <FilterInput
+            placeholder="Filter components"
+            value={filter}
+            onChange={e => this.setState({ filter: e.target.value })}
+          />
+        </Toolbar>
+        <Content>
+          <Tree onMouseLeave={() => this.highlight(null)}>
+            {nodes.length === 0 ? (
+              <Empty>
+                {roots.length === 0
+                  ? 'No components found. The inspector supports React, Preact and Vue previews.'
+                  : 'No components match the filter.'}
+              </Empty>
+            ) : (
+              nodes.map(node => this.renderNode(node, 0))
+            )}
+          </Tree>
+          {details && this.renderDetails(details)}
+        </Content>
+      </Container>
+    );
+  }
+}
+
+export default {
+  title: 'Components',
+  Content: Inspector,
+  actions: [],
+};
@@ -0,0 +1,39 @@
+// @flow
+
+type Request = {
+  method: string,
+  url: string,
+  requestHeaders: { [name: string]: string },
+  requestBody: ?string,
+};
+
+function quote(value: string) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Converts a request of the Network pane to a cURL command that can be run
+ * in a shell.
+ */
+export default function toCurl({
+  method,
+  url,
+  requestHeaders,
+  requestBody,
+}: Request) {
+  const parts = ['curl', quote(url)];
+
+  if (method !== 'GET') {
+    parts.push('-X', method);
+  }
+
+  Object.keys(requestHeaders).forEach(name => {
+    parts.push('-H', quote(`${name}: ${requestHeaders[name]}`));
+  });
+
+  if (requestBody != null && method !== 'GET' && method !== 'HEAD') {
+    parts.push('--data-raw', quote(requestBody));
+  }
+
+  return parts.join(' ');
+}
@@ -0,0 +1,42 @@
+import toCurl from './curl';
+
+describe('toCurl', () => {
+  it('converts a GET request', () => {
+    expect(
+      toCurl({
+        method: 'GET',
+        url: 'https://api.example.com/users?page=2',
+        requestHeaders: { accept: 'application/json' },
+        requestBody: null,
+      })
+    ).toBe(
+      "curl 'https://api.example.com/users?page=2' -H 'accept: application/json'"
+    );
+  });
+
+  it('adds the method and the body of other requests', () => {
+    expect(
+      toCurl({
+        method: 'POST',
+        url: 'https://api.example.com/users',
+        requestHeaders: { 'content-type': 'application/json' },
+        requestBody: '{"name":"Ives"}',
+      })
+    ).toBe(
+      `curl 'https://api.example.com/users' -X POST -H 'content-type: application/json' --data-raw '{"name":"Ives"}'`
+    );
+  });
+
+  it('escapes single quotes', () => {
+    expect(
+      toCurl({
+        method: 'PUT',
+        url: 'https://api.example.com/notes/1',
+        requestHeaders: {},
+        requestBody: "it's done",
+      })
+    ).toBe(
+      `curl 'https://api.example.com/notes/1' -X PUT --data-raw 'it'\\''s done'`
+    );
+  });
+});
@@ -0,0 +1,153 @@
+import styled, { css } from 'styled-components';
+import Input from 'common/components/Input';
+
+export const Container = styled.div`
+  display: flex;
+  flex-direction: column;
+  width: 100%;
+  height: 100%;
+  max-height: calc(100% - 2rem);
+
+  background-color: ${props => props.theme.background2};
+  color: rgba(255, 255, 255, 0.8);
+  font-size: 0.875rem;
+`;
+
+export const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  flex-shrink: 0;
+  padding: 0.25rem 0.5rem;
+  background-color: ${props => props.theme.background4};
+  border-bottom: 1px solid rgba(0, 0, 0, 0.3);
+`;
+
+export const FilterInput = styled(Input)`
+  width: 200px;
+  margin-right: 0.5rem;
+  font-size: 0.75rem;
+`;
+
+export const KindButton = styled.button`
+  transition: 0.3s ease color;
+  padding: 0.125rem 0.5rem;
+  border: none;
+  border-radius: 2px;
+  outline: none;
+  background-color: transparent;
+  color: rgba(255, 255, 255, 0.6);
+  font-size: 0.75rem;
+  cursor: pointer;
+
+  &:hover {
+    color: rgba(255, 255, 255, 1);
+  }
+
+  ${props =>
+    props.active &&
+    css`
+      background-color: rgba(0, 0, 0, 0.3);
+      color: white;
+    `};
+`;
+
+export const Content = styled.div`
+  display: flex;
+  flex: 1;
+  min-height: 0;
+`;
+
+export const Requests = styled.div`
+  flex: 2;
+  overflow-y: auto;
+  font-family: Menlo, monospace;
+  font-size: 0.75rem;
+`;
+
+export const Row = styled.div`
+  display: flex;
+  align-items: center;
+  padding: 0.25rem 0.5rem;
+  border-bottom: 1px solid rgba(0, 0, 0, 0.2);
+  cursor: pointer;
+
+  color: ${props =>
+    props.error ? props.theme.red : 'rgba(255, 255, 255, 0.8)'};
+
+  ${props =>
+    props.selected &&
+    css`
+      background-color: ${props.theme.background};
+    `};
+`;
+
+export const Cell = styled.span`
+  flex: 0 0 ${props => props.width || 'auto'};
+  overflow: hidden;
+  white-space: nowrap;
+  text-overflow: ellipsis;
+  padding-right: 0.5rem;
+
+  ${props =>
+    props.grow &&
+    css`
+      flex: 1;
+    `};
+`;
+
+export const Empty = styled.div`
+  padding: 1rem;
+`;
+
+export const Details = styled.div`
+  flex: 3;
+  overflow-y: auto;
+  background-color: ${props => props.theme.background};
+  border-left: 1px solid rgba(0, 0, 0, 0.3);
+`;
+
+export const DetailsActions = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  padding: 0.5rem;
+`;
+
+export const Section = styled.div`
+  padding: 0 1rem 0.5rem;
+`;
+
+export const SectionTitle = styled.div`
+  margin: 0.5rem 0 0.25rem;
+  font-weight: 600;
+  color: rgba(255, 255, 255, 0.6);
+`;
+
+export const Field = styled.div`
+  font-family: Menlo, monospace;
+  font-size: 0.75rem;
+  word-break: break-all;
+`;
+
+export const FieldName = styled.span`
+  color: ${props => props.theme.secondary};
+`;
+
+export const Body = styled.pre`
+  margin: 0;
+  padding: 0.5rem;
+  max-height: 300px;
+  overflow: auto;
+  background-color: rgba(0, 0, 0, 0.3);
+  font-family: Menlo, monospace;
+  font-size: 0.75rem;
+  white-space: pre-wrap;
+  word-break: break-all;
+`;
+
+export const Message = styled(Field)`
+  padding: 0.125rem 0;
+  color: ${props =>
+    props.direction === 'sent'
+      ? props.theme.green
+      : 'rgba(255, 255, 255, 0.8)'};
+`;
@@ -0,0 +1,395 @@
+// @flow
+import React from 'react';
+import { listen, dispatch } from 'codesandbox-api';
+
+import ClearIcon from 'react-icons/lib/md/clear-all';
+import Button from 'app/components/Button';
+
+import toCurl from './curl';
+import {
+  Container,
+  Toolbar,
+  FilterInput,
+  KindButton,
+  Content,
+  Requests,
+  Row,
+  Cell,
+  Empty,
+  Details,
+  DetailsActions,
+  Section,
+  SectionTitle,
+  Field,
+  FieldName,
+  Body,
+  Message,
+} from './elements';
+
+type Kind = 'fetch' | 'xhr' | 'websocket' | 'eventsource';
+
+type Request = {
+  id: number,
+  kind: Kind,
+  method: string,
+  url: string,
+  requestHeaders: { [name: string]: string },
+  requestBody: ?string,
+  startTime: number,
+  status?: number,
+  statusText?: string,
+  responseHeaders?: { [name: string]: string },
+  responseBody?: ?string,
+  size?: ?number,
+  time?: number,
+  duration?: number,
+  error?: string,
+  messages: Array<{ direction: 'sent' | 'received', data: ?string }>,
+};
+
+type Props = {
+  hidden: boolean,
+  updateStatus: (type: string) => void,
+  sandboxId: string,
+};
+
+type State = {
+  requests: Array<Request>,
+  selectedId: ?number,
+  filter: string,
+  kind: ?Kind,
+};
+
+const KINDS: Array<{ kind: ?Kind, title: string }> = [
+  { kind: null, title: 'All' },
+  { kind: 'fetch', title: 'Fetch' },
+  { kind: 'xhr', title: 'XHR' },
+  { kind: 'websocket', title: 'WS' },
+  { kind: 'eventsource', title: 'SSE' },
+];
+
+function isFailed(request: Request) {
+  return Boolean(request.error) || (request.status || 0) >= 400;
+}
+
+function getStatus(request: Request) {
+  if (request.error) {
+    return 'failed';
+  }
+
+  return request.status == null ? 'pending' : String(request.status);
+}
+
+function getName(url: string) {
+  try {
+    const { pathname, search } = new URL(url);
+    return pathname.split('/').pop() + search || url;
+  } catch (e) {
+    return url;
+  }
+}
+
+function formatBody(body: string) {
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2);
+  } catch (e) {
+    return body;
+  }
+}
+
+function copyToClipboard(text: string) {
+  const textArea = document.createElement('textarea');
+  textArea.value = text;
+  document.body.appendChild(textArea);
+  textArea.select();
+  document.execCommand('copy');
+  document.body.removeChild(textArea);
+}
+
+class Network extends React.PureComponent<Props, State> {
+  state = {
+    requests: [],
+    selectedId: null,
+    filter: '',
+    kind: null,
+  };
+
+  listener: () => void;
+
+  componentDidMount() {
+    this.listener = listen(this.handleMessage);
+  }
+
+  componentWillUnmount() {
+    this.listener();
+  }
+
+  componentWillReceiveProps(nextProps: Props) {
+    if (nextProps.sandboxId !== this.props.sandboxId) {
+      this.clearRequests();
+    }
+  }
+
+  updateRequest(id: number, update: (request: Request) => Object) {
+    this.setState(state => ({
+      requests: state.requests.map(
+        request =>
+          request.id === id ? { ...request, ...update(request) } : request
+      ),
+    }));
+  }
+
+  handleMessage = (data: Object) => {
+    switch (data.type) {
+      case 'network-request': {
+        this.setState(state => ({
+          requests: [...state.requests, { ...data.request, messages: [] }],
+        }));
+        this.props.updateStatus('info');
+        break;
+      }
+      case 'network-response': {
+        const { id, status, statusText, responseHeaders, time } = data;
+        this.updateRequest(id, () => ({
+          status,
+          statusText,
+          responseHeaders,
+          time,
+        }));
+
+        if (status >= 400) {
+          this.props.updateStatus('error');
+        }
+        break;
+      }
+      case 'network-finished': {
+        const { id, responseBody, size, duration } = data;
+        this.updateRequest(id, () => ({ responseBody, size, duration }));
+        break;
+      }
+      case 'network-message': {
+        const { id, direction, data: messageData } = data;
+        this.updateRequest(id, request => ({
+          messages: [...request.messages, { direction, data: messageData }],
+        }));
+        break;
+      }
+      case 'network-error': {
+        const { id, error, duration } = data;
+        this.updateRequest(id, () => ({ error, duration }));
+        this.props.updateStatus('error');
+        break;
+      }
+      case 'clear-network':
+      case 'initialized': {
+        // The ids of the requests start again when the sandbox reloads
+        this.clearRequests();
+        break;
+      }
+      default: {
+        break;
+      }
+    }
+  };
+
+  clearRequests = () => {
+    this.setState({ requests: [], selectedId: null });
+    this.props.updateStatus('clear');
+  };
+
+  replay = (request: Request) => {
+    dispatch({
+      type: 'network-replay',
+      request: {
+        method: request.method,
+        url: request.url,
+        headers: request.requestHeaders,
+        body: request.requestBody,
+      },
+    });
+  };
+
+  getVisibleRequests() {
+    const filter = this.state.filter.toLowerCase();
+
+    return this.state.requests.filter(
+      request =>
+        (!this.state.kind || request.kind === this.state.kind) &&
+        (!filter ||
+          request.url.toLowerCase().includes(filter) ||
+          request.method.toLowerCase().includes(filter) ||
+          getStatus(request).includes(filter))
+    );
+  }
+
+  renderHeaders(title: string, headers: ?{ [name: string]: string }) {
+    const names = Object.keys(headers || {});
+
+    if (!headers || names.length === 0) {
+      return null;
+    }
+
+    return (
+      <Section>
+        <SectionTitle>{title}</SectionTitle>
+        {names.map(name => (
+          <Field key={name}>
+            <FieldName>{name}:</FieldName> {headers[name]}
+          </Field>
+        ))}
+      </Section>
+    );
+  }
+
+  renderBody(title: string, body: ?string) {
+    if (body == null || body === '') {
+      return null;
+    }
+
+    return (
+      <Section>
+        <SectionTitle>{title}</SectionTitle>
+        <Body>{formatBody(body)}</Body>
+      </Section>
+    );
+  }
+
+  renderDetails(request: Request) {
+    const isSocket = request.kind === 'websocket';
+    const canReplay = request.kind === 'fetch' || request.kind === 'xhr';
+
+    return (
+      <Details>
+        <DetailsActions>
+          {canReplay && (
+            <Button small onClick={() => this.replay(request)}>
+              Replay as fetch
+            </Button>
+          )}
+          {!isSocket && (
+            <Button
+              small
+              style={{ marginLeft: '0.5rem' }}
+              onClick={() => copyToClipboard(toCurl(request))}
+            >
+              Copy as cURL
+            </Button>
+          )}
+        </DetailsActions>
+        <Section>
+          <SectionTitle>General</SectionTitle>
+          <Field>
+            <FieldName>URL:</FieldName> {request.url}
+          </Field>
+          <Field>
+            <FieldName>Method:</FieldName> {request.method}
+          </Field>
+          <Field>
+            <FieldName>Status:</FieldName> {getStatus(request)}{' '}
+            {request.statusText}
+          </Field>
+          {request.error && (
+            <Field>
+              <FieldName>Error:</FieldName> {request.error}
+            </Field>
+          )}
+          {request.time != null && (
+            <Field>
+              <FieldName>Waiting:</FieldName> {request.time}ms
+            </Field>
+          )}
+          {request.duration != null && (
+            <Field>
+              <FieldName>Duration:</FieldName> {request.duration}ms
+            </Field>
+          )}
+        </Section>
+        {this.renderHeaders('Request Headers', request.requestHeaders)}
+        {this.renderBody('Request Body', request.requestBody)}
+        {this.renderHeaders('Response Headers', request.responseHeaders)}
+        {this.renderBody('Response Body', request.responseBody)}
+        {request.messages.length > 0 && (
+          <Section>
+            <SectionTitle>Messages</SectionTitle>
+            {request.messages.map((message, i) => (
+              // eslint-disable-next-line react/no-array-index-key
+              <Message key={i} direction={message.direction}>
+                {message.direction === 'sent' ? '↑' : '↓'} {message.data}
+              </Message>
+            ))}
+          </Section>
+        )}
+      </Details>
+    );
+  }
+
+  render() {
+    if (this.props.hidden) {
+      return null;
+    }
+
+    const requests = this.getVisibleRequests();
+    const selected = this.state.requests.find(
+      request => request.id === this.state.selectedId
+    );
+
+    return (
+      <Container>
+        <Toolbar>
+          <FilterInput
+            placeholder="Filter"
+            value={this.state.filter}
+            onChange={e => this.setState({ filter: e.target.value })}
+          />
+          {KINDS.map(({ kind, title }) => (
+            <KindButton
+              key={title}
+              active={this.state.kind === kind}
+              onClick={() => this.setState({ kind })}
+            >
+              {title}
+            </KindButton>
+          ))}
+        </Toolbar>
+        <Content>
+          <Requests>
+            {requests.length === 0 && <Empty>No requests yet.</Empty>}
+            {requests.map(request => (
+              <Row
+                key={request.id}
+                error={isFailed(request)}
+                selected={request.id === this.state.selectedId}
+                onClick={() => this.setState({ selectedId: request.id })}
+              >
+                <Cell width="4rem">{request.method}</Cell>
+                <Cell grow title={request.url}>
+                  {getName(request.url)}
+                </Cell>
+                <Cell width="4rem">{getStatus(request)}</Cell>
+                <Cell width="5rem">{request.kind}</Cell>
+                <Cell width="4rem">
+                  {request.duration != null ? `${request.duration}ms` : ''}
+                </Cell>
+              </Row>
+            ))}
+          </Requests>
+          {selected && this.renderDetails(selected)}
+        </Content>
+      </Container>
+    );
+  }
+}
+
+export default {
+  title: 'Network',
+  Content: Network,
+  actions: [
+    {
+      title: 'Clear Network',
+      onClick: () => {
+        dispatch({ type: 'clear-network' });
+      },
+      Icon: ClearIcon,
+    },
+  ],
+};
@@ -10,7 +10,11 @@ import { Container, File, Path, FileName, Actions } from './elements';
 
 type State = {
   corrections: {
-    [path: string]: Array<string>,
+    [path: string]: Array<{
+      method: string,
+      data: Array<string>,
+      source?: string,
+    }>,
   },
 };
 
@@ -31,9 +35,15 @@ class Problems extends React.PureComponent<*, State> {
     if (data.action === 'show-correction') {
       const path = data.path || 'root';
 
+      const isError = data.severity === 'error';
+
       const newMessages = [
         ...(this.state.corrections[path] || []),
-        { method: 'warn', data: [data.message] },
+        {
+          method: isError ? 'error' : 'warn',
+          data: [data.message],
+          source: data.source,
+        },
       ];
 
       this.setState({
@@ -43,7 +53,9 @@ class Problems extends React.PureComponent<*, State> {
         },
       });
 
-      this.props.updateStatus('warning');
+      this.props.updateStatus(isError ? 'error' : 'warning');
+    } else if (data.action === 'clear-corrections') {
+      this.clearCorrections(data.source);
     } else if (data.action === 'show-error') {
       const path = data.path || 'root';
 
@@ -66,6 +78,28 @@ class Problems extends React.PureComponent<*, State> {
     }
   };
 
+  clearCorrections = (source: ?string) => {
+    const corrections = {};
+
+    if (source) {
+      Object.keys(this.state.corrections).forEach(path => {
+        const messages = this.state.corrections[path].filter(
+          message => message.source !== source
+        );
+
+        if (messages.length) {
+          corrections[path] = messages;
+        }
+      });
+    }
+
+    this.setState({ corrections });
+
+    if (Object.keys(corrections).length === 0) {
+      this.props.updateStatus('clear');
+    }
+  };
+
   openFile = (path: string) => {
     dispatch(actions.editor.openModule(path));
   };
@@ -44,6 +44,9 @@ export default ({ file, status, openFile, runTests }: Props) => {
   const failedCount = Object.keys(file.tests).filter(
     f => file.tests[f].status === 'fail'
   ).length;
+  const todoCount = Object.keys(file.tests).filter(
+    f => file.tests[f].status === 'todo'
+  ).length;
   const idleCount = Object.keys(file.tests).filter(
     f => file.tests[f].status === 'idle'
   ).length;
@@ -64,6 +67,7 @@ export default ({ file, status, openFile, runTests }: Props) => {
           <TestSummaryText
             failedCount={failedCount}
             passedCount={passedCount}
+            todoCount={todoCount}
             totalCount={totalCount}
             totalDuration={totalDuration}
           />
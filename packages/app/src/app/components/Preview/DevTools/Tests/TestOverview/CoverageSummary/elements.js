@@ -0,0 +1,50 @@
+// @flow
+import styled from 'styled-components';
+
+export const Table = styled.table`
+  width: 100%;
+  margin-bottom: 1rem;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+  color: rgba(255, 255, 255, 0.8);
+
+  th {
+    font-weight: 500;
+    text-align: right;
+    color: rgba(255, 255, 255, 0.5);
+    padding: 0.25rem 0.5rem;
+
+    &:first-child {
+      text-align: left;
+    }
+  }
+`;
+
+export const Row = styled.tr`
+  border-top: 1px solid rgba(0, 0, 0, 0.3);
+`;
+
+export const Cell = styled.td`
+  padding: 0.25rem 0.5rem;
+`;
+
+export const FileName = Cell.extend`
+  cursor: pointer;
+
+  &:hover {
+    color: white;
+  }
+`;
+
+function coverageColor(pct: number, theme: Object) {
+  if (pct >= 80) {
+    return theme.green;
+  }
+
+  return pct >= 50 ? theme.primary : theme.red;
+}
+
+export const Percentage = Cell.extend`
+  text-align: right;
+  color: ${props => coverageColor(props.pct, props.theme)};
+`;
@@ -0,0 +1,62 @@
+// @flow
+import React from 'react';
+
+import type { FileCoverageSummary, CoverageSummaryData } from '../../';
+
+import { Table, Row, Cell, FileName, Percentage } from './elements';
+
+type Props = {
+  coverage: { [path: string]: FileCoverageSummary },
+  openFile: (path: string) => void,
+};
+
+const KEYS = ['statements', 'branches', 'functions', 'lines'];
+
+const getTotalPct = (data: Array<CoverageSummaryData>) => {
+  const total = data.reduce((prev, next) => prev + next.total, 0);
+  const covered = data.reduce((prev, next) => prev + next.covered, 0);
+
+  // Jest reports 100% when there is nothing to cover
+  return total === 0 ? 100 : Math.floor(covered / total * 10000) / 100;
+};
+
+export default ({ coverage, openFile }: Props) => {
+  const paths = Object.keys(coverage).sort();
+
+  return (
+    <Table>
+      <thead>
+        <tr>
+          <th>File</th>
+          <th>% Stmts</th>
+          <th>% Branch</th>
+          <th>% Funcs</th>
+          <th>% Lines</th>
+        </tr>
+      </thead>
+      <tbody>
+        <Row>
+          <Cell>All files</Cell>
+          {KEYS.map(key => {
+            const pct = getTotalPct(paths.map(p => coverage[p][key]));
+            return (
+              <Percentage key={key} pct={pct}>
+                {pct}
+              </Percentage>
+            );
+          })}
+        </Row>
+        {paths.map(path => (
+          <Row key={path}>
+            <FileName onClick={() => openFile(path)}>{path}</FileName>
+            {KEYS.map(key => (
+              <Percentage key={key} pct={coverage[path][key].pct}>
+                {coverage[path][key].pct}
+              </Percentage>
+            ))}
+          </Row>
+        ))}
+      </tbody>
+    </Table>
+  );
+};
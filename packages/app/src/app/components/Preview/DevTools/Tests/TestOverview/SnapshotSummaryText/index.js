@@ -0,0 +1,41 @@
+// @flow
+import React from 'react';
+
+import type { SnapshotSummary } from '../../';
+
+import {
+  TestDetails,
+  FailedTests,
+  PassedTests,
+  TotalTests,
+} from '../../TestSummaryText/elements';
+
+type Props = {
+  summary: SnapshotSummary,
+};
+
+export default ({ summary }: Props) => {
+  const totalCount =
+    summary.added + summary.matched + summary.unmatched + summary.updated;
+
+  return (
+    <TestDetails>
+      {summary.unmatched !== 0 && (
+        <FailedTests>{summary.unmatched} failed</FailedTests>
+      )}
+      {summary.unchecked !== 0 && (
+        <TotalTests>{summary.unchecked} obsolete</TotalTests>
+      )}
+      {summary.added !== 0 && (
+        <PassedTests>{summary.added} written</PassedTests>
+      )}
+      {summary.updated !== 0 && (
+        <PassedTests>{summary.updated} updated</PassedTests>
+      )}
+      {summary.matched !== 0 && (
+        <PassedTests>{summary.matched} passed</PassedTests>
+      )}
+      {totalCount !== 0 && <TotalTests>{totalCount} total</TotalTests>}
+    </TestDetails>
+  );
+};
@@ -2,24 +2,29 @@
 
 import React from 'react';
 
-import type { Test } from '../';
+import type { Test, SnapshotSummary, FileCoverageSummary } from '../';
 
 import { Container, HappyMessage, Item, Tests, ItemTitle } from './elements';
 
 import TestSummaryText from '../TestSummaryText';
 import TestProgressBar from '../TestProgressBar';
 import TestBlock from '../TestDetails/TestBlock';
+import SnapshotSummaryText from './SnapshotSummaryText';
+import CoverageSummary from './CoverageSummary';
 
 type Props = {
   tests: Array<Test>,
+  snapshotSummary: ?SnapshotSummary,
+  coverage: ?{ [path: string]: FileCoverageSummary },
   openFile: (path: string) => void,
 };
 
-export default ({ tests, openFile }: Props) => {
+export default ({ tests, snapshotSummary, coverage, openFile }: Props) => {
   const failedTests = tests.filter(t => t.status === 'fail');
 
   const testPassCount = tests.filter(t => t.status === 'pass').length;
   const testFailCount = failedTests.length;
+  const testTodoCount = tests.filter(t => t.status === 'todo').length;
   const testIdleCount = tests.filter(
     t => t.status === 'idle' || t.status === 'running'
   ).length;
@@ -31,9 +36,16 @@ export default ({ tests, openFile }: Props) => {
         <TestSummaryText
           passedCount={testPassCount}
           failedCount={testFailCount}
+          todoCount={testTodoCount}
           totalCount={totalTestCount}
         />
       </Item>
+      {snapshotSummary && (
+        <Item>
+          <ItemTitle>Snapshots</ItemTitle>
+          <SnapshotSummaryText summary={snapshotSummary} />
+        </Item>
+      )}
       <TestProgressBar
         passedCount={testPassCount}
         failedCount={testFailCount}
@@ -41,6 +53,9 @@ export default ({ tests, openFile }: Props) => {
       />
 
       <Tests>
+        {coverage && (
+          <CoverageSummary coverage={coverage} openFile={openFile} />
+        )}
         {failedTests.length > 0
           ? failedTests.map(t => (
               <TestBlock
@@ -2,6 +2,8 @@
 import React from 'react';
 import PlayIcon from 'react-icons/lib/go/playback-play';
 import SyncIcon from 'react-icons/lib/go/sync';
+import CameraIcon from 'react-icons/lib/go/device-camera';
+import GraphIcon from 'react-icons/lib/go/graph';
 
 import Tooltip from 'common/components/Tooltip';
 
@@ -26,7 +28,10 @@ type Props = {
   running: boolean,
   watching: boolean,
   toggleWatching: Function,
+  coverageEnabled: boolean,
+  toggleCoverage: Function,
   runAllTests: Function,
+  updateSnapshots: Function,
   tests: Array<Test>,
 };
 
@@ -36,7 +41,10 @@ export default ({
   fileStatuses,
   watching,
   toggleWatching,
+  coverageEnabled,
+  toggleCoverage,
   runAllTests,
+  updateSnapshots,
   tests,
 }: Props) => {
   const totalDuration = tests.reduce((p, n) => p + (n.duration || 0), 0);
@@ -74,6 +82,15 @@ export default ({
                 onClick={toggleWatching}
               />
             </Tooltip>
+            <Tooltip title="Toggle Coverage">
+              <GraphIcon
+                style={{ color: coverageEnabled ? 'white' : 'inherit' }}
+                onClick={toggleCoverage}
+              />
+            </Tooltip>
+            <Tooltip title="Update Snapshots">
+              <CameraIcon onClick={updateSnapshots} />
+            </Tooltip>
             <Tooltip title="Run All Tests">
               <PlayIcon onClick={runAllTests} />
             </Tooltip>
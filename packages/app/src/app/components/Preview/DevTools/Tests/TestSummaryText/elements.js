@@ -25,6 +25,11 @@ export const FailedTests = styled.div`
   color: ${props => props.theme.red};
 `;
 
+export const TodoTests = styled.div`
+  ${baseTestStyles};
+  color: ${props => props.theme.primary};
+`;
+
 export const TotalTests = styled.div`
   ${baseTestStyles};
   color: rgba(255, 255, 255, 0.5);
@@ -4,6 +4,7 @@ import {
   TestDetails,
   FailedTests,
   PassedTests,
+  TodoTests,
   TotalTests,
   RightSide,
 } from './elements';
@@ -11,6 +12,7 @@ import {
 type Props = {
   failedCount: number,
   passedCount: number,
+  todoCount?: number,
   totalCount: number,
   totalDuration?: number,
 };
@@ -18,12 +20,14 @@ type Props = {
 export default ({
   failedCount,
   passedCount,
+  todoCount,
   totalCount,
   totalDuration,
 }: Props) => (
   <TestDetails>
     {failedCount !== 0 && <FailedTests>{failedCount} failed</FailedTests>}
     {passedCount !== 0 && <PassedTests>{passedCount} passed</PassedTests>}
+    {!!todoCount && <TodoTests>{todoCount} todo</TodoTests>}
     {totalCount !== 0 && <TotalTests>{totalCount} total</TotalTests>}
     {totalDuration != null && (
       <RightSide>
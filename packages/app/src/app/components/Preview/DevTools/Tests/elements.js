@@ -4,6 +4,7 @@ import styled, { css } from 'styled-components';
 import Check from 'react-icons/lib/go/check';
 import Cross from 'react-icons/lib/go/x';
 import DotIcon from 'react-icons/lib/go/primitive-dot';
+import PencilIcon from 'react-icons/lib/go/pencil';
 import LoadingBubbles from './LoadingBubbles';
 
 export const Container = styled.div`
@@ -60,9 +61,15 @@ export const Dot = styled(DotIcon)`
   color: rgba(255, 255, 255, 0.3);
 `;
 
+export const Todo = styled(PencilIcon)`
+  ${iconStyles};
+  color: ${props => props.theme.primary};
+`;
+
 export const StatusElements = {
   pass: Success,
   fail: Fail,
   running: Loading,
   idle: Dot,
+  todo: Todo,
 };
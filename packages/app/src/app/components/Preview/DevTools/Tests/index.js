@@ -19,7 +19,7 @@ export type IMessage = {
   arguments: any[],
 };
 
-export type Status = 'idle' | 'running' | 'pass' | 'fail';
+export type Status = 'idle' | 'running' | 'pass' | 'fail' | 'todo';
 
 type Props = {
   hidden: boolean,
@@ -63,6 +63,30 @@ export type File = {
   },
 };
 
+export type SnapshotSummary = {
+  added: number,
+  matched: number,
+  unmatched: number,
+  updated: number,
+  unchecked: number,
+  filesAdded: number,
+  filesRemoved: number,
+};
+
+export type CoverageSummaryData = {
+  total: number,
+  covered: number,
+  skipped: number,
+  pct: number,
+};
+
+export type FileCoverageSummary = {
+  lines: CoverageSummaryData,
+  statements: CoverageSummaryData,
+  functions: CoverageSummaryData,
+  branches: CoverageSummaryData,
+};
+
 type State = {
   selectedFilePath: ?string,
   files: {
@@ -70,6 +94,9 @@ type State = {
   },
   running: boolean,
   watching: boolean,
+  snapshotSummary: ?SnapshotSummary,
+  coverageEnabled: boolean,
+  coverage: ?{ [path: string]: FileCoverageSummary },
 };
 
 const INITIAL_STATE = {
@@ -77,6 +104,9 @@ const INITIAL_STATE = {
   selectedFilePath: null,
   running: true,
   watching: true,
+  snapshotSummary: null,
+  coverageEnabled: false,
+  coverage: null,
 };
 
 class Tests extends React.Component<Props, State> {
@@ -135,6 +165,8 @@ class Tests extends React.Component<Props, State> {
           this.setState({
             ...this.state,
             running: true,
+            snapshotSummary: null,
+            coverage: null,
           });
           break;
         }
@@ -166,6 +198,16 @@ class Tests extends React.Component<Props, State> {
           break;
         }
 
+        case 'snapshot_summary': {
+          this.setState({ snapshotSummary: data.summary });
+          break;
+        }
+
+        case 'coverage': {
+          this.setState({ coverage: data.coverage });
+          break;
+        }
+
         case 'add_file': {
           this.setState(
             immer(this.state, state => {
@@ -317,6 +359,11 @@ class Tests extends React.Component<Props, State> {
     const tests = file.tests;
     const status = Object.keys(tests).reduce((prev, next) => {
       const test = tests[next];
+      if (test.status === 'todo') {
+        // Todo tests don't say anything about the status of the file
+        return prev;
+      }
+
       if (test.status !== 'idle' && prev === 'idle') {
         return test.status;
       }
@@ -349,6 +396,16 @@ class Tests extends React.Component<Props, State> {
     this.setState({ watching: !this.state.watching });
   };
 
+  toggleCoverage = () => {
+    this.setState({ files: {} }, () => {
+      dispatch({
+        type: 'set-test-coverage',
+        coverage: !this.state.coverageEnabled,
+      });
+      this.setState({ coverageEnabled: !this.state.coverageEnabled });
+    });
+  };
+
   runAllTests = () => {
     this.setState({ files: {} }, () => {
       dispatch({
@@ -357,6 +414,14 @@ class Tests extends React.Component<Props, State> {
     });
   };
 
+  updateSnapshots = () => {
+    this.setState({ files: {} }, () => {
+      dispatch({
+        type: 'update-snapshots',
+      });
+    });
+  };
+
   runTests = (file: File) => {
     this.setState(
       immer(this.state, state => {
@@ -404,7 +469,10 @@ class Tests extends React.Component<Props, State> {
               running={this.state.running}
               watching={this.state.watching}
               toggleWatching={this.toggleWatching}
+              coverageEnabled={this.state.coverageEnabled}
+              toggleCoverage={this.toggleCoverage}
               runAllTests={this.runAllTests}
+              updateSnapshots={this.updateSnapshots}
               fileStatuses={fileStatuses}
               files={this.state.files}
               tests={tests}
@@ -435,7 +503,12 @@ class Tests extends React.Component<Props, State> {
                 runTests={this.runTests}
               />
             ) : (
-              <TestOverview tests={tests} openFile={this.openFile} />
+              <TestOverview
+                tests={tests}
+                snapshotSummary={this.state.snapshotSummary}
+                coverage={this.state.coverage}
+                openFile={this.openFile}
+              />
             )}
           </TestDetails>
         </SplitPane>
@@ -11,6 +11,8 @@ import Unread from './Unread';
 import console from './Console';
 import tests from './Tests';
 import problems from './Problems';
+import network from './Network';
+import inspector from './Inspector';
 
 import { Container, Header, Tab, Actions } from './elements';
 
@@ -39,6 +41,8 @@ const PANES = {
   [console.title]: console,
   [problems.title]: problems,
   [tests.title]: tests,
+  [network.title]: network,
+  [inspector.title]: inspector,
 };
 
 export type Status = {
@@ -54,6 +58,7 @@ type Props = {
   devToolsOpen?: boolean,
   setDevToolsOpen?: (open: boolean) => void,
   view?: 'browser' | 'console' | 'tests',
+  currentModulePath?: string,
 };
 type State = {
   status: { [title: string]: ?Status },
@@ -317,7 +322,7 @@ export default class DevTools extends React.PureComponent<Props, State> {
   node: HTMLElement;
 
   render() {
-    const { sandboxId, zenMode } = this.props;
+    const { sandboxId, zenMode, currentModulePath } = this.props;
     const { hidden, height, status } = this.state;
 
     const { actions } = PANES[this.state.currentPane];
@@ -390,6 +395,7 @@ export default class DevTools extends React.PureComponent<Props, State> {
               hidden={hidden || title !== this.state.currentPane}
               updateStatus={this.updateStatus(title)}
               sandboxId={sandboxId}
+              currentModulePath={currentModulePath}
             />
           );
         })}
@@ -75,6 +75,8 @@ class BasePreview extends React.Component<Props, State> {
   listener: ?Function;
   disposeInitializer: ?Function;
   initialPath: string;
+  // The code of the modules at the last compile, to know what changed
+  compiledCode: ?{ sandboxId: string, code: { [path: string]: string } };
 
   componentWillUnmount() {
     if (this.listener) {
@@ -171,15 +173,44 @@ class BasePreview extends React.Component<Props, State> {
       : getModulePath(sandbox.modules, sandbox.directories, currentModule.id);
   };
 
+  getChangedModules = (sandbox: Sandbox) => {
+    const code = {};
+    sandbox.modules.forEach(m => {
+      const path = getModulePath(sandbox.modules, sandbox.directories, m.id);
+      if (path) {
+        code[path] = m.code || '';
+      }
+    });
+
+    const previous = this.compiledCode;
+    this.compiledCode = { sandboxId: sandbox.id, code };
+
+    if (!previous || previous.sandboxId !== sandbox.id) {
+      return [];
+    }
+
+    const previousCode = previous.code;
+    const paths = Object.keys({ ...previousCode, ...code });
+    return paths.filter(path => previousCode[path] !== code[path]).sort();
+  };
+
   executeCodeImmediately = (initialRender: boolean = false) => {
     const settings = this.props.settings;
     const sandbox = this.props.sandbox;
 
     if (settings.clearConsoleEnabled) {
       console.clear('__internal__'); // eslint-disable-line no-console
-      dispatch({ type: 'clear-console' });
     }
 
+    // The logs of every compile are grouped, the logs of earlier compiles are
+    // collapsed instead of cleared
+    dispatch({
+      type: 'start-console-group',
+      kind: 'compile',
+      changedModules: this.getChangedModules(sandbox),
+      collapsePrevious: settings.clearConsoleEnabled,
+    });
+
     // Do it here so we can see the dependency fetching screen if needed
     this.clearErrors();
     if (settings.forceRefresh && !initialRender) {
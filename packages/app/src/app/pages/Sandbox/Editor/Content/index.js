@@ -12,6 +12,14 @@ import CodeEditor from 'app/components/CodeEditor';
 import type { Editor, Settings } from 'app/components/CodeEditor/types';
 import DevTools from 'app/components/Preview/DevTools';
 import FilePath from 'app/components/CodeEditor/FilePath';
+import { getESLintConfig } from 'app/store/utils/eslint-config';
+import {
+  typeCheck,
+  isTypeCheckable,
+  disposeTypeChecker,
+} from 'app/utils/type-checker';
+import { getModulePath } from 'common/sandbox/modules';
+import { getTypeScriptVersion } from 'common/utils/typescript-version';
 
 import Preview from './Preview';
 import Tabs from './Tabs';
@@ -34,6 +42,25 @@ const settings = store =>
     enableLigatures: store.preferences.settings.enableLigatures,
   }: Settings);
 
+const typeCheckOptions = store => {
+  const { modules, directories } = store.editor.currentSandbox;
+  const {
+    package: packageJSON,
+    typescript,
+  } = store.editor.parsedConfigurations;
+
+  const files = {};
+  modules.forEach(module => {
+    files[getModulePath(modules, directories, module.id)] = module.code || '';
+  });
+
+  return {
+    files,
+    tsconfig: typescript ? typescript.parsed : null,
+    typescriptVersion: getTypeScriptVersion(packageJSON && packageJSON.parsed),
+  };
+};
+
 type Props = {
   signals: any,
   store: any,
@@ -153,6 +180,14 @@ class EditorPreview extends React.Component<Props, State> {
         }
       }
     );
+    const disposeLineCoverageHandler = reaction(
+      () => store.editor.lineCoverage.map(coverage => coverage),
+      lineCoverage => {
+        if (editor.setLineCoverage) {
+          editor.setLineCoverage(lineCoverage);
+        }
+      }
+    );
     const disposeModulesHandler = reaction(this.detectStructureChange, () => {
       if (isChangingSandbox) {
         return;
@@ -209,6 +244,31 @@ class EditorPreview extends React.Component<Props, State> {
         }
       }
     );
+    const disposeESLintConfigHandler = reaction(
+      () => getESLintConfig(store.editor.currentSandbox),
+      config => {
+        if (editor.setESLintConfig) {
+          editor.setESLintConfig(config);
+        }
+      },
+      {
+        compareStructural: true,
+      }
+    );
+    const disposeTypeCheckHandler = reaction(
+      () => typeCheckOptions(store),
+      options => {
+        if (Object.keys(options.files).some(isTypeCheckable)) {
+          typeCheck(options);
+        } else {
+          disposeTypeChecker();
+        }
+      },
+      {
+        compareStructural: true,
+        fireImmediately: true,
+      }
+    );
     const disposeLiveHandler = reaction(
       () => store.live.receivingCode,
       () => {
@@ -308,11 +368,15 @@ class EditorPreview extends React.Component<Props, State> {
       disposePreferencesHandler();
       disposePackageHandler();
       disposeTSConfigHandler();
+      disposeESLintConfigHandler();
+      disposeTypeCheckHandler();
+      disposeTypeChecker();
       disposeSandboxChangeHandler();
       disposeModuleHandler();
       disposeToggleDevtools();
       disposeResizeHandler();
       disposeGlyphsHandler();
+      disposeLineCoverageHandler();
       disposeLiveHandler();
       disposePendingOperationHandler();
       disposeLiveSelectionHandler();
@@ -456,6 +520,7 @@ class EditorPreview extends React.Component<Props, State> {
                 store.editor.parsedConfigurations.typescript &&
                 store.editor.parsedConfigurations.typescript.parsed
               }
+              eslintConfig={getESLintConfig(store.editor.currentSandbox)}
             />
 
             <Preview
@@ -479,6 +544,11 @@ class EditorPreview extends React.Component<Props, State> {
               }
             }}
             sandboxId={sandbox.id}
+            currentModulePath={getModulePath(
+              sandbox.modules,
+              sandbox.directories,
+              currentModule.id
+            )}
             shouldExpandDevTools={store.preferences.showDevtools}
             zenMode={preferences.settings.zenMode}
             setDevToolsOpen={open =>
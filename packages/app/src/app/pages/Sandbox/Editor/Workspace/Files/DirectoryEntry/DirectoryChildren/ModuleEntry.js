@@ -28,9 +28,13 @@ class ModuleEntry extends React.Component {
     const isMainModule = module.id === mainModuleId;
     const type = getType(module.title);
 
-    const hasError = store.editor.errors.filter(
-      error => error.moduleId === module.id
-    ).length;
+    const hasError =
+      store.editor.errors.filter(error => error.moduleId === module.id)
+        .length ||
+      store.editor.corrections.filter(
+        correction =>
+          correction.moduleId === module.id && correction.severity === 'error'
+      ).length;
 
     const liveUsers = store.live.liveUsersByModule[module.shortid] || [];
 
@@ -74,6 +74,16 @@ function EditorSettings({ store, signals }) {
             Format all code on save with prettier.
           </SubDescription>
           <Rule />
+          <PaddedPreference
+            title="Fix lint problems on save"
+            type="boolean"
+            tooltip="Made possible by ESLint"
+            {...bindValue('lintFixOnSaveEnabled')}
+          />
+          <SubDescription>
+            Fix all auto-fixable ESLint problems on save.
+          </SubDescription>
+          <Rule />
           <PaddedPreference
             title="VIM mode"
             type="boolean"
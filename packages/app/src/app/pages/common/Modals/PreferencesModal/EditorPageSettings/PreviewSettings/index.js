@@ -40,10 +40,11 @@ function PreviewSettings({ store, signals }) {
             title="Clear console"
             type="boolean"
             {...bindValue('clearConsoleEnabled')}
-            tooltip="Clear console when executing"
+            tooltip="Collapse the logs of earlier executions"
           />
           <SubDescription>
-            Clear your developer console between every execution.
+            Collapse the logs of earlier executions in the console, they can
+            still be expanded to compare them.
           </SubDescription>
           <Rule />
           <PaddedPreference
@@ -1,6 +1,16 @@
 import { fromPairs, toPairs, sortBy } from 'lodash-es';
 import slugify from 'common/utils/slugify';
 import { clone } from 'mobx-state-tree';
+import { getModulesInDirectory } from 'common/sandbox/modules';
+import {
+  createGroup,
+  getNextGroupId,
+  MAX_GROUPS,
+  MAX_GROUP_MESSAGES,
+} from 'app/utils/console-history';
+import denormalize from 'codesandbox-import-utils/lib/create-sandbox/denormalize';
+
+import { getESLintConfig } from '../../utils/eslint-config';
 
 function sortObjectByKeys(object) {
   return fromPairs(sortBy(toPairs(object), 0));
@@ -140,6 +150,162 @@ export function outputModuleIdFromActionPath({ state, props, utils }) {
   return { id: module ? module.id : null };
 }
 
+export function outputModuleShortidFromActionPath({ state, props, utils }) {
+  const sandbox = state.get('editor.currentSandbox');
+
+  try {
+    const module = utils.resolveModule(
+      props.action.path.replace(/^\//, ''),
+      sandbox.modules,
+      sandbox.directories
+    );
+
+    return { moduleShortid: module.shortid, code: props.action.code };
+  } catch (e) {
+    return { moduleShortid: null };
+  }
+}
+
+/**
+ * Resolves the parent directory and the title of a path in the sandbox, returns
+ * null if the parent directory doesn't exist.
+ */
+function resolvePathLocation(sandbox, path) {
+  try {
+    const { foundDirectoryShortid, lastPath } = getModulesInDirectory(
+      path.replace(/^\//, ''),
+      sandbox.modules,
+      sandbox.directories
+    );
+
+    return { directoryShortid: foundDirectoryShortid || null, title: lastPath };
+  } catch (e) {
+    return null;
+  }
+}
+
+function findDirectoryByPath(sandbox, path) {
+  const location = resolvePathLocation(sandbox, path);
+
+  return (
+    location &&
+    sandbox.directories.find(
+      directory =>
+        // eslint-disable-next-line eqeqeq
+        directory.directoryShortid == location.directoryShortid &&
+        directory.title === location.title
+    )
+  );
+}
+
+export function outputRenamedModuleFromActionPath({ state, props, utils }) {
+  const sandbox = state.get('editor.currentSandbox');
+  const location = resolvePathLocation(sandbox, props.action.newPath);
+
+  try {
+    const module = utils.resolveModule(
+      props.action.path.replace(/^\//, ''),
+      sandbox.modules,
+      sandbox.directories
+    );
+
+    if (!location) {
+      return { moduleShortid: null };
+    }
+
+    return {
+      moduleShortid: module.shortid,
+      title: location.title,
+      directoryShortid: location.directoryShortid,
+    };
+  } catch (e) {
+    return { moduleShortid: null };
+  }
+}
+
+export function outputNewDirectoryFromActionPath({ state, props }) {
+  const sandbox = state.get('editor.currentSandbox');
+  const location = resolvePathLocation(sandbox, props.action.path);
+
+  if (!location || findDirectoryByPath(sandbox, props.action.path)) {
+    return { title: null };
+  }
+
+  return location;
+}
+
+export function outputDirectoryShortidFromActionPath({ state, props }) {
+  const sandbox = state.get('editor.currentSandbox');
+  const directory = findDirectoryByPath(sandbox, props.action.path);
+
+  return { directoryShortid: directory ? directory.shortid : null };
+}
+
+export function outputRenamedDirectoryFromActionPath({ state, props }) {
+  const sandbox = state.get('editor.currentSandbox');
+  const directory = findDirectoryByPath(sandbox, props.action.path);
+  const location = resolvePathLocation(sandbox, props.action.newPath);
+
+  if (!directory || !location) {
+    return { shortid: null };
+  }
+
+  return {
+    shortid: directory.shortid,
+    directoryShortid: directory.shortid,
+    title: location.title,
+    parentShortid: location.directoryShortid,
+  };
+}
+
+function findDirectory(directories, directoryShortid, title) {
+  return directories.find(
+    // eslint-disable-next-line eqeqeq
+    d => d.directoryShortid == directoryShortid && d.title === title
+  );
+}
+
+/**
+ * The preview can create files in directories that don't exist yet (eg.
+ * `__snapshots__`), so we find the deepest existing directory and create the
+ * remaining directories together with the file.
+ */
+export function outputNewFilesFromActionPath({ state, props }) {
+  const sandbox = state.get('editor.currentSandbox');
+  const parts = props.action.path.replace(/^\//, '').split('/');
+
+  let directoryShortid = null;
+  while (parts.length > 1) {
+    const title = parts[0];
+    const directory = findDirectory(
+      sandbox.directories,
+      directoryShortid,
+      title
+    );
+
+    if (!directory) {
+      break;
+    }
+
+    directoryShortid = directory.shortid;
+    parts.shift();
+  }
+
+  const { modules, directories } = denormalize({
+    [parts.join('/')]: { content: props.action.code, isBinary: false },
+  });
+
+  return {
+    directoryShortid,
+    modules: modules.map(
+      m => (m.directoryShortid == null ? { ...m, directoryShortid } : m)
+    ),
+    directories: directories.map(
+      d => (d.directoryShortid == null ? { ...d, directoryShortid } : d)
+    ),
+  };
+}
+
 export function consumeRenameModuleFromPreview({ state, props, utils }) {
   const sandbox = state.get('editor.currentSandbox');
   const module = utils.resolveModule(
@@ -203,6 +369,35 @@ export function addGlyphFromPreview({ state, props, utils }) {
   }
 }
 
+export function addLineCoverageFromPreview({ state, props, utils }) {
+  const sandbox = state.get('editor.currentSandbox');
+
+  try {
+    const module = utils.resolveModule(
+      props.action.path.replace(/^\//, ''),
+      sandbox.modules,
+      sandbox.directories
+    );
+    const lineCoverage = {
+      moduleId: module.id,
+      coveredLines: props.action.coveredLines,
+      uncoveredLines: props.action.uncoveredLines,
+    };
+
+    const existingIndex = state
+      .get('editor.lineCoverage')
+      .findIndex(coverage => coverage.moduleId === module.id);
+
+    if (existingIndex > -1) {
+      state.splice('editor.lineCoverage', existingIndex, 1, lineCoverage);
+    } else {
+      state.push('editor.lineCoverage', lineCoverage);
+    }
+  } catch (e) {
+    /* ignore, module not found */
+  }
+}
+
 export function addCorrectionFromPreview({ state, props, utils }) {
   const sandbox = state.get('editor.currentSandbox');
 
@@ -227,6 +422,20 @@ export function addCorrectionFromPreview({ state, props, utils }) {
   state.push('editor.corrections', correction);
 }
 
+export function clearCorrectionsFromPreview({ state, props }) {
+  const { source } = props.action;
+
+  state.set(
+    'editor.corrections',
+    source
+      ? state
+          .get('editor.corrections')
+          .filter(correction => correction.source !== source)
+          .map(correction => clone(correction))
+      : []
+  );
+}
+
 export function moveTab({ state, props }) {
   const tabs = state.get('editor.tabs');
   const tab = clone(tabs[props.prevIndex]);
@@ -383,6 +592,27 @@ export function prettifyCode({ utils, state, props, path }) {
     .catch(error => path.error({ error }));
 }
 
+export function lintFixCode({ utils, state, props, path }) {
+  const sandbox = state.get('editor.currentSandbox');
+  const moduleToFix = sandbox.modules.find(
+    module => module.shortid === props.moduleShortid
+  );
+
+  if (!moduleToFix || !utils.canLintFix(moduleToFix.title)) {
+    return path.error({});
+  }
+
+  return utils
+    .lintFix(
+      moduleToFix.title,
+      moduleToFix.code,
+      sandbox.template,
+      getESLintConfig(sandbox)
+    )
+    .then(code => path.success({ code }))
+    .catch(error => path.error({ error }));
+}
+
 export function saveModuleCode({ props, state, api, recover }) {
   const sandbox = state.get('editor.currentSandbox');
   const moduleToSave = sandbox.modules.find(
@@ -509,6 +739,58 @@ export function setPreviewBounds({ props, state }) {
   }
 }
 
+export function startConsoleGroup({ props, state }) {
+  const groups = state.get('editor.consoleHistory');
+
+  if (props.collapsePrevious) {
+    groups.forEach((group, index) => {
+      if (!group.collapsed) {
+        state.set(`editor.consoleHistory.${index}.collapsed`, true);
+      }
+    });
+  }
+
+  state.push(
+    'editor.consoleHistory',
+    createGroup(
+      getNextGroupId(groups),
+      props.kind,
+      props.label,
+      props.changedModules
+    )
+  );
+
+  const overflow = state.get('editor.consoleHistory').length - MAX_GROUPS;
+  if (overflow > 0) {
+    state.splice('editor.consoleHistory', 0, overflow);
+  }
+}
+
+export function addConsoleMessages({ props, state }) {
+  if (state.get('editor.consoleHistory').length === 0) {
+    state.push('editor.consoleHistory', createGroup(1, 'compile'));
+  }
+
+  const lastIndex = state.get('editor.consoleHistory').length - 1;
+  const path = `editor.consoleHistory.${lastIndex}.messages`;
+  state.concat(path, props.messages);
+
+  const overflow = state.get(path).length - MAX_GROUP_MESSAGES;
+  if (overflow > 0) {
+    state.splice(path, 0, overflow);
+  }
+}
+
+export function toggleConsoleGroup({ props, state }) {
+  const index = state
+    .get('editor.consoleHistory')
+    .findIndex(group => group.id === props.id);
+
+  if (index > -1) {
+    state.toggle(`editor.consoleHistory.${index}.collapsed`);
+  }
+}
+
 export function getSavedCode({ props, state }) {
   const sandbox = state.get('editor.currentSandbox');
   const moduleIndex = sandbox.modules.findIndex(
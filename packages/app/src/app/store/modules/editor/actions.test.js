@@ -0,0 +1,135 @@
+import { resolveModule } from 'common/sandbox/modules';
+
+import {
+  outputModuleIdFromActionPath,
+  outputModuleShortidFromActionPath,
+  outputRenamedModuleFromActionPath,
+  outputNewDirectoryFromActionPath,
+  outputDirectoryShortidFromActionPath,
+  outputRenamedDirectoryFromActionPath,
+  outputNewFilesFromActionPath,
+} from './actions';
+
+const sandbox = {
+  directories: [
+    { shortid: 'src', title: 'src', directoryShortid: null },
+    { shortid: 'app', title: 'app', directoryShortid: 'src' },
+  ],
+  modules: [
+    { id: '1', shortid: 'index', title: 'index.js', directoryShortid: 'src' },
+    {
+      id: '2',
+      shortid: 'app-index',
+      title: 'index.js',
+      directoryShortid: 'app',
+    },
+    { id: '3', shortid: 'apple', title: 'apple.js', directoryShortid: 'src' },
+  ],
+};
+
+function run(action, previewAction) {
+  return action({
+    state: { get: () => sandbox },
+    props: { action: previewAction },
+    utils: { resolveModule },
+  });
+}
+
+describe('editor actions for the file system of the preview', () => {
+  it('outputs the module of a path', () => {
+    expect(
+      run(outputModuleIdFromActionPath, { path: '/src/app/index.js' })
+    ).toEqual({ id: '2' });
+    expect(
+      run(outputModuleShortidFromActionPath, {
+        path: '/src/apple.js',
+        code: 'apple',
+      })
+    ).toEqual({ moduleShortid: 'apple', code: 'apple' });
+    expect(
+      run(outputModuleShortidFromActionPath, { path: '/src/pear.js' })
+    ).toEqual({ moduleShortid: null });
+  });
+
+  it('outputs the new location of a renamed module', () => {
+    expect(
+      run(outputRenamedModuleFromActionPath, {
+        path: '/src/apple.js',
+        newPath: '/src/app/pear.js',
+      })
+    ).toEqual({
+      moduleShortid: 'apple',
+      title: 'pear.js',
+      directoryShortid: 'app',
+    });
+    expect(
+      run(outputRenamedModuleFromActionPath, {
+        path: '/src/apple.js',
+        newPath: '/lib/pear.js',
+      })
+    ).toEqual({ moduleShortid: null });
+  });
+
+  it('outputs the location of a new directory', () => {
+    expect(
+      run(outputNewDirectoryFromActionPath, { path: '/src/app/components' })
+    ).toEqual({ title: 'components', directoryShortid: 'app' });
+    expect(run(outputNewDirectoryFromActionPath, { path: '/src/app' })).toEqual(
+      { title: null }
+    );
+  });
+
+  it('outputs the directory of a path', () => {
+    expect(
+      run(outputDirectoryShortidFromActionPath, { path: '/src/app' })
+    ).toEqual({ directoryShortid: 'app' });
+    expect(
+      run(outputDirectoryShortidFromActionPath, { path: '/src/apple' })
+    ).toEqual({ directoryShortid: null });
+  });
+
+  it('outputs the new location of a renamed directory', () => {
+    expect(
+      run(outputRenamedDirectoryFromActionPath, {
+        path: '/src/app',
+        newPath: '/main',
+      })
+    ).toEqual({
+      shortid: 'app',
+      directoryShortid: 'app',
+      title: 'main',
+      parentShortid: null,
+    });
+    expect(
+      run(outputRenamedDirectoryFromActionPath, {
+        path: '/src/apple',
+        newPath: '/main',
+      })
+    ).toEqual({ shortid: null });
+  });
+
+  it('creates the directories of a new file that are missing', () => {
+    const { directoryShortid, modules, directories } = run(
+      outputNewFilesFromActionPath,
+      {
+        path: '/src/app/__snapshots__/index.js.snap',
+        code: 'snapshot',
+      }
+    );
+
+    expect(directoryShortid).toBe('app');
+    expect(directories).toEqual([
+      expect.objectContaining({
+        title: '__snapshots__',
+        directoryShortid: 'app',
+      }),
+    ]);
+    expect(modules).toEqual([
+      expect.objectContaining({
+        title: 'index.js.snap',
+        code: 'snapshot',
+        directoryShortid: directories[0].shortid,
+      }),
+    ]);
+  });
+});
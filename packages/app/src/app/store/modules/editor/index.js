@@ -32,6 +32,8 @@ export default Module({
     errors: [],
     glyphs: [],
     corrections: [],
+    lineCoverage: [],
+    consoleHistory: [],
     pendingOperation: null,
     pendingUserSelections: [],
     isInProjectView: false,
@@ -90,5 +92,9 @@ export default Module({
     setPreviewContent: sequences.setPreviewContent,
     currentTabChanged: sequences.changeCurrentTab,
     discardModuleChanges: sequences.discardModuleChanges,
+    consoleGroupStarted: sequences.startConsoleGroup,
+    consoleMessagesAdded: sequences.addConsoleMessages,
+    consoleGroupToggled: sequences.toggleConsoleGroup,
+    consoleCleared: sequences.clearConsole,
   },
 });
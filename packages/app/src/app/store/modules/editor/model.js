@@ -162,6 +162,32 @@ export default {
       severity: types.maybe(types.string),
     })
   ),
+  lineCoverage: types.array(
+    types.model({
+      moduleId: types.string,
+      coveredLines: types.array(types.number),
+      uncoveredLines: types.array(types.number),
+    })
+  ),
+  consoleHistory: types.array(
+    types.model({
+      id: types.number,
+      kind: types.enumeration('kind', ['compile', 'evaluation']),
+      label: types.string,
+      changedModules: types.array(types.string),
+      time: types.number,
+      collapsed: types.boolean,
+      messages: types.array(
+        types.model({
+          method: types.string,
+          data: types.frozen,
+          remote: types.maybe(types.frozen),
+          source: types.maybe(types.string),
+          time: types.number,
+        })
+      ),
+    })
+  ),
   isInProjectView: types.boolean,
   forceRender: types.number,
   initialPath: types.string,
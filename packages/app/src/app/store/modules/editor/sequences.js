@@ -2,7 +2,16 @@ import { set, when, equals, toggle, increment } from 'cerebral/operators';
 import { state, props, string } from 'cerebral/tags';
 import * as actions from './actions';
 import { closeTabByIndex } from '../../actions';
-import { renameModule } from '../files/sequences';
+import {
+  renameModule,
+  massCreateModules,
+  deleteModule,
+  moveModuleToDirectory,
+  createDirectory,
+  renameDirectory,
+  deleteDirectory,
+  moveDirectoryToDirectory,
+} from '../files/sequences';
 import {
   sendModuleSaved,
   getSelectionsForCurrentModule,
@@ -153,6 +162,21 @@ export const saveCode = [
     true: actions.setCode,
     false: [],
   },
+  when(
+    state`preferences.settings.lintEnabled`,
+    state`preferences.settings.lintFixOnSaveEnabled`,
+    (lintEnabled, lintFixOnSaveEnabled) => lintEnabled && lintFixOnSaveEnabled
+  ),
+  {
+    true: [
+      actions.lintFixCode,
+      {
+        success: actions.setCode,
+        error: [],
+      },
+    ],
+    false: [],
+  },
   when(state`preferences.settings.prettifyOnSaveEnabled`),
   {
     true: [
@@ -244,6 +268,122 @@ export const removeNpmDependency = [
 
 export const updateSandboxPackage = [actions.updateSandboxPackage, saveCode];
 
+const whenOwnedSandbox = when(state`editor.currentSandbox.owned`);
+
+// Files written by the preview (like test snapshots) are only saved when the
+// user owns the sandbox, we don't want a test run to fork a sandbox
+export const createFileFromPreview = [
+  whenOwnedSandbox,
+  {
+    true: [actions.outputNewFilesFromActionPath, massCreateModules],
+    false: [],
+  },
+];
+
+// Files written by the preview are generated, so they're saved as they are
+// without tracking, lint fixes or prettier. A preview can write the same file
+// many times in a row.
+const savePreviewCode = [
+  actions.setCode,
+  actions.saveModuleCode,
+  actions.setModuleSaved,
+  sendModuleSaved,
+];
+
+export const updateFileFromPreview = [
+  whenOwnedSandbox,
+  {
+    true: [
+      actions.outputModuleShortidFromActionPath,
+      when(props`moduleShortid`),
+      {
+        true: savePreviewCode,
+        false: [],
+      },
+    ],
+    false: [],
+  },
+];
+
+export const removeFileFromPreview = [
+  whenOwnedSandbox,
+  {
+    true: [
+      actions.outputModuleShortidFromActionPath,
+      when(props`moduleShortid`),
+      {
+        true: deleteModule,
+        false: [],
+      },
+    ],
+    false: [],
+  },
+];
+
+export const renameFileFromPreview = [
+  whenOwnedSandbox,
+  {
+    true: [
+      actions.outputRenamedModuleFromActionPath,
+      when(props`moduleShortid`),
+      {
+        true: [renameModule, moveModuleToDirectory],
+        false: [],
+      },
+    ],
+    false: [],
+  },
+];
+
+export const createDirectoryFromPreview = [
+  whenOwnedSandbox,
+  {
+    true: [
+      actions.outputNewDirectoryFromActionPath,
+      when(props`title`),
+      {
+        true: createDirectory,
+        false: [],
+      },
+    ],
+    false: [],
+  },
+];
+
+export const renameDirectoryFromPreview = [
+  whenOwnedSandbox,
+  {
+    true: [
+      actions.outputRenamedDirectoryFromActionPath,
+      when(props`shortid`),
+      {
+        true: [
+          renameDirectory,
+          set(props`directoryShortid`, props`parentShortid`),
+          moveDirectoryToDirectory,
+        ],
+        false: [],
+      },
+    ],
+    false: [],
+  },
+];
+
+export const removeDirectoryFromPreview = [
+  whenOwnedSandbox,
+  {
+    true: [
+      actions.outputDirectoryShortidFromActionPath,
+      when(props`directoryShortid`),
+      {
+        true: deleteDirectory,
+        false: [],
+      },
+    ],
+    false: [],
+  },
+];
+
 export const handlePreviewAction = [
   equals(props`action.action`),
   {
@@ -254,11 +394,21 @@ export const handlePreviewAction = [
     ),
     'show-error': actions.addErrorFromPreview,
     'show-correction': actions.addCorrectionFromPreview,
+    'clear-corrections': actions.clearCorrectionsFromPreview,
     'show-glyph': actions.addGlyphFromPreview,
+    'show-coverage': actions.addLineCoverageFromPreview,
+    'clear-coverage': set(state`editor.lineCoverage`, []),
     'source.module.rename': [
       actions.consumeRenameModuleFromPreview,
       renameModule,
     ],
+    'source.files.create': createFileFromPreview,
+    'source.files.update': updateFileFromPreview,
+    'source.files.remove': removeFileFromPreview,
+    'source.files.rename': renameFileFromPreview,
+    'source.directories.create': createDirectoryFromPreview,
+    'source.directories.rename': renameDirectoryFromPreview,
+    'source.directories.remove': removeDirectoryFromPreview,
     'source.dependencies.add': [
       set(props`name`, props`action.dependency`),
       addNpmDependency,
@@ -278,6 +428,14 @@ export const handlePreviewAction = [
 
 export const setPreviewBounds = [actions.setPreviewBounds];
 
+export const startConsoleGroup = [actions.startConsoleGroup];
+
+export const addConsoleMessages = [actions.addConsoleMessages];
+
+export const toggleConsoleGroup = [actions.toggleConsoleGroup];
+
+export const clearConsole = [set(state`editor.consoleHistory`, [])];
+
 export const setPreviewContent = [
   set(state`editor.previewWindow.content`, props`content`),
 ];
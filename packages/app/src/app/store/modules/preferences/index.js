@@ -8,6 +8,7 @@ export default Module({
   state: {
     settings: {
       prettifyOnSaveEnabled: true,
+      lintFixOnSaveEnabled: false,
       zenMode: false,
       autoCompleteEnabled: true,
       livePreviewEnabled: true,
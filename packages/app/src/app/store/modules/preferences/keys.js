@@ -3,6 +3,7 @@ export const vimMode = 'settings.vimmode';
 export const livePreviewEnabled = 'settings.livepreview';
 export const instantPreviewEnabled = 'settings.instantpreview';
 export const prettifyOnSaveEnabled = 'settings.prettifyonsave';
+export const lintFixOnSaveEnabled = 'settings.lintfixonsave';
 export const prettierConfig = 'settings.prettierconfig';
 export const lintEnabled = 'settings.lintenabled';
 export const fontSize = 'settings.fontsize';
@@ -3,6 +3,7 @@ import { types } from 'mobx-state-tree';
 export default {
   settings: types.model({
     prettifyOnSaveEnabled: types.boolean,
+    lintFixOnSaveEnabled: types.boolean,
     autoCompleteEnabled: types.boolean,
     livePreviewEnabled: types.boolean,
     lintEnabled: types.boolean,
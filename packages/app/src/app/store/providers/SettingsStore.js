@@ -7,6 +7,7 @@ const allowedKeys = {
   livePreviewEnabled: 'settings.livepreview',
   instantPreviewEnabled: 'settings.instantpreview',
   prettifyOnSaveEnabled: 'settings.prettifyonsave',
+  lintFixOnSaveEnabled: 'settings.lintfixonsave',
   prettierConfig: 'settings.prettierconfig',
   lintEnabled: 'settings.lintenabled',
   fontSize: 'settings.fontsize',
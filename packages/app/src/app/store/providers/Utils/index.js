@@ -2,6 +2,7 @@ import { Provider } from 'cerebral';
 import { resolveModule } from 'common/sandbox/modules';
 import { isEqual } from 'lodash-es';
 import prettify from 'app/utils/prettify';
+import lintFix, { canLintFix } from 'app/utils/lint-fix';
 
 let nextOptimisticId = 0;
 
@@ -12,6 +13,10 @@ export default Provider({
   prettify(fileName, code, config) {
     return prettify(fileName, code, config);
   },
+  lintFix(fileName, code, template, eslintConfig) {
+    return lintFix(fileName, code, template, eslintConfig);
+  },
+  canLintFix,
   resolveModule,
   isEqual,
   getZip(sandbox) {
@@ -0,0 +1,31 @@
+// @flow
+import type { Sandbox } from 'common/types';
+import parse from 'common/templates/configuration/parse';
+import eslintrc from 'common/templates/configuration/eslintrc';
+
+import { resolveModuleWrapped } from './resolve-module-wrapped';
+
+/**
+ * The ESLint configuration of the sandbox for the linter. The .eslintrc isn't
+ * a configuration file of the templates, so we parse it separately. The
+ * generated configuration is empty if the sandbox doesn't configure ESLint,
+ * the linter uses its default rules then.
+ */
+export function getESLintConfig(sandbox: Sandbox): ?Object {
+  const { eslint: config } = parse(
+    sandbox.template,
+    { '/.eslintrc': eslintrc },
+    resolveModuleWrapped(sandbox),
+    sandbox
+  );
+
+  if (
+    !config ||
+    !config.parsed ||
+    (config.generated && Object.keys(config.parsed).length === 0)
+  ) {
+    return null;
+  }
+
+  return config.parsed;
+}
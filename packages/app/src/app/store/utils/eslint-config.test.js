@@ -0,0 +1,42 @@
+import { getESLintConfig } from './eslint-config';
+
+function createSandbox(files) {
+  return {
+    template: 'create-react-app',
+    directories: [],
+    modules: Object.keys(files).map((title, i) => ({
+      id: String(i),
+      shortid: String(i),
+      title,
+      directoryShortid: null,
+      code: files[title],
+    })),
+  };
+}
+
+describe('getESLintConfig', () => {
+  it('reads the .eslintrc of the sandbox', () => {
+    const sandbox = createSandbox({
+      '.eslintrc': '{ "rules": { "no-console": "warn" } }',
+      'package.json': '{ "eslintConfig": { "extends": "react-app" } }',
+    });
+
+    expect(getESLintConfig(sandbox)).toEqual({
+      rules: { 'no-console': 'warn' },
+    });
+  });
+
+  it('reads the eslintConfig of the package.json', () => {
+    const sandbox = createSandbox({
+      'package.json': '{ "eslintConfig": { "extends": "react-app" } }',
+    });
+
+    expect(getESLintConfig(sandbox)).toEqual({ extends: 'react-app' });
+  });
+
+  it("returns null if the sandbox doesn't configure ESLint", () => {
+    const sandbox = createSandbox({ 'package.json': '{}' });
+
+    expect(getESLintConfig(sandbox)).toBe(null);
+  });
+});
@@ -0,0 +1,185 @@
+// @flow
+import type { RemoteObjectDescription } from 'app/components/Preview/DevTools/Console/RemoteObject';
+
+export type ConsoleLevel = 'log' | 'info' | 'debug' | 'warn' | 'error';
+
+export type ConsoleMessage = {
+  method: string,
+  // The arguments as encoded by console-feed, so they can be stored
+  data: Array<any>,
+  remote?: ?RemoteObjectDescription,
+  // The sandbox file that logged the message
+  source?: ?string,
+  time: number,
+};
+
+export type ConsoleGroup = {
+  id: number,
+  kind: 'compile' | 'evaluation',
+  // The command of an evaluation
+  label: string,
+  changedModules: Array<string>,
+  time: number,
+  collapsed: boolean,
+  messages: Array<ConsoleMessage>,
+};
+
+export type ConsoleFilter = {
+  search: string,
+  levels: Array<ConsoleLevel>,
+  source: string,
+};
+
+export const LEVELS: Array<ConsoleLevel> = [
+  'log',
+  'info',
+  'debug',
+  'warn',
+  'error',
+];
+
+export const MAX_GROUPS = 50;
+export const MAX_GROUP_MESSAGES = 1000;
+
+export function createGroup(
+  id: number,
+  kind: 'compile' | 'evaluation',
+  label: string = '',
+  changedModules: Array<string> = []
+): ConsoleGroup {
+  return {
+    id,
+    kind,
+    label,
+    changedModules,
+    time: Date.now(),
+    collapsed: false,
+    messages: [],
+  };
+}
+
+export function getNextGroupId(groups: Array<ConsoleGroup>) {
+  return groups.length ? groups[groups.length - 1].id + 1 : 1;
+}
+
+/**
+ * Adds a group to the history, the previous groups are collapsed if
+ * `collapsePrevious` is set and the oldest groups are dropped.
+ */
+export function startGroup(
+  groups: Array<ConsoleGroup>,
+  group: ConsoleGroup,
+  collapsePrevious: boolean
+): Array<ConsoleGroup> {
+  const previous = collapsePrevious
+    ? groups.map(g => (g.collapsed ? g : { ...g, collapsed: true }))
+    : groups;
+
+  return [...previous, group].slice(-MAX_GROUPS);
+}
+
+/**
+ * Adds messages to the last group, messages that come in before the first
+ * compile get a group of their own.
+ */
+export function addMessages(
+  groups: Array<ConsoleGroup>,
+  messages: Array<ConsoleMessage>
+): Array<ConsoleGroup> {
+  const lastGroup = groups[groups.length - 1];
+
+  if (!lastGroup) {
+    return addMessages([createGroup(1, 'compile')], messages);
+  }
+
+  return [
+    ...groups.slice(0, -1),
+    {
+      ...lastGroup,
+      messages: [...lastGroup.messages, ...messages].slice(
+        -MAX_GROUP_MESSAGES
+      ),
+    },
+  ];
+}
+
+export function toggleGroup(
+  groups: Array<ConsoleGroup>,
+  id: number
+): Array<ConsoleGroup> {
+  return groups.map(
+    group =>
+      group.id === id ? { ...group, collapsed: !group.collapsed } : group
+  );
+}
+
+export function getLevel(method: string): ConsoleLevel {
+  if (method === 'error' || method === 'assert') {
+    return 'error';
+  }
+
+  if (method === 'warn' || method === 'info' || method === 'debug') {
+    return method;
+  }
+
+  return 'log';
+}
+
+export function matchesFilter(
+  message: ConsoleMessage,
+  { search, levels, source }: ConsoleFilter
+) {
+  if (!levels.includes(getLevel(message.method))) {
+    return false;
+  }
+
+  if (source && message.source !== source) {
+    return false;
+  }
+
+  if (search) {
+    const text = JSON.stringify([message.data, message.remote]) || '';
+    return text.toLowerCase().includes(search.toLowerCase());
+  }
+
+  return true;
+}
+
+export function getSources(groups: Array<ConsoleGroup>): Array<string> {
+  const sources = new Set();
+  groups.forEach(group => {
+    group.messages.forEach(message => {
+      if (message.source) {
+        sources.add(message.source);
+      }
+    });
+  });
+
+  return Array.from(sources).sort();
+}
+
+export function getGroupTitle(group: ConsoleGroup) {
+  if (group.kind === 'evaluation') {
+    return `> ${group.label}`;
+  }
+
+  const { changedModules } = group;
+  if (changedModules.length === 0) {
+    return 'Compiled';
+  }
+
+  const shown = changedModules.slice(0, 3).join(', ');
+  const others = changedModules.length - 3;
+
+  return `Compiled after changing ${shown}${
+    others > 0 ? ` and ${others} more` : ''
+  }`;
+}
+
+/**
+ * The history as JSON, the arguments stay encoded so they can be read with
+ * `Decode` of console-feed.
+ */
+export function serializeHistory(groups: Array<ConsoleGroup>) {
+  return JSON.stringify({ version: 1, groups }, null, 2);
+}
@@ -0,0 +1,142 @@
+import {
+  createGroup,
+  startGroup,
+  addMessages,
+  toggleGroup,
+  matchesFilter,
+  getSources,
+  getGroupTitle,
+  MAX_GROUPS,
+  LEVELS,
+} from './console-history';
+
+function message(method, data, source) {
+  return { method, data, source, time: 0 };
+}
+
+describe('console history', () => {
+  describe('startGroup', () => {
+    it('collapses the previous groups', () => {
+      const groups = startGroup(
+        [createGroup(1, 'compile')],
+        createGroup(2, 'compile'),
+        true
+      );
+
+      expect(groups.map(group => group.collapsed)).toEqual([true, false]);
+    });
+
+    it('keeps the previous groups open for evaluations', () => {
+      const groups = startGroup(
+        [createGroup(1, 'compile')],
+        createGroup(2, 'evaluation', '1 + 1'),
+        false
+      );
+
+      expect(groups.map(group => group.collapsed)).toEqual([false, false]);
+    });
+
+    it('drops the oldest groups', () => {
+      let groups = [];
+      for (let id = 1; id <= MAX_GROUPS + 1; id++) {
+        groups = startGroup(groups, createGroup(id, 'compile'), true);
+      }
+
+      expect(groups.length).toBe(MAX_GROUPS);
+      expect(groups[0].id).toBe(2);
+    });
+  });
+
+  describe('addMessages', () => {
+    it('adds the messages to the last group', () => {
+      const groups = addMessages(
+        [createGroup(1, 'compile'), createGroup(2, 'compile')],
+        [message('log', ['hello'])]
+      );
+
+      expect(groups[0].messages).toEqual([]);
+      expect(groups[1].messages).toEqual([message('log', ['hello'])]);
+    });
+
+    it('creates a group for messages before the first compile', () => {
+      const groups = addMessages([], [message('log', ['hello'])]);
+
+      expect(groups.length).toBe(1);
+      expect(groups[0].messages.length).toBe(1);
+    });
+  });
+
+  it('toggles a group', () => {
+    const groups = toggleGroup(
+      [createGroup(1, 'compile'), createGroup(2, 'compile')],
+      2
+    );
+
+    expect(groups.map(group => group.collapsed)).toEqual([false, true]);
+  });
+
+  describe('matchesFilter', () => {
+    const filter = { search: '', levels: LEVELS, source: '' };
+
+    it('filters by level', () => {
+      expect(
+        matchesFilter(message('assert', []), { ...filter, levels: ['error'] })
+      ).toBe(true);
+      expect(
+        matchesFilter(message('log', []), { ...filter, levels: ['error'] })
+      ).toBe(false);
+    });
+
+    it('filters by source file', () => {
+      const log = message('log', ['hello'], '/src/App.js');
+
+      expect(matchesFilter(log, { ...filter, source: '/src/App.js' })).toBe(
+        true
+      );
+      expect(matchesFilter(log, { ...filter, source: '/src/index.js' })).toBe(
+        false
+      );
+    });
+
+    it('searches in the arguments', () => {
+      const log = message('log', ['Hello World']);
+
+      expect(matchesFilter(log, { ...filter, search: 'world' })).toBe(true);
+      expect(matchesFilter(log, { ...filter, search: 'moon' })).toBe(false);
+    });
+  });
+
+  it('collects the sources of the messages', () => {
+    const groups = [
+      {
+        ...createGroup(1, 'compile'),
+        messages: [
+          message('log', [], '/src/index.js'),
+          message('log', [], '/src/App.js'),
+          message('log', []),
+        ],
+      },
+      {
+        ...createGroup(2, 'compile'),
+        messages: [message('log', [], '/src/index.js')],
+      },
+    ];
+
+    expect(getSources(groups)).toEqual(['/src/App.js', '/src/index.js']);
+  });
+
+  it('labels a group with the changed modules', () => {
+    expect(
+      getGroupTitle(
+        createGroup(1, 'compile', '', [
+          '/src/a.js',
+          '/src/b.js',
+          '/src/c.js',
+          '/src/d.js',
+        ])
+      )
+    ).toBe(
+      'Compiled after changing /src/a.js, /src/b.js, /src/c.js and 1 more'
+    );
+  });
+});
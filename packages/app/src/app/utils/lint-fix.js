@@ -0,0 +1,77 @@
+/* eslint-disable import/no-webpack-loader-syntax */
+import LinterWorker from 'worker-loader?publicPath=/&name=monaco-linter.[hash:8].worker.js!app/components/CodeEditor/Monaco/workers/linter';
+/* eslint-enable import/no-webpack-loader-syntax */
+
+export function canLintFix(title: string) {
+  return /\.(jsx?|vue)$/.test(title);
+}
+
+let nextFixId = 0;
+
+/**
+ * Asks the linter worker for the code with all auto-fixable problems fixed.
+ */
+export function requestLintFix(
+  worker: Worker,
+  data: {
+    code: string,
+    title: string,
+    template: string,
+    eslintConfig: ?Object,
+  }
+): Promise<string> {
+  const id = nextFixId++;
+
+  return new Promise((resolve, reject) => {
+    let timeout = null;
+
+    const handler = e => {
+      if (e.data.type !== 'fix' || e.data.id !== id) {
+        return;
+      }
+
+      worker.removeEventListener('message', handler);
+      clearTimeout(timeout);
+      resolve(e.data.output);
+    };
+
+    timeout = setTimeout(() => {
+      // The worker can take a while to initialize the first time
+      worker.removeEventListener('message', handler);
+      reject(new Error('Lint fix timeout'));
+    }, 10000);
+
+    worker.addEventListener('message', handler);
+    worker.postMessage({ type: 'fix', id, ...data });
+  });
+}
+
+let linterWorker = null;
+
+/**
+ * The editor and the lint fix on save share one linter worker, so the rules
+ * are only loaded once.
+ */
+export function getLinterWorker(): Worker {
+  linterWorker = linterWorker || new LinterWorker();
+
+  return linterWorker;
+}
+
+export default function lintFix(
+  title: string,
+  code: string,
+  template: string,
+  eslintConfig: ?Object
+) {
+  if (!canLintFix(title)) {
+    return Promise.reject(new Error('No linter for this file'));
+  }
+
+  return requestLintFix(getLinterWorker(), {
+    code,
+    title,
+    template,
+    eslintConfig,
+  });
+}
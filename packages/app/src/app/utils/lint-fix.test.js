@@ -0,0 +1,62 @@
+import { requestLintFix } from './lint-fix';
+
+jest.mock(
+  'worker-loader?publicPath=/&name=monaco-linter.[hash:8].worker.js!app/components/CodeEditor/Monaco/workers/linter',
+  () => jest.fn(),
+  { virtual: true }
+);
+
+function createWorker() {
+  const listeners = [];
+
+  return {
+    listeners,
+    addEventListener: (type, listener) => listeners.push(listener),
+    removeEventListener: (type, listener) =>
+      listeners.splice(listeners.indexOf(listener), 1),
+    postMessage: jest.fn(),
+  };
+}
+
+const DATA = {
+  code: 'var a = 1',
+  title: 'index.js',
+  template: 'create-react-app',
+  eslintConfig: null,
+};
+
+describe('requestLintFix', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('resolves with the fixed code of the request', async () => {
+    const worker = createWorker();
+    const promise = requestLintFix(worker, DATA);
+    const { id } = worker.postMessage.mock.calls[0][0];
+
+    worker.listeners.forEach(listener =>
+      listener({ data: { type: 'fix', id: id + 1, output: 'other' } })
+    );
+    worker.listeners.forEach(listener =>
+      listener({ data: { type: 'fix', id, output: 'let a = 1' } })
+    );
+
+    expect(await promise).toBe('let a = 1');
+    expect(worker.listeners).toEqual([]);
+  });
+
+  it('stops listening to the worker after a timeout', async () => {
+    const worker = createWorker();
+    const promise = requestLintFix(worker, DATA);
+
+    jest.runAllTimers();
+
+    await expect(promise).rejects.toEqual(new Error('Lint fix timeout'));
+    expect(worker.listeners).toEqual([]);
+  });
+});
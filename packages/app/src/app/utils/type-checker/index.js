@@ -0,0 +1,121 @@
+// @flow
+/* eslint-disable import/no-webpack-loader-syntax */
+import TypeCheckWorker from 'worker-loader?publicPath=/&name=type-checker.[hash:8].worker.js!./type-check-worker';
+/* eslint-enable import/no-webpack-loader-syntax */
+import { debounce } from 'lodash-es';
+import { dispatch, listen, actions } from 'codesandbox-api';
+
+const SOURCE = 'typescript';
+
+export type Diagnostic = {
+  path: string,
+  line: number,
+  column: number,
+  message: string,
+  severity: 'error' | 'warning',
+};
+
+type TypeCheckOptions = {
+  files: { [path: string]: string },
+  tsconfig: ?Object,
+  typescriptVersion: ?string,
+};
+
+export function isTypeCheckable(path: string) {
+  return /\.tsx?$/.test(path);
+}
+
+// JavaScript files are sent too, TypeScript files can import them
+function isSourceFile(path: string) {
+  return /\.(tsx?|jsx?)$/.test(path);
+}
+
+let worker = null;
+let stopListening = null;
+let nextCheckId = 0;
+const typings: { [path: string]: string } = {};
+let pendingTypings: { [path: string]: string } = {};
+let lastDiagnostics: Array<Diagnostic> = [];
+
+function publishDiagnostics(diagnostics: Array<Diagnostic>) {
+  dispatch(actions.correction.clear(SOURCE));
+
+  diagnostics.forEach(({ message, ...options }) => {
+    dispatch(actions.correction.show(message, { ...options, source: SOURCE }));
+  });
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new TypeCheckWorker();
+    // A new worker doesn't have any of the typings yet
+    pendingTypings = { ...typings };
+    worker.addEventListener('message', event => {
+      // Only the result of the last check is relevant
+      if (event.data.id === nextCheckId - 1) {
+        lastDiagnostics = event.data.diagnostics;
+        publishDiagnostics(lastDiagnostics);
+      }
+    });
+
+    stopListening = listen(data => {
+      if (data.type === 'start' && lastDiagnostics.length) {
+        // Every compile clears the corrections, the types didn't change though
+        setTimeout(() => publishDiagnostics(lastDiagnostics));
+      }
+    });
+  }
+
+  return worker;
+}
+
+/**
+ * Typings that are fetched for the editor, the type checker resolves the
+ * imports of dependencies with these.
+ */
+export function addTypings(path: string, code: string) {
+  typings[path] = code;
+  pendingTypings[path] = code;
+}
+
+/**
+ * Checks the types of all TypeScript files of the sandbox in a worker and
+ * shows the diagnostics in the Problems pane.
+ */
+export const typeCheck = debounce((options: TypeCheckOptions) => {
+  const files = Object.keys(options.files)
+    .filter(isSourceFile)
+    .reduce(
+      (result, path) => ({ ...result, [path]: options.files[path] }),
+      {}
+    );
+
+  getWorker().postMessage({
+    id: nextCheckId++,
+    files,
+    typings: pendingTypings,
+    tsconfig: options.tsconfig,
+    typescriptVersion: options.typescriptVersion,
+  });
+
+  pendingTypings = {};
+}, 1000);
+
+export function disposeTypeChecker() {
+  typeCheck.cancel();
+
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+
+  if (stopListening) {
+    stopListening();
+    stopListening = null;
+  }
+
+  if (lastDiagnostics.length) {
+    dispatch(actions.correction.clear(SOURCE));
+    lastDiagnostics = [];
+  }
+}
@@ -0,0 +1,219 @@
+import {
+  getTypeScriptUrl,
+  DEFAULT_TYPESCRIPT_VERSION,
+} from 'common/utils/typescript-version';
+
+self.importScripts([getTypeScriptUrl(DEFAULT_TYPESCRIPT_VERSION)]);
+
+const LIB_DIRECTORY = '/node_modules/typescript/lib/';
+
+let loadedTypeScriptVersion = DEFAULT_TYPESCRIPT_VERSION;
+let languageService = null;
+let compilerOptions = {};
+// Shown as a problem of package.json, where the version is configured
+let loadError: ?string = null;
+
+// The modules of the sandbox, the version is increased on every change so the
+// language service knows which files to check again
+const files: { [path: string]: { code: string, version: number } } = {};
+const typings: { [path: string]: string } = {};
+const libs: { [path: string]: ?string } = {};
+
+function loadTypeScript(version: ?string) {
+  const versionToLoad = version || DEFAULT_TYPESCRIPT_VERSION;
+  if (versionToLoad === loadedTypeScriptVersion) {
+    return;
+  }
+
+  // Also set when it fails, so we don't try to load it again
+  loadedTypeScriptVersion = versionToLoad;
+
+  try {
+    self.importScripts(getTypeScriptUrl(versionToLoad));
+    languageService = null;
+    loadError = null;
+  } catch (e) {
+    loadError = `Could not load TypeScript ${versionToLoad}, type checking with TypeScript ${
+      self.ts.version
+    } instead.`;
+  }
+}
+
+/**
+ * The lib files aren't part of the TypeScript script, we download the ones of
+ * the loaded version when the compiler asks for them. The language service is
+ * synchronous, so this has to be a synchronous request.
+ */
+function getLib(path: string): ?string {
+  if (!(path in libs)) {
+    const request = new XMLHttpRequest();
+    request.open(
+      'GET',
+      `https://unpkg.com/typescript@${self.ts.version}/lib/${path.replace(
+        LIB_DIRECTORY,
+        ''
+      )}`,
+      false
+    );
+    request.send(null);
+
+    libs[path] = request.status === 200 ? request.responseText : null;
+  }
+
+  return libs[path];
+}
+
+function readFile(path: string): ?string {
+  if (files[path]) {
+    return files[path].code;
+  }
+
+  if (typings[path] != null) {
+    return typings[path];
+  }
+
+  if (path.startsWith(LIB_DIRECTORY)) {
+    return getLib(path);
+  }
+
+  return undefined;
+}
+
+function getLanguageService() {
+  if (!languageService) {
+    const { ts } = self;
+
+    languageService = ts.createLanguageService(
+      {
+        getScriptFileNames: () => Object.keys(files),
+        getScriptVersion: path =>
+          files[path] ? String(files[path].version) : '0',
+        getScriptSnapshot: path => {
+          const code = readFile(path);
+
+          return code == null ? undefined : ts.ScriptSnapshot.fromString(code);
+        },
+        getCurrentDirectory: () => '/',
+        getCompilationSettings: () => compilerOptions,
+        getDefaultLibFileName: options =>
+          LIB_DIRECTORY + ts.getDefaultLibFileName(options),
+        fileExists: path => readFile(path) != null,
+        readFile,
+        directoryExists: directory =>
+          [...Object.keys(files), ...Object.keys(typings)].some(path =>
+            path.startsWith(`${directory.replace(/\/$/, '')}/`)
+          ) || directory === LIB_DIRECTORY.slice(0, -1),
+      },
+      ts.createDocumentRegistry()
+    );
+  }
+
+  return languageService;
+}
+
+function getCompilerOptions(tsconfig: ?Object) {
+  const { ts } = self;
+  const defaultOptions = {
+    target: 'es2016',
+    module: 'commonjs',
+    moduleResolution: 'node',
+    jsx: 'react',
+    allowSyntheticDefaultImports: true,
+    allowJs: true,
+    lib: ['es2017', 'dom'],
+  };
+
+  const { options } = ts.convertCompilerOptionsFromJson(
+    {
+      ...defaultOptions,
+      ...((tsconfig && tsconfig.compilerOptions) || {}),
+    },
+    '/'
+  );
+
+  // We only want the diagnostics, these options can only cause errors
+  return {
+    ...options,
+    noEmit: true,
+    outDir: undefined,
+    rootDir: undefined,
+    declarationDir: undefined,
+  };
+}
+
+function updateFiles(newFiles: { [path: string]: string }) {
+  Object.keys(files)
+    .filter(path => newFiles[path] == null)
+    .forEach(path => {
+      delete files[path];
+    });
+
+  Object.keys(newFiles).forEach(path => {
+    const file = files[path];
+
+    if (!file) {
+      files[path] = { code: newFiles[path], version: 0 };
+    } else if (file.code !== newFiles[path]) {
+      files[path] = { code: newFiles[path], version: file.version + 1 };
+    }
+  });
+}
+
+function getSeverity(category: number) {
+  return category === self.ts.DiagnosticCategory.Error ? 'error' : 'warning';
+}
+
+function checkFile(service, path: string) {
+  const { ts } = self;
+  const diagnostics = [
+    ...service.getSyntacticDiagnostics(path),
+    ...service.getSemanticDiagnostics(path),
+  ];
+
+  return diagnostics.map(diagnostic => {
+    const { line, character } = diagnostic.file
+      ? diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start)
+      : { line: 0, character: 0 };
+
+    return {
+      path,
+      line: line + 1,
+      column: character + 1,
+      message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'),
+      severity: getSeverity(diagnostic.category),
+    };
+  });
+}
+
+self.addEventListener('message', event => {
+  const {
+    id,
+    files: newFiles,
+    typings: newTypings,
+    tsconfig,
+    typescriptVersion,
+  } = event.data;
+
+  loadTypeScript(typescriptVersion);
+
+  Object.assign(typings, newTypings);
+  compilerOptions = getCompilerOptions(tsconfig);
+  updateFiles(newFiles);
+
+  const service = getLanguageService();
+  const diagnostics = Object.keys(files)
+    .filter(path => /\.tsx?$/.test(path) && !path.endsWith('.d.ts'))
+    .reduce((result, path) => [...result, ...checkFile(service, path)], []);
+
+  if (loadError) {
+    diagnostics.push({
+      path: '/package.json',
+      line: 1,
+      column: 1,
+      message: loadError,
+      severity: 'warning',
+    });
+  }
+
+  self.postMessage({ id, diagnostics });
+});
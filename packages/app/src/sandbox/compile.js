@@ -22,7 +22,16 @@ import {
 } from './boilerplates';
 
 import loadDependencies from './npm';
+import { setPackagerUrl } from './npm/packager-url';
+import { evictDependencyCache } from './npm/dependency-cache';
+import {
+  getLockfile,
+  pinDependencies,
+  showLockfileMismatches,
+} from './npm/lockfile';
 import { consumeCache, saveCache, deleteAPICache } from './eval/cache';
+import { transpileMocks, evaluateMocks } from './eval/mocks';
+import { installInspectorHooks } from './inspector';
 import getDefinition from '../../../common/templates/index';
 
 import { showRunOnClick } from './status-screen/run-on-click';
@@ -407,12 +416,29 @@ async function compile({
 
     dispatch({ type: 'status', status: 'installing-dependencies' });
 
-    const dependencies = getDependencies(
+    const sandboxConfig =
+      configurations.sandbox && configurations.sandbox.parsed;
+    setPackagerUrl(sandboxConfig && sandboxConfig.packager);
+
+    let dependencies = getDependencies(
       parsedPackageJSON,
       templateDefinition,
       configurations
     );
-    const { manifest, isNewCombination } = await loadDependencies(dependencies);
+
+    // Pin the dependencies to the lockfile, so every load gets the same tree
+    const lockfile = getLockfile(modules);
+    if (lockfile) {
+      const pinned = pinDependencies(dependencies, lockfile);
+
+      dependencies = pinned.dependencies;
+      showLockfileMismatches(pinned.mismatches, lockfile, packageJSON.code);
+    }
+
+    const { manifest, isNewCombination } = await loadDependencies(
+      dependencies,
+      lockfile
+    );
 
     if (isNewCombination && !firstLoad) {
       // Just reset the whole manager if it's a new combination
@@ -456,6 +482,7 @@ async function compile({
 
     await manager.verifyTreeTranspiled();
     await manager.transpileModules(managerModuleToTranspile);
+    await transpileMocks(manager);
 
     debug(`Transpilation time ${Date.now() - t}ms`);
 
@@ -498,12 +525,16 @@ async function compile({
       await handleExternalResources(externalResources);
       debug('Loaded external resources in ' + (Date.now() - extDate) + 'ms');
 
+      // The mocks answer the requests that are done while evaluating
+      evaluateMocks(manager);
+      // React and Vue look for the devtools hooks when they're evaluated
+      installInspectorHooks(template);
+
       const tt = Date.now();
       const oldHTML = document.body.innerHTML;
-      const evalled = manager.evaluateModule(
-        managerModuleToTranspile,
-        isModuleView
-      );
+      const evalled = manager.usesESModules()
+        ? await manager.evaluateESModule(managerModuleToTranspile)
+        : manager.evaluateModule(managerModuleToTranspile, isModuleView);
       debug(`Evaluation time: ${Date.now() - tt}ms`);
       const domChanged =
         !manager.preset.htmlDisabled && oldHTML !== document.body.innerHTML;
@@ -580,28 +611,40 @@ async function compile({
       changedModuleCount,
       firstLoad
     );
+
+    if (firstLoad) {
+      // Only after the first compile, so it doesn't slow down the first load
+      evictDependencyCache();
+    }
   } catch (e) {
-    console.log('Error in sandbox:');
-    console.error(e);
+    if (e.type === 'transpilation-cancelled') {
+      // The code changed while compiling, the next compile shows the result
+      if (manager) {
+        manager.clearCache();
+      }
+    } else {
+      console.log('Error in sandbox:');
+      console.error(e);
 
-    if (manager) {
-      manager.clearCache();
+      if (manager) {
+        manager.clearCache();
 
-      if (firstLoad && changedModuleCount === 0) {
-        deleteAPICache(manager.id);
+        if (firstLoad && changedModuleCount === 0) {
+          deleteAPICache(manager.id);
+        }
       }
-    }
 
-    if (firstLoad) {
-      inject();
-    }
+      if (firstLoad) {
+        inject();
+      }
 
-    const event = new Event('error');
-    event.error = e;
+      const event = new Event('error');
+      event.error = e;
 
-    window.dispatchEvent(event);
+      window.dispatchEvent(event);
 
-    hadError = true;
+      hadError = true;
+    }
   } finally {
     try {
       setTimeout(() => {
@@ -677,5 +720,8 @@ export default function queueTask(data: Arguments) {
 
   if (!runningTask) {
     executeTaskIfAvailable();
+  } else if (manager && manager.id === data.sandboxId) {
+    // Don't wait for the transpilation of code that is already outdated
+    manager.cancelOutdatedTranspilations(data.modules);
   }
 }
@@ -0,0 +1,199 @@
+// @flow
+import type Manager from '../eval/manager';
+
+export type Scope = {
+  require: (path: string) => any,
+  module: Object,
+  exports: any,
+};
+
+export type Completion = {
+  name: string,
+  type: 'function' | 'property' | 'variable',
+};
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/;
+// `foo.bar.ba` is split in the object `foo.bar` and the prefix `ba`
+const COMPLETION_REGEX = /(?:([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\.)?([A-Za-z_$][\w$]*)?$/;
+
+/**
+ * The exports and `require` of an evaluated module, for the console to
+ * evaluate commands as if they're in the module.
+ */
+export function getScope(manager: ?Manager, path: string): Scope {
+  const moduleInfo = manager && manager.transpiledModules[path];
+  const tModule = moduleInfo && moduleInfo.tModules[''];
+
+  if (!manager || !tModule || !tModule.compilation) {
+    throw new Error(
+      `${path} has not been evaluated, only modules that are imported by the sandbox can be used as the console scope.`
+    );
+  }
+
+  const { compilation } = tModule;
+
+  return {
+    require: (specifier: string) => {
+      const dependency = manager.resolveTranspiledModule(
+        specifier,
+        tModule.module.path
+      );
+
+      return dependency.compilation
+        ? dependency.compilation.exports
+        : manager.evaluateTranspiledModule(dependency, tModule);
+    },
+    module: compilation,
+    exports: compilation.exports,
+  };
+}
+
+/**
+ * The paths of the evaluated files of the sandbox, they can be used as scope.
+ */
+export function getScopePaths(manager: ?Manager): Array<string> {
+  if (!manager) {
+    return [];
+  }
+
+  const paths = manager
+    .getTranspiledModules()
+    .filter(
+      tModule =>
+        tModule.compilation && !tModule.module.path.startsWith('/node_modules/')
+    )
+    .map(tModule => tModule.module.path);
+
+  return Array.from(new Set(paths)).sort();
+}
+
+function wrapObjectLiteral(command: string) {
+  // Attempt to wrap command in parentheses, fixing issues where directly
+  // returning objects results in unexpected behaviour.
+  if (command.charAt(0) === '{') {
+    try {
+      const wrapped = `(${command})`;
+      // `new Function` is used to validate Javascript syntax
+      // eslint-disable-next-line no-new-func, no-new
+      new Function(wrapped);
+      return wrapped;
+    } catch (e) {
+      // We shouldn't wrap the expression
+    }
+  }
+
+  return command;
+}
+
+function createAsyncFunction(params: Array<string>, command: string) {
+  try {
+    // An expression, so its value is the result
+    // eslint-disable-next-line no-new-func
+    return new Function(...params, `return (async () => (\n${command}\n))();`);
+  } catch (e) {
+    // eslint-disable-next-line no-new-func
+    return new Function(...params, `return (async () => {\n${command}\n})();`);
+  }
+}
+
+/**
+ * Evaluates a command of the console, in the global scope or in the scope of
+ * a module. Commands with `await` are evaluated in an async function. The
+ * result is wrapped, so a returned promise is not awaited.
+ */
+export function evaluateCommand(
+  command: string,
+  scope: ?Scope
+): Promise<{ result: any }> {
+  const code = wrapObjectLiteral(command);
+  const params = scope ? ['require', 'module', 'exports'] : [];
+  const args = scope ? [scope.require, scope.module, scope.exports] : [];
+
+  return new Promise(resolve => {
+    if (/\bawait\b/.test(code)) {
+      resolve(
+        createAsyncFunction(params, code)(...args).then(result => ({ result }))
+      );
+    } else if (scope) {
+      // A direct eval, so the completion value of statements is returned
+      // eslint-disable-next-line no-new-func
+      const evaluate = new Function(...params, 'return eval(arguments[3]);');
+      resolve({ result: evaluate(...args, code) });
+    } else {
+      resolve({ result: (0, eval)(code) }); // eslint-disable-line no-eval
+    }
+  });
+}
+
+function getCompletionsOf(value: any): Array<Completion> {
+  const completions = new Map();
+  let current = Object(value);
+
+  while (current) {
+    const object = current;
+    Object.getOwnPropertyNames(object).forEach(name => {
+      if (!completions.has(name)) {
+        const descriptor = Object.getOwnPropertyDescriptor(object, name);
+        const isFunction =
+          descriptor && typeof descriptor.value === 'function';
+
+        completions.set(name, {
+          name,
+          type: isFunction ? 'function' : 'property',
+        });
+      }
+    });
+
+    current = Object.getPrototypeOf(object);
+  }
+
+  return Array.from(completions.values());
+}
+
+/**
+ * Completes the identifier or property at the end of `expression`. Only
+ * chains of properties are evaluated, so completing has no side effects
+ * besides getters.
+ */
+export function getCompletions(
+  expression: string,
+  scope: ?Scope
+): Array<Completion> {
+  const match = expression.match(COMPLETION_REGEX);
+  if (!match || expression.slice(0, match.index).endsWith('.')) {
+    return [];
+  }
+
+  const [, objectPath, prefix = ''] = match;
+  let completions = [];
+
+  try {
+    if (objectPath) {
+      const [first, ...rest] = objectPath.split('.');
+      // eslint-disable-next-line no-eval
+      let value = scope && first in scope ? scope[first] : (0, eval)(first);
+      rest.forEach(name => {
+        value = value == null ? value : value[name];
+      });
+
+      completions = value == null ? [] : getCompletionsOf(value);
+    } else {
+      // The variables of the scope shadow the globals
+      const variables = Object.keys(scope || {});
+      completions = [
+        ...variables.map(name => ({ name, type: 'variable' })),
+        ...getCompletionsOf(window).filter(
+          ({ name }) => !variables.includes(name)
+        ),
+      ];
+    }
+  } catch (e) {
+    return [];
+  }
+
+  return completions
+    .filter(
+      ({ name }) => IDENTIFIER_REGEX.test(name) && name.startsWith(prefix)
+    )
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
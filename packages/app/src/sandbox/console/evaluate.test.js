@@ -0,0 +1,88 @@
+import { evaluateCommand, getCompletions } from './evaluate';
+
+describe('console evaluation', () => {
+  afterEach(() => {
+    delete window.consoleTestStore;
+  });
+
+  describe('evaluateCommand', () => {
+    it('evaluates in the global scope', async () => {
+      window.consoleTestStore = { count: 1 };
+
+      expect(await evaluateCommand('consoleTestStore.count + 1')).toEqual({
+        result: 2,
+      });
+    });
+
+    it('wraps object literals in parentheses', async () => {
+      expect(await evaluateCommand('{ a: 1 }')).toEqual({ result: { a: 1 } });
+    });
+
+    it('has the exports and require of the scope', async () => {
+      const scope = {
+        require: path => `required ${path}`,
+        module: { exports: { count: 3 } },
+        exports: { count: 3 },
+      };
+
+      expect(
+        await evaluateCommand('exports.count + require("./a").length', scope)
+      ).toEqual({ result: 15 });
+    });
+
+    it('supports top-level await', async () => {
+      expect(await evaluateCommand('await Promise.resolve(2) * 2')).toEqual({
+        result: 4,
+      });
+      expect(
+        await evaluateCommand(
+          'const value = await Promise.resolve(5);\nreturn value;'
+        )
+      ).toEqual({ result: 5 });
+    });
+
+    it("doesn't await returned promises", async () => {
+      const { result } = await evaluateCommand('Promise.resolve(1)');
+
+      expect(result).toBeInstanceOf(Promise);
+    });
+
+    it('rejects with the thrown error', async () => {
+      await expect(evaluateCommand('unknownVariable')).rejects.toBeInstanceOf(
+        ReferenceError
+      );
+    });
+  });
+
+  describe('getCompletions', () => {
+    it('completes the properties of an object and its prototype', () => {
+      window.consoleTestStore = { state: { user: 1, users: [] } };
+
+      expect(getCompletions('consoleTestStore.state.us')).toEqual([
+        { name: 'user', type: 'property' },
+        { name: 'users', type: 'property' },
+      ]);
+      expect(getCompletions('consoleTestStore.state.hasOwn')).toEqual([
+        { name: 'hasOwnProperty', type: 'function' },
+      ]);
+    });
+
+    it('completes the variables of the scope and the globals', () => {
+      const scope = { require() {}, module: {}, exports: {} };
+      window.consoleTestStore = {};
+
+      expect(getCompletions('1 + expo', scope)).toEqual([
+        { name: 'exports', type: 'variable' },
+      ]);
+      expect(getCompletions('consoleTest')).toEqual([
+        { name: 'consoleTestStore', type: 'property' },
+      ]);
+    });
+
+    it("doesn't complete after calls", () => {
+      window.consoleTestStore = { getState: () => ({ user: 1 }) };
+
+      expect(getCompletions('consoleTestStore.getState().us')).toEqual([]);
+    });
+  });
+});
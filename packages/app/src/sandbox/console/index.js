@@ -1,11 +1,55 @@
 import { dispatch } from 'codesandbox-api';
 import Hook from 'console-feed/lib/Hook';
 
-export default function setupConsole() {
+import { getSourcePath, isEvaluatedModule } from './source';
+
+const METHODS = [
+  'log',
+  'debug',
+  'info',
+  'warn',
+  'error',
+  'table',
+  'clear',
+  'time',
+  'timeEnd',
+  'count',
+  'assert',
+];
+
+export default function setupConsole(getManager) {
+  // console-feed sends the logs in a timeout, the source of every call is
+  // queued until a timeout that runs right after the one of console-feed
+  const sources = [];
+
   Hook(window.console, log => {
     dispatch({
       type: 'console',
       log,
+      source: sources[0],
     });
   });
+
+  const isModulePath = path => isEvaluatedModule(getManager(), path);
+
+  METHODS.forEach(method => {
+    const hookedMethod = window.console[method];
+    if (typeof hookedMethod !== 'function') {
+      return;
+    }
+
+    window.console[method] = function logWithSource(...args) {
+      sources.push(
+        getSourcePath(
+          new Error().stack || '',
+          document.location.origin,
+          isModulePath
+        )
+      );
+      hookedMethod.apply(this, args);
+      setTimeout(() => {
+        sources.shift();
+      });
+    };
+  });
 }
@@ -0,0 +1,241 @@
+// @flow
+import { dispatch, listen } from 'codesandbox-api';
+
+import {
+  addRequestInterceptor,
+  isUserRequest,
+  userFetch,
+  type HeaderMap,
+} from '../requests';
+
+// Longer bodies are cut off, the editor only shows them
+const MAX_BODY_LENGTH = 10000;
+
+type Kind = 'fetch' | 'xhr' | 'websocket' | 'eventsource';
+
+let lastId = 0;
+
+function now() {
+  return window.performance ? performance.now() : Date.now();
+}
+
+function truncate(text: string) {
+  return text.length > MAX_BODY_LENGTH ? text.slice(0, MAX_BODY_LENGTH) : text;
+}
+
+function serializeBody(body: any): ?string {
+  if (body == null) {
+    return null;
+  }
+
+  if (typeof body === 'string') {
+    return truncate(body);
+  }
+
+  if (
+    typeof URLSearchParams !== 'undefined' &&
+    body instanceof URLSearchParams
+  ) {
+    return truncate(body.toString());
+  }
+
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    const fields = [];
+    body.forEach((value, key) => {
+      fields.push(
+        `${key}=${typeof value === 'string' ? value : `[File ${value.name}]`}`
+      );
+    });
+    return truncate(fields.join('&'));
+  }
+
+  return `[${Object.prototype.toString.call(body).slice(8, -1)}]`;
+}
+
+function dataToString(data: any) {
+  return typeof data === 'string' ? truncate(data) : serializeBody(data);
+}
+
+function createRequest(
+  kind: Kind,
+  method: string,
+  url: string,
+  requestHeaders: HeaderMap = {},
+  requestBody: ?string = null
+) {
+  lastId += 1;
+  const id = lastId;
+  const start = now();
+
+  let absoluteURL = url;
+  try {
+    absoluteURL = new URL(url, document.location.href).href;
+  } catch (e) {
+    // Keep the url as it was given
+  }
+
+  dispatch({
+    type: 'network-request',
+    request: {
+      id,
+      kind,
+      method: method.toUpperCase(),
+      url: absoluteURL,
+      requestHeaders,
+      requestBody,
+      startTime: Date.now(),
+    },
+  });
+
+  const elapsed = () => Math.round(now() - start);
+
+  return {
+    response(status: number, statusText: string, responseHeaders: HeaderMap) {
+      dispatch({
+        type: 'network-response',
+        id,
+        status,
+        statusText,
+        responseHeaders,
+        time: elapsed(),
+      });
+    },
+    message(direction: 'sent' | 'received', data: any) {
+      dispatch({
+        type: 'network-message',
+        id,
+        direction,
+        data: dataToString(data),
+        time: elapsed(),
+      });
+    },
+    finished(responseBody: ?string = null, size: ?number = null) {
+      dispatch({
+        type: 'network-finished',
+        id,
+        responseBody: responseBody == null ? null : truncate(responseBody),
+        size: size == null && responseBody != null ? responseBody.length : size,
+        duration: elapsed(),
+      });
+    },
+    error(message: string) {
+      dispatch({
+        type: 'network-error',
+        id,
+        error: message,
+        duration: elapsed(),
+      });
+    },
+  };
+}
+
+/**
+ * Replaces a constructor by one that tracks its instances, the instances are
+ * still created by the native constructor so `instanceof` keeps working.
+ */
+function wrapConstructor(Native: Function, track: (instance: any) => void) {
+  function Tracked(...args) {
+    const instance = new Native(...args);
+
+    if (isUserRequest(new Error())) {
+      track(instance);
+    }
+
+    return instance;
+  }
+
+  Tracked.prototype = Native.prototype;
+  ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(key => {
+    if (key in Native) {
+      Tracked[key] = Native[key];
+    }
+  });
+
+  return Tracked;
+}
+
+function trackWebSocket(socket: WebSocket) {
+  const request = createRequest('websocket', 'GET', socket.url);
+  const nativeSend = socket.send;
+  const tracked: any = socket;
+
+  tracked.send = function send(data) {
+    request.message('sent', data);
+    return nativeSend.call(socket, data);
+  };
+
+  socket.addEventListener('open', () => {
+    request.response(101, 'Switching Protocols', {
+      'sec-websocket-protocol': socket.protocol,
+    });
+  });
+  socket.addEventListener('message', (event: MessageEvent) => {
+    request.message('received', event.data);
+  });
+  socket.addEventListener('error', () => {
+    request.error('The connection failed');
+  });
+  socket.addEventListener('close', () => request.finished(null));
+}
+
+function trackEventSource(source: EventSource) {
+  const request = createRequest('eventsource', 'GET', source.url, {
+    accept: 'text/event-stream',
+  });
+
+  source.addEventListener('open', () => {
+    request.response(200, 'OK', { 'content-type': 'text/event-stream' });
+  });
+  source.addEventListener('message', (event: MessageEvent) => {
+    request.message('received', event.data);
+  });
+  source.addEventListener('error', () => {
+    if (source.readyState === EventSource.CLOSED) {
+      request.error('The connection was closed');
+    }
+  });
+}
+
+/**
+ * Sends the requests of the sandbox to the Network pane of the DevTools. The
+ * pane can ask to send a request again with `network-replay`.
+ */
+export default function setupNetwork() {
+  addRequestInterceptor({
+    observe: request =>
+      request.fromUser
+        ? createRequest(
+            request.kind,
+            request.method,
+            request.url,
+            request.headers,
+            serializeBody(request.body)
+          )
+        : null,
+  });
+
+  if (typeof window.fetch === 'function') {
+    listen((data, source) => {
+      if (source && data.type === 'network-replay') {
+        const { method, url, headers, body } = data.request;
+        const hasBody = method !== 'GET' && method !== 'HEAD';
+
+        userFetch(url, {
+          method,
+          headers,
+          body: hasBody ? body : undefined,
+        }).catch(() => {
+          // The error is shown in the Network pane
+        });
+      }
+    });
+  }
+
+  if (typeof WebSocket !== 'undefined') {
+    window.WebSocket = wrapConstructor(WebSocket, trackWebSocket);
+  }
+
+  if (typeof EventSource !== 'undefined') {
+    window.EventSource = wrapConstructor(EventSource, trackEventSource);
+  }
+}
@@ -0,0 +1,171 @@
+// @flow
+
+export type RemoteObject = {
+  type: string,
+  description: string,
+  // Objects and functions have an id, their properties are sent on request
+  id?: number,
+  preview?: string,
+};
+
+const MAX_PROPERTIES = 1000;
+const MAX_PREVIEW_PROPERTIES = 5;
+
+// The evaluated objects the console can still expand
+const objects: Map<number, any> = new Map();
+let lastId = 0;
+
+function register(value: any) {
+  lastId += 1;
+  objects.set(lastId, value);
+
+  return lastId;
+}
+
+function getClassName(value: Object) {
+  try {
+    const { constructor } = value;
+    return (constructor && constructor.name) || 'Object';
+  } catch (e) {
+    return 'Object';
+  }
+}
+
+function describeObject(value: Object) {
+  if (Array.isArray(value)) {
+    return `Array(${value.length})`;
+  }
+
+  if (value instanceof Error) {
+    return `${value.name}: ${value.message}`;
+  }
+
+  if (value instanceof Map || value instanceof Set) {
+    return `${getClassName(value)}(${value.size})`;
+  }
+
+  if (value instanceof Date || value instanceof RegExp) {
+    return String(value);
+  }
+
+  if (typeof Element !== 'undefined' && value instanceof Element) {
+    return `<${value.tagName.toLowerCase()}>`;
+  }
+
+  return getClassName(value);
+}
+
+function describePrimitive(value: any) {
+  if (typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+
+  if (typeof value === 'function') {
+    return 'ƒ';
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Array.isArray(value) ? `Array(${value.length})` : '{…}';
+  }
+
+  return String(value);
+}
+
+function getPreview(value: Object) {
+  const isArray = Array.isArray(value);
+  const keys = Object.keys(value);
+  const entries = keys.slice(0, MAX_PREVIEW_PROPERTIES).map(key => {
+    let property;
+    try {
+      property = describePrimitive(value[key]);
+    } catch (e) {
+      property = '(…)';
+    }
+
+    return isArray ? property : `${key}: ${property}`;
+  });
+
+  if (keys.length > MAX_PREVIEW_PROPERTIES) {
+    entries.push('…');
+  }
+
+  return isArray ? `[${entries.join(', ')}]` : `{${entries.join(', ')}}`;
+}
+
+/**
+ * Describes a value for the console, objects are kept in the sandbox and only
+ * get a short preview. Their properties are described when they're expanded.
+ */
+export function describe(value: any): RemoteObject {
+  if (value === null) {
+    return { type: 'null', description: 'null' };
+  }
+
+  if (typeof value === 'function') {
+    return {
+      type: 'function',
+      id: register(value),
+      description: `ƒ ${value.name || 'anonymous'}()`,
+    };
+  }
+
+  if (typeof value !== 'object') {
+    return {
+      type: typeof value,
+      description: typeof value === 'string' ? value : String(value),
+    };
+  }
+
+  return {
+    type: value instanceof Error ? 'error' : 'object',
+    id: register(value),
+    description: describeObject(value),
+    preview: getPreview(value),
+  };
+}
+
+/**
+ * Describes the own properties of an object that was described before,
+ * including the entries of maps and sets and the prototype.
+ */
+export function getProperties(
+  id: number
+): Array<{ name: string, value: RemoteObject }> {
+  if (!objects.has(id)) {
+    throw new Error(
+      'This object is not available anymore, evaluate it again to inspect it.'
+    );
+  }
+
+  const object = objects.get(id);
+  const properties = Object.getOwnPropertyNames(object)
+    .slice(0, MAX_PROPERTIES)
+    .map(name => {
+      try {
+        return { name, value: describe(object[name]) };
+      } catch (e) {
+        return { name, value: { type: 'error', description: String(e) } };
+      }
+    });
+
+  if (object instanceof Map || object instanceof Set) {
+    properties.push({
+      name: '[[Entries]]',
+      value: describe(Array.from(object.entries())),
+    });
+  }
+
+  const prototype = Object.getPrototypeOf(object);
+  if (prototype) {
+    properties.push({ name: '__proto__', value: describe(prototype) });
+  }
+
+  return properties;
+}
+
+/**
+ * Forgets the described objects, called when the console is cleared.
+ */
+export function releaseObjects() {
+  objects.clear();
+}
@@ -0,0 +1,45 @@
+import { describe as describeValue, getProperties } from './remote-objects';
+
+describe('remote objects', () => {
+  it('describes primitives', () => {
+    expect(describeValue('text')).toEqual({
+      type: 'string',
+      description: 'text',
+    });
+    expect(describeValue(undefined)).toEqual({
+      type: 'undefined',
+      description: 'undefined',
+    });
+  });
+
+  it('describes objects with a preview', () => {
+    const description = describeValue({ a: 1, b: 'b', c: { d: 1 } });
+
+    expect(description.type).toBe('object');
+    expect(description.description).toBe('Object');
+    expect(description.preview).toBe('{a: 1, b: "b", c: {…}}');
+  });
+
+  it('describes the properties of an object on request', () => {
+    const map = new Map([['key', 'value']]);
+    const { id } = describeValue({ items: [1, 2], map });
+
+    const properties = getProperties(id);
+
+    expect(properties.map(property => property.name)).toEqual([
+      'items',
+      'map',
+      '__proto__',
+    ]);
+    expect(properties[0].value.description).toBe('Array(2)');
+    expect(properties[0].value.preview).toBe('[1, 2]');
+
+    const mapProperties = getProperties(properties[1].value.id);
+    const entries = mapProperties.find(p => p.name === '[[Entries]]');
+    expect(entries.value.preview).toBe('[Array(2)]');
+  });
+
+  it('throws for unknown objects', () => {
+    expect(() => getProperties(-1)).toThrow(/not available anymore/);
+  });
+});
@@ -0,0 +1,38 @@
+// @flow
+import type Manager from '../eval/manager';
+
+// `https://abc123.codesandbox.io/src/App.js?query:12:5`, the sourceURL of an
+// evaluated module followed by the position
+const FRAME_URL_REGEX = /(https?:\/\/[^/\s)]+)(\/[^?:\s)]*)/g;
+
+/**
+ * The path of the first sandbox file in a stack, which is the file that
+ * called the console. Frames of dependencies and of the bundler are skipped.
+ */
+export function getSourcePath(
+  stack: string,
+  origin: string,
+  isModulePath: (path: string) => boolean
+): ?string {
+  FRAME_URL_REGEX.lastIndex = 0;
+
+  let match = FRAME_URL_REGEX.exec(stack);
+  while (match) {
+    const [, frameOrigin, path] = match;
+    if (
+      frameOrigin === origin &&
+      !path.startsWith('/node_modules/') &&
+      isModulePath(path)
+    ) {
+      return path;
+    }
+
+    match = FRAME_URL_REGEX.exec(stack);
+  }
+
+  return null;
+}
+
+export function isEvaluatedModule(manager: ?Manager, path: string) {
+  return !!manager && !!manager.transpiledModules[path];
+}
@@ -0,0 +1,39 @@
+import { getSourcePath } from './source';
+
+const ORIGIN = 'https://abc123.codesandbox.io';
+
+describe('getSourcePath', () => {
+  const modules = [
+    '/src/App.js',
+    '/src/index.js',
+    '/node_modules/react/index.js',
+  ];
+  const isModulePath = path => modules.includes(path);
+
+  it('returns the first sandbox file of the stack', () => {
+    const stack = [
+      'Error',
+      `    at console.log (${ORIGIN}/static/js/sandbox.js:1:100)`,
+      `    at App (${ORIGIN}/src/App.js:12:5)`,
+      `    at ${ORIGIN}/src/index.js:4:1`,
+    ].join('\n');
+
+    expect(getSourcePath(stack, ORIGIN, isModulePath)).toBe('/src/App.js');
+  });
+
+  it('skips dependencies and other origins', () => {
+    const stack = [
+      'log@https://example.com/src/App.js:1:1',
+      `warning@${ORIGIN}/node_modules/react/index.js:20:3`,
+      `render@${ORIGIN}/src/index.js?module=true:4:1`,
+    ].join('\n');
+
+    expect(getSourcePath(stack, ORIGIN, isModulePath)).toBe('/src/index.js');
+  });
+
+  it('returns null without sandbox files', () => {
+    const stack = `at ${ORIGIN}/static/js/sandbox.js:1:1`;
+
+    expect(getSourcePath(stack, ORIGIN, isModulePath)).toBe(null);
+  });
+});
@@ -0,0 +1,20 @@
+// @flow
+
+import SandboxError from './sandbox-error';
+
+/**
+ * Thrown for a transpilation that was cancelled because the code of the module
+ * changed before it finished, the next compile transpiles it again.
+ */
+export default class TranspilationCancelledError extends SandboxError {
+  constructor(path: string) {
+    super();
+    this.path = path;
+
+    this.name = 'TranspilationCancelledError';
+    this.message = `The transpilation of '${path}' was cancelled because its code changed`;
+  }
+  type = 'transpilation-cancelled';
+  severity = 'warning';
+  path: string;
+}
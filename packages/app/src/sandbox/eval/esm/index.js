@@ -0,0 +1,134 @@
+// @flow
+import type Manager from '../manager';
+import type TranspiledModule from '../transpiled-module';
+import resolveDependency from '../loaders/dependency-resolver';
+import { getInlineSourceMapComment } from '../transpilers/utils/source-maps';
+
+import getInteropCode, { ESM_GLOBAL } from './interop';
+import { getModuleKey, getImportedSpecifiers } from './module-keys';
+
+// An import map can't be changed once a module has been imported, so every
+// evaluation after the first one needs a fresh document
+let importMapAdded = false;
+
+export function supportsImportMaps() {
+  return (
+    typeof HTMLScriptElement !== 'undefined' &&
+    typeof HTMLScriptElement.supports === 'function' &&
+    HTMLScriptElement.supports('importmap')
+  );
+}
+
+function isExternal(specifier: string) {
+  return (
+    specifier.startsWith('babel-runtime') ||
+    specifier.startsWith('codesandbox-api')
+  );
+}
+
+function createURL(code: string) {
+  return URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+}
+
+/**
+ * Evaluates the entry as a native ES module. Every module gets a blob URL and
+ * the rewritten imports in the code are keys of an import map that point to
+ * these URLs, this also works for cyclic imports. Modules that aren't ES
+ * modules (dependencies, styles) are evaluated as CommonJS when they're first
+ * found, and imported through a module that re-exports their exports.
+ */
+export default function evaluateESModules(
+  manager: Manager,
+  entry: TranspiledModule
+): Promise<Object> {
+  if (!supportsImportMaps()) {
+    throw new Error(
+      'This browser does not support import maps, which are needed for the `esModules` option of sandbox.config.json.'
+    );
+  }
+
+  if (importMapAdded) {
+    document.location.reload();
+    return Promise.resolve({});
+  }
+
+  const imports: { [key: string]: string } = {};
+  const interopExports: { [key: string]: any } = {};
+
+  const addInteropModule = (key: string, exports: any) => {
+    interopExports[key] = exports;
+    imports[key] = createURL(getInteropCode(key, exports));
+  };
+
+  const addModule = (tModule: TranspiledModule): string => {
+    const key = getModuleKey(tModule.getId());
+    if (imports[key]) {
+      return imports[key];
+    }
+
+    const { source } = tModule;
+    if (!source || !source.esModule) {
+      addInteropModule(key, manager.evaluateTranspiledModule(tModule));
+      return imports[key];
+    }
+
+    // The URL is created before visiting the imports, so cyclic imports can
+    // point to it
+    imports[key] = createURL(
+      source.sourceMap
+        ? `${source.compiledCode}\n${getInlineSourceMapComment(
+            source.sourceMap
+          )}`
+        : source.compiledCode
+    );
+
+    getImportedSpecifiers(source.compiledCode).forEach(
+      ({ key: specifierKey, specifier }) => {
+        if (isExternal(specifier)) {
+          const externalKey = getModuleKey(specifier);
+          if (!imports[externalKey]) {
+            addInteropModule(
+              externalKey,
+              resolveDependency(specifier, manager.externals)
+            );
+          }
+          imports[specifierKey] = imports[externalKey];
+        } else {
+          imports[specifierKey] = addModule(
+            manager.resolveTranspiledModule(specifier, tModule.module.path)
+          );
+        }
+      }
+    );
+
+    // Modules that can be imported with a computed source
+    tModule.dependencies.forEach(addModule);
+
+    return imports[key];
+  };
+
+  addModule(entry);
+
+  window[ESM_GLOBAL] = {
+    exports: interopExports,
+    // Used by imports with a computed source
+    resolve: (specifier: string, path: string) => {
+      const tModule = manager.resolveTranspiledModule(specifier, path);
+
+      return getModuleKey(tModule.getId());
+    },
+  };
+
+  const importMap = document.createElement('script');
+  importMap.type = 'importmap';
+  importMap.textContent = JSON.stringify({ imports });
+  // $FlowIssue
+  document.head.appendChild(importMap);
+  importMapAdded = true;
+
+  // A plain import() would be handled by webpack
+  // eslint-disable-next-line no-new-func
+  const importModule = new Function('url', 'return import(url)');
+
+  return importModule(getModuleKey(entry.getId()));
+}
@@ -0,0 +1,39 @@
+// @flow
+
+// The global the generated modules use to reach the sandbox
+export const ESM_GLOBAL = '__codesandboxESM';
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * The code of an ES module that exposes the exports of a CommonJS module, like
+ * bundlers do: the default export is `module.exports` (or its `default` for
+ * transpiled ES modules) and every property is a named export.
+ */
+export default function getInteropCode(key: string, exports: any) {
+  const lines = [
+    `const __exports = ${ESM_GLOBAL}.exports[${JSON.stringify(key)}];`,
+    'const __default = __exports && __exports.__esModule',
+    '  ? __exports.default',
+    '  : __exports;',
+    'export { __default as default };',
+  ];
+
+  if (exports != null && /^(object|function)$/.test(typeof exports)) {
+    Object.keys(exports)
+      .filter(
+        name =>
+          name !== 'default' &&
+          name !== '__esModule' &&
+          IDENTIFIER_REGEX.test(name)
+      )
+      .forEach((name, i) => {
+        lines.push(
+          `const __e${i} = __exports[${JSON.stringify(name)}];`,
+          `export { __e${i} as ${name} };`
+        );
+      });
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,29 @@
+import getInteropCode from './interop';
+
+describe('getInteropCode', () => {
+  it('exports module.exports as default and its properties by name', () => {
+    const code = getInteropCode('csb:react', {
+      useState: () => {},
+      delete: true,
+      'not-an-identifier': 1,
+    });
+
+    expect(code).toContain('export { __default as default };');
+    expect(code).toContain('export { __e0 as useState };');
+    expect(code).toContain('export { __e1 as delete };');
+    expect(code).not.toContain('not-an-identifier');
+  });
+
+  it('uses the default export of transpiled ES modules', () => {
+    const code = getInteropCode('csb:lib', { __esModule: true, default: 1 });
+
+    expect(code).toContain('? __exports.default');
+    expect(code).not.toContain('as __esModule');
+  });
+
+  it('only has a default export for primitive exports', () => {
+    const code = getInteropCode('csb:text', 'hello');
+
+    expect(code).not.toContain('__e0');
+  });
+});
@@ -0,0 +1,59 @@
+// @flow
+
+// In the ES module mode the sources of imports are rewritten to keys of the
+// import map of the sandbox. The keys are absolute URLs, so the browser
+// doesn't resolve them relative to the (blob) URL of the importing module.
+const SCHEME = 'csb:';
+const SPECIFIER_KEY_REGEX = /(["'])(csb:[^"'\s#]*#[^"'\s]*)\1/g;
+
+function encode(part: string) {
+  return encodeURIComponent(part)
+    .replace(/'/g, '%27')
+    .replace(/%2F/g, '/');
+}
+
+/**
+ * The key of a module in the import map, `id` is the id of a transpiled module
+ * or the name of an external dependency.
+ */
+export function getModuleKey(id: string) {
+  return `${SCHEME}${encode(id)}`;
+}
+
+/**
+ * The key an import of `specifier` in the file at `path` is rewritten to.
+ */
+export function getSpecifierKey(path: string, specifier: string) {
+  return `${SCHEME}${encode(path)}#${encode(specifier)}`;
+}
+
+export function isKey(specifier: string) {
+  return specifier.startsWith(SCHEME);
+}
+
+/**
+ * Finds the rewritten imports in the transpiled code of a module.
+ */
+export function getImportedSpecifiers(
+  code: string
+): Array<{ key: string, specifier: string }> {
+  const specifiers = [];
+  const keys = new Set();
+
+  let match = SPECIFIER_KEY_REGEX.exec(code);
+  while (match) {
+    const key = match[2];
+
+    if (!keys.has(key)) {
+      keys.add(key);
+      specifiers.push({
+        key,
+        specifier: decodeURIComponent(key.slice(key.indexOf('#') + 1)),
+      });
+    }
+
+    match = SPECIFIER_KEY_REGEX.exec(code);
+  }
+
+  return specifiers;
+}
@@ -0,0 +1,39 @@
+import {
+  getModuleKey,
+  getSpecifierKey,
+  getImportedSpecifiers,
+} from './module-keys';
+
+describe('module-keys', () => {
+  it('creates keys that are absolute URLs', () => {
+    expect(getModuleKey('/src/App.js:')).toBe('csb:/src/App.js%3A');
+    expect(getSpecifierKey('/src/index.js', './App')).toBe(
+      'csb:/src/index.js#./App'
+    );
+  });
+
+  it('escapes characters that would end the string in the code', () => {
+    expect(getSpecifierKey('/src/index.js', "./it's.js")).toBe(
+      'csb:/src/index.js#./it%27s.js'
+    );
+  });
+
+  it('finds the rewritten imports in the code', () => {
+    const appKey = getSpecifierKey('/src/index.js', './App');
+    const cssKey = getSpecifierKey(
+      '/src/index.js',
+      '!style-loader?module=true!./styles.css'
+    );
+    const code = [
+      `import App from "${appKey}";`,
+      `import styles from '${cssKey}';`,
+      `export { default } from "${appKey}";`,
+      'const text = "csb: not an import";',
+    ].join('\n');
+
+    expect(getImportedSpecifiers(code)).toEqual([
+      { key: appKey, specifier: './App' },
+      { key: cssKey, specifier: '!style-loader?module=true!./styles.css' },
+    ]);
+  });
+});
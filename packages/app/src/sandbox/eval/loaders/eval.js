@@ -1,5 +1,9 @@
 // @flow
 import buildProcess from './utils/process';
+import {
+  getInlineSourceMapComment,
+  type RawSourceMap,
+} from '../transpilers/utils/source-maps';
 
 /* eslint-disable no-unused-vars */
 export default function(
@@ -8,7 +12,10 @@ export default function(
   module: Object,
   env: Object = {},
   globals: Object = {},
-  { asUMD = false }: { asUMD: boolean } = {}
+  {
+    asUMD = false,
+    sourceMap,
+  }: { asUMD: boolean, sourceMap?: ?RawSourceMap } = {}
 ) {
   const g = typeof window === 'undefined' ? self : window;
   const exports = module.exports;
@@ -17,17 +24,27 @@ export default function(
   const process = buildProcess(env);
   g.global = global;
 
-  const globalsCode = ', ' + Object.keys(globals).join(', ');
-  const globalsValues = Object.keys(globals).map(k => globals[k]);
+  // setImmediate is already an argument, but it can be overridden by the globals
+  const usedSetImmediate = globals.setImmediate || setImmediate;
+  const globalNames = Object.keys(globals).filter(k => k !== 'setImmediate');
+
+  const globalsCode = ', ' + globalNames.join(', ');
+  const globalsValues = globalNames.map(k => globals[k]);
+  // The wrapper is on the first line of the code, so only the columns of the
+  // first line are off in the source map
+  const sourceMapComment = sourceMap
+    ? `\n${getInlineSourceMapComment(sourceMap)}`
+    : '';
+
   try {
-    const newCode = `(function evaluate(require, module, exports, process, setImmediate, global${globalsCode}) {${code}\n})`;
+    const newCode = `(function evaluate(require, module, exports, process, setImmediate, global${globalsCode}) {${code}\n})${sourceMapComment}`;
     // eslint-disable-next-line no-eval
     (0, eval)(newCode).apply(this, [
       require,
       asUMD ? undefined : module,
       asUMD ? undefined : exports,
       process,
-      setImmediate,
+      usedSetImmediate,
       asUMD ? undefined : global,
       ...globalsValues,
     ]);
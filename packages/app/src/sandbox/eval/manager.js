@@ -2,6 +2,7 @@
 import { flattenDeep, uniq, values, isEqual } from 'lodash-es';
 import resolve from 'browser-resolve';
 import localforage from 'localforage';
+import { dispatch, actions } from 'codesandbox-api';
 
 import * as pathUtils from 'common/utils/path';
 import _debug from 'app/utils/debug';
@@ -20,9 +21,14 @@ import getDependencyName from './utils/get-dependency-name';
 import DependencyNotFoundError from '../errors/dependency-not-found-error';
 import ModuleNotFoundError from '../errors/module-not-found-error';
 import TestRunner from './tests/jest-lite';
+import { getResolution, hasTestResolution } from './tests/jest-config';
+import type MockRegistry from './tests/mock-registry';
 import dependenciesToQuery from '../npm/dependencies-to-query';
 import isESModule from './utils/is-es-module';
 import { packageFilter } from './utils/resolve-utils';
+import scheduler from './transpilers/scheduler';
+import evaluateESModules from './esm';
+import workers from './workers';
 
 import { ignoreNextCache, deleteAPICache } from './cache';
 
@@ -75,6 +81,10 @@ const debug = _debug('cs:compiler:manager');
 
 type HMRStatus = 'idle' | 'check' | 'apply' | 'fail' | 'dispose';
 type Stage = 'transpilation' | 'evaluation';
+type FileChangeListener = (event: 'rename' | 'change', path: string) => void;
+
+// Dependencies are also in the file system, but they're not part of the sandbox
+const isSandboxPath = (path: string) => !path.startsWith('/node_modules');
 
 export default class Manager {
   id: string;
@@ -96,6 +106,7 @@ export default class Manager {
   hardReload: boolean;
   hmrStatus: HMRStatus = 'idle';
   hmrStatusChangeListeners: Set<Function>;
+  fileChangeListeners: Set<FileChangeListener> = new Set();
   testRunner: TestRunner;
   isFirstLoad: boolean;
 
@@ -129,6 +140,7 @@ export default class Manager {
     this.modules = modules;
     Object.keys(modules).forEach(k => this.addModule(modules[k]));
     this.testRunner = new TestRunner(this);
+    workers.setManager(this);
 
     window.manager = this;
     if (process.env.NODE_ENV === 'development') {
@@ -146,22 +158,148 @@ export default class Manager {
     );
   }
 
+  // Files created through the file system, we tell the editor about them
+  // after the code has been written to them
+  pendingFileCreations: Set<string> = new Set();
+
+  /**
+   * The file system of the sandbox (and the transpilers) goes through this,
+   * every change is written through to the editor so it ends up in the
+   * sandbox.
+   */
   bfsWrapper = {
     getTranspiledModules: () => this.transpiledModules,
     addModule: (module: Module) => {
       this.addModule(module);
+      this.emitFileChange('rename', module.path);
+
+      if (isSandboxPath(module.path)) {
+        this.modules[module.path] = module;
+        this.pendingFileCreations.add(module.path);
+        setTimeout(this.flushFileCreations);
+      }
     },
     removeModule: (module: Module) => {
       this.removeModule(module);
+      this.emitFileChange('rename', module.path);
+
+      if (isSandboxPath(module.path)) {
+        delete this.modules[module.path];
+
+        if (!this.pendingFileCreations.delete(module.path)) {
+          dispatch(actions.source.files.remove(module.path));
+        }
+      }
     },
     moveModule: (module: Module, newPath: string) => {
       this.moveModule(module, newPath);
+      this.emitFileChange('rename', module.path);
+      this.emitFileChange('rename', newPath);
+
+      if (isSandboxPath(module.path)) {
+        delete this.modules[module.path];
+        this.modules[newPath] = { ...module, path: newPath };
+
+        if (this.pendingFileCreations.delete(module.path)) {
+          this.pendingFileCreations.add(newPath);
+        } else {
+          dispatch(actions.source.files.rename(module.path, newPath));
+        }
+      }
     },
     updateModule: (module: Module) => {
       this.updateModule(module);
+      this.emitFileChange('change', module.path);
+
+      if (isSandboxPath(module.path)) {
+        this.modules[module.path] = module;
+
+        if (!this.pendingFileCreations.has(module.path)) {
+          dispatch(
+            actions.source.files.update(module.path, module.code || '')
+          );
+        }
+      }
     },
+    addDirectory: (path: string) => {
+      this.emitFileChange('rename', path);
+
+      if (isSandboxPath(path)) {
+        dispatch(actions.source.directories.create(path));
+      }
+    },
+    removeDirectory: (path: string) => {
+      this.getModulesInDirectory(path).forEach(module => {
+        this.removeModule(module);
+        delete this.modules[module.path];
+        this.pendingFileCreations.delete(module.path);
+        this.emitFileChange('rename', module.path);
+      });
+      this.emitFileChange('rename', path);
+
+      if (isSandboxPath(path)) {
+        dispatch(actions.source.directories.remove(path));
+      }
+    },
+    moveDirectory: (path: string, newPath: string) => {
+      this.getModulesInDirectory(path).forEach(module => {
+        const newModulePath = newPath + module.path.slice(path.length);
+
+        this.moveModule(module, newModulePath);
+        delete this.modules[module.path];
+        this.modules[newModulePath] = { ...module, path: newModulePath };
+
+        if (this.pendingFileCreations.delete(module.path)) {
+          this.pendingFileCreations.add(newModulePath);
+        }
+
+        this.emitFileChange('rename', module.path);
+        this.emitFileChange('rename', newModulePath);
+      });
+      this.emitFileChange('rename', path);
+      this.emitFileChange('rename', newPath);
+
+      if (isSandboxPath(path)) {
+        dispatch(actions.source.directories.rename(path, newPath));
+      }
+    },
+    addChangeListener: (listener: FileChangeListener) => {
+      this.fileChangeListeners.add(listener);
+
+      return () => {
+        this.fileChangeListeners.delete(listener);
+      };
+    },
+  };
+
+  /**
+   * Lets the watchers of the file system (`fs.watch`) know that a file or
+   * directory changed, 'rename' means that it was added or removed.
+   */
+  emitFileChange(event: 'rename' | 'change', path: string) {
+    this.fileChangeListeners.forEach(listener => listener(event, path));
+  }
+
+  flushFileCreations = () => {
+    this.pendingFileCreations.forEach(path => {
+      const moduleInfo = this.transpiledModules[path];
+
+      if (moduleInfo) {
+        dispatch(
+          actions.source.files.create(path, moduleInfo.module.code || '')
+        );
+      }
+    });
+
+    this.pendingFileCreations.clear();
   };
 
+  getModulesInDirectory(path: string): Array<Module> {
+    return values(this.transpiledModules)
+      .map(moduleInfo => moduleInfo.module)
+      .filter(module => module.path.startsWith(`${path}/`));
+  }
+
   resetAllModules() {
     this.getTranspiledModules().forEach(t => {
       t.resetTranspilation();
@@ -227,13 +365,19 @@ export default class Manager {
     debug(`Loaded manifest.`);
   }
 
-  evaluateModule(module: Module, force: boolean = false) {
+  evaluateModule(
+    module: Module,
+    force: boolean = false,
+    mockRegistry?: MockRegistry
+  ) {
     if (this.hardReload && !this.isFirstLoad) {
       // Do a hard reload
       document.location.reload();
       return {};
     }
 
+    workers.resetChangedWorkers();
+
     // Evaluate the *changed* HMR modules first
     this.getTranspiledModules()
       .filter(t => t.hmrConfig && t.hmrConfig.isDirty())
@@ -246,7 +390,11 @@ export default class Manager {
     }
 
     try {
-      const exports = this.evaluateTranspiledModule(transpiledModule);
+      const exports = this.evaluateTranspiledModule(
+        transpiledModule,
+        undefined,
+        mockRegistry
+      );
 
       this.setHmrStatus('idle');
 
@@ -259,11 +407,43 @@ export default class Manager {
     }
   }
 
+  /**
+   * Evaluates the module and its imports as native ES modules, used when
+   * `esModules` is enabled in sandbox.config.json
+   */
+  async evaluateESModule(module: Module) {
+    if (this.hardReload && !this.isFirstLoad) {
+      document.location.reload();
+      return {};
+    }
+
+    try {
+      const exports = await evaluateESModules(
+        this,
+        this.getTranspiledModule(module)
+      );
+
+      this.setHmrStatus('idle');
+
+      return exports;
+    } finally {
+      this.getTranspiledModules().forEach(t => t.postEvaluate(this));
+    }
+  }
+
+  usesESModules() {
+    return !!(
+      this.configurations.sandbox &&
+      this.configurations.sandbox.parsed.esModules
+    );
+  }
+
   evaluateTranspiledModule(
     transpiledModule: TranspiledModule,
-    initiator?: TranspiledModule
+    initiator?: TranspiledModule,
+    mockRegistry?: MockRegistry
   ) {
-    return transpiledModule.evaluate(this, undefined, initiator);
+    return transpiledModule.evaluate(this, { mockRegistry }, initiator);
   }
 
   addModule(module: Module) {
@@ -465,17 +645,66 @@ export default class Manager {
       .replace(/.*\{\{sandboxRoot\}\}/, '');
   }
 
+  /**
+   * Whether tests resolve paths differently from the preview, because of the
+   * `moduleNameMapper` or `moduleDirectories` of the Jest config.
+   */
+  hasTestResolution() {
+    return hasTestResolution(this.testRunner.config);
+  }
+
+  /**
+   * Resolve the module of the path. Tests resolve like Jest: paths that match
+   * the `moduleNameMapper` of the Jest config are replaced with the mapped
+   * paths first, and the `moduleDirectories` of the config are searched.
+   */
   resolveModule(
     path: string,
     currentPath: string,
-    defaultExtensions: Array<string> = ['js', 'jsx', 'json']
+    defaultExtensions: Array<string> = ['js', 'jsx', 'json'],
+    isTest: boolean = false
+  ): Module {
+    const { paths, moduleDirectories } = getResolution(
+      this.testRunner.config,
+      path,
+      isTest
+    );
+
+    // Like Jest we use the first mapped path that resolves
+    let lastError;
+    for (let i = 0; i < paths.length; i += 1) {
+      try {
+        return this.resolveUnmappedModule(
+          paths[i],
+          currentPath,
+          defaultExtensions,
+          moduleDirectories,
+          isTest
+        );
+      } catch (e) {
+        lastError = e;
+      }
+    }
+
+    throw lastError;
+  }
+
+  resolveUnmappedModule(
+    path: string,
+    currentPath: string,
+    defaultExtensions: Array<string>,
+    moduleDirectories: Array<string>,
+    isTest: boolean
   ): Module {
     const dirredPath = pathUtils.dirname(currentPath);
-    if (this.cachedPaths[dirredPath] === undefined) {
-      this.cachedPaths[dirredPath] = {};
+    // Tests can resolve the same path to another module, so they're cached
+    // separately
+    const cacheKey = isTest ? `test:${dirredPath}` : dirredPath;
+    if (this.cachedPaths[cacheKey] === undefined) {
+      this.cachedPaths[cacheKey] = {};
     }
 
-    const cachedPath = this.cachedPaths[dirredPath][path];
+    const cachedPath = this.cachedPaths[cacheKey][path];
 
     let resolvedPath;
 
@@ -491,7 +720,7 @@ export default class Manager {
       const shimmedPath = coreLibraries[aliasedPath] || aliasedPath;
 
       if (NODE_LIBS.includes(shimmedPath)) {
-        this.cachedPaths[dirredPath][path] = shimmedPath;
+        this.cachedPaths[cacheKey][path] = shimmedPath;
         return SHIMMED_MODULE;
       }
 
@@ -502,12 +731,13 @@ export default class Manager {
           isFile: this.isFile,
           readFileSync: this.readFileSync,
           packageFilter,
-          moduleDirectory: ['node_modules', this.envVariables.NODE_PATH].filter(
-            Boolean
-          ),
+          moduleDirectory: [
+            ...moduleDirectories,
+            this.envVariables.NODE_PATH,
+          ].filter(Boolean),
         });
 
-        this.cachedPaths[dirredPath][path] = resolvedPath;
+        this.cachedPaths[cacheKey][path] = resolvedPath;
 
         if (resolvedPath === '//empty.js') {
           return SHIMMED_MODULE;
@@ -517,11 +747,8 @@ export default class Manager {
           throw new Error(`Could not find '${resolvedPath}' in local files.`);
         }
       } catch (e) {
-        if (
-          this.cachedPaths[dirredPath] &&
-          this.cachedPaths[dirredPath][path]
-        ) {
-          delete this.cachedPaths[dirredPath][path];
+        if (this.cachedPaths[cacheKey] && this.cachedPaths[cacheKey][path]) {
+          delete this.cachedPaths[cacheKey][path];
         }
 
         let connectedPath = /^(\w|@\w)/.test(shimmedPath)
@@ -617,7 +844,8 @@ export default class Manager {
   resolveTranspiledModule(
     path: string,
     currentPath: string,
-    ignoredExtensions?: Array<string>
+    ignoredExtensions?: Array<string>,
+    isTest: boolean = false
   ): TranspiledModule {
     if (path.startsWith('webpack:')) {
       throw new Error('Cannot resolve webpack path');
@@ -630,7 +858,8 @@ export default class Manager {
     const module = this.resolveModule(
       modulePath,
       currentPath,
-      ignoredExtensions || this.preset.ignoredExtensions
+      ignoredExtensions || this.preset.ignoredExtensions,
+      isTest
     );
 
     return this.getTranspiledModule(module, queryPath.join('!'));
@@ -671,6 +900,21 @@ export default class Manager {
     this.configurations = configurations;
   }
 
+  /**
+   * Cancels the transpilations of modules whose code changed since they were
+   * started, so a compile with outdated code finishes early. The next compile
+   * (with the given modules) transpiles them again.
+   */
+  cancelOutdatedTranspilations(modules: { [path: string]: Module }) {
+    Object.keys(modules).forEach(path => {
+      const moduleInfo = this.transpiledModules[path];
+
+      if (moduleInfo && moduleInfo.module.code !== modules[path].code) {
+        scheduler.cancel(path);
+      }
+    });
+  }
+
   /**
    * Find all changed, added and deleted modules. Update trees and
    * delete caches accordingly
@@ -684,6 +928,7 @@ export default class Manager {
 
     const addedModules: Array<Module> = [];
     const updatedModules: Array<Module> = [];
+    const removedModules: Array<Module> = [];
 
     Object.keys(modules).forEach(k => {
       const module: Module = modules[k];
@@ -708,6 +953,7 @@ export default class Manager {
         !m.parent // not an emitted module
       ) {
         this.removeModule(m);
+        removedModules.push(m);
       }
     });
 
@@ -725,6 +971,10 @@ export default class Manager {
     // dependency graph each time a file changes
     const tModulesToUpdate = modulesToUpdate.map(m => this.updateModule(m));
 
+    removedModules.forEach(m => this.emitFileChange('rename', m.path));
+    addedModules.forEach(m => this.emitFileChange('rename', m.path));
+    updatedModules.forEach(m => this.emitFileChange('change', m.path));
+
     if (tModulesToUpdate.length > 0 && this.configurations.sandbox) {
       this.hardReload = this.configurations.sandbox.parsed.hardReloadOnChange;
     }
@@ -785,6 +1035,12 @@ export default class Manager {
       Object.keys(this.transpiledModules[path].tModules).forEach(query => {
         const tModule = this.transpiledModules[path].tModules[query];
 
+        // Instrumented code is only used by test runs with coverage, a
+        // cached transpilation should be usable by every run
+        if (tModule.instrumented) {
+          return;
+        }
+
         if (
           !this.manifest.contents[tModule.module.path] ||
           (tModule.module.path.endsWith('.js') &&
@@ -898,6 +1154,8 @@ export default class Manager {
   }
 
   dispose() {
+    workers.terminateAll();
+
     if (this.preset) {
       this.preset.transpilers.forEach(t => {
         t.dispose();
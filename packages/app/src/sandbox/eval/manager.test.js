@@ -0,0 +1,172 @@
+import { listen } from 'codesandbox-api';
+
+import Manager from './manager';
+
+jest.mock('../', () => ({ SCRIPT_VERSION: 1 }));
+jest.mock('./workers', () => ({ setManager: () => {} }));
+jest.mock('./tests/jest-lite', () => class TestRunner {});
+jest.mock('localforage', () => ({
+  config: () => {},
+  keys: () => Promise.resolve([]),
+  createInstance: () => ({}),
+}));
+
+function createModules(paths) {
+  const modules = {};
+  paths.forEach(path => {
+    modules[path] = { path, code: `// ${path}` };
+  });
+
+  return modules;
+}
+
+describe('Manager', () => {
+  describe('bfsWrapper', () => {
+    let messages;
+    let unlisten;
+    let changes;
+
+    beforeAll(() => {
+      global.BrowserFS = { configure: () => {} };
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      messages = [];
+      changes = [];
+      unlisten = listen(message => messages.push(message));
+    });
+
+    afterEach(() => {
+      unlisten();
+      jest.useRealTimers();
+    });
+
+    function createManager(paths) {
+      const manager = new Manager('sandbox', {}, createModules(paths));
+      manager.bfsWrapper.addChangeListener((event, path) =>
+        changes.push(`${event} ${path}`)
+      );
+
+      return manager;
+    }
+
+    const actions = () =>
+      messages.map(({ action, path, newPath, code }) =>
+        [action, path, newPath, code].filter(Boolean).join(' ')
+      );
+
+    it('creates new files after the code has been written to them', () => {
+      const manager = createManager(['/src/index.js']);
+      const { bfsWrapper } = manager;
+
+      bfsWrapper.addModule({ path: '/src/a.js', code: '' });
+      bfsWrapper.updateModule({ path: '/src/a.js', code: 'a' });
+      bfsWrapper.addModule({ path: '/src/b.js', code: '' });
+      bfsWrapper.moveModule({ path: '/src/b.js', code: '' }, '/src/c.js');
+      bfsWrapper.addModule({ path: '/src/d.js', code: '' });
+      bfsWrapper.removeModule({ path: '/src/d.js', code: '' });
+
+      expect(messages).toEqual([]);
+
+      jest.runAllTimers();
+
+      expect(actions()).toEqual([
+        'source.files.create /src/a.js a',
+        'source.files.create /src/c.js',
+      ]);
+      expect(manager.modules['/src/a.js'].code).toBe('a');
+      expect(manager.modules['/src/d.js']).toBeUndefined();
+    });
+
+    it('writes changes of existing files through to the editor', () => {
+      const manager = createManager(['/src/index.js', '/src/a.js']);
+      const { bfsWrapper } = manager;
+
+      bfsWrapper.updateModule({ path: '/src/index.js', code: 'index' });
+      bfsWrapper.moveModule(manager.modules['/src/a.js'], '/src/b.js');
+      bfsWrapper.removeModule(manager.modules['/src/index.js']);
+
+      expect(actions()).toEqual([
+        'source.files.update /src/index.js index',
+        'source.files.rename /src/a.js /src/b.js',
+        'source.files.remove /src/index.js',
+      ]);
+      expect(Object.keys(manager.transpiledModules)).toEqual(['/src/b.js']);
+      expect(changes).toEqual([
+        'change /src/index.js',
+        'rename /src/a.js',
+        'rename /src/b.js',
+        'rename /src/index.js',
+      ]);
+    });
+
+    it("doesn't write changes of dependencies through", () => {
+      const manager = createManager([]);
+
+      manager.bfsWrapper.addModule({
+        path: '/node_modules/react/index.js',
+        code: '',
+      });
+      jest.runAllTimers();
+
+      expect(messages).toEqual([]);
+      expect(manager.transpiledModules['/node_modules/react/index.js']).toEqual(
+        expect.objectContaining({
+          module: { path: '/node_modules/react/index.js', code: '' },
+        })
+      );
+    });
+
+    it('moves the modules of a directory, not of directories with the same prefix', () => {
+      const manager = createManager([
+        '/src/app/index.js',
+        '/src/app/utils/sum.js',
+        '/src/apple.js',
+      ]);
+
+      manager.bfsWrapper.moveDirectory('/src/app', '/src/main');
+
+      expect(Object.keys(manager.transpiledModules).sort()).toEqual([
+        '/src/apple.js',
+        '/src/main/index.js',
+        '/src/main/utils/sum.js',
+      ]);
+      expect(Object.keys(manager.modules).sort()).toEqual([
+        '/src/apple.js',
+        '/src/main/index.js',
+        '/src/main/utils/sum.js',
+      ]);
+      expect(actions()).toEqual([
+        'source.directories.rename /src/app /src/main',
+      ]);
+    });
+
+    it('moves the pending creations along with their directory', () => {
+      const manager = createManager(['/src/app/index.js']);
+      const { bfsWrapper } = manager;
+
+      bfsWrapper.addModule({ path: '/src/app/new.js', code: 'new' });
+      bfsWrapper.moveDirectory('/src/app', '/src/main');
+      jest.runAllTimers();
+
+      expect(actions()).toEqual([
+        'source.directories.rename /src/app /src/main',
+        'source.files.create /src/main/new.js new',
+      ]);
+    });
+
+    it('removes the modules of a directory', () => {
+      const manager = createManager(['/src/app/index.js', '/src/apple.js']);
+      const { bfsWrapper } = manager;
+
+      bfsWrapper.addModule({ path: '/src/app/new.js', code: '' });
+      bfsWrapper.removeDirectory('/src/app');
+      jest.runAllTimers();
+
+      expect(Object.keys(manager.transpiledModules)).toEqual(['/src/apple.js']);
+      expect(Object.keys(manager.modules)).toEqual(['/src/apple.js']);
+      expect(actions()).toEqual(['source.directories.remove /src/app']);
+    });
+  });
+});
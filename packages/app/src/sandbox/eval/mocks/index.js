@@ -0,0 +1,220 @@
+// @flow
+import { dispatch } from 'codesandbox-api';
+import { Encode } from 'console-feed/lib/Transform';
+import { flatten } from 'lodash-es';
+import delay from 'common/utils/delay';
+
+import {
+  addRequestInterceptor,
+  serializeHeaders,
+  type InterceptedRequest,
+  type InterceptedResponse,
+} from '../../requests';
+import type Manager from '../manager';
+import { getMockOptions, type MockOptions } from './options';
+import { getRoutes, matchRoute, type Route } from './routes';
+
+const MOCK_FILE_REGEX = /\.(js|jsx|ts|tsx|mjs)$/;
+type MockRequest = {
+  method: string,
+  headers: { [name: string]: string },
+  body: ?string,
+};
+
+type Match = {
+  route: Route,
+  params: { [name: string]: string },
+  url: URL,
+  options: MockOptions,
+};
+
+let options: ?MockOptions = null;
+let routes: Array<Route> = [];
+
+function getMockModules(manager: Manager) {
+  const { sandbox } = manager.configurations;
+  const mockOptions = getMockOptions(sandbox && sandbox.parsed);
+
+  if (!mockOptions) {
+    return [];
+  }
+
+  return manager
+    .getModulesInDirectory(mockOptions.directory)
+    .filter(module => MOCK_FILE_REGEX.test(module.path));
+}
+
+/**
+ * Transpiles the route files in the mocks directory with the loaders of the
+ * preset.
+ */
+export function transpileMocks(manager: Manager) {
+  return Promise.all(
+    getMockModules(manager).map(module => manager.transpileModules(module))
+  );
+}
+
+/**
+ * Evaluates the route files, the requests of the sandbox are answered by
+ * these routes from now on.
+ */
+export function evaluateMocks(manager: Manager) {
+  const { sandbox } = manager.configurations;
+  const modules = getMockModules(manager);
+
+  options = getMockOptions(sandbox && sandbox.parsed);
+  routes = flatten(
+    modules.map(module =>
+      getRoutes(
+        module.path,
+        manager.evaluateTranspiledModule(manager.getTranspiledModule(module))
+      )
+    )
+  );
+}
+
+function log(method: 'info' | 'warn' | 'error', message: string) {
+  dispatch({
+    type: 'console',
+    log: Encode({ method, data: [message] }),
+  });
+}
+
+function getMatch(method: string, url: string): ?Match {
+  const mockOptions = options;
+  if (!mockOptions || routes.length === 0) {
+    return null;
+  }
+
+  let parsedURL;
+  try {
+    parsedURL = new URL(url, document.location.href);
+  } catch (e) {
+    return null;
+  }
+
+  const match = matchRoute(routes, method, parsedURL, document.location.origin);
+
+  return match && { ...match, url: parsedURL, options: mockOptions };
+}
+
+function parseBody(body: ?string) {
+  if (!body) {
+    return body;
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    return body;
+  }
+}
+
+async function toResponse(
+  value: any,
+  status: number = 200
+): Promise<InterceptedResponse> {
+  if (typeof Response !== 'undefined' && value instanceof Response) {
+    return {
+      status: value.status,
+      statusText: value.statusText,
+      headers: serializeHeaders(value.headers),
+      body: await value.text(),
+    };
+  }
+
+  if (value === undefined) {
+    return { status: 204, statusText: 'No Content', headers: {}, body: '' };
+  }
+
+  if (typeof value === 'string') {
+    return {
+      status,
+      statusText: '',
+      headers: { 'content-type': 'text/plain' },
+      body: value,
+    };
+  }
+
+  return {
+    status,
+    statusText: '',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(value),
+  };
+}
+
+async function respond(
+  { route, params, url, options: mockOptions }: Match,
+  request: MockRequest
+): Promise<InterceptedResponse> {
+  const start = Date.now();
+  const { errorRate, errorStatus, latency } = mockOptions;
+  let response;
+
+  if (errorRate > 0 && Math.random() < errorRate) {
+    response = await toResponse(
+      { error: 'This error was injected by the mocks of the sandbox.' },
+      errorStatus
+    );
+  } else {
+    try {
+      const query = {};
+      url.searchParams.forEach((value, name) => {
+        query[name] = value;
+      });
+
+      const value =
+        typeof route.handler === 'function'
+          ? await route.handler({
+              method: request.method,
+              url: url.href,
+              path: url.pathname,
+              params,
+              query,
+              headers: request.headers,
+              body: parseBody(request.body),
+            })
+          : route.handler;
+
+      response = await toResponse(value);
+    } catch (e) {
+      log('error', `${route.file}: '${route.key}' threw ${e}`);
+      response = await toResponse({ error: e.message }, 500);
+    }
+  }
+
+  await delay(latency);
+
+  log(
+    response.status >= 400 ? 'warn' : 'info',
+    `[mock] ${request.method} ${url.href} ${response.status} (${
+      route.key
+    } in ${route.file}, ${Date.now() - start}ms)`
+  );
+
+  return response;
+}
+
+function respondToRequest(request: InterceptedRequest) {
+  const match = getMatch(request.method, request.url);
+
+  return (
+    match &&
+    request.readBody().then(body =>
+      respond(match, {
+        method: request.method,
+        headers: request.headers,
+        body,
+      })
+    )
+  );
+}
+
+/**
+ * Answers the `fetch` and XMLHttpRequest calls that match a route of the mocks
+ * directory, configured with `mocks` in sandbox.config.json.
+ */
+export default function setupMocks() {
+  addRequestInterceptor({ respond: respondToRequest });
+}
@@ -0,0 +1,43 @@
+// @flow
+
+export type MockOptions = {
+  directory: string,
+  // The delay of every response in ms
+  latency: number,
+  // The chance (0 to 1) that a request fails with `errorStatus`
+  errorRate: number,
+  errorStatus: number,
+};
+
+const DEFAULT_OPTIONS: MockOptions = {
+  directory: '/mocks',
+  latency: 0,
+  errorRate: 0,
+  errorStatus: 500,
+};
+
+/**
+ * Reads the `mocks` option of sandbox.config.json, which is either `true` or
+ * an object with the options.
+ */
+export function getMockOptions(sandboxOptions: ?Object): ?MockOptions {
+  const mocks = sandboxOptions && sandboxOptions.mocks;
+
+  if (!mocks) {
+    return null;
+  }
+
+  const options = {
+    ...DEFAULT_OPTIONS,
+    ...(typeof mocks === 'object' ? mocks : {}),
+  };
+  const directory = `/${options.directory.replace(/^\/+|\/+$/g, '')}`;
+
+  return { ...options, directory };
+}
+
+export function isMockPath(path: string, sandboxOptions: ?Object) {
+  const options = getMockOptions(sandboxOptions);
+
+  return !!options && path.startsWith(`${options.directory}/`);
+}
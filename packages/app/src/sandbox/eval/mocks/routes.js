@@ -0,0 +1,108 @@
+// @flow
+
+export type Route = {
+  key: string,
+  file: string,
+  method: ?string,
+  origin: ?string,
+  regex: RegExp,
+  params: Array<string>,
+  handler: any,
+};
+
+function escapeRegExp(text: string) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parses a route like `GET /api/users/:id`. The method is optional, routes
+ * without an origin match the requests to the sandbox itself.
+ */
+export function parseRoute(file: string, key: string, handler: any): Route {
+  const match = key.trim().match(/^(?:([A-Za-z]+)\s+)?(\S+)$/);
+  if (!match) {
+    throw new Error(`${file}: '${key}' is not a valid route.`);
+  }
+
+  const url = match[2].match(/^(https?:\/\/[^/]+)?(\/.*)?$/);
+  if (!url) {
+    throw new Error(`${file}: the path of '${key}' should start with a '/'.`);
+  }
+
+  const params = [];
+  const source = (url[2] || '/')
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        params.push(segment.slice(1));
+        return '([^/]+)';
+      }
+
+      if (segment === '*') {
+        return '.*';
+      }
+
+      return escapeRegExp(segment);
+    })
+    .join('/');
+
+  return {
+    key,
+    file,
+    method: match[1] ? match[1].toUpperCase() : null,
+    origin: url[1] ? url[1].toLowerCase() : null,
+    regex: new RegExp(`^${source}/?$`),
+    params,
+    handler,
+  };
+}
+
+/**
+ * Gets the routes of the exports of a mock file, the file exports an object
+ * with a handler (or a value to respond with) per route.
+ */
+export function getRoutes(file: string, exports: any): Array<Route> {
+  const routes = exports && exports.__esModule ? exports.default : exports;
+
+  if (!routes || typeof routes !== 'object') {
+    throw new Error(
+      `${file} should export an object of routes, like { 'GET /api/users': () => [] }.`
+    );
+  }
+
+  return Object.keys(routes).map(key => parseRoute(file, key, routes[key]));
+}
+
+/**
+ * Finds the first route that matches the request, `sandboxOrigin` is the
+ * origin of the requests to the sandbox itself.
+ */
+export function matchRoute(
+  routes: Array<Route>,
+  method: string,
+  url: { origin: string, pathname: string },
+  sandboxOrigin: string
+): ?{ route: Route, params: { [name: string]: string } } {
+  const upperMethod = method.toUpperCase();
+  const origin = url.origin.toLowerCase();
+
+  for (let i = 0; i < routes.length; i += 1) {
+    const route = routes[i];
+    const match = route.regex.exec(url.pathname);
+
+    if (
+      match &&
+      (!route.method || route.method === upperMethod) &&
+      (route.origin || sandboxOrigin.toLowerCase()) === origin
+    ) {
+      const params = {};
+      route.params.forEach((name, index) => {
+        params[name] = decodeURIComponent(match[index + 1]);
+      });
+
+      return { route, params };
+    }
+  }
+
+  return null;
+}
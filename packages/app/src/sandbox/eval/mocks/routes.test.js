@@ -0,0 +1,111 @@
+import { parseRoute, getRoutes, matchRoute } from './routes';
+
+const SANDBOX_ORIGIN = 'https://abc123.codesandbox.io';
+
+function request(url) {
+  const [, origin, pathname] = url.match(/^(https?:\/\/[^/]+)(\/.*)?$/);
+  return { origin, pathname: pathname || '/' };
+}
+
+describe('mock routes', () => {
+  describe('parseRoute', () => {
+    it('parses the method, origin and params', () => {
+      const route = parseRoute(
+        '/mocks/users.js',
+        'get https://API.example.com/users/:id',
+        null
+      );
+
+      expect(route.method).toBe('GET');
+      expect(route.origin).toBe('https://api.example.com');
+      expect(route.params).toEqual(['id']);
+    });
+
+    it('throws for a path without a slash', () => {
+      expect(() => parseRoute('/mocks/users.js', 'GET users', null)).toThrow(
+        "/mocks/users.js: the path of 'GET users' should start with a '/'."
+      );
+    });
+  });
+
+  describe('getRoutes', () => {
+    it('reads the default export', () => {
+      const routes = getRoutes('/mocks/users.js', {
+        __esModule: true,
+        default: { 'GET /api/users': [], 'POST /api/users': () => ({}) },
+      });
+
+      expect(routes.map(route => route.key)).toEqual([
+        'GET /api/users',
+        'POST /api/users',
+      ]);
+    });
+
+    it('throws when there are no routes', () => {
+      expect(() => getRoutes('/mocks/users.js', 'users')).toThrow(
+        /should export an object of routes/
+      );
+    });
+  });
+
+  describe('matchRoute', () => {
+    const routes = getRoutes('/mocks/users.js', {
+      'GET /api/users': [],
+      'GET /api/users/:id': null,
+      'DELETE https://api.example.com/users/:id': null,
+      '/api/files/*': null,
+    });
+
+    it('matches the requests to the sandbox by path', () => {
+      const match = matchRoute(
+        routes,
+        'get',
+        request(`${SANDBOX_ORIGIN}/api/users/`),
+        SANDBOX_ORIGIN
+      );
+
+      expect(match && match.route.key).toBe('GET /api/users');
+    });
+
+    it('returns the params', () => {
+      const match = matchRoute(
+        routes,
+        'DELETE',
+        request('https://api.example.com/users/john%20doe'),
+        SANDBOX_ORIGIN
+      );
+
+      expect(match && match.params).toEqual({ id: 'john doe' });
+    });
+
+    it('matches any method and nested paths with a wildcard', () => {
+      const match = matchRoute(
+        routes,
+        'PUT',
+        request(`${SANDBOX_ORIGIN}/api/files/images/logo.png`),
+        SANDBOX_ORIGIN
+      );
+
+      expect(match && match.route.key).toBe('/api/files/*');
+    });
+
+    it("doesn't match other origins or methods", () => {
+      expect(
+        matchRoute(
+          routes,
+          'GET',
+          request('https://api.example.com/api/users'),
+          SANDBOX_ORIGIN
+        )
+      ).toBe(null);
+      expect(
+        matchRoute(
+          routes,
+          'POST',
+          request(`${SANDBOX_ORIGIN}/api/users/1`),
+          SANDBOX_ORIGIN
+        )
+      ).toBe(null);
+    });
+  });
+});
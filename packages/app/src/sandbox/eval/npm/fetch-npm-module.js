@@ -1,12 +1,15 @@
 // @flow
 import * as pathUtils from 'common/utils/path';
 import resolve from 'browser-resolve';
+import { parseNpmAlias } from 'common/utils/npm-alias';
 
 import type { Module } from '../entities/module';
 import Manager from '../manager';
 import type { Manifest } from '../manager';
 
 import DependencyNotFoundError from '../../errors/dependency-not-found-error';
+import { getPackagerUrl } from '../../npm/packager-url';
+import { getCachedFile, saveFile } from '../../npm/dependency-cache';
 import getDependencyName from '../utils/get-dependency-name';
 import { packageFilter } from '../utils/resolve-utils';
 
@@ -73,12 +76,34 @@ const TEMP_USE_JSDELIVR = false;
 
 function getUnpkgUrl(name: string, version: string) {
   const nameWithoutAlias = name.replace(/\/\d*\.\d*\.\d*$/, '');
+  const packagerUrl = getPackagerUrl();
+
+  if (packagerUrl) {
+    return `${packagerUrl}/files/${nameWithoutAlias}@${version}`;
+  }
 
   return TEMP_USE_JSDELIVR
     ? `https://cdn.jsdelivr.net/npm/${nameWithoutAlias}@${version}`
     : `https://unpkg.com/${nameWithoutAlias}@${version}`;
 }
 
+/**
+ * Files of a published version never change, so we can always use the cached
+ * version of a file if we have one.
+ */
+async function fetchWithCache(url: string, parse: Response => Promise<any>) {
+  const cachedFile = await getCachedFile(url);
+
+  if (cachedFile != null) {
+    return cachedFile;
+  }
+
+  const content = await window.fetch(url).then(parse);
+  saveFile(url, content);
+
+  return content;
+}
+
 function getMeta(name: string, packageJSONPath: string, version: string) {
   const nameWithoutAlias = name.replace(/\/\d*\.\d*\.\d*$/, '');
   const id = `${packageJSONPath}@${version}`;
@@ -86,18 +111,23 @@ function getMeta(name: string, packageJSONPath: string, version: string) {
     return metas[id];
   }
 
-  metas[id] = window
-    .fetch(
-      TEMP_USE_JSDELIVR
-        ? `https://data.jsdelivr.com/v1/package/npm/${nameWithoutAlias}@${version}/flat`
-        : `https://unpkg.com/${nameWithoutAlias}@${version}/?meta`
-    )
-    .then(x => x.json());
+  metas[id] = fetchWithCache(
+    TEMP_USE_JSDELIVR
+      ? `https://data.jsdelivr.com/v1/package/npm/${nameWithoutAlias}@${version}/flat`
+      : `${getUnpkgUrl(name, version)}/?meta`,
+    x => x.json()
+  );
 
   return metas[id];
 }
 
-function downloadDependency(depName: string, depVersion: string, path: string) {
+function downloadDependency(
+  depName: string,
+  depVersion: string,
+  path: string,
+  // Differs from the dependency name if the package is installed with an alias
+  packageName: string = depName
+) {
   if (packages[path]) {
     return packages[path];
   }
@@ -114,21 +144,24 @@ function downloadDependency(depName: string, depVersion: string, path: string) {
 
   const url = isGitHub
     ? `https://cdn.jsdelivr.net/gh/${depVersion}${relativePath}`
-    : `${getUnpkgUrl(depName, depVersion)}${relativePath}`;
+    : `${getUnpkgUrl(packageName, depVersion)}${relativePath}`;
 
-  packages[path] = window
-    .fetch(url)
-    .then(x => {
-      if (x.ok) {
-        return x.text();
-      }
+  const parse = x => {
+    if (x.ok) {
+      return x.text();
+    }
 
-      throw new Error(`Could not find module ${path}`);
-    })
-    .then(x => ({
-      path,
-      code: x,
-    }));
+    throw new Error(`Could not find module ${path}`);
+  };
+
+  // GitHub dependencies can point to a branch, which can change
+  packages[path] = (isGitHub
+    ? window.fetch(url).then(parse)
+    : fetchWithCache(url, parse)
+  ).then(x => ({
+    path,
+    code: x,
+  }));
 
   return packages[path];
 }
@@ -182,12 +215,16 @@ function resolvePath(
             );
 
             if (subDepVersionVersionInfo) {
-              const { version: subDepVersion } = subDepVersionVersionInfo;
+              const {
+                version: subDepVersion,
+                name: subDepPackageName,
+              } = subDepVersionVersionInfo;
               try {
                 const module = await downloadDependency(
                   depName,
                   subDepVersion,
-                  p
+                  p,
+                  subDepPackageName
                 );
 
                 if (module) {
@@ -235,16 +272,22 @@ async function findDependencyVersion(
     const packageJSON =
       manager.transpiledModules[foundPackageJSONPath] &&
       manager.transpiledModules[foundPackageJSONPath].module.code;
-    const { version } = JSON.parse(packageJSON);
+    const { name, version } = JSON.parse(packageJSON);
 
     if (packageJSON !== '//empty.js') {
-      return { packageJSONPath: foundPackageJSONPath, version };
+      return {
+        packageJSONPath: foundPackageJSONPath,
+        version,
+        // Packages installed with an npm alias have another name
+        name: name || dependencyName,
+      };
     }
   } catch (e) {
     /* do nothing */
   }
 
   let version = null;
+  let name = dependencyName;
 
   if (manifest.dependencyDependencies[dependencyName]) {
     version = manifest.dependencyDependencies[dependencyName].resolved;
@@ -252,12 +295,15 @@ async function findDependencyVersion(
     const dep = manifest.dependencies.find(m => m.name === dependencyName);
 
     if (dep) {
-      version = dep.version;
+      const alias = parseNpmAlias(dep.version);
+
+      version = alias ? alias.version : dep.version;
+      name = alias ? alias.name : dependencyName;
     }
   }
 
   if (version) {
-    return { packageJSONPath: null, version };
+    return { packageJSONPath: null, version, name };
   }
 
   return null;
@@ -287,9 +333,9 @@ export default async function fetchModule(
     throw new DependencyNotFoundError(path);
   }
 
-  const { packageJSONPath, version } = versionInfo;
+  const { packageJSONPath, version, name } = versionInfo;
 
-  const meta = await getMeta(dependencyName, packageJSONPath, version);
+  const meta = await getMeta(name, packageJSONPath, version);
 
   const normalizeFunction = TEMP_USE_JSDELIVR ? normalizeJSDelivr : normalize;
   const normalizedMeta = normalizeFunction(
@@ -318,5 +364,5 @@ export default async function fetchModule(
     };
   }
 
-  return downloadDependency(dependencyName, version, foundPath);
+  return downloadDependency(dependencyName, version, foundPath, name);
 }
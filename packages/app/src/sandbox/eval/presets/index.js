@@ -5,6 +5,7 @@ import type { Module } from '../entities/module';
 
 import type Manager from '../manager';
 import Transpiler from '../transpilers';
+import webWorkerTranspiler from '../transpilers/web-worker';
 
 export type TranspiledModule = Module & {
   transpiledCode: string,
@@ -75,7 +76,8 @@ export default class Preset {
     } = {}
   ) {
     this.loaders = [];
-    this.transpilers = new Set();
+    // Workers can be created in every sandbox with the loader syntax
+    this.transpilers = new Set([webWorkerTranspiler]);
     this.name = name;
 
     this.hasDotEnv = hasDotEnv || false;
@@ -0,0 +1,95 @@
+// @flow
+import { createCoverageMap } from 'istanbul-lib-coverage';
+import { SourceMapConsumer } from 'source-map';
+
+export type CoverageSummaryData = {
+  total: number,
+  covered: number,
+  skipped: number,
+  pct: number,
+};
+
+export type FileCoverageSummary = {
+  lines: CoverageSummaryData,
+  statements: CoverageSummaryData,
+  functions: CoverageSummaryData,
+  branches: CoverageSummaryData,
+};
+
+export type FileCoverage = {
+  path: string,
+  summary: FileCoverageSummary,
+  coveredLines: Array<number>,
+  uncoveredLines: Array<number>,
+};
+
+/**
+ * The instrumented code writes its counters to this global, every module
+ * registers itself again when it's evaluated.
+ */
+export function resetCoverage() {
+  window.__coverage__ = {};
+}
+
+/**
+ * The code is instrumented by babel, after the other loaders (like the Vue
+ * loader) have changed it. The statements are mapped back to the lines of the
+ * file with the source map of those loaders.
+ */
+function getLineCoverage(fileCoverage: Object): { [line: number]: number } {
+  const { statementMap, s: statements, inputSourceMap } = fileCoverage.data;
+
+  if (!inputSourceMap) {
+    return fileCoverage.getLineCoverage();
+  }
+
+  const consumer = new SourceMapConsumer(inputSourceMap);
+  const lineCoverage = {};
+
+  Object.keys(statementMap).forEach(id => {
+    const { line } = consumer.originalPositionFor(statementMap[id].start);
+
+    // Statements that were generated by a loader don't have a line in the file
+    if (line == null) {
+      return;
+    }
+
+    const count = statements[id];
+    if (lineCoverage[line] === undefined || lineCoverage[line] < count) {
+      lineCoverage[line] = count;
+    }
+  });
+
+  return lineCoverage;
+}
+
+function getSummaryData(total: number, covered: number): CoverageSummaryData {
+  return {
+    total,
+    covered,
+    skipped: 0,
+    // This is how istanbul rounds the percentage
+    pct: total === 0 ? 100 : Math.floor((100000 * covered) / total) / 1000,
+  };
+}
+
+export function collectCoverage(): Array<FileCoverage> {
+  const coverageMap = createCoverageMap(window.__coverage__ || {});
+
+  return coverageMap.files().map(path => {
+    const fileCoverage = coverageMap.fileCoverageFor(path);
+    const lineCoverage = getLineCoverage(fileCoverage);
+    const lines = Object.keys(lineCoverage).map(Number);
+    const coveredLines = lines.filter(line => lineCoverage[line] > 0);
+
+    return {
+      path,
+      summary: {
+        ...fileCoverage.toSummary().toJSON(),
+        lines: getSummaryData(lines.length, coveredLines.length),
+      },
+      coveredLines,
+      uncoveredLines: lines.filter(line => lineCoverage[line] === 0),
+    };
+  });
+}
@@ -0,0 +1,81 @@
+import { SourceMapGenerator } from 'source-map';
+
+import { resetCoverage, collectCoverage } from './coverage';
+
+// Coverage of a file with a statement on every line, `counts` has the number
+// of times every line ran
+function createFileCoverage(path, counts, inputSourceMap) {
+  const statementMap = {};
+  const s = {};
+  counts.forEach((count, i) => {
+    statementMap[i] = {
+      start: { line: i + 1, column: 0 },
+      end: { line: i + 1, column: 10 },
+    };
+    s[i] = count;
+  });
+
+  return {
+    path,
+    statementMap,
+    s,
+    fnMap: {},
+    f: {},
+    branchMap: {},
+    b: {},
+    inputSourceMap,
+  };
+}
+
+describe('coverage', () => {
+  beforeEach(() => {
+    resetCoverage();
+  });
+
+  it('reports the lines of the instrumented code', () => {
+    window.__coverage__['/src/sum.js'] = createFileCoverage('/src/sum.js', [
+      1,
+      0,
+      2,
+    ]);
+
+    expect(collectCoverage()).toEqual([
+      expect.objectContaining({
+        path: '/src/sum.js',
+        coveredLines: [1, 3],
+        uncoveredLines: [2],
+      }),
+    ]);
+  });
+
+  it('maps the lines back through the source map of the loaders', () => {
+    // Like the Vue loader: the script starts at line 5 of the file, the
+    // first line is generated
+    const generator = new SourceMapGenerator();
+    [[2, 5], [3, 6], [4, 7]].forEach(([generatedLine, originalLine]) => {
+      generator.addMapping({
+        source: '/src/App.vue',
+        generated: { line: generatedLine, column: 0 },
+        original: { line: originalLine, column: 0 },
+      });
+    });
+
+    window.__coverage__['/src/App.vue'] = createFileCoverage(
+      '/src/App.vue',
+      [1, 1, 0, 3],
+      generator.toJSON()
+    );
+
+    const [fileCoverage] = collectCoverage();
+
+    expect(fileCoverage.coveredLines).toEqual([5, 7]);
+    expect(fileCoverage.uncoveredLines).toEqual([6]);
+    expect(fileCoverage.summary.lines).toEqual({
+      total: 3,
+      covered: 2,
+      skipped: 0,
+      pct: 66.666,
+    });
+    expect(fileCoverage.summary.statements.total).toBe(4);
+  });
+});
@@ -0,0 +1,159 @@
+// @flow
+import prettyFormat from 'pretty-format';
+
+type Row = Array<any>;
+type Declare = (title: string, fn: Function, timeout?: number) => void;
+
+const PRETTY_OPTIONS = { maxDepth: 1, min: true };
+const PRINTF_PLACEHOLDER = /%[sdifjoOp#%]/g;
+
+const pretty = (value: any) => prettyFormat(value, PRETTY_OPTIONS);
+
+/**
+ * Formats a title like `util.format`, which is what Jest uses for `each` with
+ * an array table.
+ */
+function formatTitle(title: string, row: Row, index: number) {
+  let argIndex = 0;
+
+  return title.replace(PRINTF_PLACEHOLDER, placeholder => {
+    if (placeholder === '%%') {
+      return '%';
+    }
+
+    if (placeholder === '%#') {
+      return String(index);
+    }
+
+    if (argIndex >= row.length) {
+      return placeholder;
+    }
+
+    const arg = row[argIndex];
+    argIndex += 1;
+
+    switch (placeholder) {
+      case '%s':
+        return String(arg);
+      case '%d':
+        return String(Number(arg));
+      case '%i':
+        return String(parseInt(arg, 10));
+      case '%f':
+        return String(parseFloat(arg));
+      case '%j':
+        return JSON.stringify(arg);
+      default:
+        return pretty(arg);
+    }
+  });
+}
+
+function getValueAtPath(value: any, path: Array<string>) {
+  return path.reduce(
+    (prev, key) => (prev == null ? undefined : prev[key]),
+    value
+  );
+}
+
+/**
+ * Interpolates `$variable` and `$variable.path` in the title, which is what
+ * Jest uses for `each` with a tagged template table.
+ */
+function interpolateTitle(title: string, data: Object, index: number) {
+  return title.replace(/\$([\w#]+)((?:\.\w+)*)/g, (match, key, path) => {
+    if (key === '#') {
+      return String(index);
+    }
+
+    if (!(key in data)) {
+      return match;
+    }
+
+    return pretty(getValueAtPath(data[key], path.split('.').slice(1)));
+  });
+}
+
+function parseTemplateTable(strings: Array<string>, values: Array<any>) {
+  const headings = strings[0]
+    .replace(/\s/g, ' ')
+    .split('|')
+    .map(heading => heading.trim())
+    .filter(heading => heading !== '');
+
+  if (headings.length === 0) {
+    throw new Error(
+      'Error: `.each` called with a tagged template table without headings'
+    );
+  }
+
+  if (values.length % headings.length !== 0) {
+    throw new Error(
+      `Not enough arguments supplied for given headings:\n${headings.join(
+        ' | '
+      )}\n\nReceived:\n${pretty(values)}\n\nMissing ${headings.length -
+        values.length % headings.length} argument(s)`
+    );
+  }
+
+  const rows = [];
+  for (let i = 0; i < values.length; i += headings.length) {
+    const row = {};
+    headings.forEach((heading, j) => {
+      row[heading] = values[i + j];
+    });
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Tests that take more arguments than the row has expect a `done` callback
+const applyRow = (fn: Function, args: Row) =>
+  fn.length > args.length ? done => fn(...args, done) : () => fn(...args);
+
+/**
+ * Adds `.each` to a test or describe function, both the array table and the
+ * tagged template table of Jest are supported.
+ *
+ * Example:
+ * test.each([[1, 1, 2], [1, 2, 3]])('add(%i, %i) -> %i', (a, b, expected) => {});
+ *
+ * test.each`
+ *   a    | b    | expected
+ *   ${1} | ${1} | ${2}
+ * `('returns $expected when $a is added to $b', ({ a, b, expected }) => {});
+ */
+export default function bindEach(declare: Declare) {
+  return (table: Array<any>, ...templateValues: Array<any>) => {
+    // Tagged templates get an array of strings with a raw property
+    const isTemplateTable = Array.isArray(table) && Array.isArray(table.raw);
+
+    if (!isTemplateTable && !Array.isArray(table)) {
+      throw new Error(
+        `\`.each\` must be called with an Array or Tagged Template Literal.\n\nInstead was called with: ${pretty(
+          table
+        )}`
+      );
+    }
+
+    return (title: string, fn: Function, timeout?: number) => {
+      if (isTemplateTable) {
+        parseTemplateTable(table, templateValues).forEach((data, index) => {
+          declare(
+            interpolateTitle(title, data, index),
+            applyRow(fn, [data]),
+            timeout
+          );
+        });
+        return;
+      }
+
+      table.forEach((row, index) => {
+        const args = Array.isArray(row) ? row : [row];
+
+        declare(formatTitle(title, args, index), applyRow(fn, args), timeout);
+      });
+    };
+  };
+}
@@ -0,0 +1,81 @@
+import bindEach from './each';
+
+describe('each', () => {
+  let declared;
+  let each;
+
+  beforeEach(() => {
+    declared = [];
+    each = bindEach((title, fn, timeout) =>
+      declared.push({ title, fn, timeout })
+    );
+  });
+
+  it('declares a test for every row of an array table', () => {
+    const fn = jest.fn();
+    each([[1, 1, 2], [1, 2, 3]])('add(%i, %i) -> %i', fn);
+
+    expect(declared.map(d => d.title)).toEqual([
+      'add(1, 1) -> 2',
+      'add(1, 2) -> 3',
+    ]);
+
+    declared[1].fn();
+    expect(fn).toHaveBeenCalledWith(1, 2, 3);
+  });
+
+  it('supports rows that are not arrays', () => {
+    const fn = jest.fn();
+    each(['a', 'b'])('%# - %s', fn);
+
+    expect(declared.map(d => d.title)).toEqual(['0 - a', '1 - b']);
+
+    declared[0].fn();
+    expect(fn).toHaveBeenCalledWith('a');
+  });
+
+  it('pretty formats values', () => {
+    each([[{ a: 1 }, 'b']])('%p %j %%', () => {});
+
+    expect(declared[0].title).toBe('{"a": 1} "b" %');
+  });
+
+  it('declares a test for every row of a tagged template table', () => {
+    const fn = jest.fn();
+    each`
+      a    | b       | expected
+      ${1} | ${'1'}  | ${{ value: 2 }}
+    `('returns $expected.value for $a and $b', fn);
+
+    expect(declared[0].title).toBe('returns 2 for 1 and "1"');
+
+    declared[0].fn();
+    expect(fn).toHaveBeenCalledWith({ a: 1, b: '1', expected: { value: 2 } });
+  });
+
+  it('throws when a tagged template table misses arguments', () => {
+    expect(() =>
+      each`
+        a    | b
+        ${1}
+      `('test', () => {})
+    ).toThrow(/Not enough arguments supplied for given headings/);
+  });
+
+  it('passes the done callback to tests that expect it', () => {
+    const fn = jest.fn((a, done) => done());
+    each([[1]])('test', fn);
+
+    const done = jest.fn();
+    declared[0].fn(done);
+
+    expect(fn).toHaveBeenCalledWith(1, done);
+    expect(done).toHaveBeenCalled();
+  });
+
+  it('passes the timeout to every declared test', () => {
+    each([[1], [2]])('test %i', () => {}, 10000);
+
+    expect(declared.map(d => d.timeout)).toEqual([10000, 10000]);
+  });
+});
@@ -0,0 +1,324 @@
+// @flow
+/* eslint-disable no-param-reassign */
+
+type TimerType = 'timeout' | 'interval' | 'immediate' | 'animationFrame';
+
+type Timer = {
+  id: number,
+  type: TimerType,
+  callback: Function,
+  args: Array<any>,
+  expiry: number,
+  interval: ?number,
+};
+
+const MAX_LOOPS = 100000;
+const ANIMATION_FRAME_DURATION = 16;
+
+const g = typeof window === 'undefined' ? self : window;
+
+// We capture the real APIs when the sandbox is loaded, so we always restore
+// to the originals, whichever test file installed its timers last.
+const REAL_APIS = {
+  setTimeout: g.setTimeout,
+  clearTimeout: g.clearTimeout,
+  setInterval: g.setInterval,
+  clearInterval: g.clearInterval,
+  setImmediate: g.setImmediate,
+  clearImmediate: g.clearImmediate,
+  requestAnimationFrame: g.requestAnimationFrame,
+  cancelAnimationFrame: g.cancelAnimationFrame,
+  Date: g.Date,
+};
+
+// Browsers don't have setImmediate, we use the polyfill of webpack for that
+const realSetImmediate = REAL_APIS.setImmediate || setImmediate;
+
+let installedTimers: ?FakeTimers = null; // eslint-disable-line no-use-before-define
+
+/**
+ * The time of the real clock, for timing the test run itself
+ */
+export function getRealNow() {
+  return REAL_APIS.Date.now();
+}
+
+/**
+ * Modules get `setImmediate` as an argument when they're evaluated, instead of
+ * reading it from the global. This version checks on every call whether fake
+ * timers are installed.
+ */
+export function scopedSetImmediate(callback: Function, ...args: Array<any>) {
+  if (installedTimers) {
+    return installedTimers.fakeSetImmediate(callback, ...args);
+  }
+
+  return realSetImmediate(callback, ...args);
+}
+
+/**
+ * Fake implementation of the timer APIs of the sandbox window. Every test file
+ * gets its own instance, the test runner installs the timers of a file when
+ * one of its tests starts and restores the real timers afterwards.
+ */
+export default class FakeTimers {
+  // Whether the test file has asked for fake timers
+  enabled: boolean = false;
+  now: number;
+  timers: Map<number, Timer> = new Map();
+  lastTimerId: number = 0;
+  fakeAPIs: { [name: string]: any };
+
+  constructor() {
+    this.now = REAL_APIS.Date.now();
+    this.fakeAPIs = this.createFakeAPIs();
+  }
+
+  useFakeTimers() {
+    this.enabled = true;
+    this.install();
+  }
+
+  useRealTimers() {
+    this.enabled = false;
+    this.uninstall();
+  }
+
+  install() {
+    if (installedTimers === this) {
+      return;
+    }
+
+    if (installedTimers) {
+      installedTimers.uninstall();
+    }
+
+    Object.keys(this.fakeAPIs).forEach(name => {
+      g[name] = this.fakeAPIs[name];
+    });
+    installedTimers = this;
+  }
+
+  uninstall() {
+    if (installedTimers !== this) {
+      return;
+    }
+
+    FakeTimers.restoreRealTimers();
+  }
+
+  static restoreRealTimers() {
+    Object.keys(REAL_APIS).forEach(name => {
+      if (REAL_APIS[name] === undefined) {
+        delete g[name];
+      } else {
+        g[name] = REAL_APIS[name];
+      }
+    });
+    installedTimers = null;
+  }
+
+  createFakeAPIs() {
+    const RealDate = REAL_APIS.Date;
+    const clock = this;
+
+    function FakeDate(...args) {
+      if (!(this instanceof FakeDate)) {
+        // Called as a function, which returns a string
+        return new RealDate(clock.now).toString();
+      }
+
+      return args.length === 0
+        ? new RealDate(clock.now)
+        : new RealDate(...args);
+    }
+
+    FakeDate.prototype = RealDate.prototype;
+    FakeDate.now = () => clock.now;
+    FakeDate.parse = RealDate.parse;
+    FakeDate.UTC = RealDate.UTC;
+
+    return {
+      setTimeout: (callback: Function, delay?: number, ...args: Array<any>) =>
+        this.createTimer('timeout', callback, delay, args),
+      clearTimeout: this.clearTimer,
+      setInterval: (callback: Function, delay?: number, ...args: Array<any>) =>
+        this.createTimer('interval', callback, delay, args),
+      clearInterval: this.clearTimer,
+      setImmediate: this.fakeSetImmediate,
+      clearImmediate: this.clearTimer,
+      requestAnimationFrame: (callback: Function) =>
+        this.createTimer(
+          'animationFrame',
+          callback,
+          ANIMATION_FRAME_DURATION,
+          []
+        ),
+      cancelAnimationFrame: this.clearTimer,
+      Date: FakeDate,
+    };
+  }
+
+  fakeSetImmediate = (callback: Function, ...args: Array<any>) =>
+    this.createTimer('immediate', callback, 0, args);
+
+  createTimer(
+    type: TimerType,
+    callback: Function,
+    delay: ?number,
+    args: Array<any>
+  ) {
+    const usedDelay = Math.max(0, Number(delay) || 0);
+
+    this.lastTimerId += 1;
+    const id = this.lastTimerId;
+
+    this.timers.set(id, {
+      id,
+      type,
+      callback,
+      args,
+      expiry: this.now + usedDelay,
+      interval: type === 'interval' ? usedDelay : null,
+    });
+
+    return id;
+  }
+
+  clearTimer = (id: number) => {
+    this.timers.delete(id);
+  };
+
+  getNextTimer(filter?: (timer: Timer) => boolean): ?Timer {
+    let nextTimer = null;
+
+    this.timers.forEach(timer => {
+      if (filter && !filter(timer)) {
+        return;
+      }
+
+      if (
+        !nextTimer ||
+        timer.expiry < nextTimer.expiry ||
+        (timer.expiry === nextTimer.expiry && timer.id < nextTimer.id)
+      ) {
+        nextTimer = timer;
+      }
+    });
+
+    return nextTimer;
+  }
+
+  runTimer(timer: Timer) {
+    this.now = Math.max(this.now, timer.expiry);
+
+    if (timer.interval != null) {
+      timer.expiry = this.now + timer.interval;
+    } else {
+      this.timers.delete(timer.id);
+    }
+
+    if (timer.type === 'animationFrame') {
+      timer.callback(this.now);
+    } else {
+      timer.callback(...timer.args);
+    }
+  }
+
+  throwInfiniteLoopError() {
+    throw new Error(
+      `Ran ${MAX_LOOPS} timers, and there are still more! Assuming we've hit an infinite recursion and bailing out...`
+    );
+  }
+
+  checkFakeTimers() {
+    if (installedTimers !== this) {
+      // eslint-disable-next-line no-console
+      console.warn(
+        'A function to advance timers was called but the timers API is not mocked with fake timers. Call `jest.useFakeTimers()` in this test file first.'
+      );
+    }
+  }
+
+  runAllTimers() {
+    this.checkFakeTimers();
+
+    for (let i = 0; i < MAX_LOOPS; i += 1) {
+      const timer = this.getNextTimer();
+
+      if (!timer) {
+        return;
+      }
+
+      this.runTimer(timer);
+    }
+
+    this.throwInfiniteLoopError();
+  }
+
+  runAllImmediates() {
+    this.checkFakeTimers();
+
+    for (let i = 0; i < MAX_LOOPS; i += 1) {
+      const timer = this.getNextTimer(t => t.type === 'immediate');
+
+      if (!timer) {
+        return;
+      }
+
+      this.runTimer(timer);
+    }
+
+    this.throwInfiniteLoopError();
+  }
+
+  /**
+   * There is no `process.nextTick` in the browser, every module gets its own
+   * process shim. This exists so tests written for Jest don't throw.
+   */
+  runAllTicks() {
+    this.checkFakeTimers();
+  }
+
+  runOnlyPendingTimers() {
+    this.checkFakeTimers();
+
+    const pendingTimers = Array.from(this.timers.values()).sort(
+      (a, b) => a.expiry - b.expiry || a.id - b.id
+    );
+
+    pendingTimers.forEach(timer => {
+      // The timer could have been cleared by one of the other timers
+      if (this.timers.has(timer.id)) {
+        this.runTimer(timer);
+      }
+    });
+  }
+
+  advanceTimersByTime(msToRun: number) {
+    this.checkFakeTimers();
+
+    const target = this.now + msToRun;
+
+    for (let i = 0; i < MAX_LOOPS; i += 1) {
+      const timer = this.getNextTimer();
+
+      if (!timer || timer.expiry > target) {
+        this.now = target;
+        return;
+      }
+
+      this.runTimer(timer);
+    }
+
+    this.throwInfiniteLoopError();
+  }
+
+  clearAllTimers() {
+    this.timers.clear();
+  }
+
+  getTimerCount() {
+    return this.timers.size;
+  }
+}
@@ -0,0 +1,134 @@
+import FakeTimers, { scopedSetImmediate, getRealNow } from './fake-timers';
+
+describe('FakeTimers', () => {
+  const realSetTimeout = window.setTimeout;
+  const RealDate = window.Date;
+  let timers;
+
+  beforeEach(() => {
+    timers = new FakeTimers();
+    timers.useFakeTimers();
+  });
+
+  afterEach(() => {
+    FakeTimers.restoreRealTimers();
+  });
+
+  it('advances the timers by the given time', () => {
+    const timeout = jest.fn();
+    const interval = jest.fn();
+    const start = Date.now();
+
+    setTimeout(timeout, 100, 'argument');
+    setInterval(interval, 30);
+
+    timers.advanceTimersByTime(99);
+    expect(timeout).not.toHaveBeenCalled();
+    expect(interval).toHaveBeenCalledTimes(3);
+
+    timers.advanceTimersByTime(1);
+    expect(timeout).toHaveBeenCalledWith('argument');
+    expect(Date.now()).toBe(start + 100);
+    expect(new Date().getTime()).toBe(start + 100);
+  });
+
+  it("doesn't run cleared timers", () => {
+    const callback = jest.fn();
+
+    clearTimeout(setTimeout(callback, 10));
+    clearInterval(setInterval(callback, 10));
+    timers.runAllTimers();
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('runs all timers, including the timers they create', () => {
+    const calls = [];
+
+    setTimeout(() => {
+      calls.push('first');
+      setTimeout(() => calls.push('nested'), 1000);
+    }, 10);
+    // transform-runtime replaces a bare `setImmediate` with the core-js one
+    window.setImmediate(() => calls.push('immediate'));
+    requestAnimationFrame(() => calls.push('animation frame'));
+
+    timers.runAllTimers();
+
+    expect(calls).toEqual(['immediate', 'first', 'animation frame', 'nested']);
+    expect(timers.getTimerCount()).toBe(0);
+  });
+
+  it('bails out of timers that keep creating timers', () => {
+    setInterval(() => {}, 10);
+
+    expect(() => timers.runAllTimers()).toThrow(/infinite recursion/);
+  });
+
+  it('only runs the pending timers', () => {
+    const nested = jest.fn();
+    setTimeout(() => setTimeout(nested, 10), 10);
+
+    timers.runOnlyPendingTimers();
+
+    expect(nested).not.toHaveBeenCalled();
+    expect(timers.getTimerCount()).toBe(1);
+  });
+
+  it('only runs the immediates', () => {
+    const immediate = jest.fn();
+    const timeout = jest.fn();
+    scopedSetImmediate(immediate);
+    setTimeout(timeout, 0);
+
+    timers.runAllImmediates();
+
+    expect(immediate).toHaveBeenCalled();
+    expect(timeout).not.toHaveBeenCalled();
+  });
+
+  it('keeps the real clock for timing the test run', () => {
+    const start = getRealNow();
+    timers.advanceTimersByTime(60000);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(60000);
+    expect(getRealNow() - start).toBeLessThan(60000);
+  });
+
+  it('restores the real timers', () => {
+    expect(window.setTimeout).not.toBe(realSetTimeout);
+
+    timers.useRealTimers();
+
+    expect(window.setTimeout).toBe(realSetTimeout);
+    expect(window.Date).toBe(RealDate);
+  });
+
+  it('uninstalls the timers of the other test file', () => {
+    const callback = jest.fn();
+    setTimeout(callback, 10);
+
+    const otherTimers = new FakeTimers();
+    otherTimers.useFakeTimers();
+    timers.useRealTimers();
+
+    // The timers of the other file are still installed
+    expect(window.setTimeout).not.toBe(realSetTimeout);
+
+    otherTimers.runAllTimers();
+    expect(callback).not.toHaveBeenCalled();
+    expect(timers.getTimerCount()).toBe(1);
+  });
+
+  it('warns when the timers are advanced without fake timers', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    timers.useRealTimers();
+    timers.runAllTimers();
+
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining('jest.useFakeTimers()')
+    );
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,175 @@
+// @flow
+import micromatch from 'micromatch';
+import { dispatch, actions } from 'codesandbox-api';
+
+export type JestConfig = {
+  rootDir: string,
+  testMatch: Array<string>,
+  testRegex: Array<RegExp>,
+  testPathIgnorePatterns: Array<RegExp>,
+  moduleNameMapper: Array<{ regex: RegExp, replacements: Array<string> }>,
+  moduleDirectories: Array<string>,
+  setupFiles: Array<string>,
+  setupFilesAfterEnv: Array<string>,
+  testEnvironment: string,
+  testTimeout: number,
+};
+
+const DEFAULT_TEST_TIMEOUT = 5000;
+
+const DEFAULT_TEST_MATCH = [
+  '**/__tests__/**/*.{js,jsx,ts,tsx}',
+  '**/?(*.)(spec|test).{js,jsx,ts,tsx}',
+];
+
+const SUPPORTED_ENVIRONMENTS = {
+  jsdom: 'jsdom',
+  'jest-environment-jsdom': 'jsdom',
+  node: 'node',
+  'jest-environment-node': 'node',
+};
+
+const toArray = (value: any): Array<any> => {
+  if (value == null) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Normalizes the `jest` field of package.json or the export of jest.config.js,
+ * `<rootDir>` is replaced by the root of the sandbox. Problems are shown as
+ * warnings on the file of the config.
+ */
+export function normalizeConfig(
+  config: ?Object = {},
+  configPath: string = '/package.json'
+): JestConfig {
+  const userConfig = config || {};
+  const rootDir = `/${(userConfig.rootDir || '').replace(/^\/|\/$/g, '')}`;
+
+  const replaceRootDir = (value: string) =>
+    value.replace(/<rootDir>\/?/g, rootDir === '/' ? '/' : `${rootDir}/`);
+
+  const testEnvironment =
+    SUPPORTED_ENVIRONMENTS[userConfig.testEnvironment || 'jsdom'];
+
+  if (!testEnvironment) {
+    dispatch(
+      actions.correction.show(
+        `Test environment '${
+          userConfig.testEnvironment
+        }' is not supported, the tests will run in the 'jsdom' environment.`,
+        {
+          path: configPath,
+          line: 1,
+          column: 1,
+          severity: 'warning',
+          source: 'jest',
+        }
+      )
+    );
+  }
+
+  const moduleNameMapper = userConfig.moduleNameMapper || {};
+
+  return {
+    rootDir,
+    testMatch: toArray(userConfig.testMatch || DEFAULT_TEST_MATCH).map(
+      replaceRootDir
+    ),
+    testRegex: toArray(userConfig.testRegex).map(regex => new RegExp(regex)),
+    testPathIgnorePatterns: toArray(
+      userConfig.testPathIgnorePatterns || ['/node_modules/']
+    ).map(pattern => new RegExp(replaceRootDir(pattern))),
+    moduleNameMapper: Object.keys(moduleNameMapper).map(regex => ({
+      regex: new RegExp(regex),
+      replacements: toArray(moduleNameMapper[regex]).map(replaceRootDir),
+    })),
+    moduleDirectories: toArray(
+      userConfig.moduleDirectories || ['node_modules']
+    ),
+    setupFiles: toArray(userConfig.setupFiles).map(replaceRootDir),
+    // Older versions of Jest call this setupTestFrameworkScriptFile
+    setupFilesAfterEnv: toArray(
+      userConfig.setupFilesAfterEnv || userConfig.setupTestFrameworkScriptFile
+    ).map(replaceRootDir),
+    testEnvironment: testEnvironment || 'jsdom',
+    testTimeout:
+      typeof userConfig.testTimeout === 'number'
+        ? userConfig.testTimeout
+        : DEFAULT_TEST_TIMEOUT,
+  };
+}
+
+/**
+ * Whether the path is a test according to the config. Like Jest we use
+ * `testRegex` instead of `testMatch` if it's set.
+ */
+export function isTestPath(config: JestConfig, path: string) {
+  if (config.testPathIgnorePatterns.some(pattern => pattern.test(path))) {
+    return false;
+  }
+
+  if (config.testRegex.length > 0) {
+    return config.testRegex.some(regex => regex.test(path));
+  }
+
+  return micromatch.any(path, config.testMatch);
+}
+
+/**
+ * Returns the paths `moduleNameMapper` maps the path to, the first mapper with
+ * a matching regex wins. `$1` and friends are replaced with the matched groups.
+ */
+export function mapModuleName(config: JestConfig, path: string): Array<string> {
+  const mapper = config.moduleNameMapper.find(({ regex }) => regex.test(path));
+
+  if (!mapper) {
+    return [];
+  }
+
+  const matches = path.match(mapper.regex) || [];
+
+  return mapper.replacements.map(replacement =>
+    replacement.replace(
+      /\$([0-9]+)/g,
+      (_, index) => matches[parseInt(index, 10)] || ''
+    )
+  );
+}
+
+const PREVIEW_MODULE_DIRECTORIES = ['node_modules'];
+
+/**
+ * Whether tests resolve paths differently from the preview, in that case the
+ * modules of the tests are evaluated separately from the preview.
+ */
+export function hasTestResolution(config: JestConfig) {
+  return (
+    config.moduleNameMapper.length > 0 ||
+    config.moduleDirectories.join() !== PREVIEW_MODULE_DIRECTORIES.join()
+  );
+}
+
+/**
+ * Returns the paths to try and the module directories to search for the path.
+ * Only tests resolve like Jest, the preview always resolves the path itself.
+ */
+export function getResolution(
+  config: JestConfig,
+  path: string,
+  isTest: boolean
+): { paths: Array<string>, moduleDirectories: Array<string> } {
+  if (!isTest) {
+    return { paths: [path], moduleDirectories: PREVIEW_MODULE_DIRECTORIES };
+  }
+
+  const mappedPaths = mapModuleName(config, path);
+
+  return {
+    paths: mappedPaths.length > 0 ? mappedPaths : [path],
+    moduleDirectories: config.moduleDirectories,
+  };
+}
@@ -0,0 +1,133 @@
+import { listen } from 'codesandbox-api';
+
+import {
+  normalizeConfig,
+  isTestPath,
+  mapModuleName,
+  hasTestResolution,
+  getResolution,
+} from './jest-config';
+
+describe('jest-config', () => {
+  describe('normalizeConfig', () => {
+    it('reads the test timeout', () => {
+      expect(normalizeConfig().testTimeout).toBe(5000);
+      expect(normalizeConfig({ testTimeout: 20000 }).testTimeout).toBe(20000);
+      expect(normalizeConfig({ testTimeout: 0 }).testTimeout).toBe(0);
+    });
+
+    it('warns about test environments that are not supported', () => {
+      const messages = [];
+      const unlisten = listen(message => messages.push(message));
+
+      const config = normalizeConfig(
+        { testEnvironment: 'enzyme' },
+        '/jest.config.js'
+      );
+      unlisten();
+
+      expect(config.testEnvironment).toBe('jsdom');
+      expect(messages).toEqual([
+        expect.objectContaining({
+          action: 'show-correction',
+          path: '/jest.config.js',
+          severity: 'warning',
+        }),
+      ]);
+    });
+  });
+
+  describe('isTestPath', () => {
+    it('matches the default test files', () => {
+      const config = normalizeConfig();
+
+      expect(isTestPath(config, '/src/App.test.js')).toBe(true);
+      expect(isTestPath(config, '/src/App.spec.tsx')).toBe(true);
+      expect(isTestPath(config, '/src/__tests__/App.js')).toBe(true);
+      expect(isTestPath(config, '/src/App.js')).toBe(false);
+      expect(isTestPath(config, '/node_modules/a/App.test.js')).toBe(false);
+    });
+
+    it('uses testMatch', () => {
+      const config = normalizeConfig({ testMatch: ['<rootDir>/test/**/*.js'] });
+
+      expect(isTestPath(config, '/test/utils/App.js')).toBe(true);
+      expect(isTestPath(config, '/src/App.test.js')).toBe(false);
+    });
+
+    it('uses testRegex instead of testMatch', () => {
+      const config = normalizeConfig({ testRegex: '\\.check\\.js$' });
+
+      expect(isTestPath(config, '/src/App.check.js')).toBe(true);
+      expect(isTestPath(config, '/src/App.test.js')).toBe(false);
+    });
+
+    it('ignores testPathIgnorePatterns', () => {
+      const config = normalizeConfig({
+        testPathIgnorePatterns: ['<rootDir>/e2e/'],
+      });
+
+      expect(isTestPath(config, '/e2e/App.test.js')).toBe(false);
+      expect(isTestPath(config, '/src/App.test.js')).toBe(true);
+    });
+  });
+
+  describe('mapModuleName', () => {
+    it('replaces the matched groups', () => {
+      const config = normalizeConfig({
+        moduleNameMapper: {
+          '^@/(.*)$': '<rootDir>/src/$1',
+          '\\.css$': 'identity-obj-proxy',
+        },
+      });
+
+      expect(mapModuleName(config, '@/utils/math')).toEqual([
+        '/src/utils/math',
+      ]);
+      expect(mapModuleName(config, './App.css')).toEqual([
+        'identity-obj-proxy',
+      ]);
+      expect(mapModuleName(config, './App')).toEqual([]);
+    });
+  });
+
+  describe('getResolution', () => {
+    const config = normalizeConfig({
+      moduleNameMapper: { '\\.(css|less)$': 'identity-obj-proxy' },
+      moduleDirectories: ['node_modules', 'src'],
+    });
+
+    it('resolves the path of the preview as it is', () => {
+      expect(getResolution(config, './App.css', false)).toEqual({
+        paths: ['./App.css'],
+        moduleDirectories: ['node_modules'],
+      });
+    });
+
+    it('resolves the path of tests with the Jest config', () => {
+      expect(getResolution(config, './App.css', true)).toEqual({
+        paths: ['identity-obj-proxy'],
+        moduleDirectories: ['node_modules', 'src'],
+      });
+      expect(getResolution(config, 'utils/math', true)).toEqual({
+        paths: ['utils/math'],
+        moduleDirectories: ['node_modules', 'src'],
+      });
+    });
+
+    it('knows when tests resolve differently', () => {
+      expect(hasTestResolution(config)).toBe(true);
+      expect(hasTestResolution(normalizeConfig())).toBe(false);
+    });
+  });
+
+  it('normalizes the setup files', () => {
+    const config = normalizeConfig({
+      setupFiles: '<rootDir>/setup.js',
+      setupTestFrameworkScriptFile: '<rootDir>/src/setupTests.js',
+    });
+
+    expect(config.setupFiles).toEqual(['/setup.js']);
+    expect(config.setupFilesAfterEnv).toEqual(['/src/setupTests.js']);
+  });
+});
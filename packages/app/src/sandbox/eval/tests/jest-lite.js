@@ -1,4 +1,5 @@
 // @flow
+import { isEqual } from 'lodash-es';
 import { dispatch, actions, listen } from 'codesandbox-api';
 import { react, reactTs } from 'common/templates';
 import expect from 'jest-matchers';
@@ -14,12 +15,22 @@ import {
 
 import {
   addEventHandler,
+  getState,
   setState,
   dispatch as dispatchJest,
   ROOT_DESCRIBE_BLOCK_NAME,
 } from 'jest-circus/build/state';
 
 import run from './run-circus';
+import MockRegistry from './mock-registry';
+import createJestObject from './jest-object';
+import bindEach from './each';
+import { normalizeConfig, isTestPath } from './jest-config';
+import type { JestConfig } from './jest-config';
+import { resetCoverage, collectCoverage } from './coverage';
+import FakeTimers, { scopedSetImmediate, getRealNow } from './fake-timers';
+import SnapshotState from './snapshot-state';
+import type { UpdateSnapshotMode } from './snapshot-state';
 import { parse } from '../../react-error-overlay/utils/parser';
 import { map } from '../../react-error-overlay/utils/mapper';
 
@@ -29,6 +40,12 @@ import type {
   Event,
   TestEntry,
   DescribeBlock,
+  BlockName,
+  BlockFn,
+  Hook,
+  HookFn,
+  HookType,
+  TestMode,
   TestName,
   TestFn,
 } from './types';
@@ -39,14 +56,28 @@ expect.extend({
 });
 (expect: Object).addSnapshotSerializer = addSerializer;
 
-function resetTestState() {
+/**
+ * Captures the stack of a test or hook declaration, if it times out we use
+ * this stack so the error points to the test file instead of jest-circus.
+ */
+function getDeclarationError(declare: Function): Error {
+  const error = new Error();
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(error, declare);
+  }
+
+  return error;
+}
+
+function resetTestState(testTimeout: number) {
   const ROOT_DESCRIBE_BLOCK = makeDescribe(ROOT_DESCRIBE_BLOCK_NAME);
   const INITIAL_STATE = {
     currentDescribeBlock: ROOT_DESCRIBE_BLOCK,
     expand: undefined,
     hasFocusedTests: false,
     rootDescribeBlock: ROOT_DESCRIBE_BLOCK,
-    testTimeout: 5000,
+    testTimeout,
   };
 
   expect.setState({
@@ -67,6 +98,12 @@ export default class TestRunner {
   ranTests: Set<string>;
   manager: Manager;
   watching: boolean = true;
+  coverage: boolean = false;
+  updateSnapshot: UpdateSnapshotMode = 'new';
+  snapshotStates: Map<string, SnapshotState> = new Map();
+  fakeTimers: Map<string, FakeTimers> = new Map();
+  testTimeouts: Map<string, number> = new Map();
+  config: JestConfig = normalizeConfig();
 
   constructor(manager: Manager) {
     this.manager = manager;
@@ -78,57 +115,248 @@ export default class TestRunner {
     this.sendMessage('initialize_tests');
   }
 
-  testGlobals(module: Module) {
-    const test = (testName: TestName, fn?: TestFn) =>
-      dispatchJest({
-        fn,
-        name: 'add_test',
-        testName: `${module.path}:#:${testName}`,
-      });
-    const it = test;
-    test.skip = (testName: TestName, fn?: TestFn) =>
-      dispatchJest({
-        fn,
-        mode: 'skip',
-        name: 'add_test',
-        testName: `${module.path}:#:${testName}`,
-      });
-    test.only = (testName: TestName, fn: TestFn) => {
-      dispatchJest({
-        fn,
-        mode: 'only',
-        name: 'add_test',
-        testName: `${module.path}:#:${testName}`,
-      });
+  testGlobals(module: Module, mockRegistry?: MockRegistry) {
+    const addTest = (mode?: TestMode) => {
+      const declareTest = (
+        testName: TestName,
+        fn?: TestFn,
+        timeout?: number
+      ) => {
+        dispatchJest({
+          fn,
+          mode,
+          name: 'add_test',
+          testName: `${module.path}:#:${testName}`,
+        });
+
+        const { tests } = getState().currentDescribeBlock;
+        const testEntry: TestEntry = tests[tests.length - 1];
+        testEntry.timeout = timeout;
+        testEntry.asyncError = getDeclarationError(declareTest);
+      };
+
+      return declareTest;
+    };
+
+    const addHook = (type: HookType) => {
+      const declareHook = (fn: HookFn, timeout?: number) => {
+        jestTestHooks[type](fn);
+
+        const { hooks } = getState().currentDescribeBlock;
+        const hook: Hook = hooks[hooks.length - 1];
+        hook.timeout = timeout;
+        hook.testPath = module.path;
+        hook.asyncError = getDeclarationError(declareHook);
+      };
+
+      return declareHook;
+    };
+
+    const test = addTest();
+    test.skip = addTest('skip');
+    test.only = addTest('only');
+    test.todo = (testName: TestName, ...rest: Array<any>) => {
+      if (rest.length > 0) {
+        throw new Error('Todo must be called with only a description.');
+      }
+
+      // Tests without a function are skipped by jest-circus, so we give it one
+      addTest('todo')(testName, () => {});
+    };
+    test.each = bindEach(test);
+    test.skip.each = bindEach(test.skip);
+    test.only.each = bindEach(test.only);
+
+    const describe = (blockName: BlockName, blockFn: BlockFn) =>
+      jestTestHooks.describe(blockName, blockFn);
+    describe.skip = jestTestHooks.describe.skip;
+    describe.only = jestTestHooks.describe.only;
+    describe.each = bindEach(describe);
+    describe.skip.each = bindEach(describe.skip);
+    describe.only.each = bindEach(describe.only);
+
+    const declarations = {
+      afterAll: addHook('afterAll'),
+      afterEach: addHook('afterEach'),
+      beforeAll: addHook('beforeAll'),
+      beforeEach: addHook('beforeEach'),
+      test,
+      it: test,
+      xtest: test.skip,
+      xit: test.skip,
+      fit: test.only,
+      describe,
+      xdescribe: describe.skip,
+      fdescribe: describe.only,
     };
 
+    if (!mockRegistry) {
+      return {
+        ...jestTestHooks,
+        ...declarations,
+        expect,
+        jest: jestMock,
+      };
+    }
+
     return {
       ...jestTestHooks,
+      ...declarations,
       expect,
-      jest: jestMock,
-      test,
-      it,
+      jest: createJestObject(
+        module,
+        mockRegistry,
+        this.getFakeTimers(mockRegistry.testPath),
+        (timeout: number) => {
+          this.testTimeouts.set(mockRegistry.testPath, timeout);
+        }
+      ),
+      setImmediate: scopedSetImmediate,
+      // We can't remove the DOM of the sandbox, but we can hide it from the
+      // modules of the test
+      ...(this.config.testEnvironment === 'node'
+        ? { window: undefined, document: undefined }
+        : {}),
     };
   }
 
-  static isTest(path: string) {
-    const endsWith = [
-      '.test.js',
-      '.test.ts',
-      '.test.tsx',
-      '.spec.js',
-      '.spec.ts',
-      '.spec.tsx',
-    ];
+  getFakeTimers(testPath: string): FakeTimers {
+    let fakeTimers = this.fakeTimers.get(testPath);
+
+    if (!fakeTimers) {
+      fakeTimers = new FakeTimers();
+      this.fakeTimers.set(testPath, fakeTimers);
+    }
+
+    return fakeTimers;
+  }
+
+  /**
+   * Only the tests of a file that called `jest.useFakeTimers()` should run
+   * with fake timers, so we switch timers whenever a test or a hook starts.
+   */
+  installTimersForTest(testPath: string) {
+    const fakeTimers = this.fakeTimers.get(testPath);
+
+    if (fakeTimers && fakeTimers.enabled) {
+      fakeTimers.install();
+    } else {
+      FakeTimers.restoreRealTimers();
+    }
+  }
+
+  /**
+   * Whether the module at the path should be instrumented for coverage, we
+   * don't instrument dependencies, tests and mocks.
+   */
+  shouldCollectCoverage(path: string) {
+    return (
+      this.coverage &&
+      !path.startsWith('/node_modules/') &&
+      !path.includes('/__mocks__/') &&
+      !this.isTest(path)
+    );
+  }
+
+  /**
+   * Coverage is added by the transpiler, so we need to transpile all modules
+   * again when coverage mode is switched.
+   */
+  setCoverage(coverage: boolean) {
+    this.coverage = coverage;
+
+    this.manager
+      .getTranspiledModules()
+      .filter(t => !t.module.path.startsWith('/node_modules/'))
+      .forEach(t => t.resetTranspilation());
+
+    dispatch(actions.coverage.clear());
+    this.sendMessage('coverage', { coverage: null });
+  }
+
+  isTest = (path: string) => isTestPath(this.config, path);
+
+  /**
+   * Read the Jest config from jest.config.js, or from the `jest` field of
+   * package.json if there is no jest.config.js.
+   */
+  /* istanbul ignore next */
+  async loadConfig() {
+    const { configurations, modules } = this.manager;
+    const configModule = modules && modules['/jest.config.js'];
+    let userConfig =
+      configurations &&
+      configurations.package &&
+      configurations.package.parsed &&
+      configurations.package.parsed.jest;
+
+    if (configModule) {
+      try {
+        await this.manager.transpileModules(configModule, true);
+        const exports = this.manager.evaluateModule(configModule, true);
+        userConfig = exports && exports.__esModule ? exports.default : exports;
+      } catch (e) {
+        console.error(e);
+      }
+    }
+
+    const config = normalizeConfig(
+      userConfig,
+      configModule ? '/jest.config.js' : '/package.json'
+    );
 
     if (
-      path.includes('__tests__') &&
-      (path.endsWith('.js') || path.endsWith('.ts') || path.endsWith('.tsx'))
+      !isEqual(config.moduleNameMapper, this.config.moduleNameMapper) ||
+      !isEqual(config.moduleDirectories, this.config.moduleDirectories)
     ) {
-      return true;
+      // The paths were resolved with the old config
+      this.manager.cachedPaths = {};
+    }
+
+    this.config = config;
+  }
+
+  /**
+   * The modules of `setupFiles` and `setupFilesAfterEnv`, Create React App
+   * uses src/setupTests.js by default.
+   */
+  /* istanbul ignore next */
+  async getSetupModules(): Promise<Array<Module>> {
+    const { setupFiles, setupFilesAfterEnv } = this.config;
+    const setupPaths = [...setupFiles, ...setupFilesAfterEnv];
+
+    const setupModules = await Promise.all(
+      setupPaths.map(async path => {
+        try {
+          const tModule = await this.manager.resolveTranspiledModuleAsync(
+            path,
+            '/'
+          );
+          return tModule.module;
+        } catch (e) {
+          console.error(e);
+          return null;
+        }
+      })
+    );
+
+    if (setupFilesAfterEnv.length === 0) {
+      const defaultSetupFile = {
+        [react.name]: './src/setupTests.js',
+        [reactTs.name]: './src/setupTests.ts',
+      }[this.manager.preset.name];
+
+      try {
+        if (defaultSetupFile) {
+          setupModules.push(this.manager.resolveModule(defaultSetupFile, '/'));
+        }
+      } catch (e) {
+        /* ignore */
+      }
     }
 
-    return endsWith.filter(ext => path.endsWith(ext)).length > 0;
+    // $FlowIssue
+    return setupModules.filter(m => m);
   }
 
   findTests(modules: { [path: string]: Module }) {
@@ -141,7 +369,7 @@ export default class TestRunner {
       });
     }
     this.tests = Object.keys(modules)
-      .filter(TestRunner.isTest)
+      .filter(this.isTest)
       .map(p => modules[p]);
   }
 
@@ -180,6 +408,27 @@ export default class TestRunner {
     );
   }
 
+  /**
+   * Manual mocks in `__mocks__` directories are never required directly, so we
+   * need to transpile them ourselves before the tests are evaluated.
+   */
+  /* istanbul ignore next */
+  async transpileMocks() {
+    const { modules } = this.manager;
+
+    return Promise.all(
+      Object.keys(modules)
+        .filter(p => p.includes('/__mocks__/'))
+        .map(async p => {
+          try {
+            await this.manager.transpileModules(modules[p], true);
+          } catch (e) {
+            console.error(e);
+          }
+        })
+    );
+  }
+
   sendMessage(event: string, message: any = {}) {
     dispatch({
       type: 'test',
@@ -196,22 +445,12 @@ export default class TestRunner {
 
     this.sendMessage('total_test_start');
 
-    let testModule = null;
-
-    try {
-      if (this.manager.preset.name === react.name) {
-        testModule = this.manager.resolveModule('./src/setupTests.js', '/');
-      } else if (this.manager.preset.name === reactTs.name) {
-        testModule = this.manager.resolveModule('./src/setupTests.ts', '/');
-      }
-    } catch (e) {
-      /* ignore */
-    }
+    await this.loadConfig();
 
-    if (testModule) {
-      await this.manager.transpileModules(testModule, true);
-      this.manager.evaluateModule(testModule, true);
-    }
+    const setupModules = await this.getSetupModules();
+    await Promise.all(
+      setupModules.map(m => this.manager.transpileModules(m, true))
+    );
 
     if (this.manager.modules) {
       this.findTests(this.manager.modules);
@@ -220,12 +459,41 @@ export default class TestRunner {
     // $FlowIssue
     const tests: Array<Module> = (await this.transpileTests()).filter(t => t);
 
-    resetTestState();
+    await this.transpileMocks();
+
+    if (this.coverage) {
+      // Evaluate all instrumented modules again, otherwise the code that runs
+      // on evaluation won't be counted
+      this.manager
+        .getTranspiledModules()
+        .filter(t => this.shouldCollectCoverage(t.module.path))
+        .forEach(t => t.resetCompilation());
+
+      resetCoverage();
+    }
+
+    resetTestState(this.config.testTimeout);
+    this.snapshotStates = new Map();
+    this.fakeTimers = new Map();
+    this.testTimeouts = new Map();
 
     await Promise.all(
       tests.map(async t => {
         try {
-          this.manager.evaluateModule(t, true);
+          // Every test file has its own registry, so mocks don't leak between
+          // test files or into the preview
+          const mockRegistry = new MockRegistry(this.manager, t.path);
+          try {
+            // Like Jest we run the setup files before every test file
+            setupModules.forEach(m => {
+              this.manager.evaluateModule(m, true, mockRegistry);
+            });
+            this.manager.evaluateModule(t, true, mockRegistry);
+          } finally {
+            // Fake timers installed during evaluation shouldn't leak into the
+            // evaluation of the other test files
+            FakeTimers.restoreRealTimers();
+          }
           this.ranTests.add(t.path);
         } catch (e) {
           this.ranTests.delete(t.path);
@@ -235,13 +503,109 @@ export default class TestRunner {
       })
     );
 
-    await run();
+    try {
+      await run(this.getSnapshotState, this.getTestTimeout);
+    } finally {
+      FakeTimers.restoreRealTimers();
+    }
+
+    this.saveSnapshots();
+
+    if (this.coverage) {
+      this.reportCoverage();
+    }
 
     setTimeout(() => {
       this.sendMessage('total_test_end');
     });
   }
 
+  // Timeout set with `jest.setTimeout` in the test file
+  getTestTimeout = (testPath: string): ?number =>
+    this.testTimeouts.get(testPath);
+
+  getSnapshotState = (testPath: string): SnapshotState => {
+    let snapshotState = this.snapshotStates.get(testPath);
+
+    if (!snapshotState) {
+      snapshotState = new SnapshotState(testPath, this.manager, {
+        expand: true,
+        updateSnapshot: this.updateSnapshot,
+      });
+      this.snapshotStates.set(testPath, snapshotState);
+    }
+
+    return snapshotState;
+  };
+
+  /**
+   * Write all added, changed and (when updating) obsolete snapshots back to
+   * the sandbox and report the result to the Tests pane
+   */
+  saveSnapshots() {
+    const summary = {
+      added: 0,
+      matched: 0,
+      unmatched: 0,
+      updated: 0,
+      unchecked: 0,
+      filesAdded: 0,
+      filesRemoved: 0,
+    };
+
+    this.snapshotStates.forEach(snapshotState => {
+      if (this.updateSnapshot === 'all') {
+        snapshotState.removeUncheckedKeys();
+      }
+
+      const uncheckedCount = snapshotState.getUncheckedCount();
+      const { saved, deleted } = snapshotState.save();
+
+      summary.added += snapshotState.added;
+      summary.matched += snapshotState.matched;
+      summary.unmatched += snapshotState.unmatched;
+      summary.updated += snapshotState.updated;
+      summary.unchecked += uncheckedCount;
+      summary.filesAdded += saved ? 1 : 0;
+      summary.filesRemoved += deleted ? 1 : 0;
+    });
+
+    this.sendMessage('snapshot_summary', { summary });
+  }
+
+  /**
+   * Send the coverage of the last run to the Tests pane, and the covered lines
+   * to the editor
+   */
+  reportCoverage() {
+    const coverage = collectCoverage().filter(
+      fileCoverage => this.manager.transpiledModules[fileCoverage.path]
+    );
+
+    dispatch(actions.coverage.clear());
+    coverage.forEach(({ path, coveredLines, uncoveredLines }) => {
+      dispatch(actions.coverage.show({ path, coveredLines, uncoveredLines }));
+    });
+
+    const summaries = {};
+    coverage.forEach(({ path, summary }) => {
+      summaries[path] = summary;
+    });
+
+    this.sendMessage('coverage', { coverage: summaries });
+  }
+
+  async updateSnapshots() {
+    this.updateSnapshot = 'all';
+    this.ranTests.clear();
+
+    try {
+      await this.runTests(true);
+    } finally {
+      this.updateSnapshot = 'new';
+    }
+  }
+
   async errorToCodeSandbox(
     error: Error & {
       matcherResult?: boolean,
@@ -292,7 +656,20 @@ export default class TestRunner {
 
   handleMessage = async (message: Event) => {
     switch (message.name) {
+      case 'hook_start': {
+        // Hooks run before `test_start`, with the timers of their own file
+        if (message.hook.testPath) {
+          this.installTimersForTest(message.hook.testPath);
+        }
+        return null;
+      }
       case 'test_start': {
+        this.installTimersForTest(message.test.name.split(':#:')[0]);
+        // jest-circus times the test with the global Date, which can be the
+        // Date of the fake timers
+        // eslint-disable-next-line no-param-reassign
+        message.test.startedAt = getRealNow();
+
         const test = await this.testToCodeSandbox(message.test);
         return this.sendMessage('test_start', {
           test,
@@ -300,6 +677,9 @@ export default class TestRunner {
       }
       case 'test_failure':
       case 'test_success': {
+        const { startedAt } = message.test;
+        // eslint-disable-next-line no-param-reassign
+        message.test.duration = startedAt ? getRealNow() - startedAt : null;
         const { suppressedErrors } = expect.getState();
 
         if (suppressedErrors && suppressedErrors.length) {
@@ -315,7 +695,15 @@ export default class TestRunner {
           test.errors.forEach(err => {
             if (err.mappedErrors) {
               const { mappedErrors } = err;
-              const mappedError = mappedErrors[0];
+              // Point at the line in the test file instead of the first frame,
+              // which is usually in the matchers
+              const mappedError =
+                mappedErrors.find(
+                  frame =>
+                    frame._originalLineNumber != null &&
+                    frame.fileName &&
+                    frame.fileName.replace(location.origin, '') === test.path
+                ) || mappedErrors[0];
 
               dispatch(
                 actions.error.show(err.name || 'Jest Error', err.message, {
@@ -345,6 +733,24 @@ export default class TestRunner {
       case 'finish_describe_definition': {
         return this.sendMessage('describe_end');
       }
+      case 'test_skip': {
+        // Snapshots of skipped tests are not obsolete, so we shouldn't remove
+        // them when updating
+        const [path, name] = message.test.name.split(':#:');
+        const testName = [...this.getDescribeBlocks(message.test), name].join(
+          ' '
+        );
+        this.getSnapshotState(path).markSnapshotsAsCheckedForTest(testName);
+        return null;
+      }
+      case 'test_todo': {
+        // jest-circus doesn't know todo tests, so it won't set the status
+        message.test.status = 'todo'; // eslint-disable-line no-param-reassign
+        const test = await this.testToCodeSandbox(message.test);
+        return this.sendMessage('test_end', {
+          test,
+        });
+      }
       case 'add_test': {
         const [path, testName] = message.testName.split(':#:');
         return this.sendMessage('add_test', {
@@ -369,6 +775,12 @@ export default class TestRunner {
       } else if (message.type === 'run-all-tests') {
         this.ranTests.clear();
         this.runTests(true);
+      } else if (message.type === 'set-test-coverage') {
+        this.setCoverage(message.coverage);
+        this.ranTests.clear();
+        this.runTests(true);
+      } else if (message.type === 'update-snapshots') {
+        this.updateSnapshots();
       } else if (message.type === 'run-tests') {
         const path = message.path;
 
@@ -0,0 +1,114 @@
+// @flow
+import jestMock from 'jest-mock';
+
+import type { Module } from '../entities/module';
+import type MockRegistry from './mock-registry';
+import type FakeTimers from './fake-timers';
+
+/**
+ * Creates the `jest` global for a module that's evaluated as part of a test
+ * file. Module mocking is delegated to the mock registry of that test file,
+ * timers to the fake timers of that test file.
+ */
+export default function createJestObject(
+  module: Module,
+  mockRegistry: MockRegistry,
+  fakeTimers: FakeTimers,
+  setTestTimeout: (timeout: number) => void
+) {
+  const from = module.path;
+
+  const jestObject = {
+    fn: jestMock.fn.bind(jestMock),
+    spyOn: jestMock.spyOn.bind(jestMock),
+    isMockFunction: jestMock.isMockFunction.bind(jestMock),
+    clearAllMocks: () => {
+      jestMock.clearAllMocks();
+      return jestObject;
+    },
+    resetAllMocks: () => {
+      jestMock.resetAllMocks();
+      return jestObject;
+    },
+    restoreAllMocks: () => {
+      jestMock.restoreAllMocks();
+      return jestObject;
+    },
+
+    mock: (
+      path: string,
+      factory?: () => any,
+      options?: { virtual?: boolean }
+    ) => {
+      mockRegistry.setMock(path, from, factory, options);
+      return jestObject;
+    },
+    doMock: (
+      path: string,
+      factory?: () => any,
+      options?: { virtual?: boolean }
+    ) => {
+      mockRegistry.setMock(path, from, factory, options);
+      return jestObject;
+    },
+    setMock: (path: string, moduleExports: any) => {
+      mockRegistry.setMock(path, from, () => moduleExports);
+      return jestObject;
+    },
+    unmock: (path: string) => {
+      mockRegistry.unmock(path, from);
+      return jestObject;
+    },
+    dontMock: (path: string) => {
+      mockRegistry.unmock(path, from);
+      return jestObject;
+    },
+    deepUnmock: (path: string) => {
+      mockRegistry.unmock(path, from);
+      return jestObject;
+    },
+    enableAutomock: () => {
+      mockRegistry.automock = true;
+      return jestObject;
+    },
+    disableAutomock: () => {
+      mockRegistry.automock = false;
+      return jestObject;
+    },
+    resetModules: () => {
+      mockRegistry.resetModules();
+      return jestObject;
+    },
+
+    useFakeTimers: () => {
+      fakeTimers.useFakeTimers();
+      return jestObject;
+    },
+    useRealTimers: () => {
+      fakeTimers.useRealTimers();
+      return jestObject;
+    },
+    runAllTimers: () => fakeTimers.runAllTimers(),
+    runAllImmediates: () => fakeTimers.runAllImmediates(),
+    runAllTicks: () => fakeTimers.runAllTicks(),
+    runOnlyPendingTimers: () => fakeTimers.runOnlyPendingTimers(),
+    advanceTimersByTime: (msToRun: number) =>
+      fakeTimers.advanceTimersByTime(msToRun),
+    runTimersToTime: (msToRun: number) =>
+      fakeTimers.advanceTimersByTime(msToRun),
+    clearAllTimers: () => fakeTimers.clearAllTimers(),
+    getTimerCount: () => fakeTimers.getTimerCount(),
+
+    setTimeout: (timeout: number) => {
+      setTestTimeout(timeout);
+      return jestObject;
+    },
+
+    requireActual: (path: string) => mockRegistry.requireActual(path, from),
+    requireMock: (path: string) => mockRegistry.requireMock(path, from),
+    genMockFromModule: (path: string) =>
+      mockRegistry.generateFromModule(path, from),
+  };
+
+  return jestObject;
+}
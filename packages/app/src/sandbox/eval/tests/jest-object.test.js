@@ -0,0 +1,114 @@
+import createJestObject from './jest-object';
+import FakeTimers from './fake-timers';
+
+const TEST_PATH = '/src/App.test.js';
+
+function createMockRegistry() {
+  return {
+    automock: false,
+    setMock: jest.fn(),
+    unmock: jest.fn(),
+    resetModules: jest.fn(),
+    requireActual: jest.fn(() => 'actual'),
+    requireMock: jest.fn(() => 'mock'),
+    generateFromModule: jest.fn(),
+  };
+}
+
+describe('jest object', () => {
+  let mockRegistry;
+  let fakeTimers;
+  let setTestTimeout;
+  let jestObject;
+
+  beforeEach(() => {
+    mockRegistry = createMockRegistry();
+    fakeTimers = new FakeTimers();
+    setTestTimeout = jest.fn();
+    jestObject = createJestObject(
+      { path: TEST_PATH, code: '' },
+      mockRegistry,
+      fakeTimers,
+      setTestTimeout
+    );
+  });
+
+  afterEach(() => {
+    FakeTimers.restoreRealTimers();
+  });
+
+  it('registers mocks relative to the module', () => {
+    const factory = () => ({});
+
+    expect(jestObject.mock('./utils', factory, { virtual: true })).toBe(
+      jestObject
+    );
+    expect(mockRegistry.setMock).toHaveBeenCalledWith(
+      './utils',
+      TEST_PATH,
+      factory,
+      { virtual: true }
+    );
+
+    jestObject.unmock('./utils');
+    expect(mockRegistry.unmock).toHaveBeenCalledWith('./utils', TEST_PATH);
+
+    expect(jestObject.requireActual('./utils')).toBe('actual');
+    expect(jestObject.requireMock('./utils')).toBe('mock');
+  });
+
+  it('uses the exports of setMock as the mock', () => {
+    const moduleExports = { value: 1 };
+
+    jestObject.setMock('./utils', moduleExports);
+
+    const factory = mockRegistry.setMock.mock.calls[0][2];
+    expect(factory()).toBe(moduleExports);
+  });
+
+  it('toggles automock and resets the modules', () => {
+    jestObject.enableAutomock();
+    expect(mockRegistry.automock).toBe(true);
+
+    jestObject.disableAutomock().resetModules();
+    expect(mockRegistry.automock).toBe(false);
+    expect(mockRegistry.resetModules).toHaveBeenCalled();
+  });
+
+  it('advances the fake timers of the test file', () => {
+    const callback = jest.fn();
+
+    jestObject.useFakeTimers();
+    setTimeout(callback, 1000);
+    expect(jestObject.getTimerCount()).toBe(1);
+
+    jestObject.advanceTimersByTime(500);
+    expect(callback).not.toHaveBeenCalled();
+
+    jestObject.runTimersToTime(500);
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs all timers and restores the real timers', () => {
+    const realSetTimeout = window.setTimeout;
+    const callback = jest.fn();
+
+    jestObject.useFakeTimers();
+    setInterval(() => {
+      callback();
+      if (callback.mock.calls.length === 3) {
+        jestObject.clearAllTimers();
+      }
+    }, 10);
+    jestObject.runAllTimers();
+    expect(callback).toHaveBeenCalledTimes(3);
+
+    jestObject.useRealTimers();
+    expect(window.setTimeout).toBe(realSetTimeout);
+  });
+
+  it('sets the timeout of the test', () => {
+    expect(jestObject.setTimeout(10000)).toBe(jestObject);
+    expect(setTestTimeout).toHaveBeenCalledWith(10000);
+  });
+});
@@ -0,0 +1,305 @@
+// @flow
+import jestMock from 'jest-mock';
+
+import * as pathUtils from 'common/utils/path';
+
+import type Manager from '../manager';
+import type TranspiledModule from '../transpiled-module';
+
+type MockFactory = () => any;
+
+// Directories that contain mocks for node_modules, like `/__mocks__/axios.js`.
+// These mocks are used automatically, without calling `jest.mock`.
+const NODE_MODULE_MOCK_ROOTS = ['/'];
+
+const isDependencyPath = (path: string) => /^(\w|@\w)/.test(path);
+
+/**
+ * Every test file gets its own registry, which keeps track of the mocks
+ * registered by `jest.mock` and friends. The registry is passed along with the
+ * evaluation of the test file, so every `require` in the dependency tree of the
+ * test file goes through `require` of this registry.
+ *
+ * As soon as mocks are registered the registry becomes isolated: modules are
+ * evaluated again for this registry and their exports are kept here, instead
+ * of in the shared compilation of the TranspiledModule. That way the preview
+ * and other test files never see the mocked instances of a module.
+ */
+export default class MockRegistry {
+  manager: Manager;
+  testPath: string;
+
+  explicitMocks: { [path: string]: ?MockFactory } = {};
+  explicitUnmocks: { [path: string]: boolean } = {};
+  virtualMocks: { [path: string]: MockFactory } = {};
+  mockExports: { [path: string]: any } = {};
+
+  compilations: Map<TranspiledModule, Object> = new Map();
+  automock: boolean = false;
+  modulesReset: boolean = false;
+  hasNodeModuleMocks: boolean;
+  hasTestResolution: boolean;
+
+  constructor(manager: Manager, testPath: string) {
+    this.manager = manager;
+    this.testPath = testPath;
+
+    this.hasNodeModuleMocks = Object.keys(manager.transpiledModules).some(p =>
+      NODE_MODULE_MOCK_ROOTS.some(root =>
+        p.startsWith(pathUtils.join(root, '__mocks__/'))
+      )
+    );
+    // Modules that are evaluated with the resolution of the Jest config
+    // shouldn't end up in the preview
+    this.hasTestResolution = manager.hasTestResolution();
+  }
+
+  /**
+   * Whether modules should be evaluated separately for this registry
+   */
+  isIsolated() {
+    return (
+      Object.keys(this.explicitMocks).length > 0 ||
+      Object.keys(this.virtualMocks).length > 0 ||
+      this.automock ||
+      this.modulesReset ||
+      this.hasNodeModuleMocks ||
+      this.hasTestResolution
+    );
+  }
+
+  getVirtualPath(path: string, from: string) {
+    return isDependencyPath(path)
+      ? path
+      : pathUtils.join(pathUtils.dirname(from), path);
+  }
+
+  /**
+   * Returns the path of the module, or null if the module doesn't exist
+   */
+  resolvePath(path: string, from: string): ?string {
+    try {
+      return this.manager.resolveModule(
+        path,
+        from,
+        this.manager.preset.ignoredExtensions,
+        true
+      ).path;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  setMock(
+    path: string,
+    from: string,
+    factory: ?MockFactory,
+    options: { virtual?: boolean } = {}
+  ) {
+    const resolvedPath = options.virtual ? null : this.resolvePath(path, from);
+
+    if (resolvedPath) {
+      this.explicitMocks[resolvedPath] = factory;
+      delete this.explicitUnmocks[resolvedPath];
+      delete this.mockExports[resolvedPath];
+    } else {
+      const virtualPath = this.getVirtualPath(path, from);
+
+      if (!factory) {
+        throw new Error(
+          `Cannot find module '${path}' from '${from}', a mock factory is required for virtual mocks.`
+        );
+      }
+
+      this.virtualMocks[virtualPath] = factory;
+      delete this.mockExports[virtualPath];
+    }
+  }
+
+  unmock(path: string, from: string) {
+    const resolvedPath = this.resolvePath(path, from);
+
+    if (resolvedPath) {
+      this.explicitUnmocks[resolvedPath] = true;
+      delete this.explicitMocks[resolvedPath];
+    }
+  }
+
+  resetModules() {
+    this.modulesReset = true;
+    this.mockExports = {};
+    this.compilations.clear();
+  }
+
+  /**
+   * Find the manual mock in a `__mocks__` directory for the given module
+   */
+  findManualMock(path: string, resolvedPath: string): ?TranspiledModule {
+    const isNodeModule = resolvedPath.startsWith('/node_modules/');
+    const mockPaths = isNodeModule
+      ? NODE_MODULE_MOCK_ROOTS.map(root => pathUtils.join(root, '__mocks__'))
+      : [pathUtils.join(pathUtils.dirname(resolvedPath), '__mocks__')];
+
+    const mockName = isNodeModule
+      ? path
+      : pathUtils.basename(resolvedPath).replace(/\.[^.]+$/, '');
+
+    for (let i = 0; i < mockPaths.length; i += 1) {
+      const mockPath = pathUtils.join(mockPaths[i], mockName);
+      const mockModule = this.resolvePath(mockPath, '/');
+
+      if (mockModule && mockModule !== resolvedPath) {
+        return this.manager.getTranspiledModule(
+          this.manager.transpiledModules[mockModule].module
+        );
+      }
+    }
+
+    return null;
+  }
+
+  shouldMock(path: string, resolvedPath: string) {
+    if (this.explicitUnmocks[resolvedPath]) {
+      return false;
+    }
+
+    if (resolvedPath in this.explicitMocks) {
+      return true;
+    }
+
+    if (
+      resolvedPath.startsWith('/node_modules/') &&
+      isDependencyPath(path) &&
+      this.hasNodeModuleMocks &&
+      this.findManualMock(path, resolvedPath)
+    ) {
+      return true;
+    }
+
+    return this.automock && resolvedPath !== this.testPath;
+  }
+
+  /**
+   * The require function that's used by every module evaluated in the context
+   * of this registry
+   */
+  require(path: string, from: string, initiator: TranspiledModule) {
+    let tModule;
+    try {
+      tModule = this.manager.resolveTranspiledModule(
+        path,
+        from,
+        undefined,
+        true
+      );
+    } catch (e) {
+      const virtualPath = this.getVirtualPath(path, from);
+      if (this.virtualMocks[virtualPath]) {
+        return this.requireMock(path, from);
+      }
+
+      throw e;
+    }
+
+    if (this.shouldMock(path, tModule.module.path)) {
+      return this.requireMock(path, from, initiator);
+    }
+
+    return this.requireModule(tModule, initiator);
+  }
+
+  requireActual(path: string, from: string, initiator?: TranspiledModule) {
+    const tModule = this.manager.resolveTranspiledModule(
+      path,
+      from,
+      undefined,
+      true
+    );
+
+    return this.requireModule(tModule, initiator);
+  }
+
+  requireMock(path: string, from: string, initiator?: TranspiledModule) {
+    const resolvedPath = this.resolvePath(path, from);
+    const virtualPath = this.getVirtualPath(path, from);
+    const mockPath = resolvedPath || virtualPath;
+
+    if (mockPath in this.mockExports) {
+      return this.mockExports[mockPath];
+    }
+
+    const factory = resolvedPath
+      ? this.explicitMocks[resolvedPath]
+      : this.virtualMocks[virtualPath];
+
+    if (factory) {
+      this.mockExports[mockPath] = factory();
+      return this.mockExports[mockPath];
+    }
+
+    if (!resolvedPath) {
+      throw new Error(`Cannot find module '${path}' from '${from}'`);
+    }
+
+    const manualMock = this.findManualMock(path, resolvedPath);
+    if (manualMock) {
+      this.mockExports[mockPath] = this.requireModule(manualMock, initiator);
+      return this.mockExports[mockPath];
+    }
+
+    this.mockExports[mockPath] = this.generateFromModule(path, from);
+    return this.mockExports[mockPath];
+  }
+
+  /**
+   * Generates an automatic mock from the real exports of the module
+   */
+  generateFromModule(path: string, from: string) {
+    const actualExports = this.requireActual(path, from);
+
+    return jestMock.generateFromMetadata(jestMock.getMetadata(actualExports));
+  }
+
+  /**
+   * Evaluate the module for this registry, if the registry is not isolated we
+   * just share the compilation with the rest of the sandbox.
+   */
+  requireModule(tModule: TranspiledModule, initiator?: TranspiledModule) {
+    if (!this.isIsolated()) {
+      const cache = tModule.compilation;
+
+      return cache
+        ? cache.exports
+        : this.manager.evaluateTranspiledModule(tModule, initiator, this);
+    }
+
+    const compilation = this.compilations.get(tModule);
+    if (compilation) {
+      // This is also the case for circular dependencies, the compilation is
+      // registered before the module is evaluated.
+      return compilation.exports;
+    }
+
+    // The TranspiledModule creates a separate compilation for an isolated
+    // registry, the compilation of the preview is left alone
+    return this.manager.evaluateTranspiledModule(tModule, initiator, this);
+  }
+
+  /**
+   * Called by the TranspiledModule when it has created a compilation for this
+   * registry
+   */
+  registerCompilation(tModule: TranspiledModule, compilation: Object) {
+    if (this.isIsolated()) {
+      this.compilations.set(tModule, compilation);
+    }
+  }
+
+  /**
+   * Called by the TranspiledModule when the evaluation for this registry
+   * failed, the module will be evaluated again when it's required again.
+   */
+  removeCompilation(tModule: TranspiledModule) {
+    this.compilations.delete(tModule);
+  }
+}
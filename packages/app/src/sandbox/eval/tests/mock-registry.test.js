@@ -0,0 +1,169 @@
+import jestMock from 'jest-mock';
+
+import * as pathUtils from 'common/utils/path';
+
+import MockRegistry from './mock-registry';
+
+const TEST_PATH = '/src/math.test.js';
+
+const FILES = {
+  [TEST_PATH]: () => ({}),
+  '/src/math.js': () => ({ add: (a, b) => a + b }),
+  '/src/logger.js': () => ({ log: () => 'logged' }),
+  '/src/__mocks__/logger.js': () => ({ log: () => 'manual mock' }),
+  '/node_modules/axios/index.js': () => ({ get: () => 'request' }),
+  '/__mocks__/axios.js': () => ({ get: () => 'manual mock' }),
+};
+
+/**
+ * A manager with just enough to resolve and evaluate the given files, every
+ * file is a function that returns the exports of the module.
+ */
+function createManager(files = FILES) {
+  const resolve = (path, from) => {
+    const absolutePath =
+      path.startsWith('.') || path.startsWith('/')
+        ? pathUtils.join(pathUtils.dirname(from), path)
+        : `/node_modules/${path}/index.js`;
+
+    const resolvedPath = [absolutePath, `${absolutePath}.js`].find(
+      p => p in files
+    );
+    if (!resolvedPath) {
+      throw new Error(`Cannot find module '${path}' from '${from}'`);
+    }
+
+    return resolvedPath;
+  };
+
+  const transpiledModules = {};
+  Object.keys(files).forEach(path => {
+    transpiledModules[path] = { module: { path }, compilation: null };
+  });
+
+  return {
+    transpiledModules,
+    preset: { ignoredExtensions: ['js'] },
+    hasTestResolution: () => false,
+    resolveModule: (path, from) => ({ path: resolve(path, from) }),
+    resolveTranspiledModule: (path, from) =>
+      transpiledModules[resolve(path, from)],
+    getTranspiledModule: module => transpiledModules[module.path],
+    evaluateTranspiledModule: jest.fn((tModule, initiator, registry) => {
+      const compilation = { exports: files[tModule.module.path]() };
+
+      // Like the TranspiledModule, only the compilation of the preview is
+      // kept on the module
+      if (!registry.isIsolated()) {
+        // eslint-disable-next-line no-param-reassign
+        tModule.compilation = compilation;
+      }
+      registry.registerCompilation(tModule, compilation);
+
+      return compilation.exports;
+    }),
+  };
+}
+
+describe('MockRegistry', () => {
+  let manager;
+  let registry;
+
+  beforeEach(() => {
+    manager = createManager();
+    registry = new MockRegistry(manager, TEST_PATH);
+  });
+
+  it('shares the compilation when nothing is mocked', () => {
+    // Manual mocks of dependencies are used automatically, so leave them out
+    manager = createManager({
+      [TEST_PATH]: FILES[TEST_PATH],
+      '/src/math.js': FILES['/src/math.js'],
+    });
+    registry = new MockRegistry(manager, TEST_PATH);
+
+    expect(registry.isIsolated()).toBe(false);
+
+    const math = registry.require('./math', TEST_PATH);
+    expect(math.add(1, 2)).toBe(3);
+    expect(registry.require('./math', TEST_PATH)).toBe(math);
+    expect(manager.transpiledModules['/src/math.js'].compilation.exports).toBe(
+      math
+    );
+  });
+
+  it('uses the factory of a mock', () => {
+    const factory = jest.fn(() => ({ add: () => 42 }));
+    registry.setMock('./math', TEST_PATH, factory);
+
+    expect(registry.require('./math', TEST_PATH).add(1, 2)).toBe(42);
+    expect(registry.require('./math', TEST_PATH).add(1, 2)).toBe(42);
+    expect(factory).toHaveBeenCalledTimes(1);
+
+    expect(registry.requireActual('./math', TEST_PATH).add(1, 2)).toBe(3);
+  });
+
+  it('keeps the compilation of the preview when isolated', () => {
+    const previewCompilation = { exports: { add: () => 'preview' } };
+    manager.transpiledModules['/src/math.js'].compilation = previewCompilation;
+
+    registry.setMock('./logger', TEST_PATH, () => ({ log: () => 'mock' }));
+
+    expect(registry.isIsolated()).toBe(true);
+    expect(registry.require('./math', TEST_PATH).add(1, 2)).toBe(3);
+    expect(manager.transpiledModules['/src/math.js'].compilation).toBe(
+      previewCompilation
+    );
+  });
+
+  it('uses virtual mocks for modules that do not exist', () => {
+    registry.setMock('not-installed', TEST_PATH, () => 'virtual', {
+      virtual: true,
+    });
+
+    expect(registry.require('not-installed', TEST_PATH)).toBe('virtual');
+    expect(() =>
+      registry.setMock('./missing', TEST_PATH, undefined, { virtual: true })
+    ).toThrow(/a mock factory is required/);
+  });
+
+  it('uses the manual mock in __mocks__ without a factory', () => {
+    registry.setMock('./logger', TEST_PATH);
+
+    expect(registry.require('./logger', TEST_PATH).log()).toBe('manual mock');
+  });
+
+  it('uses the manual mock of a dependency automatically', () => {
+    expect(registry.require('axios', TEST_PATH).get()).toBe('manual mock');
+
+    registry.unmock('axios', TEST_PATH);
+    expect(registry.require('axios', TEST_PATH).get()).toBe('request');
+  });
+
+  it('generates automatic mocks with automock', () => {
+    registry.automock = true;
+
+    const math = registry.require('./math', TEST_PATH);
+    expect(jestMock.isMockFunction(math.add)).toBe(true);
+    expect(math.add(1, 2)).toBe(undefined);
+
+    // The test file itself is never mocked
+    expect(registry.shouldMock(TEST_PATH, TEST_PATH)).toBe(false);
+  });
+
+  it('evaluates the modules again after resetModules', () => {
+    const factory = jest.fn(() => ({}));
+    registry.setMock('./logger', TEST_PATH, factory);
+
+    const math = registry.require('./math', TEST_PATH);
+    const logger = registry.require('./logger', TEST_PATH);
+    expect(registry.require('./math', TEST_PATH)).toBe(math);
+
+    registry.resetModules();
+
+    expect(registry.require('./math', TEST_PATH)).not.toBe(math);
+    expect(registry.require('./logger', TEST_PATH)).not.toBe(logger);
+    expect(factory).toHaveBeenCalledTimes(2);
+    expect(manager.evaluateTranspiledModule).toHaveBeenCalledTimes(2);
+  });
+});
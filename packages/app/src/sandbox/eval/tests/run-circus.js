@@ -16,9 +16,9 @@ import {
   getEachHooksForTest,
   makeTestResults,
 } from 'jest-circus/build/utils';
-import { SnapshotState } from 'jest-snapshot';
 import expect from 'jest-matchers';
 
+import type SnapshotState from './snapshot-state';
 import type {
   TestEntry,
   TestResults,
@@ -29,9 +29,21 @@ import type {
 
 const currentDescribeBlocks = [];
 
-const run = async (): Promise<TestResults> => {
+type CreateSnapshotState = (testPath: string) => SnapshotState;
+let createSnapshotState: CreateSnapshotState;
+
+type GetTestTimeout = (testPath: string) => ?number;
+let getTestTimeout: GetTestTimeout;
+
+const run = async (
+  snapshotStateFactory: CreateSnapshotState,
+  testTimeoutGetter: GetTestTimeout
+): Promise<TestResults> => {
   const { rootDescribeBlock } = getState();
   currentDescribeBlocks.length = 0;
+  createSnapshotState = snapshotStateFactory;
+  getTestTimeout = testTimeoutGetter;
+  window.infiniteLoopError = null;
   dispatch({ name: 'run_start' });
   await _runTestsForDescribeBlock(rootDescribeBlock);
   dispatch({ name: 'run_finish' });
@@ -54,16 +66,54 @@ const _setGlobalState = (test: TestEntry) => {
     currentTestName: string,
   } = { currentTestName };
   if (testPath == null || currentTestPath !== testPath) {
-    update.snapshotState = new SnapshotState(testPath, {
-      expand: true,
-      updateSnapshot: 'none',
-    });
+    update.snapshotState = createSnapshotState(testPath);
     update.testPath = testPath;
   }
 
   expect.setState(update);
 };
 
+// The timeout argument of the test or hook wins over `jest.setTimeout` of the
+// test file, which wins over the configured timeout
+const _getTimeout = (timeout: ?number, testPath: ?string): number => {
+  if (timeout != null) {
+    return timeout;
+  }
+
+  const testTimeout = testPath != null ? getTestTimeout(testPath) : null;
+  return testTimeout != null ? testTimeout : getState().testTimeout;
+};
+
+// The stack of a timeout points to jest-circus, we replace it with the stack of
+// the declaration so the error can be mapped to the test file
+const _addDeclarationStack = (error: any, entry: TestEntry | Hook) => {
+  if (
+    error instanceof Error &&
+    error.message.startsWith('Exceeded timeout') &&
+    entry.asyncError &&
+    entry.asyncError.stack
+  ) {
+    // eslint-disable-next-line no-param-reassign
+    error.stack = entry.asyncError.stack.replace(
+      /^Error\n/,
+      `Error: ${error.message}\n`
+    );
+  }
+
+  return error;
+};
+
+// Loops that exceed the iteration limit throw, but the code of the test could
+// catch that error. The loop protection sets this global so we can still fail.
+const _checkInfiniteLoop = () => {
+  const { infiniteLoopError } = window;
+
+  if (infiniteLoopError) {
+    window.infiniteLoopError = null;
+    throw infiniteLoopError;
+  }
+};
+
 const _runTestsForDescribeBlock = async (describeBlock: DescribeBlock) => {
   currentDescribeBlocks.push(describeBlock.name);
   dispatch({ describeBlock, name: 'run_describe_start' });
@@ -89,6 +139,11 @@ const _runTestsForDescribeBlock = async (describeBlock: DescribeBlock) => {
 const _runTest = async (test: TestEntry): Promise<void> => {
   const testContext = Object.create(null);
 
+  if (test.mode === 'todo') {
+    dispatch({ name: 'test_todo', test });
+    return;
+  }
+
   const isSkipped =
     test.mode === 'skip' ||
     (getState().hasFocusedTests && test.mode !== 'only');
@@ -113,10 +168,17 @@ const _runTest = async (test: TestEntry): Promise<void> => {
 
 const _callHook = (hook: Hook, testContext?: TestContext): Promise<any> => {
   dispatch({ hook, name: 'hook_start' });
-  const { testTimeout: timeout } = getState();
+  const timeout = _getTimeout(hook.timeout, hook.testPath);
   return callAsyncFn(hook.fn, testContext, { isHook: true, timeout })
+    .then(_checkInfiniteLoop)
     .then(() => dispatch({ hook, name: 'hook_success' }))
-    .catch(error => dispatch({ error, hook, name: 'hook_failure' }));
+    .catch(error =>
+      dispatch({
+        error: _addDeclarationStack(error, hook),
+        hook,
+        name: 'hook_failure',
+      })
+    );
 };
 
 const _callTest = async (
@@ -124,7 +186,8 @@ const _callTest = async (
   testContext: TestContext
 ): Promise<any> => {
   dispatch({ name: 'test_start', test });
-  const { testTimeout: timeout } = getState();
+  const [testPath] = test.name.split(':#:');
+  const timeout = _getTimeout(test.timeout, testPath);
 
   if (!test.fn) {
     throw Error(`Tests with no 'fn' should have 'mode' set to 'skipped'`);
@@ -132,8 +195,15 @@ const _callTest = async (
   _setGlobalState(test);
 
   return callAsyncFn(test.fn, testContext, { isHook: false, timeout })
+    .then(_checkInfiniteLoop)
     .then(() => dispatch({ name: 'test_success', test }))
-    .catch(error => dispatch({ error, name: 'test_failure', test }));
+    .catch(error =>
+      dispatch({
+        error: _addDeclarationStack(error, test),
+        name: 'test_failure',
+        test,
+      })
+    );
 };
 
 export default run;
@@ -0,0 +1,145 @@
+// @flow
+import { dispatch, actions } from 'codesandbox-api';
+import { SnapshotState } from 'jest-snapshot';
+import {
+  SNAPSHOT_VERSION,
+  SNAPSHOT_GUIDE_LINK,
+} from 'jest-snapshot/build/utils';
+import naturalCompare from 'natural-compare';
+
+import * as pathUtils from 'common/utils/path';
+
+import type Manager from '../manager';
+
+export type UpdateSnapshotMode = 'all' | 'new' | 'none';
+
+export function getSnapshotPath(testPath: string) {
+  return pathUtils.join(
+    pathUtils.dirname(testPath),
+    '__snapshots__',
+    `${pathUtils.basename(testPath)}.snap`
+  );
+}
+
+const printBacktickString = (str: string) =>
+  '`' + str.replace(/`|\\|\${/g, '\\$&') + '`';
+
+const normalizeNewlines = (str: string) => str.replace(/\r\n|\r/g, '\n');
+
+/**
+ * Generates the contents of a `.snap` file, this is the same output as Jest
+ * writes to disk so the files stay compatible with a local Jest setup.
+ */
+export function printSnapshotData(snapshotData: { [key: string]: string }) {
+  const snapshots = Object.keys(snapshotData)
+    .sort(naturalCompare)
+    .map(
+      key =>
+        `exports[${printBacktickString(key)}] = ${printBacktickString(
+          normalizeNewlines(snapshotData[key])
+        )};`
+    );
+
+  return `// Jest Snapshot v${SNAPSHOT_VERSION}, ${SNAPSHOT_GUIDE_LINK}\n\n${snapshots.join(
+    '\n\n'
+  )}\n`;
+}
+
+function readSnapshotData(code: string) {
+  const data = Object.create(null);
+
+  try {
+    // eslint-disable-next-line no-new-func
+    const populate = new Function('exports', code);
+    populate(data);
+  } catch (e) {
+    /* ignore, a broken snapshot file will be overwritten */
+  }
+
+  return data;
+}
+
+/**
+ * The SnapshotState of jest-snapshot reads and writes directly from the file
+ * system. We want the snapshots to be real files in the sandbox, so we read them
+ * from the manager and write them back to the editor instead.
+ */
+export default class CodeSandboxSnapshotState extends SnapshotState {
+  manager: Manager;
+  snapshotPath: string;
+  updateSnapshot: UpdateSnapshotMode;
+
+  constructor(
+    testPath: string,
+    manager: Manager,
+    options: { updateSnapshot: UpdateSnapshotMode, expand?: boolean }
+  ) {
+    const snapshotPath = getSnapshotPath(testPath);
+    super(testPath, { ...options, snapshotPath });
+
+    this.manager = manager;
+    this.snapshotPath = snapshotPath;
+    this.updateSnapshot = options.updateSnapshot;
+
+    const existingModule = manager.modules[snapshotPath];
+    this._snapshotData = existingModule
+      ? readSnapshotData(existingModule.code)
+      : Object.create(null);
+    this._uncheckedKeys = new Set(Object.keys(this._snapshotData));
+    this._dirty = false;
+  }
+
+  /**
+   * Write the snapshot file to the sandbox if something changed, returns what
+   * happened with the file.
+   */
+  save() {
+    const existingModule = this.manager.modules[this.snapshotPath];
+    const isEmpty = Object.keys(this._snapshotData).length === 0;
+    const status = { deleted: false, saved: false };
+
+    if ((this._dirty || this._uncheckedKeys.size) && !isEmpty) {
+      const code = printSnapshotData(this._snapshotData);
+
+      if (!existingModule || existingModule.code !== code) {
+        this.writeModule(code, !existingModule);
+        status.saved = true;
+      }
+    } else if (isEmpty && existingModule && this.updateSnapshot === 'all') {
+      this.removeModule();
+      status.deleted = true;
+    }
+
+    return status;
+  }
+
+  writeModule(code: string, isNew: boolean) {
+    const module = { path: this.snapshotPath, code };
+
+    // We already update the manager, so another test run before the editor
+    // has responded won't write the same file again
+    this.manager.modules[this.snapshotPath] = module;
+    if (this.manager.transpiledModules[this.snapshotPath]) {
+      this.manager.updateModule(module);
+    } else {
+      this.manager.addModule(module);
+    }
+
+    dispatch(
+      isNew
+        ? actions.source.files.create(this.snapshotPath, code)
+        : actions.source.files.update(this.snapshotPath, code)
+    );
+  }
+
+  removeModule() {
+    const module = this.manager.modules[this.snapshotPath];
+
+    delete this.manager.modules[this.snapshotPath];
+    if (this.manager.transpiledModules[this.snapshotPath]) {
+      this.manager.removeModule(module);
+    }
+
+    dispatch(actions.source.files.remove(this.snapshotPath));
+  }
+}
@@ -0,0 +1,146 @@
+import { listen } from 'codesandbox-api';
+
+import SnapshotState, {
+  getSnapshotPath,
+  printSnapshotData,
+} from './snapshot-state';
+
+const TEST_PATH = '/src/App.test.js';
+const SNAPSHOT_PATH = '/src/__snapshots__/App.test.js.snap';
+
+function createManager(snapshotData) {
+  const modules = {};
+  const transpiledModules = {};
+
+  if (snapshotData) {
+    modules[SNAPSHOT_PATH] = {
+      path: SNAPSHOT_PATH,
+      code: printSnapshotData(snapshotData),
+    };
+    transpiledModules[SNAPSHOT_PATH] = {};
+  }
+
+  return {
+    modules,
+    transpiledModules,
+    addModule: jest.fn(),
+    updateModule: jest.fn(),
+    removeModule: jest.fn(),
+  };
+}
+
+describe('snapshot-state', () => {
+  let messages;
+  let unlisten;
+
+  beforeEach(() => {
+    messages = [];
+    unlisten = listen(message => messages.push(message));
+  });
+
+  afterEach(() => {
+    unlisten();
+  });
+
+  it('puts the snapshot next to the test file', () => {
+    expect(getSnapshotPath(TEST_PATH)).toBe(SNAPSHOT_PATH);
+  });
+
+  it('reads the snapshots from the .snap module', () => {
+    const manager = createManager({ 'App renders 1': '"Hello"' });
+    const state = new SnapshotState(TEST_PATH, manager, {
+      updateSnapshot: 'none',
+    });
+
+    expect(state.match('App renders', 'Hello').pass).toBe(true);
+    expect(state.match('App renders', 'Hello').pass).toBe(false);
+    expect(state.match('App changes', 'Bye')).toEqual(
+      expect.objectContaining({ pass: false, expected: null })
+    );
+  });
+
+  it('writes new snapshots to a new .snap module', () => {
+    const manager = createManager();
+    const state = new SnapshotState(TEST_PATH, manager, {
+      updateSnapshot: 'new',
+    });
+
+    expect(state.match('App renders', 'Hello').pass).toBe(true);
+    expect(state.save()).toEqual({ deleted: false, saved: true });
+
+    const { code } = manager.modules[SNAPSHOT_PATH];
+    expect(code).toBe(printSnapshotData({ 'App renders 1': '"Hello"' }));
+    expect(manager.addModule).toHaveBeenCalledWith({
+      path: SNAPSHOT_PATH,
+      code,
+    });
+    expect(messages).toEqual([
+      expect.objectContaining({
+        action: 'source.files.create',
+        path: SNAPSHOT_PATH,
+        code,
+      }),
+    ]);
+  });
+
+  it("doesn't write the .snap module when nothing changed", () => {
+    const manager = createManager({ 'App renders 1': '"Hello"' });
+    const state = new SnapshotState(TEST_PATH, manager, {
+      updateSnapshot: 'new',
+    });
+
+    state.match('App renders', 'Hello');
+
+    expect(state.save()).toEqual({ deleted: false, saved: false });
+    expect(messages).toEqual([]);
+  });
+
+  it('removes obsolete snapshots when updating', () => {
+    const manager = createManager({
+      'App renders 1': '"Hello"',
+      'App was removed 1': '"Bye"',
+    });
+    const state = new SnapshotState(TEST_PATH, manager, {
+      updateSnapshot: 'all',
+    });
+
+    state.match('App renders', 'Hello');
+
+    expect(state.getUncheckedKeys()).toEqual(['App was removed 1']);
+
+    state.removeUncheckedKeys();
+    expect(state.save()).toEqual({ deleted: false, saved: true });
+
+    const { code } = manager.modules[SNAPSHOT_PATH];
+    expect(code).toBe(printSnapshotData({ 'App renders 1': '"Hello"' }));
+    expect(manager.updateModule).toHaveBeenCalledWith({
+      path: SNAPSHOT_PATH,
+      code,
+    });
+    expect(messages).toEqual([
+      expect.objectContaining({ action: 'source.files.update', code }),
+    ]);
+  });
+
+  it('deletes the .snap module when all snapshots are obsolete', () => {
+    const manager = createManager({ 'App was removed 1': '"Bye"' });
+    const snapshotModule = manager.modules[SNAPSHOT_PATH];
+    const state = new SnapshotState(TEST_PATH, manager, {
+      updateSnapshot: 'all',
+    });
+
+    expect(state.getUncheckedCount()).toBe(1);
+
+    state.removeUncheckedKeys();
+    expect(state.save()).toEqual({ deleted: true, saved: false });
+
+    expect(manager.modules[SNAPSHOT_PATH]).toBeUndefined();
+    expect(manager.removeModule).toHaveBeenCalledWith(snapshotModule);
+    expect(messages).toEqual([
+      expect.objectContaining({
+        action: 'source.files.remove',
+        path: SNAPSHOT_PATH,
+      }),
+    ]);
+  });
+});
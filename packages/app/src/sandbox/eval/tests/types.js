@@ -11,14 +11,20 @@ export type DoneFn = (reason?: string | Error) => void;
 export type BlockFn = () => void;
 export type BlockName = string | Function;
 export type BlockMode = void | 'skip' | 'only';
-export type TestMode = BlockMode;
+export type TestMode = BlockMode | 'todo';
 export type TestName = string;
 export type TestFn = (done?: DoneFn) => ?Promise<any>;
 export type HookFn = (done?: DoneFn) => ?Promise<any>;
 export type AsyncFn = TestFn | HookFn;
 export type SharedHookType = 'afterAll' | 'beforeAll';
 export type HookType = SharedHookType | 'afterEach' | 'beforeEach';
-export type Hook = { fn: HookFn, type: HookType };
+export type Hook = {
+  fn: HookFn,
+  type: HookType,
+  timeout?: number,
+  testPath?: string,
+  asyncError?: Error,
+};
 export type TestContext = Object;
 export type Exception = any; // Since in JS anything can be thrown as an error.
 export type FormattedError = string; // String representation of error.
@@ -75,6 +81,10 @@ export type Event =
       name: 'test_skip',
       test: TestEntry,
     |}
+  | {|
+      name: 'test_todo',
+      test: TestEntry,
+    |}
   | {|
       name: 'run_describe_start',
       describeBlock: DescribeBlock,
@@ -90,7 +100,7 @@ export type Event =
       name: 'run_finish',
     |};
 
-export type TestStatus = 'pass' | 'fail' | 'skip';
+export type TestStatus = 'pass' | 'fail' | 'skip' | 'todo';
 export type TestResult = {|
   duration: ?number,
   errors: Array<FormattedError>,
@@ -126,4 +136,6 @@ export type TestEntry = {|
   startedAt: ?number,
   duration: ?number,
   status: ?TestStatus,
+  timeout?: number,
+  asyncError?: Error,
 |};
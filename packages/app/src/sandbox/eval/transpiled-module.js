@@ -9,7 +9,11 @@ import hashsum from 'hash-sum';
 import * as pathUtils from 'common/utils/path';
 
 import type { Module } from './entities/module';
-import type { SourceMap } from './transpilers/utils/get-source-map';
+import {
+  mergeSourceMaps,
+  extractInlineSourceMap,
+  type RawSourceMap,
+} from './transpilers/utils/source-maps';
 import ModuleError from './errors/module-error';
 import ModuleWarning from './errors/module-warning';
 
@@ -20,6 +24,7 @@ import evaluate from './loaders/eval';
 import isESModule from './utils/is-es-module';
 
 import type { default as Manager } from './manager';
+import type MockRegistry from './tests/mock-registry';
 import HMR from './hmr';
 
 const debug = _debug('cs:compiler:transpiled-module');
@@ -31,19 +36,23 @@ type ChildModule = Module & {
 class ModuleSource {
   fileName: string;
   compiledCode: string;
-  sourceMap: ?SourceMap;
+  sourceMap: ?RawSourceMap;
   sourceEqualsCompiled: boolean;
+  // Whether the code is a native ES module, for the ES module mode
+  esModule: boolean;
 
   constructor(
     fileName: string,
     compiledCode: string,
-    sourceMap: ?SourceMap,
-    sourceEqualsCompiled = false
+    sourceMap: ?RawSourceMap,
+    sourceEqualsCompiled = false,
+    esModule = false
   ) {
     this.fileName = fileName;
     this.compiledCode = compiledCode;
     this.sourceMap = sourceMap;
     this.sourceEqualsCompiled = sourceEqualsCompiled;
+    this.esModule = esModule;
   }
 }
 
@@ -79,13 +88,16 @@ export type LoaderContext = {
     currentPath?: string,
     overwrite?: boolean
   ) => TranspiledModule,
-  emitFile: (name: string, content: string, sourceMap: SourceMap) => void,
+  emitFile: (name: string, content: string, sourceMap: RawSourceMap) => void,
   options: {
     context: '/',
     [key: string]: any,
   },
   webpack: boolean,
   sourceMap: boolean,
+  // The source map of the code that the loader gets, generated by the loaders
+  // before it
+  map: ?RawSourceMap,
   target: string,
   path: string,
   getModules: () => Array<Module>,
@@ -128,6 +140,8 @@ export type LoaderContext = {
   // Remaining loaders after current loader
   remainingRequests: string,
   template: string,
+  // Whether the module should be instrumented for test coverage
+  coverage: boolean,
 };
 /* eslint-enable */
 
@@ -171,6 +185,9 @@ export default class TranspiledModule {
 
   isTestFile: boolean = false;
 
+  // Whether the code is instrumented for test coverage
+  instrumented: boolean = false;
+
   /**
    * Set how this module handles HMR. The default is undefined, which means
    * that we handle the HMR like CodeSandbox does.
@@ -325,7 +342,7 @@ export default class TranspiledModule {
   createSourceForAsset = (
     name: string,
     content: string,
-    sourceMap: SourceMap
+    sourceMap: RawSourceMap
   ) => new ModuleSource(name, content, sourceMap);
 
   getLoaderContext(
@@ -380,7 +397,7 @@ export default class TranspiledModule {
 
         return transpiledModule;
       },
-      emitFile: (name: string, content: string, sourceMap: SourceMap) => {
+      emitFile: (name: string, content: string, sourceMap: RawSourceMap) => {
         this.assets[name] = this.createSourceForAsset(name, content, sourceMap);
       },
       // Add an explicit transpilation dependency, this is needed for loaders
@@ -407,11 +424,14 @@ export default class TranspiledModule {
           return;
         }
 
+        const from = options && options.isAbsolute ? '/' : this.module.path;
+
+        if (manager.hasTestResolution()) {
+          this.addTestDependency(manager, depPath, from);
+        }
+
         try {
-          const tModule = manager.resolveTranspiledModule(
-            depPath,
-            options && options.isAbsolute ? '/' : this.module.path
-          );
+          const tModule = manager.resolveTranspiledModule(depPath, from);
 
           this.dependencies.add(tModule);
           tModule.initiators.add(this);
@@ -471,14 +491,41 @@ export default class TranspiledModule {
       },
       webpack: true,
       sourceMap: true,
+      map: null,
       target: 'web',
       _module: this,
       path: this.module.path,
       template: manager.preset.name,
       remainingRequests: '', // will be filled during transpilation
+      coverage: manager.testRunner.shouldCollectCoverage(this.module.path),
     };
   }
 
+  /**
+   * Tests can resolve a path to another module with the Jest config, we also
+   * transpile that module so the tests can require it. Errors are thrown when
+   * a test requires the path.
+   */
+  addTestDependency(manager: Manager, depPath: string, from: string) {
+    try {
+      const tModule = manager.resolveTranspiledModule(
+        depPath,
+        from,
+        undefined,
+        true
+      );
+
+      this.dependencies.add(tModule);
+      tModule.initiators.add(this);
+    } catch (e) {
+      if (e.type === 'module-not-found' && e.isDependency) {
+        this.asyncDependencies.push(
+          manager.downloadDependency(e.path, this.module.path)
+        );
+      }
+    }
+  }
+
   /**
    * Mark the transpiled module as entry (or not), this is needed to let the
    * cleanup know that this module can have no initiators, but is still required.
@@ -497,6 +544,29 @@ export default class TranspiledModule {
     this.isTestFile = isTestFile;
   }
 
+  /**
+   * In the ES module mode only modules that are imported by ES modules can be
+   * ES modules, modules that are required from CommonJS (like the script of a
+   * Vue component or a test file) keep the CommonJS transform. Initiators that
+   * are still being transpiled count as CommonJS.
+   */
+  canBeESModule() {
+    return (
+      !this.isTestFile &&
+      Array.from(this.initiators).every(t => t.source && t.source.esModule)
+    );
+  }
+
+  /**
+   * Resets the transpilation of an ES module that is required from CommonJS,
+   * so it's transpiled again in this compilation with the CommonJS transform.
+   */
+  resetESModuleTranspilation(manager: Manager) {
+    this.resetTranspilation();
+    // eslint-disable-next-line no-param-reassign
+    delete manager.transpileJobs[this.getId()];
+  }
+
   /**
    * Transpile the module, it takes in all loaders from the default loaders +
    * query string and passes the result from loader to loader. During transpilation
@@ -531,9 +601,11 @@ export default class TranspiledModule {
     this.transpilationDependencies.clear();
     this.errors = [];
     this.warnings = [];
+    this.instrumented = false;
 
     let code = this.module.code || '';
     let finalSourceMap = null;
+    let esModule = false;
 
     const requires = this.module.requires;
     if (requires != null) {
@@ -545,6 +617,9 @@ export default class TranspiledModule {
       code = this.module.code;
     } else {
       const transpilers = manager.preset.getLoaders(this.module, this.query);
+      this.instrumented = manager.testRunner.shouldCollectCoverage(
+        this.module.path
+      );
 
       const t = Date.now();
       for (let i = 0; i < transpilers.length; i += 1) {
@@ -553,6 +628,7 @@ export default class TranspiledModule {
           manager,
           transpilerConfig.options || {}
         );
+        loaderContext.map = finalSourceMap;
         loaderContext.remainingRequests = transpilers
           .slice(i + 1)
           .map(transpiler => transpiler.transpiler.name)
@@ -560,10 +636,16 @@ export default class TranspiledModule {
           .join('!');
 
         try {
-          const {
-            transpiledCode,
-            sourceMap,
-          } = await transpilerConfig.transpiler.transpile(code, loaderContext); // eslint-disable-line no-await-in-loop
+          // eslint-disable-next-line no-await-in-loop
+          const result = await transpilerConfig.transpiler.transpile(
+            code,
+            loaderContext
+          );
+
+          // Some loaders (like svelte) inline the source map in the code
+          const { code: transpiledCode, map: sourceMap } = result.sourceMap
+            ? { code: result.transpiledCode, map: result.sourceMap }
+            : extractInlineSourceMap(result.transpiledCode);
 
           if (this.warnings.length) {
             this.warnings.forEach(warning => {
@@ -584,8 +666,15 @@ export default class TranspiledModule {
             throw this.errors[0];
           }
 
+          if (sourceMap) {
+            finalSourceMap = mergeSourceMaps(finalSourceMap, sourceMap);
+          } else if (transpiledCode !== code) {
+            // The loader changed the code without telling us how
+            finalSourceMap = null;
+          }
+
           code = transpiledCode;
-          finalSourceMap = sourceMap;
+          esModule = !!result.esModule;
         } catch (e) {
           e.fileName = loaderContext.path;
           e.tModule = this;
@@ -615,9 +704,16 @@ export default class TranspiledModule {
       this.module.path,
       code,
       finalSourceMap,
-      sourceEqualsCompiled
+      sourceEqualsCompiled,
+      esModule
     );
 
+    // A module that requires this module can be added while it's transpiled
+    if (esModule && !this.canBeESModule()) {
+      this.resetESModuleTranspilation(manager);
+      return this.transpile(manager);
+    }
+
     if (
       this.previousSource &&
       this.previousSource.compiledCode !== this.source.compiledCode
@@ -648,6 +744,16 @@ export default class TranspiledModule {
 
     this.asyncDependencies = [];
 
+    if (!esModule) {
+      // Dependencies that were transpiled as ES modules before this module
+      // required them
+      this.dependencies.forEach(t => {
+        if (t.source && t.source.esModule) {
+          t.resetESModuleTranspilation(manager);
+        }
+      });
+    }
+
     await Promise.all(
       flattenDeep([
         ...Array.from(this.transpilationInitiators).map(t =>
@@ -660,9 +766,77 @@ export default class TranspiledModule {
     return this;
   }
 
+  createCompilation(manager: Manager, hotData?: Object): Compilation {
+    return {
+      id: this.getId(),
+      exports: {},
+      hot: {
+        accept: (path: string | Array<string>, cb) => {
+          if (
+            typeof path === 'undefined' ||
+            (typeof path !== 'string' || !Array.isArray(path))
+          ) {
+            // Self mark hot
+            this.hmrConfig = this.hmrConfig || new HMR();
+            if (this.hmrConfig) {
+              const hmrConfig = this.hmrConfig;
+              hmrConfig.setType('accept');
+              hmrConfig.setSelfAccepted(true);
+            }
+          } else {
+            const paths = typeof path === 'string' ? [path] : path;
+
+            paths.forEach(p => {
+              const tModule = manager.resolveTranspiledModule(
+                p,
+                this.module.path
+              );
+
+              tModule.hmrConfig = tModule.hmrConfig || new HMR();
+              const hmrConfig = tModule.hmrConfig;
+              hmrConfig.setType('accept');
+              hmrConfig.setAcceptCallback(cb);
+            });
+          }
+          manager.enableWebpackHMR();
+        },
+        decline: (path: string | Array<string>) => {
+          if (typeof path === 'undefined') {
+            this.hmrConfig = this.hmrConfig || new HMR();
+            this.hmrConfig.setType('decline');
+          } else {
+            const paths = typeof path === 'string' ? [path] : path;
+
+            paths.forEach(p => {
+              const tModule = manager.resolveTranspiledModule(
+                p,
+                this.module.path
+              );
+              tModule.hmrConfig = tModule.hmrConfig || new HMR();
+              tModule.hmrConfig.setType('decline');
+            });
+          }
+          manager.enableWebpackHMR();
+        },
+        dispose: (cb: Function) => {
+          this.hmrConfig = this.hmrConfig || new HMR();
+
+          this.hmrConfig.setDisposeHandler(cb);
+        },
+        data: hotData,
+        status: () => manager.hmrStatus,
+        addStatusHandler: manager.addStatusHandler,
+        removeStatusHandler: manager.removeStatusHandler,
+      },
+    };
+  }
+
   evaluate(
     manager: Manager,
-    { asUMD = false }: { asUMD: boolean } = {},
+    {
+      asUMD = false,
+      mockRegistry,
+    }: { asUMD?: boolean, mockRegistry?: MockRegistry } = {},
     initiator?: TranspiledModule
   ) {
     if (this.source == null) {
@@ -705,9 +879,19 @@ export default class TranspiledModule {
       }
     }
 
+    if (this.source.esModule) {
+      throw new Error(
+        `${this.module.path} is an ES module, it can only be imported from other ES modules.`
+      );
+    }
+
     const localModule = this.module;
+    // Modules evaluated for an isolated mock registry get a compilation of
+    // their own that's kept by the registry, the compilation and the HMR state
+    // of the preview stay untouched.
+    const isolated = !!mockRegistry && mockRegistry.isIsolated();
 
-    if (manager.webpackHMR) {
+    if (!isolated && manager.webpackHMR) {
       if (!this.compilation) {
         const shouldReloadPage = this.hmrConfig
           ? this.hmrConfig.isDeclined(this.isEntry)
@@ -730,11 +914,16 @@ export default class TranspiledModule {
       ) {
         return this.compilation.exports;
       }
-    } else if (this.compilation && this.compilation.exports && !this.isEntry) {
+    } else if (
+      !isolated &&
+      this.compilation &&
+      this.compilation.exports &&
+      !this.isEntry
+    ) {
       return this.compilation.exports;
     }
 
-    if (this.hmrConfig) {
+    if (!isolated && this.hmrConfig) {
       /* eslint-disable no-param-reassign */
       manager.setHmrStatus('dispose');
       // Call module.hot.dispose handler
@@ -746,69 +935,21 @@ export default class TranspiledModule {
 
     const hotData = this.hmrConfig ? this.hmrConfig.data : undefined;
 
-    this.compilation = this.compilation || {
-      id: this.getId(),
-      exports: {},
-      hot: {
-        accept: (path: string | Array<string>, cb) => {
-          if (
-            typeof path === 'undefined' ||
-            (typeof path !== 'string' || !Array.isArray(path))
-          ) {
-            // Self mark hot
-            this.hmrConfig = this.hmrConfig || new HMR();
-            if (this.hmrConfig) {
-              const hmrConfig = this.hmrConfig;
-              hmrConfig.setType('accept');
-              hmrConfig.setSelfAccepted(true);
-            }
-          } else {
-            const paths = typeof path === 'string' ? [path] : path;
-
-            paths.forEach(p => {
-              const tModule = manager.resolveTranspiledModule(
-                p,
-                this.module.path
-              );
-
-              tModule.hmrConfig = tModule.hmrConfig || new HMR();
-              const hmrConfig = tModule.hmrConfig;
-              hmrConfig.setType('accept');
-              hmrConfig.setAcceptCallback(cb);
-            });
-          }
-          manager.enableWebpackHMR();
-        },
-        decline: (path: string | Array<string>) => {
-          if (typeof path === 'undefined') {
-            this.hmrConfig = this.hmrConfig || new HMR();
-            this.hmrConfig.setType('decline');
-          } else {
-            const paths = typeof path === 'string' ? [path] : path;
-
-            paths.forEach(p => {
-              const tModule = manager.resolveTranspiledModule(
-                p,
-                this.module.path
-              );
-              tModule.hmrConfig = tModule.hmrConfig || new HMR();
-              tModule.hmrConfig.setType('decline');
-            });
-          }
-          manager.enableWebpackHMR();
-        },
-        dispose: (cb: Function) => {
-          this.hmrConfig = this.hmrConfig || new HMR();
+    let compilation;
+    if (isolated) {
+      compilation = this.createCompilation(manager);
+    } else {
+      this.compilation =
+        this.compilation || this.createCompilation(manager, hotData);
+      this.compilation.hot.data = hotData;
+      ({ compilation } = this);
+    }
 
-          this.hmrConfig.setDisposeHandler(cb);
-        },
-        data: hotData,
-        status: () => manager.hmrStatus,
-        addStatusHandler: manager.addStatusHandler,
-        removeStatusHandler: manager.removeStatusHandler,
-      },
-    };
-    this.compilation.hot.data = hotData;
+    if (mockRegistry) {
+      // Register before evaluating, so circular dependencies get the same
+      // exports object
+      mockRegistry.registerCompilation(this, compilation);
+    }
 
     const transpiledModule = this;
 
@@ -830,6 +971,12 @@ export default class TranspiledModule {
           return resolveDependency(path, manager.externals);
         }
 
+        if (mockRegistry) {
+          // In tests every require goes through the registry of the test file,
+          // which decides whether to return a mock or the actual module
+          return mockRegistry.require(path, localModule.path, transpiledModule);
+        }
+
         const requiredTranspiledModule = manager.resolveTranspiledModule(
           path,
           localModule.path
@@ -848,12 +995,20 @@ export default class TranspiledModule {
       }
 
       require.resolve = function resolve(path: string) {
-        const foundModule = manager.resolveModule(path, localModule.path);
+        const foundModule = manager.resolveModule(
+          path,
+          localModule.path,
+          undefined,
+          !!mockRegistry
+        );
 
         return foundModule.path;
       };
 
-      const globals = manager.testRunner.testGlobals(this.module);
+      const globals = manager.testRunner.testGlobals(
+        this.module,
+        mockRegistry
+      );
 
       globals.__dirname = pathUtils.dirname(this.module.path);
       globals.__filename = this.module.path;
@@ -861,27 +1016,33 @@ export default class TranspiledModule {
       const exports = evaluate(
         this.source.compiledCode,
         require,
-        this.compilation,
+        compilation,
         manager.envVariables,
         globals,
-        { asUMD }
+        { asUMD, sourceMap: this.source.sourceMap }
       );
 
-      /* eslint-disable no-param-reassign */
-      manager.setHmrStatus('apply');
-      const hmrConfig = this.hmrConfig;
-      if (hmrConfig && hmrConfig.isHot()) {
-        hmrConfig.setDirty(false);
-        hmrConfig.callAcceptCallback();
+      if (!isolated) {
+        /* eslint-disable no-param-reassign */
+        manager.setHmrStatus('apply');
+        const hmrConfig = this.hmrConfig;
+        if (hmrConfig && hmrConfig.isHot()) {
+          hmrConfig.setDirty(false);
+          hmrConfig.callAcceptCallback();
+        }
+        manager.setHmrStatus('idle');
+        /* eslint-enable */
       }
-      manager.setHmrStatus('idle');
-      /* eslint-enable */
 
       return exports;
     } catch (e) {
       e.tModule = e.tModule || transpiledModule;
 
-      this.resetCompilation();
+      if (isolated && mockRegistry) {
+        mockRegistry.removeCompilation(this);
+      } else {
+        this.resetCompilation();
+      }
 
       throw e;
     }
@@ -0,0 +1,108 @@
+import TranspiledModule from './transpiled-module';
+
+// Like the babel loader in the ES module mode, Vue components are CommonJS and
+// every import or require adds a dependency
+const transpiler = {
+  name: 'esm-loader',
+  transpile: (code, loaderContext) => {
+    const esModule =
+      !loaderContext.path.endsWith('.vue') &&
+      loaderContext._module.canBeESModule();
+
+    code.split('\n').forEach(line => {
+      const match = line.match(/^(?:import|require) (.+)$/);
+      if (match) {
+        loaderContext.addDependency(match[1]);
+      }
+    });
+
+    return Promise.resolve({ transpiledCode: code, esModule });
+  },
+};
+
+function createManager(files) {
+  const tModules = {};
+  Object.keys(files).forEach(path => {
+    tModules[path] = new TranspiledModule({ path, code: files[path] });
+  });
+
+  return {
+    tModules,
+    transpileJobs: {},
+    configurations: {},
+    preset: { name: 'test', getLoaders: () => [{ transpiler }] },
+    testRunner: { shouldCollectCoverage: () => false },
+    hasTestResolution: () => false,
+    markHardReload: () => {},
+    clearCache: () => {},
+    resolveTranspiledModule: path => tModules[path],
+  };
+}
+
+const isESModule = tModule => tModule.source.esModule;
+
+describe('TranspiledModule', () => {
+  describe('ES module mode', () => {
+    it('only transpiles modules that are imported from ES modules as ES modules', async () => {
+      const manager = createManager({
+        '/index.js': 'import /App.vue\nimport /utils.js',
+        '/App.vue': 'require /script.js',
+        '/script.js': 'import /utils.js',
+        '/utils.js': '',
+      });
+      const { tModules } = manager;
+
+      await tModules['/index.js'].transpile(manager);
+
+      expect(isESModule(tModules['/index.js'])).toBe(true);
+      expect(isESModule(tModules['/App.vue'])).toBe(false);
+      expect(isESModule(tModules['/script.js'])).toBe(false);
+      expect(isESModule(tModules['/utils.js'])).toBe(false);
+    });
+
+    it('transpiles a module again when it is required while it is transpiled', async () => {
+      const manager = createManager({
+        '/index.js': 'import /utils.js\nimport /App.vue',
+        '/App.vue': 'require /utils.js',
+        '/utils.js': '',
+      });
+      const { tModules } = manager;
+
+      await tModules['/index.js'].transpile(manager);
+
+      expect(isESModule(tModules['/utils.js'])).toBe(false);
+      expect(Array.from(tModules['/utils.js'].initiators)).toEqual([
+        tModules['/index.js'],
+        tModules['/App.vue'],
+      ]);
+    });
+
+    it('transpiles an ES module again when it is required later', async () => {
+      const manager = createManager({
+        '/index.js': 'import /utils.js',
+        '/App.vue': 'require /utils.js',
+        '/utils.js': 'import /sum.js',
+        '/sum.js': '',
+      });
+      const { tModules } = manager;
+
+      await tModules['/index.js'].transpile(manager);
+      expect(isESModule(tModules['/utils.js'])).toBe(true);
+      expect(isESModule(tModules['/sum.js'])).toBe(true);
+
+      await tModules['/App.vue'].transpile(manager);
+      expect(isESModule(tModules['/utils.js'])).toBe(false);
+      expect(isESModule(tModules['/sum.js'])).toBe(false);
+    });
+
+    it("doesn't transpile test files as ES modules", async () => {
+      const manager = createManager({ '/index.test.js': '' });
+      const tModule = manager.tModules['/index.test.js'];
+      tModule.setIsTestFile(true);
+
+      await tModule.transpile(manager);
+
+      expect(isESModule(tModule)).toBe(false);
+    });
+  });
+});
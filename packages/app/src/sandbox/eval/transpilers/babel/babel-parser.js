@@ -42,8 +42,46 @@ export default function getBabelConfig(
 
   return {
     ...resolvedConfig,
-    sourceMaps: 'inline',
+    sourceMaps: true,
     sourceFileName: path,
     filename: path,
   };
 }
+
+const MODULE_TRANSFORM_REGEX = /(^|-)transform-(es2015-)?modules-/;
+
+function getName(item: string | [string, Object]) {
+  return Array.isArray(item) ? item[0] : item;
+}
+
+/**
+ * Keeps the imports and exports of the code, for the ES module mode of the
+ * sandbox.
+ */
+export function disableModuleTransform(config: Object) {
+  return {
+    ...config,
+    presets: (config.presets || []).map(preset => {
+      const name = getName(preset)
+        .replace('babel-preset-', '')
+        .replace('@babel/preset-', '');
+      const options = (Array.isArray(preset) && preset[1]) || {};
+
+      if (name === 'es2015' || name === 'env') {
+        return [getName(preset), { ...options, modules: false }];
+      }
+
+      if (name === 'latest') {
+        return [
+          getName(preset),
+          { ...options, es2015: { ...options.es2015, modules: false } },
+        ];
+      }
+
+      return preset;
+    }),
+    plugins: (config.plugins || []).filter(
+      plugin => !MODULE_TRANSFORM_REGEX.test(getName(plugin))
+    ),
+  };
+}
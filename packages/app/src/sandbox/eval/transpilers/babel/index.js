@@ -3,8 +3,9 @@ import BabelWorker from 'worker-loader?publicPath=/&name=babel-transpiler.[hash:
 
 import isESModule from '../../utils/is-es-module';
 import regexGetRequireStatements from './worker/simple-get-require-statements';
-import getBabelConfig from './babel-parser';
+import getBabelConfig, { disableModuleTransform } from './babel-parser';
 import WorkerTranspiler from '../worker-transpiler';
+import { isMockPath } from '../../mocks/options';
 import { type LoaderContext } from '../../transpiled-module';
 import type { default as Manager } from '../../manager';
 
@@ -67,7 +68,23 @@ class BabelTranspiler extends WorkerTranspiler {
 
       const loaderOptions = loaderContext.options || {};
 
-      const babelConfig = getBabelConfig(foundConfig, loaderOptions, path);
+      const sandboxOptions = configs.sandbox && configs.sandbox.parsed;
+      // Dependencies are always CommonJS, they're imported through an interop
+      // module in the ES module mode. So are the mocks, the sandbox evaluates
+      // those itself, and the modules that are required from CommonJS.
+      const esModules = !!(
+        sandboxOptions &&
+        sandboxOptions.esModules &&
+        !path.startsWith('/node_modules') &&
+        !isMockPath(path, sandboxOptions) &&
+        loaderContext._module.canBeESModule()
+      );
+
+      const babelConfig = esModules
+        ? disableModuleTransform(
+            getBabelConfig(foundConfig, loaderOptions, path)
+          )
+        : getBabelConfig(foundConfig, loaderOptions, path);
 
       const isV7 = !!(
         configs.package &&
@@ -86,8 +103,13 @@ class BabelTranspiler extends WorkerTranspiler {
             configs &&
             configs.babelTranspiler &&
             configs.babelTranspiler.parsed,
-          sandboxOptions: configs && configs.sandbox && configs.sandbox.parsed,
+          sandboxOptions,
           version: isV7 ? 7 : 6,
+          coverage: loaderContext.coverage,
+          // Maps the code babel gets back to the file, so the coverage can be
+          // reported for the lines of the file
+          inputSourceMap: loaderContext.coverage ? loaderContext.map : null,
+          esModules,
         },
         loaderContext._module.getId(),
         loaderContext,
@@ -98,7 +120,7 @@ class BabelTranspiler extends WorkerTranspiler {
             return reject(err);
           }
 
-          return resolve(data);
+          return resolve({ ...data, esModule: esModules });
         }
       );
     });
@@ -7,6 +7,13 @@ import dynamicImportPlugin from './plugins/babel-plugin-dynamic-import-node';
 import detective from './plugins/babel-plugin-detective';
 import infiniteLoops from './plugins/babel-plugin-transform-prevent-infinite-loops';
 import dynamicCSSModules from './plugins/babel-plugin-dynamic-css-modules';
+import esmSpecifiers from './plugins/babel-plugin-esm-specifiers';
+import workerURLs, {
+  IMPORT_META_PLACEHOLDER,
+} from './plugins/babel-plugin-worker-urls';
+import jestHoist, {
+  HOIST_REGEX as JEST_HOIST_REGEX,
+} from './plugins/babel-plugin-jest-hoist';
 
 import { buildWorkerError } from '../../utils/worker-error-handler';
 import getDependencies from './get-require-statements';
@@ -148,6 +155,7 @@ export type IBabel = {
   ) => {
     ast: Object,
     code: string,
+    map: ?Object,
   },
   availablePlugins: { [key: string]: Function },
   availablePresets: { [key: string]: Function },
@@ -165,6 +173,9 @@ function registerCodeSandboxPlugins() {
   Babel.registerPlugin('dynamic-import-node', dynamicImportPlugin);
   Babel.registerPlugin('babel-plugin-detective', detective);
   Babel.registerPlugin('dynamic-css-modules', dynamicCSSModules);
+  Babel.registerPlugin('jest-hoist', jestHoist);
+  Babel.registerPlugin('esm-specifiers', esmSpecifiers);
+  Babel.registerPlugin('worker-urls', workerURLs);
   Babel.registerPlugin(
     'babel-plugin-transform-prevent-infinite-loops',
     infiniteLoops
@@ -220,6 +231,9 @@ self.addEventListener('message', async event => {
     loaderOptions,
     version,
     type,
+    coverage,
+    inputSourceMap,
+    esModules,
   } = event.data;
 
   if (type !== 'compile') {
@@ -292,6 +306,14 @@ self.addEventListener('message', async event => {
       const cxJsxPlugin = await import(/* webpackChunkName: 'transform-cx-jsx' */ 'babel-plugin-transform-cx-jsx');
       Babel.registerPlugin('transform-cx-jsx', cxJsxPlugin);
     }
+
+    if (
+      coverage &&
+      Object.keys(Babel.availablePlugins).indexOf('istanbul') === -1
+    ) {
+      const istanbulPlugin = await import(/* webpackChunkName: 'babel-plugin-istanbul' */ './plugins/babel-plugin-istanbul');
+      Babel.registerPlugin('istanbul', istanbulPlugin.default);
+    }
   }
 
   try {
@@ -351,17 +373,34 @@ self.addEventListener('message', async event => {
     const plugins = [...(config.plugins || [])];
 
     if (!disableCodeSandboxPlugins) {
-      plugins.push('dynamic-import-node');
+      if (coverage) {
+        // Instrument before the other plugins have changed the code
+        plugins.unshift(['istanbul', { inputSourceMap }]);
+      }
+
+      if (!esModules) {
+        plugins.push('dynamic-import-node');
+      }
+
+      plugins.push('worker-urls');
 
       if (loaderOptions.dynamicCSSModules) {
         plugins.push('dynamic-css-modules');
       }
 
+      if (JEST_HOIST_REGEX.test(code)) {
+        plugins.push('jest-hoist');
+      }
+
       if (!sandboxOptions || sandboxOptions.infiniteLoopProtection) {
         plugins.push('babel-plugin-transform-prevent-infinite-loops');
       }
     }
 
+    if (esModules) {
+      plugins.push(['esm-specifiers', { path }]);
+    }
+
     plugins.push([
       'babel-plugin-detective',
       { source: true, nodes: true, generated: true },
@@ -385,7 +424,10 @@ self.addEventListener('message', async event => {
             plugins,
           };
 
-    const result = Babel.transform(code, customConfig);
+    const result = Babel.transform(
+      code.replace(/\bimport\.meta\b/g, IMPORT_META_PLACEHOLDER),
+      customConfig
+    );
 
     const dependencies = getDependencies(detective.metadata(result));
 
@@ -399,7 +441,10 @@ self.addEventListener('message', async event => {
 
     self.postMessage({
       type: 'result',
-      transpiledCode: result.code,
+      transpiledCode: result.code
+        .split(IMPORT_META_PLACEHOLDER)
+        .join('import.meta'),
+      sourceMap: result.map,
     });
   } catch (e) {
     console.error(e);
@@ -0,0 +1,68 @@
+import { getSpecifierKey, isKey } from '../../../../esm/module-keys';
+import { ESM_GLOBAL } from '../../../../esm/interop';
+
+/**
+ * Rewrites the sources of imports and exports to keys of the import map of the
+ * sandbox, for the ES module mode. Dynamic imports with a computed source are
+ * resolved by the sandbox when they're called.
+ *
+ * Example:
+ * import App from './App';
+ *
+ * will be converted to
+ * import App from 'csb:/src/index.js#./App';
+ */
+export default function({ types: t }) {
+  const isResolveCall = node =>
+    t.isCallExpression(node) &&
+    t.isMemberExpression(node.callee) &&
+    t.isIdentifier(node.callee.object, { name: ESM_GLOBAL });
+
+  return {
+    visitor: {
+      // Other plugins (like transform-runtime) add imports while traversing,
+      // so we rewrite them at the end
+      Program: {
+        exit(path, state) {
+          const filePath = state.opts.path;
+          const rewrite = source => {
+            if (source.node && !isKey(source.node.value)) {
+              source.replaceWith(
+                t.stringLiteral(getSpecifierKey(filePath, source.node.value))
+              );
+            }
+          };
+
+          path.traverse({
+            ImportDeclaration(p) {
+              rewrite(p.get('source'));
+            },
+            ExportNamedDeclaration(p) {
+              rewrite(p.get('source'));
+            },
+            ExportAllDeclaration(p) {
+              rewrite(p.get('source'));
+            },
+            Import(p) {
+              const source = p.parentPath.get('arguments.0');
+
+              if (source.isStringLiteral()) {
+                rewrite(source);
+              } else if (!isResolveCall(source.node)) {
+                source.replaceWith(
+                  t.callExpression(
+                    t.memberExpression(
+                      t.identifier(ESM_GLOBAL),
+                      t.identifier('resolve')
+                    ),
+                    [source.node, t.stringLiteral(filePath)]
+                  )
+                );
+              }
+            },
+          });
+        },
+      },
+    },
+  };
+}
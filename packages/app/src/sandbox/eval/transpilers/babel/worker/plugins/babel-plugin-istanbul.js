@@ -0,0 +1,26 @@
+import { programVisitor } from 'istanbul-lib-instrument';
+
+/**
+ * Instruments the code for coverage, this is a stripped down version of
+ * babel-plugin-istanbul. We can't use that plugin directly, because it reads
+ * its include/exclude configuration from the file system. We decide ourselves
+ * which files get instrumented.
+ */
+export default ({ types }) => ({
+  visitor: {
+    Program: {
+      enter(path) {
+        this.__dv__ = programVisitor(types, this.file.opts.filename, {
+          coverageVariable: '__coverage__',
+          // Stored in the coverage data, used to map the lines back to the
+          // file before the other loaders changed it
+          inputSourceMap: this.opts.inputSourceMap || undefined,
+        });
+        this.__dv__.enter(path);
+      },
+      exit(path) {
+        this.__dv__.exit(path);
+      },
+    },
+  },
+});
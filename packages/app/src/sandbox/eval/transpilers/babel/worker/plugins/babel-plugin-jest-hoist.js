@@ -0,0 +1,66 @@
+const HOIST_METHODS = [
+  'mock',
+  'unmock',
+  'enableAutomock',
+  'disableAutomock',
+  'deepUnmock',
+];
+
+export const HOIST_REGEX = /\bjest\.(mock|unmock|enableAutomock|disableAutomock|deepUnmock)\(/;
+
+/**
+ * Hoists `jest.mock` and friends above the imports, so mocks are registered
+ * before the modules are required. This mirrors what babel-jest does.
+ *
+ * Example:
+ * import { fetchUser } from './api';
+ * jest.mock('./api');
+ *
+ * will be converted to
+ * jest.mock('./api');
+ * import { fetchUser } from './api';
+ */
+export default () => {
+  const isHoistableCall = (path, scope) => {
+    if (!path.isCallExpression()) {
+      return false;
+    }
+
+    const callee = path.get('callee');
+    if (!callee.isMemberExpression() || callee.node.computed) {
+      return false;
+    }
+
+    const object = callee.get('object');
+    const property = callee.get('property');
+
+    if (object.isCallExpression()) {
+      // Chained calls, like jest.mock('a').mock('b')
+      return (
+        HOIST_METHODS.indexOf(property.node.name) > -1 &&
+        isHoistableCall(object, scope)
+      );
+    }
+
+    return (
+      object.isIdentifier({ name: 'jest' }) &&
+      !scope.hasBinding('jest') &&
+      HOIST_METHODS.indexOf(property.node.name) > -1
+    );
+  };
+
+  return {
+    visitor: {
+      ExpressionStatement(path) {
+        if (!path.parentPath.isProgram()) {
+          return;
+        }
+
+        if (isHoistableCall(path.get('expression'), path.scope)) {
+          // eslint-disable-next-line no-param-reassign
+          path.node._blockHoist = Infinity;
+        }
+      },
+    },
+  };
+};
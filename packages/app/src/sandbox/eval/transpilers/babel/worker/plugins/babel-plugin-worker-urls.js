@@ -0,0 +1,67 @@
+// Babel 6 can't parse `import.meta`, so the worker replaces it with this
+// identifier before transpiling and puts it back afterwards
+export const IMPORT_META_PLACEHOLDER = '__codesandboxImportMeta__';
+
+const WORKER_CONSTRUCTORS = {
+  Worker: '!!worker-loader!',
+  SharedWorker: '!!worker-loader?shared=true!',
+};
+
+/**
+ * Converts workers that are created from a file of the sandbox to the
+ * worker-loader, which bundles the file for the worker.
+ *
+ * Example:
+ * new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+ *
+ * will be converted to
+ * import _worker from '!!worker-loader!./worker.js';
+ * new _worker({ type: 'module' });
+ */
+export default function({ types: t }) {
+  const isImportMetaURL = node =>
+    t.isMemberExpression(node) &&
+    t.isIdentifier(node.property, { name: 'url' }) &&
+    (t.isMetaProperty(node.object) ||
+      t.isIdentifier(node.object, { name: IMPORT_META_PLACEHOLDER }));
+
+  return {
+    visitor: {
+      NewExpression(path) {
+        const { callee, arguments: args } = path.node;
+
+        if (
+          !t.isIdentifier(callee) ||
+          !WORKER_CONSTRUCTORS[callee.name] ||
+          path.scope.hasBinding(callee.name)
+        ) {
+          return;
+        }
+
+        const url = args[0];
+        if (
+          !t.isNewExpression(url) ||
+          !t.isIdentifier(url.callee, { name: 'URL' }) ||
+          !t.isStringLiteral(url.arguments[0]) ||
+          !isImportMetaURL(url.arguments[1])
+        ) {
+          return;
+        }
+
+        const id = path.scope.generateUidIdentifier('worker');
+        const program = path.findParent(p => p.isProgram());
+        program.unshiftContainer(
+          'body',
+          t.importDeclaration(
+            [t.importDefaultSpecifier(id)],
+            t.stringLiteral(
+              WORKER_CONSTRUCTORS[callee.name] + url.arguments[0].value
+            )
+          )
+        );
+
+        path.replaceWith(t.newExpression(id, args.slice(1)));
+      },
+    },
+  };
+}
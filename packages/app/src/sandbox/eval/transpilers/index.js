@@ -1,24 +1,30 @@
 // @flow
 
-import type { SourceMap } from './utils/get-source-map';
+import type { RawSourceMap } from './utils/source-maps';
 import { type LoaderContext } from '../transpiled-module';
 import type { default as Manager } from '../manager';
 
 type TranspilerResult = {
   transpiledCode: string,
   ast?: Object,
-  sourceMap?: SourceMap,
+  sourceMap?: ?RawSourceMap,
+  // The code is a native ES module, see the `esModules` sandbox option
+  esModule?: boolean,
 };
 
 export default class Transpiler {
   cacheable: boolean;
   name: string;
   HMREnabled: boolean;
+  // How long the transpilations of this loader took, for worker transpilers
+  // this includes the time a task waited for a worker
+  timings: { count: number, totalTime: number, maxTime: number };
 
   constructor(name: string) {
     this.cacheable = true;
     this.name = name;
     this.HMREnabled = true;
+    this.timings = { count: 0, totalTime: 0, maxTime: 0 };
   }
 
   /* eslint-disable */
@@ -40,7 +46,18 @@ export default class Transpiler {
     code: string,
     loaderContext: LoaderContext
   ): Promise<TranspilerResult> {
-    return this.doTranspilation(code, loaderContext);
+    const start = Date.now();
+
+    return Promise.resolve(this.doTranspilation(code, loaderContext)).then(
+      result => {
+        const time = Date.now() - start;
+        this.timings.count += 1;
+        this.timings.totalTime += time;
+        this.timings.maxTime = Math.max(this.timings.maxTime, time);
+
+        return result;
+      }
+    );
   }
 
   /**
@@ -52,6 +69,11 @@ export default class Transpiler {
       name: this.name,
       HMREnabled: this.HMREnabled,
       cacheable: this.cacheable,
+      transpilations: this.timings.count,
+      averageTime: this.timings.count
+        ? Math.round(this.timings.totalTime / this.timings.count)
+        : 0,
+      maxTime: this.timings.maxTime,
     });
   }
 }
@@ -44,7 +44,13 @@ self.addEventListener('message', event => {
   try {
     // register a custom importer callback
     less
-      .render(cleanCode, { filename, plugins: [FileManager(context, files)] })
+      .render(cleanCode, {
+        filename,
+        plugins: [FileManager(context, files)],
+        // Like Sass the map is embedded in the CSS, so it ends up in the style
+        // tag and chains through the CSS modules transform
+        sourceMap: { sourceMapFileInline: true, outputSourceFiles: true },
+      })
       .then(({ css }) =>
         self.postMessage({
           type: 'result',
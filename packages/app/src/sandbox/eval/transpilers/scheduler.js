@@ -0,0 +1,297 @@
+// @flow
+import TranspilationCancelledError from '../../errors/transpilation-cancelled-error';
+import type TranspiledModule from '../transpiled-module';
+
+export const PRIORITY = {
+  // The entry and the modules it (indirectly) imports, these block the preview
+  ENTRY: 0,
+  SANDBOX: 1,
+  DEPENDENCY: 2,
+};
+
+// The transpiler side of the scheduler, every WorkerTranspiler is a pool
+export type WorkerPool = {
+  name: string,
+  workerCount: number,
+  workers: Array<Worker>,
+  idleWorkers: Array<Worker>,
+  loadingWorkers: number,
+  loadWorker: () => Promise<void>,
+  terminateWorker: (worker: Worker) => void,
+  // eslint-disable-next-line no-use-before-define
+  executeTask: (job: Job, worker: Worker, done: () => void) => void,
+};
+
+export type Job = {
+  id: string,
+  path: ?string,
+  priority: number,
+  pool: WorkerPool,
+  message: any,
+  loaderContext: Object,
+  callbacks: Array<(err: ?any, data: ?any) => void>,
+  order: number,
+  startTime: number,
+  cancelled: boolean,
+};
+
+type PoolStats = {
+  completed: number,
+  cancelled: number,
+  totalTime: number,
+  maxTime: number,
+};
+
+function isImportedByEntry(tModule: TranspiledModule) {
+  const visited = new Set();
+  const queue = [tModule];
+
+  while (queue.length) {
+    const current = queue.shift();
+
+    if (current.isEntry) {
+      return true;
+    }
+
+    if (!visited.has(current)) {
+      visited.add(current);
+      queue.push(...current.initiators, ...current.transpilationInitiators);
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Dependencies come last, they are often only needed after the code of the
+ * sandbox that imports them has been transpiled.
+ */
+export function getPriority(tModule: ?TranspiledModule) {
+  // Requests that aren't about a module (like the context) are waited on
+  if (!tModule) {
+    return PRIORITY.ENTRY;
+  }
+
+  if (tModule.module.path.startsWith('/node_modules')) {
+    return PRIORITY.DEPENDENCY;
+  }
+
+  return isImportedByEntry(tModule) ? PRIORITY.ENTRY : PRIORITY.SANDBOX;
+}
+
+/**
+ * Runs the tasks of all worker transpilers, with one budget for the amount of
+ * workers and tasks that can run at the same time. An idle worker of one
+ * transpiler is stopped when another transpiler needs a worker and the budget
+ * is used up.
+ */
+export class TranspilationScheduler {
+  concurrency: number;
+  queue: Array<Job> = [];
+  running: Set<Job> = new Set();
+  pools: Set<WorkerPool> = new Set();
+  stats: { [name: string]: PoolStats } = {};
+  nextOrder = 0;
+
+  constructor(concurrency: number) {
+    this.concurrency = concurrency;
+  }
+
+  schedule(
+    pool: WorkerPool,
+    {
+      id,
+      path,
+      priority,
+      message,
+      loaderContext,
+      callback,
+    }: {
+      id: string,
+      path: ?string,
+      priority: number,
+      message: any,
+      loaderContext: Object,
+      callback: (err: ?any, data: ?any) => void,
+    }
+  ) {
+    this.pools.add(pool);
+
+    const queuedJob = this.queue.find(
+      job => job.pool === pool && job.id === id
+    );
+    if (queuedJob) {
+      queuedJob.callbacks.push(callback);
+      queuedJob.priority = Math.min(queuedJob.priority, priority);
+    } else {
+      this.queue.push({
+        id,
+        path,
+        priority,
+        pool,
+        message,
+        loaderContext,
+        callbacks: [callback],
+        order: this.nextOrder++,
+        startTime: 0,
+        cancelled: false,
+      });
+    }
+
+    this.run();
+  }
+
+  run() {
+    this.queue.sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+    // The amount of jobs per pool that are waiting for a worker
+    const waitingJobs: Map<WorkerPool, number> = new Map();
+    let i = 0;
+    while (i < this.queue.length && this.running.size < this.concurrency) {
+      const job = this.queue[i];
+      const worker = job.pool.idleWorkers.shift();
+
+      if (worker) {
+        this.queue.splice(i, 1);
+        this.start(job, worker);
+      } else {
+        const waiting = (waitingJobs.get(job.pool) || 0) + 1;
+        waitingJobs.set(job.pool, waiting);
+
+        if (waiting > job.pool.loadingWorkers && this.makeRoom(job.pool)) {
+          job.pool.loadWorker();
+        }
+        i += 1;
+      }
+    }
+  }
+
+  /**
+   * Whether the pool can load another worker, stops an idle worker of another
+   * pool if that's needed to stay within the budget.
+   */
+  makeRoom(pool: WorkerPool) {
+    if (pool.workers.length + pool.loadingWorkers >= pool.workerCount) {
+      return false;
+    }
+
+    const workerCount = Array.from(this.pools).reduce(
+      (total, p) => total + p.workers.length + p.loadingWorkers,
+      0
+    );
+    if (workerCount < this.concurrency) {
+      return true;
+    }
+
+    const poolWithIdleWorker = Array.from(this.pools).find(
+      p =>
+        p !== pool &&
+        p.idleWorkers.length > 0 &&
+        !this.queue.some(job => job.pool === p)
+    );
+    if (poolWithIdleWorker) {
+      poolWithIdleWorker.terminateWorker(poolWithIdleWorker.idleWorkers[0]);
+      return true;
+    }
+
+    return false;
+  }
+
+  start(job: Job, worker: Worker) {
+    this.running.add(job);
+    job.startTime = Date.now();
+
+    job.pool.executeTask(job, worker, () => {
+      // The pool was disposed while the job was running
+      if (!this.running.delete(job)) {
+        return;
+      }
+
+      if (!job.cancelled) {
+        this.recordTime(job.pool.name, Date.now() - job.startTime);
+      }
+
+      job.pool.idleWorkers.push(worker);
+      this.run();
+    });
+  }
+
+  /**
+   * Cancels the jobs of a module, the callbacks are called with a
+   * TranspilationCancelledError. A running job can't be stopped, its worker
+   * becomes available again when it's done and the result is ignored.
+   */
+  cancel(path: string) {
+    const error = new TranspilationCancelledError(path);
+    const jobs = [
+      ...this.queue.filter(job => job.path === path),
+      ...Array.from(this.running).filter(
+        job => job.path === path && !job.cancelled
+      ),
+    ];
+
+    this.queue = this.queue.filter(job => job.path !== path);
+    jobs.forEach(job => {
+      job.cancelled = true;
+      this.getStats(job.pool.name).cancelled += 1;
+      job.callbacks.forEach(callback => callback(error));
+    });
+  }
+
+  /**
+   * Forgets the jobs of a pool, its workers have been terminated.
+   */
+  removePool(pool: WorkerPool) {
+    this.queue = this.queue.filter(job => job.pool !== pool);
+    this.running.forEach(job => {
+      if (job.pool === pool) {
+        this.running.delete(job);
+      }
+    });
+    this.pools.delete(pool);
+
+    this.run();
+  }
+
+  getStats(name: string): PoolStats {
+    if (!this.stats[name]) {
+      this.stats[name] = {
+        completed: 0,
+        cancelled: 0,
+        totalTime: 0,
+        maxTime: 0,
+      };
+    }
+
+    return this.stats[name];
+  }
+
+  recordTime(name: string, time: number) {
+    const stats = this.getStats(name);
+
+    stats.completed += 1;
+    stats.totalTime += time;
+    stats.maxTime = Math.max(stats.maxTime, time);
+  }
+
+  getContext(pool: WorkerPool) {
+    const { completed, cancelled, totalTime, maxTime } = this.getStats(
+      pool.name
+    );
+
+    return {
+      concurrency: this.concurrency,
+      queued: this.queue.filter(job => job.pool === pool).length,
+      running: Array.from(this.running).filter(job => job.pool === pool)
+        .length,
+      completed,
+      cancelled,
+      averageWorkerTime: completed ? Math.round(totalTime / completed) : 0,
+      maxWorkerTime: maxTime,
+    };
+  }
+}
+
+export default new TranspilationScheduler(
+  Math.max(2, navigator.hardwareConcurrency || 4)
+);
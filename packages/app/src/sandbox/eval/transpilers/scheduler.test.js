@@ -0,0 +1,160 @@
+import { TranspilationScheduler, PRIORITY, getPriority } from './scheduler';
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve));
+
+// A pool with fake workers, the jobs finish when we tell them to
+function createPool(scheduler, name, workerCount = 1) {
+  const pool = {
+    name,
+    workerCount,
+    workers: [],
+    idleWorkers: [],
+    loadingWorkers: 0,
+    executedJobs: [],
+    runningJobs: {},
+    async loadWorker() {
+      pool.loadingWorkers += 1;
+      await Promise.resolve();
+      pool.loadingWorkers -= 1;
+
+      const worker = { name };
+      pool.workers.push(worker);
+      pool.idleWorkers.push(worker);
+      scheduler.run();
+    },
+    terminateWorker: jest.fn(worker => {
+      pool.workers = pool.workers.filter(w => w !== worker);
+      pool.idleWorkers = pool.idleWorkers.filter(w => w !== worker);
+    }),
+    executeTask(job, worker, done) {
+      pool.executedJobs.push(job.id);
+      pool.runningJobs[job.id] = data => {
+        if (!job.cancelled) {
+          job.callbacks.forEach(callback => callback(null, data));
+        }
+        done();
+      };
+    },
+  };
+
+  return pool;
+}
+
+function schedule(scheduler, pool, id, priority = PRIORITY.SANDBOX) {
+  const callback = jest.fn();
+  scheduler.schedule(pool, {
+    id,
+    path: `/${id}.js`,
+    priority,
+    message: {},
+    loaderContext: {},
+    callback,
+  });
+
+  return callback;
+}
+
+describe('TranspilationScheduler', () => {
+  it('runs the jobs with the highest priority first', async () => {
+    const scheduler = new TranspilationScheduler(1);
+    const pool = createPool(scheduler, 'babel-loader');
+
+    schedule(scheduler, pool, 'a');
+    schedule(scheduler, pool, 'react', PRIORITY.DEPENDENCY);
+    schedule(scheduler, pool, 'index', PRIORITY.ENTRY);
+    await flushPromises();
+
+    pool.runningJobs.index();
+    pool.runningJobs.a();
+
+    expect(pool.executedJobs).toEqual(['index', 'a', 'react']);
+  });
+
+  it('stops idle workers of other pools to stay in budget', async () => {
+    const scheduler = new TranspilationScheduler(1);
+    const babel = createPool(scheduler, 'babel-loader');
+    const sass = createPool(scheduler, 'sass-loader');
+
+    schedule(scheduler, babel, 'index');
+    await flushPromises();
+    babel.runningJobs.index();
+
+    schedule(scheduler, sass, 'styles');
+    await flushPromises();
+
+    expect(babel.terminateWorker).toHaveBeenCalled();
+    expect(babel.workers).toHaveLength(0);
+    expect(sass.workers).toHaveLength(1);
+    expect(sass.executedJobs).toEqual(['styles']);
+  });
+
+  it('calls all callbacks of a job that is queued twice', async () => {
+    const scheduler = new TranspilationScheduler(1);
+    const pool = createPool(scheduler, 'babel-loader');
+
+    const firstCallback = schedule(scheduler, pool, 'index');
+    const secondCallback = schedule(scheduler, pool, 'index');
+    await flushPromises();
+    pool.runningJobs.index('result');
+
+    expect(pool.executedJobs).toEqual(['index']);
+    expect(firstCallback).toHaveBeenCalledWith(null, 'result');
+    expect(secondCallback).toHaveBeenCalledWith(null, 'result');
+  });
+
+  it('cancels queued and running jobs of a module', async () => {
+    const scheduler = new TranspilationScheduler(1);
+    const pool = createPool(scheduler, 'babel-loader');
+
+    const runningCallback = schedule(scheduler, pool, 'index');
+    const queuedCallback = schedule(scheduler, pool, 'a');
+    await flushPromises();
+
+    scheduler.cancel('/index.js');
+    scheduler.cancel('/a.js');
+
+    expect(runningCallback.mock.calls[0][0].type).toBe(
+      'transpilation-cancelled'
+    );
+    expect(queuedCallback.mock.calls[0][0].type).toBe(
+      'transpilation-cancelled'
+    );
+
+    // The worker can be used again once the cancelled job is done
+    pool.runningJobs.index();
+    schedule(scheduler, pool, 'b');
+
+    expect(runningCallback).toHaveBeenCalledTimes(1);
+    expect(pool.executedJobs).toEqual(['index', 'b']);
+    expect(scheduler.getContext(pool)).toMatchObject({
+      completed: 0,
+      cancelled: 2,
+    });
+  });
+});
+
+describe('getPriority', () => {
+  const createTModule = (path, initiators = [], isEntry = false) => ({
+    module: { path },
+    initiators: new Set(initiators),
+    transpilationInitiators: new Set(),
+    isEntry,
+  });
+
+  it('gives modules imported by the entry the highest priority', () => {
+    const entry = createTModule('/index.js', [], true);
+    const app = createTModule('/App.js', [entry]);
+    const utils = createTModule('/utils.js', [app]);
+
+    expect(getPriority(utils)).toBe(PRIORITY.ENTRY);
+    expect(getPriority(createTModule('/test.js'))).toBe(PRIORITY.SANDBOX);
+  });
+
+  it('gives dependencies the lowest priority', () => {
+    const entry = createTModule('/index.js', [], true);
+
+    expect(
+      getPriority(createTModule('/node_modules/react/index.js', [entry]))
+    ).toBe(PRIORITY.DEPENDENCY);
+  });
+});
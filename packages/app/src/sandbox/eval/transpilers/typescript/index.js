@@ -1,6 +1,8 @@
 // @flow
 import TypeScriptWorker from 'worker-loader?publicPath=/&name=typescript-transpiler.[hash:8].worker.js!./typescript-worker.js';
 
+import { getTypeScriptVersion } from 'common/utils/typescript-version';
+
 import WorkerTranspiler from '../worker-transpiler';
 import { type LoaderContext } from '../../transpiled-module';
 
@@ -14,21 +16,29 @@ class TypeScriptTranspiler extends WorkerTranspiler {
   doTranspilation(code: string, loaderContext: LoaderContext) {
     return new Promise((resolve, reject) => {
       const path = loaderContext.path;
+      const { configurations } = loaderContext.options;
 
       let foundConfig = null;
       if (
-        loaderContext.options.configurations &&
-        loaderContext.options.configurations.typescript &&
-        loaderContext.options.configurations.typescript.parsed
+        configurations &&
+        configurations.typescript &&
+        configurations.typescript.parsed
       ) {
-        foundConfig = loaderContext.options.configurations.typescript.parsed;
+        foundConfig = configurations.typescript.parsed;
       }
 
+      const typescriptVersion = getTypeScriptVersion(
+        configurations &&
+          configurations.package &&
+          configurations.package.parsed
+      );
+
       this.queueTask(
         {
           code,
           path,
           config: foundConfig,
+          typescriptVersion,
         },
         loaderContext._module.getId(),
         loaderContext,
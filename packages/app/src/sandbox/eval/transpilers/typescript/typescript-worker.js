@@ -1,12 +1,47 @@
+import {
+  getTypeScriptUrl,
+  DEFAULT_TYPESCRIPT_VERSION,
+} from 'common/utils/typescript-version';
+
 import { buildWorkerError } from '../utils/worker-error-handler';
+import { buildWorkerWarning } from '../utils/worker-warning-handler';
 import getDependencies from './get-require-statements';
 
-self.importScripts([
-  'https://cdnjs.cloudflare.com/ajax/libs/typescript/2.7.2/typescript.min.js',
-]);
+self.importScripts([getTypeScriptUrl(DEFAULT_TYPESCRIPT_VERSION)]);
 
 self.postMessage('ready');
 
+let loadedVersion = DEFAULT_TYPESCRIPT_VERSION;
+const failedVersions = [];
+
+/**
+ * Loads the version of TypeScript that the sandbox depends on. Returns an error
+ * message if it can't be loaded, we keep using the loaded version then.
+ */
+function loadTypeScript(version: ?string): ?string {
+  const versionToLoad = version || DEFAULT_TYPESCRIPT_VERSION;
+
+  if (
+    versionToLoad === loadedVersion ||
+    failedVersions.indexOf(versionToLoad) > -1
+  ) {
+    return null;
+  }
+
+  try {
+    self.importScripts(getTypeScriptUrl(versionToLoad));
+    loadedVersion = versionToLoad;
+
+    return null;
+  } catch (e) {
+    failedVersions.push(versionToLoad);
+
+    return `Could not load TypeScript ${versionToLoad}, using TypeScript ${
+      self.ts.version
+    } instead.`;
+  }
+}
+
 declare var ts: {
   transpileModule: (
     code: string,
@@ -20,7 +55,23 @@ declare var ts: {
 };
 
 self.addEventListener('message', event => {
-  const { code, path, config } = event.data;
+  const { code, path, config, typescriptVersion } = event.data;
+
+  const loadError = loadTypeScript(typescriptVersion);
+  if (loadError) {
+    self.postMessage({
+      type: 'warning',
+      warning: buildWorkerWarning(
+        {
+          fileName: path,
+          lineNumber: 1,
+          columnNumber: 1,
+          message: loadError,
+        },
+        'typescript'
+      ),
+    });
+  }
 
   const defaultConfig = {
     fileName: path,
@@ -41,7 +92,8 @@ self.addEventListener('message', event => {
       strictNullChecks: true,
       suppressImplicitAnyIndexErrors: true,
       noUnusedLocals: true,
-      inlineSourceMap: true,
+      sourceMap: true,
+      inlineSourceMap: false,
       inlineSources: true,
       emitDecoratorMetadata: true,
       experimentalDecorators: true,
@@ -57,7 +109,8 @@ self.addEventListener('message', event => {
       ...config.compilerOptions,
       module: ts.ModuleKind.CommonJS,
       moduleResolution: ts.ModuleResolutionKind.NodeJs,
-      inlineSourceMap: true,
+      sourceMap: true,
+      inlineSourceMap: false,
       inlineSources: true,
       emitDecoratorMetadata: true,
     };
@@ -67,7 +120,16 @@ self.addEventListener('message', event => {
   finalConfig.reportDiagnostics = true;
 
   try {
-    const { outputText: compiledCode } = ts.transpileModule(code, finalConfig);
+    const { outputText, sourceMapText } = ts.transpileModule(
+      code,
+      finalConfig
+    );
+    // The source map is sent separately, the comment points to a file that
+    // doesn't exist
+    const compiledCode = outputText.replace(
+      /\n\/\/# sourceMappingURL=.*$/,
+      ''
+    );
 
     const sourceFile = ts.createSourceFile(
       path,
@@ -90,6 +152,7 @@ self.addEventListener('message', event => {
     self.postMessage({
       type: 'result',
       transpiledCode: compiledCode,
+      sourceMap: sourceMapText ? JSON.parse(sourceMapText) : null,
     });
   } catch (e) {
     self.postMessage({
@@ -0,0 +1,79 @@
+// @flow
+import { SourceMapConsumer, SourceMapGenerator } from 'source-map';
+
+export type RawSourceMap = {
+  version: number,
+  sources: Array<string>,
+  names: Array<string>,
+  mappings: string,
+  file?: string,
+  sourceRoot?: string,
+  sourcesContent?: Array<?string>,
+};
+
+const INLINE_SOURCE_MAP_REGEX = /\n?\/\/[#@] ?sourceMappingURL=data:application\/json;(?:[\w=:"-]+;)*base64,([^\s'"]+)\s*$/;
+
+function encodeBase64(text: string) {
+  return btoa(unescape(encodeURIComponent(text)));
+}
+
+function decodeBase64(text: string) {
+  return decodeURIComponent(escape(atob(text)));
+}
+
+/**
+ * Combines the source map of a loader with the source map of the loaders
+ * before it, the result maps the output of the loader to the original file.
+ */
+export function mergeSourceMaps(
+  inputMap: ?RawSourceMap,
+  map: ?RawSourceMap
+): ?RawSourceMap {
+  if (!inputMap || !map) {
+    return map;
+  }
+
+  // A loader maps from one file, the output of the previous loader
+  if (map.sources.length !== 1) {
+    return map;
+  }
+
+  const generator = SourceMapGenerator.fromSourceMap(
+    new SourceMapConsumer(map)
+  );
+  generator.applySourceMap(new SourceMapConsumer(inputMap), map.sources[0]);
+
+  return generator.toJSON();
+}
+
+/**
+ * Returns the comment that inlines the source map in generated code.
+ */
+export function getInlineSourceMapComment(map: RawSourceMap) {
+  return `//# sourceMappingURL=data:application/json;charset=utf-8;base64,${encodeBase64(
+    JSON.stringify(map)
+  )}`;
+}
+
+/**
+ * Splits code that ends with an inline source map comment in the code without
+ * the comment and the parsed source map.
+ */
+export function extractInlineSourceMap(
+  code: string
+): { code: string, map: ?RawSourceMap } {
+  const match = code.match(INLINE_SOURCE_MAP_REGEX);
+
+  if (!match) {
+    return { code, map: null };
+  }
+
+  try {
+    return {
+      code: code.replace(INLINE_SOURCE_MAP_REGEX, ''),
+      map: JSON.parse(decodeBase64(match[1])),
+    };
+  } catch (e) {
+    return { code, map: null };
+  }
+}
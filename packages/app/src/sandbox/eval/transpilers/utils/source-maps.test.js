@@ -0,0 +1,69 @@
+import { SourceMapConsumer, SourceMapGenerator } from 'source-map';
+import {
+  mergeSourceMaps,
+  getInlineSourceMapComment,
+  extractInlineSourceMap,
+} from './source-maps';
+
+// Maps every line of the generated file to a line in the source
+function createMap(source, lines, content) {
+  const generator = new SourceMapGenerator();
+  lines.forEach(([generatedLine, originalLine]) => {
+    generator.addMapping({
+      source,
+      generated: { line: generatedLine, column: 0 },
+      original: { line: originalLine, column: 0 },
+    });
+  });
+
+  if (content) {
+    generator.setSourceContent(source, content);
+  }
+
+  return generator.toJSON();
+}
+
+describe('source-maps', () => {
+  describe('mergeSourceMaps', () => {
+    it('maps the output of the last loader to the original source', () => {
+      // Like a .vue file: the script starts at line 5 of the original file
+      const inputMap = createMap('/App.vue', [[1, 5], [2, 6]], 'vue');
+      // Like babel: line 2 of the output is line 1 of its input
+      const map = createMap('/App.vue?script', [[2, 1], [3, 2]]);
+
+      const consumer = new SourceMapConsumer(mergeSourceMaps(inputMap, map));
+
+      expect(consumer.originalPositionFor({ line: 3, column: 0 })).toEqual({
+        source: '/App.vue',
+        line: 6,
+        column: 0,
+        name: null,
+      });
+      expect(consumer.sourceContentFor('/App.vue')).toBe('vue');
+    });
+
+    it('returns the map if there is no input map', () => {
+      const map = createMap('/index.js', [[1, 1]]);
+
+      expect(mergeSourceMaps(null, map)).toBe(map);
+    });
+  });
+
+  describe('inline source maps', () => {
+    it('extracts the source map from the end of the code', () => {
+      const map = createMap('/index.js', [[1, 1]]);
+      const code = `var a = 1;\n${getInlineSourceMapComment(map)}`;
+
+      expect(extractInlineSourceMap(code)).toEqual({
+        code: 'var a = 1;',
+        map,
+      });
+    });
+
+    it('leaves code without an inline source map alone', () => {
+      const code = 'var a = 1;\n//# sourceMappingURL=index.js.map';
+
+      expect(extractInlineSourceMap(code)).toEqual({ code, map: null });
+    });
+  });
+});
@@ -27,7 +27,10 @@ export default function transpile(
     });
   }
 
-  result += `exports.push([module.id, ${JSON.stringify(content)}, ""])`;
+  // The style loader inlines the source map in the style tag
+  result += `exports.push([module.id, ${JSON.stringify(
+    content
+  )}, "", ${JSON.stringify(loaderContext.map || null)}])`;
 
   return Promise.resolve({ transpiledCode: result });
 }
@@ -67,7 +67,7 @@ export default function(content: string, loaderContext: LoaderContext) {
   let output = '';
   const bustCache = true;
 
-  const parts = parse(content, fileName, false, sourceRoot);
+  const parts = parse(content, fileName, loaderContext.sourceMap, sourceRoot);
   const hasScoped = parts.styles.some(({ scoped }) => scoped);
   const templateAttrs =
     parts.template && parts.template.attrs && parts.template.attrs;
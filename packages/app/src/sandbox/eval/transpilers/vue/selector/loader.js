@@ -11,11 +11,20 @@ export default function(code: string, loaderContext: LoaderContext) {
     filename.substring(0, filename.lastIndexOf(path.extname(filename))) +
     '.vue';
   const sourceRoot = path.dirname(path.relative(context, loaderContext.path));
-  const parts = parse(code, filename, false, sourceRoot, query.bustCache);
+  const parts = parse(
+    code,
+    filename,
+    loaderContext.sourceMap,
+    sourceRoot,
+    query.bustCache
+  );
   let part = parts[query.type];
   if (Array.isArray(part)) {
     part = part[query.index];
   }
 
-  return Promise.resolve({ transpiledCode: part ? part.content : '' });
+  return Promise.resolve({
+    transpiledCode: part ? part.content : '',
+    sourceMap: part ? part.map : null,
+  });
 }
@@ -33,16 +33,12 @@ export default function(code: string, loaderContext: LoaderContext) {
       plugins.push(scopeId({ id: query.id }));
     }
 
-    // source map
-    if (
-      loaderContext.sourceMap &&
-      vueOptions.cssSourceMap !== false &&
-      !loaderContext.map
-    ) {
+    // source map, the transpiled module combines it with the map of the
+    // previous loaders
+    if (loaderContext.sourceMap && vueOptions.cssSourceMap !== false) {
       options.map = {
         inline: false,
         annotation: false,
-        prev: loaderContext.map,
       };
     }
 
@@ -0,0 +1,50 @@
+// @flow
+import Transpiler from '../';
+import { type LoaderContext } from '../../transpiled-module';
+import workers, { WORKERS_GLOBAL } from '../../workers';
+
+/**
+ * Like the worker-loader of webpack, the module exports a constructor that
+ * creates a worker running the file and the modules it requires. Use
+ * `?shared=true` for a SharedWorker. Workers can't be updated in place, the
+ * workers of the previous evaluation are stopped when this module is
+ * evaluated again after a change of the worker code.
+ */
+class WebWorkerTranspiler extends Transpiler {
+  constructor() {
+    super('worker-loader');
+  }
+
+  cleanModule(loaderContext: LoaderContext) {
+    workers.terminate(loaderContext._module.getId());
+  }
+
+  doTranspilation(code: string, loaderContext: LoaderContext) {
+    const { path, options } = loaderContext;
+    const id = JSON.stringify(loaderContext._module.getId());
+    const shared = options.shared === true || options.shared === 'true';
+
+    // The worker code is transpiled like any other module, it's bundled when
+    // a worker is created
+    loaderContext.addDependency(path, { isAbsolute: true });
+
+    const args = [id, JSON.stringify(path), JSON.stringify(shared)];
+
+    return Promise.resolve({
+      transpiledCode: [
+        `var workers = ${WORKERS_GLOBAL};`,
+        `workers.terminate(${id});`,
+        '',
+        'module.exports = function WorkerWrapper(options) {',
+        `  return workers.create(${args.join(', ')}, options);`,
+        '};',
+      ].join('\n'),
+    });
+  }
+}
+
+const transpiler = new WebWorkerTranspiler();
+
+export { WebWorkerTranspiler };
+
+export default transpiler;
@@ -2,33 +2,29 @@ import type BrowserFS from 'codesandbox-browserfs';
 import _debug from 'app/utils/debug';
 
 import Transpiler from './';
+import scheduler, { getPriority, type Job } from './scheduler';
 import { parseWorkerError } from './utils/worker-error-handler';
 import { type LoaderContext } from '../transpiled-module';
 
 const debug = _debug('cs:compiler:worker-transpiler');
 
-type Task = {
-  message: any,
-  callbacks: Array<(err: ?any, data: ?any) => void>,
-  loaderContext: LoaderContext,
-};
-
 /**
  * A transpiler that handles worker messaging for you! Magic
+ *
+ * The tasks of all worker transpilers are run by the scheduler, workers are
+ * started when there are tasks for them and the budget allows it.
  */
 export default class WorkerTranspiler extends Transpiler {
   Worker: Worker;
   workers: Array<Worker>;
   idleWorkers: Array<Worker>;
+  loadingWorkers: number;
+  // The maximum amount of workers of this transpiler
   workerCount: number;
-  tasks: {
-    [id: string]: Task,
-  };
   initialized: boolean;
-  runningTasks: {
-    [id: string]: (error: Error, message: Object) => void,
-  };
   hasFS: boolean;
+  // Stops serving the file system (and its watchers) to a worker
+  detachFSListeners: Map<Worker, () => void>;
 
   constructor(
     name: string,
@@ -42,76 +38,94 @@ export default class WorkerTranspiler extends Transpiler {
     this.Worker = Worker;
     this.workers = [];
     this.idleWorkers = [];
-    this.tasks = {};
+    this.loadingWorkers = 0;
     this.initialized = false;
     this.hasFS = options.hasFS || false;
+    this.detachFSListeners = new Map();
   }
 
   getWorker() {
     return Promise.resolve(new this.Worker());
   }
 
-  loadWorker() {
-    return new Promise(async resolve => {
-      const t = Date.now();
-      const worker = await this.getWorker();
+  loadWorker = async () => {
+    const t = Date.now();
+    this.loadingWorkers += 1;
+    const worker = await this.getWorker();
+    this.loadingWorkers -= 1;
 
-      if (this.hasFS) {
-        // Register file system that syncs with filesystem in manager
-        BrowserFS.FileSystem.WorkerFS.attachRemoteListener(worker);
-        worker.postMessage({ type: 'initialize-fs', codesandbox: true });
-      }
+    if (!this.initialized) {
+      // Disposed while the worker was loading
+      worker.terminate();
+      return;
+    }
 
-      debug(`Loaded '${this.name}' worker in ${Date.now() - t}ms`);
-      this.idleWorkers.push(worker);
+    if (this.hasFS) {
+      // Register file system that syncs with filesystem in manager
+      this.detachFSListeners.set(
+        worker,
+        BrowserFS.FileSystem.WorkerFS.attachRemoteListener(worker)
+      );
+      worker.postMessage({ type: 'initialize-fs', codesandbox: true });
+    }
 
-      this.executeRemainingTasks();
+    debug(`Loaded '${this.name}' worker in ${Date.now() - t}ms`);
+    this.workers.push(worker);
+    this.idleWorkers.push(worker);
 
-      resolve();
+    scheduler.run();
+  };
 
-      this.workers.push(worker);
-    });
-  }
+  terminateWorker = (worker: Worker) => {
+    worker.terminate();
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idleWorkers = this.idleWorkers.filter(w => w !== worker);
 
-  async initialize() {
-    this.initialized = true;
-    if (this.workers.length === 0) {
-      await Promise.all(
-        Array.from({ length: this.workerCount }, () => this.loadWorker())
-      );
+    const detachFSListener = this.detachFSListeners.get(worker);
+    if (detachFSListener) {
+      detachFSListener();
+      this.detachFSListeners.delete(worker);
     }
+  };
+
+  initialize() {
+    this.initialized = true;
   }
 
   dispose() {
-    this.workers.forEach(w => w.terminate());
+    this.workers.forEach(this.terminateWorker);
     this.initialized = false;
-    this.tasks = {};
-    this.workers.length = 0;
-    this.idleWorkers.length = 0;
-  }
-
-  executeRemainingTasks() {
-    const taskIds = Object.keys(this.tasks);
-    while (this.idleWorkers.length && taskIds.length) {
-      const taskId = taskIds.shift();
-
-      const task = this.tasks[taskId];
-      delete this.tasks[taskId];
-
-      const worker = this.idleWorkers.shift();
-      this.executeTask(task, worker);
-    }
+    scheduler.removePool(this);
   }
 
   runCallbacks(callbacks: Array<Function>, err, data) {
     callbacks.forEach(c => c(err, data));
   }
 
-  executeTask({ message, loaderContext, callbacks }: Task, worker: Worker) {
+  executeTask = (job: Job, worker: Worker, done: () => void) => {
+    const { message, loaderContext, callbacks } = job;
+
     worker.onmessage = async newMessage => {
       const { data } = newMessage;
 
       if (data) {
+        // Nobody is waiting for the result of a cancelled job anymore, we
+        // only let the worker finish
+        if (job.cancelled) {
+          if (data.type === 'resolve-async-transpiled-module') {
+            worker.postMessage({
+              type: 'resolve-async-transpiled-module-response',
+              id: data.id,
+              found: false,
+            });
+          }
+
+          if (data.type === 'error' || data.type === 'result') {
+            done();
+          }
+          return;
+        }
+
         if (data.type === 'error') {
           const reconstructedError = parseWorkerError(data.error);
 
@@ -178,35 +192,33 @@ export default class WorkerTranspiler extends Transpiler {
         }
 
         if (data.type === 'error' || data.type === 'result') {
-          this.idleWorkers.push(worker);
-          this.executeRemainingTasks();
+          done();
         }
       }
     };
     worker.postMessage({ type: 'compile', codesandbox: true, ...message });
-  }
+  };
 
-  async queueTask(
+  queueTask(
     message: any,
     id: string,
     loaderContext: LoaderContext,
     callback: (err: Error, message: Object) => void
   ) {
     if (!this.initialized) {
-      await this.initialize();
-    }
-
-    if (!this.tasks[id]) {
-      this.tasks[id] = {
-        message,
-        loaderContext,
-        callbacks: [],
-      };
+      this.initialize();
     }
 
-    this.tasks[id].callbacks.push(callback);
+    const tModule = loaderContext._module;
 
-    this.executeRemainingTasks();
+    scheduler.schedule(this, {
+      id,
+      path: tModule ? tModule.module.path : null,
+      priority: getPriority(tModule),
+      message,
+      loaderContext,
+      callback,
+    });
   }
 
   async getTranspilerContext() {
@@ -216,6 +228,7 @@ export default class WorkerTranspiler extends Transpiler {
       hasFS: this.hasFS,
       workerCount: this.workerCount,
       initialized: !!this.initialized,
+      scheduler: scheduler.getContext(this),
     }));
   }
 }
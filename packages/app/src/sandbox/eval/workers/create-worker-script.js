@@ -0,0 +1,129 @@
+// @flow
+import type Manager from '../manager';
+import type TranspiledModule from '../transpiled-module';
+import getRequireStatements from '../transpilers/babel/worker/simple-get-require-statements';
+import { getInlineSourceMapComment } from '../transpilers/utils/source-maps';
+
+// Runs in the worker, a small CommonJS runtime for the bundled modules
+const RUNTIME = `(function (modules, entryId, env) {
+  var cache = {};
+  var process = {
+    env: env,
+    browser: true,
+    argv: [],
+    cwd: function () { return '/'; },
+    nextTick: function (fn) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      Promise.resolve().then(function () { fn.apply(null, args); });
+    },
+  };
+  self.global = self;
+
+  function load(id) {
+    if (cache[id]) {
+      return cache[id].exports;
+    }
+
+    var record = modules[id];
+    var module = (cache[id] = { id: id, exports: {} });
+    var require = function (specifier) {
+      if (!Object.prototype.hasOwnProperty.call(record.deps, specifier)) {
+        throw new Error(
+          "Cannot find module '" + specifier + "' from '" + id + "' in a worker"
+        );
+      }
+
+      return load(record.deps[specifier]);
+    };
+
+    (0, eval)(record.code).call(
+      module.exports,
+      require,
+      module,
+      module.exports,
+      process,
+      self
+    );
+
+    return module.exports;
+  }
+
+  load(entryId);
+})`;
+
+function wrap(code: string, sourceMapComment: string = '') {
+  return `(function (require, module, exports, process, global) {${code}\n})${sourceMapComment}`;
+}
+
+/**
+ * Bundles the worker entry and the modules it requires in a script that can be
+ * loaded by a Worker. The modules have to be transpiled already, `externals`
+ * has the code of the dependencies that the sandbox provides itself.
+ */
+export default function createWorkerScript(
+  manager: Manager,
+  entry: TranspiledModule,
+  externals: { [specifier: string]: string } = {}
+) {
+  const modules = {};
+  const queue = [entry];
+
+  while (queue.length) {
+    const tModule = queue.shift();
+    const id = tModule.getId();
+    const { source } = tModule;
+
+    if (!modules[id]) {
+      if (!source) {
+        throw new Error(`${tModule.module.path} hasn't been transpiled yet.`);
+      }
+
+      if (source.esModule) {
+        throw new Error(
+          `${
+            tModule.module.path
+          } is an ES module, workers don't support the \`esModules\` option of sandbox.config.json.`
+        );
+      }
+
+      const deps = {};
+      getRequireStatements(source.compiledCode)
+        .filter(dependency => dependency.type === 'direct')
+        .forEach(({ path }) => {
+          if (externals[path] != null) {
+            deps[path] = path;
+            modules[path] = { code: wrap(externals[path]), deps: {} };
+            return;
+          }
+
+          try {
+            const dependency = manager.resolveTranspiledModule(
+              path,
+              tModule.module.path
+            );
+
+            deps[path] = dependency.getId();
+            queue.push(dependency);
+          } catch (e) {
+            // The worker throws when the module is required
+          }
+        });
+
+      modules[id] = {
+        code: wrap(
+          source.compiledCode,
+          source.sourceMap
+            ? `\n${getInlineSourceMapComment(source.sourceMap)}`
+            : ''
+        ),
+        deps,
+      };
+    }
+  }
+
+  const env = { NODE_ENV: 'development', ...manager.envVariables };
+
+  return `${RUNTIME}(${JSON.stringify(modules)}, ${JSON.stringify(
+    entry.getId()
+  )}, ${JSON.stringify(env)});`;
+}
@@ -0,0 +1,75 @@
+import createWorkerScript from './create-worker-script';
+
+function createTModule(path, compiledCode, esModule = false) {
+  return {
+    module: { path },
+    getId: () => `${path}:`,
+    source: { compiledCode, sourceMap: null, esModule },
+  };
+}
+
+function createManager(tModules) {
+  return {
+    envVariables: { API_URL: 'https://api.example.com' },
+    resolveTranspiledModule(path) {
+      const tModule = tModules[path];
+      if (!tModule) {
+        throw new Error(`Cannot find module '${path}'`);
+      }
+      return tModule;
+    },
+  };
+}
+
+describe('createWorkerScript', () => {
+  afterEach(() => {
+    delete global.workerResult;
+  });
+
+  it('bundles the modules that the entry requires', () => {
+    const math = createTModule(
+      '/src/math.js',
+      'exports.add = (a, b) => a + b;'
+    );
+    const entry = createTModule(
+      '/src/worker.js',
+      [
+        'const { add } = require("./math");',
+        'const runtime = require("babel-runtime/regenerator");',
+        'global.workerResult = [add(1, 2), runtime, process.env.API_URL];',
+      ].join('\n')
+    );
+    const manager = createManager({ './math': math });
+
+    const script = createWorkerScript(manager, entry, {
+      'babel-runtime/regenerator': 'module.exports = "regenerator";',
+    });
+    // eslint-disable-next-line no-eval
+    (0, eval)(script);
+
+    expect(global.workerResult).toEqual([
+      3,
+      'regenerator',
+      'https://api.example.com',
+    ]);
+  });
+
+  it('throws in the worker when a module is required that was not found', () => {
+    const entry = createTModule('/src/worker.js', 'require("./missing");');
+
+    const script = createWorkerScript(createManager({}), entry);
+
+    // eslint-disable-next-line no-eval
+    expect(() => (0, eval)(script)).toThrow(
+      "Cannot find module './missing' from '/src/worker.js:' in a worker"
+    );
+  });
+
+  it('does not bundle native ES modules', () => {
+    const entry = createTModule('/src/worker.js', 'export default 1;', true);
+
+    expect(() => createWorkerScript(createManager({}), entry)).toThrow(
+      /is an ES module/
+    );
+  });
+});
@@ -0,0 +1,132 @@
+// @flow
+// eslint-disable-next-line import/no-webpack-loader-syntax
+import regeneratorRuntime from '!raw-loader!regenerator-runtime/runtime';
+
+import type Manager from '../manager';
+import createWorkerScript from './create-worker-script';
+
+// The global the modules of `worker-loader` use to create workers
+export const WORKERS_GLOBAL = '__codesandboxWorkers';
+
+type SandboxWorker = Worker | SharedWorker;
+
+/**
+ * Creates the workers of the sandbox. Every `worker-loader` module creates its
+ * workers with its own id, so they can be stopped when the module is evaluated
+ * again after a change of the worker code.
+ */
+class WorkerRegistry {
+  manager: ?Manager = null;
+  workers: Map<string, Array<SandboxWorker>> = new Map();
+  scripts: Map<string, { script: string, url: string }> = new Map();
+  entryPaths: Map<string, string> = new Map();
+
+  setManager(manager: Manager) {
+    this.terminateAll();
+    this.manager = manager;
+  }
+
+  getScript(entryPath: string) {
+    const { manager } = this;
+    if (!manager) {
+      throw new Error('Workers can only be created while the sandbox runs.');
+    }
+
+    return createWorkerScript(
+      manager,
+      manager.resolveTranspiledModule(entryPath, '/'),
+      { 'babel-runtime/regenerator': regeneratorRuntime }
+    );
+  }
+
+  getURL(id: string, entryPath: string) {
+    const script = this.getScript(entryPath);
+
+    // Reuse the URL while the code is the same, so a SharedWorker is shared
+    const cached = this.scripts.get(id);
+    if (cached && cached.script === script) {
+      return cached.url;
+    }
+
+    if (cached) {
+      URL.revokeObjectURL(cached.url);
+    }
+
+    const url = URL.createObjectURL(
+      new Blob([script], { type: 'text/javascript' })
+    );
+    this.scripts.set(id, { script, url });
+
+    return url;
+  }
+
+  create(
+    id: string,
+    entryPath: string,
+    shared: boolean,
+    options?: string | Object
+  ): SandboxWorker {
+    const url = this.getURL(id, entryPath);
+    // The modules are bundled in a classic script
+    const workerOptions =
+      typeof options === 'string' ? options : { ...options, type: 'classic' };
+
+    const worker = shared
+      ? new SharedWorker(url, workerOptions)
+      : new Worker(url, workerOptions);
+
+    this.workers.set(id, [...(this.workers.get(id) || []), worker]);
+    this.entryPaths.set(id, entryPath);
+
+    return worker;
+  }
+
+  terminate(id: string) {
+    (this.workers.get(id) || []).forEach(worker => {
+      if (worker instanceof Worker) {
+        worker.terminate();
+      } else {
+        worker.port.close();
+      }
+    });
+
+    this.workers.delete(id);
+  }
+
+  /**
+   * Resets the evaluation of the `worker-loader` modules whose worker code
+   * changed, so the modules that import them create new workers.
+   */
+  resetChangedWorkers() {
+    const { manager } = this;
+    if (!manager) {
+      return;
+    }
+
+    Array.from(this.workers.keys()).forEach(id => {
+      const cached = this.scripts.get(id);
+      let script;
+      try {
+        script = this.getScript(this.entryPaths.get(id) || '');
+      } catch (e) {
+        // Creating the worker again shows the error
+      }
+
+      if (!cached || cached.script !== script) {
+        manager
+          .getTranspiledModules()
+          .filter(tModule => tModule.getId() === id)
+          .forEach(tModule => tModule.resetCompilation());
+      }
+    });
+  }
+
+  terminateAll() {
+    Array.from(this.workers.keys()).forEach(id => this.terminate(id));
+  }
+}
+
+const registry = new WorkerRegistry();
+window[WORKERS_GLOBAL] = registry;
+
+export default registry;
@@ -7,11 +7,24 @@ import registerServiceWorker from 'common/registerServiceWorker';
 import requirePolyfills from 'common/load-dynamic-polyfills';
 import { getModulePath } from 'common/sandbox/modules';
 import { generateFileFromSandbox } from 'common/templates/configuration/package-json';
-import { Encode } from 'console-feed/lib/Transform';
 
 import setupHistoryListeners from './url-listeners';
 import compile, { getCurrentManager } from './compile';
 import setupConsole from './console';
+import {
+  getScope,
+  getScopePaths,
+  evaluateCommand,
+  getCompletions,
+} from './console/evaluate';
+import {
+  describe,
+  getProperties,
+  releaseObjects,
+} from './console/remote-objects';
+import setupNetwork from './console/network';
+import setupMocks from './eval/mocks';
+import setupInspector from './inspector';
 
 const host = process.env.CODESANDBOX_HOST;
 const debug = _debug('cs:sandbox');
@@ -40,11 +53,20 @@ function getId() {
 
 requirePolyfills().then(() => {
   registerServiceWorker('/sandbox-service-worker.js', {});
+  setupMocks();
 
   function sendReady() {
     dispatch({ type: 'initialized' });
   }
 
+  function respondToConsole(requestId, getResult) {
+    try {
+      dispatch({ type: 'console-response', requestId, result: getResult() });
+    } catch (e) {
+      dispatch({ type: 'console-response', requestId, error: e.message });
+    }
+  }
+
   async function handleMessage(data, source) {
     if (source) {
       if (data.type === 'compile') {
@@ -64,21 +86,12 @@ requirePolyfills().then(() => {
         let result = null;
         let error = false;
         try {
-          // Attempt to wrap command in parentheses, fixing issues
-          // where directly returning objects results in unexpected
-          // behaviour.
-          if (data.command && data.command.charAt(0) === '{') {
-            try {
-              const wrapped = `(${data.command})`;
-              // `new Function` is used to validate Javascript syntax
-              const validate = new Function(wrapped);
-              data.command = wrapped;
-            } catch (e) {
-              // We shouldn't wrap the expression
-            }
-          }
-
-          result = (0, eval)(data.command); // eslint-disable-line no-eval
+          const scope = data.modulePath
+            ? getScope(getCurrentManager(), data.modulePath)
+            : null;
+
+          const evaluation = await evaluateCommand(data.command || '', scope);
+          result = evaluation.result;
         } catch (e) {
           result = e;
           error = true;
@@ -88,11 +101,28 @@ requirePolyfills().then(() => {
           dispatch({
             type: 'eval-result',
             error,
-            result: Encode(result),
+            result: describe(result),
           });
         } catch (e) {
           console.error(e);
         }
+      } else if (data.type === 'console-completions') {
+        respondToConsole(data.requestId, () =>
+          getCompletions(
+            data.expression,
+            data.modulePath
+              ? getScope(getCurrentManager(), data.modulePath)
+              : null
+          )
+        );
+      } else if (data.type === 'console-object-properties') {
+        respondToConsole(data.requestId, () => getProperties(data.objectId));
+      } else if (data.type === 'console-scopes') {
+        respondToConsole(data.requestId, () =>
+          getScopePaths(getCurrentManager())
+        );
+      } else if (data.type === 'clear-console') {
+        releaseObjects();
       } else if (data.type === 'get-transpiler-context') {
         const manager = getCurrentManager();
 
@@ -118,7 +148,9 @@ requirePolyfills().then(() => {
     sendReady();
 
     setupHistoryListeners();
-    setupConsole();
+    setupConsole(getCurrentManager);
+    setupNetwork();
+    setupInspector(getCurrentManager);
   }
 
   if (process.env.NODE_ENV === 'test' || isStandalone) {
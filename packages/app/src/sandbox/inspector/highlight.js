@@ -0,0 +1,78 @@
+// @flow
+
+let elements: ?{ overlay: HTMLElement, label: HTMLElement } = null;
+
+function getElements() {
+  if (elements) {
+    return elements;
+  }
+
+  const overlay = document.createElement('div');
+  overlay.style.cssText = [
+    'position: fixed',
+    'z-index: 2147483647',
+    'pointer-events: none',
+    'background-color: rgba(108, 174, 221, 0.3)',
+    'border: 1px solid rgba(108, 174, 221, 0.8)',
+    'box-sizing: border-box',
+  ].join(';');
+
+  const label = document.createElement('div');
+  label.style.cssText = [
+    'position: absolute',
+    'left: -1px',
+    'bottom: 100%',
+    'padding: 2px 4px',
+    'white-space: nowrap',
+    'background-color: #242424',
+    'color: white',
+    'font: 12px Menlo, monospace',
+  ].join(';');
+
+  overlay.appendChild(label);
+  elements = { overlay, label };
+
+  return elements;
+}
+
+/**
+ * Shows an overlay over the DOM nodes of a component, with its name and size.
+ */
+export function highlight(nodes: Array<Node>, name: string) {
+  const rects = nodes
+    .filter(node => node instanceof Element)
+    // $FlowIssue: filtered on Element
+    .map(node => node.getBoundingClientRect())
+    .filter(rect => rect.width > 0 || rect.height > 0);
+
+  if (rects.length === 0) {
+    removeHighlight();
+    return;
+  }
+
+  const top = Math.min(...rects.map(rect => rect.top));
+  const left = Math.min(...rects.map(rect => rect.left));
+  const width = Math.max(...rects.map(rect => rect.right)) - left;
+  const height = Math.max(...rects.map(rect => rect.bottom)) - top;
+
+  const { overlay, label } = getElements();
+  overlay.style.top = `${top}px`;
+  overlay.style.left = `${left}px`;
+  overlay.style.width = `${width}px`;
+  overlay.style.height = `${height}px`;
+  label.textContent = `${name} ${Math.round(width)} × ${Math.round(height)}`;
+  // The label goes inside when there's no room above the component
+  label.style.bottom = top < 20 ? 'auto' : '100%';
+  label.style.top = top < 20 ? '0' : 'auto';
+
+  if (!overlay.parentNode && document.body) {
+    document.body.appendChild(overlay);
+  }
+}
+
+export function removeHighlight() {
+  const overlay = elements && elements.overlay;
+  if (overlay && overlay.parentNode) {
+    overlay.parentNode.removeChild(overlay);
+  }
+}
@@ -0,0 +1,173 @@
+// @flow
+import { dispatch, listen } from 'codesandbox-api';
+
+import type Manager from '../eval/manager';
+import { describe } from '../console/remote-objects';
+import { buildTree, getEntry, type Adapter } from './tree';
+import reactAdapter, { installReactHook } from './react';
+import vueAdapter, { installVueHook } from './vue';
+import preactAdapter, { observePreact } from './preact';
+import { highlight, removeHighlight } from './highlight';
+
+// Renders are batched, the tree is sent at most once per delay
+const UPDATE_DELAY = 100;
+
+const adapters: Array<Adapter> = [];
+let getManager: () => ?Manager = () => null;
+// The tree is only sent while the Components pane is open
+let isActive = false;
+let updateTimeout: ?number = null;
+let selectedId: ?number = null;
+let lastDetails: ?{ id: number, props: ?Object, state: ?Object } = null;
+
+function isShallowEqual(a: ?Object, b: ?Object) {
+  if (a === b) {
+    return true;
+  }
+
+  if (!a || !b) {
+    return false;
+  }
+
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    // $FlowIssue: checked above
+    keys.every(key => a[key] === b[key])
+  );
+}
+
+function describeEntries(object: ?Object) {
+  if (!object || typeof object !== 'object') {
+    return null;
+  }
+
+  return Object.keys(object).map(name => {
+    try {
+      return { name, value: describe(object[name]) };
+    } catch (e) {
+      return { name, value: { type: 'error', description: String(e) } };
+    }
+  });
+}
+
+function sendDetails(force: boolean = false) {
+  const id = selectedId;
+  const entry = id == null ? null : getEntry(id);
+
+  if (id == null || !entry) {
+    lastDetails = null;
+    dispatch({ type: 'inspector-details', details: null });
+    return;
+  }
+
+  const { props, state } = entry.adapter.getDetails(entry.instance);
+  const isUnchanged =
+    lastDetails &&
+    lastDetails.id === id &&
+    isShallowEqual(lastDetails.props, props) &&
+    isShallowEqual(lastDetails.state, state);
+
+  // Described objects are kept until the console is cleared, so they're only
+  // described again when the component rendered with other values
+  if (isUnchanged && !force) {
+    return;
+  }
+
+  lastDetails = { id, props, state };
+  dispatch({
+    type: 'inspector-details',
+    details: {
+      id,
+      name: entry.name,
+      props: describeEntries(props),
+      state: describeEntries(state),
+    },
+  });
+}
+
+function sendTree() {
+  const roots = buildTree(getManager(), adapters);
+  dispatch({ type: 'inspector-tree', roots });
+
+  if (selectedId != null) {
+    sendDetails();
+  }
+}
+
+function scheduleUpdate() {
+  if (!isActive || updateTimeout) {
+    return;
+  }
+
+  updateTimeout = setTimeout(() => {
+    updateTimeout = null;
+    sendTree();
+  }, UPDATE_DELAY);
+}
+
+/**
+ * Installs the devtools hooks of the frameworks, this has to happen before
+ * the framework is evaluated.
+ */
+export function installInspectorHooks(template: string) {
+  if (!adapters.includes(reactAdapter)) {
+    installReactHook(scheduleUpdate);
+    adapters.push(reactAdapter);
+  }
+
+  if (template === 'vue-cli' && !adapters.includes(vueAdapter)) {
+    installVueHook(scheduleUpdate);
+    adapters.push(vueAdapter);
+  }
+
+  if (template === 'preact-cli' && !adapters.includes(preactAdapter)) {
+    observePreact(scheduleUpdate);
+    adapters.push(preactAdapter);
+  }
+}
+
+/**
+ * Answers the Components pane, which shows the component tree of the preview
+ * and the props and state of the selected component.
+ */
+export default function setupInspector(getCurrentManager: () => ?Manager) {
+  getManager = getCurrentManager;
+
+  listen((data, source) => {
+    if (!source) {
+      return;
+    }
+
+    switch (data.type) {
+      case 'inspector-start': {
+        isActive = true;
+        sendTree();
+        break;
+      }
+      case 'inspector-stop': {
+        isActive = false;
+        selectedId = null;
+        removeHighlight();
+        break;
+      }
+      case 'inspector-select': {
+        selectedId = data.id;
+        sendDetails(true);
+        break;
+      }
+      case 'inspector-highlight': {
+        const entry = data.id == null ? null : getEntry(data.id);
+        if (entry) {
+          highlight(entry.adapter.getDOMNodes(entry.instance), entry.name);
+        } else {
+          removeHighlight();
+        }
+        break;
+      }
+      default: {
+        break;
+      }
+    }
+  });
+}
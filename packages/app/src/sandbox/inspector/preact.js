@@ -0,0 +1,82 @@
+// @flow
+import { createNode, type Adapter, type ComponentNode } from './tree';
+
+// Preact 8 keeps the component that rendered a DOM node on `_component`, and
+// the component that rendered that component on `_parentComponent`
+type PreactComponent = {
+  constructor: Function,
+  props: ?Object,
+  state: ?Object,
+  base: ?Node,
+  __key: ?string,
+  _parentComponent: ?PreactComponent,
+};
+
+let isObserving = false;
+
+function getName(component: PreactComponent) {
+  const { constructor } = component;
+  return constructor.displayName || constructor.name || 'Anonymous';
+}
+
+function collect(domNode: Node, nodes: Array<ComponentNode>) {
+  let children = nodes;
+
+  // $FlowIssue: set by Preact
+  const component: ?PreactComponent = domNode._component;
+  if (component) {
+    const chain = [];
+    for (let c = component; c; c = c._parentComponent) {
+      chain.unshift(c);
+    }
+
+    chain.forEach(c => {
+      // eslint-disable-next-line no-use-before-define
+      const node = createNode(preactAdapter, c, {
+        name: getName(c),
+        key: c.__key,
+        types: [c.constructor],
+      });
+      children.push(node);
+      children = node.children;
+    });
+  }
+
+  Array.from(domNode.childNodes).forEach(child => collect(child, children));
+}
+
+const preactAdapter: Adapter = {
+  getRoots() {
+    const nodes = [];
+    if (document.body) {
+      collect(document.body, nodes);
+    }
+
+    return nodes;
+  },
+
+  getDetails(component: PreactComponent) {
+    return { props: component.props, state: component.state };
+  },
+
+  getDOMNodes(component: PreactComponent) {
+    return component.base ? [component.base] : [];
+  },
+};
+
+/**
+ * Preact has no hook for devtools, the tree is updated when the DOM changes.
+ */
+export function observePreact(onUpdate: () => void) {
+  if (isObserving || !document.body) {
+    return;
+  }
+
+  new MutationObserver(onUpdate).observe(document.body, {
+    childList: true,
+    subtree: true,
+  });
+  isObserving = true;
+}
+
+export default preactAdapter;
@@ -0,0 +1,194 @@
+// @flow
+import { createNode, type Adapter, type ComponentNode } from './tree';
+
+type Fiber = {
+  type: any,
+  key: ?string,
+  child: ?Fiber,
+  sibling: ?Fiber,
+  alternate: ?Fiber,
+  stateNode: any,
+  memoizedProps: ?Object,
+  memoizedState: any,
+};
+
+type FiberRoot = {
+  current: ?Fiber,
+  containerInfo: ?Node,
+};
+
+const roots: Set<FiberRoot> = new Set();
+
+/**
+ * The name of a function or class component, or of a component wrapped in
+ * `forwardRef` or `memo`. Other types (DOM elements, fragments, providers)
+ * are not shown in the tree.
+ */
+export function getDisplayName(type: any): ?string {
+  if (typeof type === 'function') {
+    return type.displayName || type.name || 'Anonymous';
+  }
+
+  if (type && typeof type === 'object') {
+    if (typeof type.render === 'function') {
+      return type.displayName || `ForwardRef(${getDisplayName(type.render)})`;
+    }
+
+    if (type.type) {
+      const name = getDisplayName(type.type);
+      return name && (type.displayName || `Memo(${name})`);
+    }
+  }
+
+  return null;
+}
+
+function getTypes(type: any) {
+  return [type, type.render, type.type, type.type && type.type.render].filter(
+    Boolean
+  );
+}
+
+function collect(fiber: ?Fiber, nodes: Array<ComponentNode>) {
+  let current = fiber;
+  while (current) {
+    const name = getDisplayName(current.type);
+
+    if (name) {
+      // eslint-disable-next-line no-use-before-define
+      const node = createNode(reactAdapter, current, {
+        name,
+        key: current.key,
+        types: getTypes(current.type),
+        alternate: current.alternate,
+      });
+      nodes.push(node);
+      collect(current.child, node.children);
+    } else {
+      collect(current.child, nodes);
+    }
+
+    current = current.sibling;
+  }
+}
+
+function isMounted(root: FiberRoot) {
+  const { current, containerInfo } = root;
+  const { documentElement } = document;
+
+  return (
+    !!current &&
+    !!current.child &&
+    !!containerInfo &&
+    !!documentElement &&
+    documentElement.contains(containerInfo)
+  );
+}
+
+function getHookStates(fiber: Fiber) {
+  const states = {};
+  let hook = fiber.memoizedState;
+  let index = 1;
+
+  while (hook && typeof hook === 'object' && 'next' in hook) {
+    // Only the hooks of useState and useReducer have a queue
+    if (hook.queue) {
+      states[`State ${index}`] = hook.memoizedState;
+      index += 1;
+    }
+    hook = hook.next;
+  }
+
+  return index > 1 ? states : null;
+}
+
+const reactAdapter: Adapter = {
+  getRoots() {
+    const nodes = [];
+    roots.forEach(root => {
+      if (isMounted(root)) {
+        // $FlowIssue: checked by isMounted
+        collect(root.current.child, nodes);
+      } else {
+        roots.delete(root);
+      }
+    });
+
+    return nodes;
+  },
+
+  getDetails(fiber: Fiber) {
+    const { type, stateNode, memoizedProps } = fiber;
+    const isClass =
+      typeof type === 'function' &&
+      type.prototype &&
+      type.prototype.isReactComponent;
+
+    return {
+      props: memoizedProps,
+      state: isClass ? stateNode.state : getHookStates(fiber),
+    };
+  },
+
+  getDOMNodes(fiber: Fiber) {
+    // The DOM nodes rendered by the component, without the nodes in them
+    const nodes = [];
+    const find = (child: ?Fiber) => {
+      let current = child;
+      while (current) {
+        if (current.stateNode instanceof Node) {
+          nodes.push(current.stateNode);
+        } else {
+          find(current.child);
+        }
+        current = current.sibling;
+      }
+    };
+    find(fiber.child);
+
+    return nodes;
+  },
+};
+
+/**
+ * Installs the global hook that React DOM connects to when it's evaluated,
+ * it tells us when a tree is rendered. The hook of the React DevTools
+ * extension is kept working if it's installed.
+ */
+export function installReactHook(onCommit: () => void) {
+  const handleCommit = (root: FiberRoot) => {
+    roots.add(root);
+    onCommit();
+  };
+
+  const existingHook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+  if (existingHook) {
+    if (!existingHook.__csbInspector) {
+      const { onCommitFiberRoot } = existingHook;
+      existingHook.onCommitFiberRoot = function commit(id, root, ...rest) {
+        handleCommit(root);
+        return onCommitFiberRoot.call(this, id, root, ...rest);
+      };
+      existingHook.__csbInspector = true;
+    }
+    return;
+  }
+
+  let lastRendererId = 0;
+  window.__REACT_DEVTOOLS_GLOBAL_HOOK__ = {
+    __csbInspector: true,
+    supportsFiber: true,
+    renderers: new Map(),
+    inject(renderer) {
+      lastRendererId += 1;
+      this.renderers.set(lastRendererId, renderer);
+      return lastRendererId;
+    },
+    onCommitFiberRoot(id, root) {
+      handleCommit(root);
+    },
+    onCommitFiberUnmount() {},
+  };
+}
+
+export default reactAdapter;
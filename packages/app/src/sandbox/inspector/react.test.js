@@ -0,0 +1,112 @@
+import reactAdapter, { getDisplayName, installReactHook } from './react';
+
+function fiber(type, children = [], extra = {}) {
+  const node = {
+    type,
+    key: null,
+    memoizedProps: {},
+    memoizedState: null,
+    stateNode: null,
+    child: children[0] || null,
+    sibling: null,
+    alternate: null,
+    ...extra,
+  };
+  children.forEach((child, index) => {
+    // eslint-disable-next-line no-param-reassign
+    child.sibling = children[index + 1] || null;
+  });
+
+  return node;
+}
+
+function getNames(nodes) {
+  return nodes.map(node =>
+    node.children.length ? [node.name, getNames(node.children)] : node.name
+  );
+}
+
+describe('react inspector', () => {
+  describe('getDisplayName', () => {
+    it('names function components and wrappers', () => {
+      function Button() {}
+      const forwardRef = { $$typeof: 'forward_ref', render: Button };
+
+      expect(getDisplayName(Button)).toBe('Button');
+      expect(getDisplayName(forwardRef)).toBe('ForwardRef(Button)');
+      expect(getDisplayName({ $$typeof: 'memo', type: forwardRef })).toBe(
+        'Memo(ForwardRef(Button))'
+      );
+    });
+
+    it('skips DOM elements and providers', () => {
+      expect(getDisplayName('div')).toBe(null);
+      expect(getDisplayName({ $$typeof: 'provider', _context: {} })).toBe(
+        null
+      );
+    });
+  });
+
+  describe('the tree', () => {
+    function App() {}
+    function Header() {}
+    function Item() {}
+
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+
+    const heading = fiber('h1', [], {
+      stateNode: document.createElement('h1'),
+    });
+    const appFiber = fiber(App, [
+      fiber('div', [
+        fiber(Header, [heading]),
+        fiber(Item, [], { key: 'a' }),
+        fiber(Item, [], { key: 'b' }),
+      ]),
+    ]);
+    const root = {
+      current: fiber(null, [appFiber]),
+      containerInfo: container,
+    };
+
+    installReactHook(() => {});
+    window.__REACT_DEVTOOLS_GLOBAL_HOOK__.onCommitFiberRoot(1, root);
+
+    it('contains the components of committed roots', () => {
+      const roots = reactAdapter.getRoots();
+
+      expect(getNames(roots)).toEqual([['App', ['Header', 'Item', 'Item']]]);
+      expect(roots[0].children[1].key).toBe('a');
+    });
+
+    it('keeps the ids of components between renders', () => {
+      const [{ id }] = reactAdapter.getRoots();
+
+      const alternate = fiber(App, [], { alternate: appFiber });
+      root.current.child = alternate;
+      const [node] = reactAdapter.getRoots();
+      root.current.child = appFiber;
+
+      expect(node.id).toBe(id);
+    });
+
+    it('finds the DOM nodes of a component', () => {
+      const header = appFiber.child.child;
+
+      expect(reactAdapter.getDOMNodes(header)).toEqual([heading.stateNode]);
+    });
+  });
+
+  it('reads the state hooks of function components', () => {
+    function Counter() {}
+    const effect = { memoizedState: {}, queue: null, next: null };
+    const count = { memoizedState: 1, queue: {}, next: effect };
+
+    expect(
+      reactAdapter.getDetails(
+        fiber(Counter, [], { memoizedProps: { step: 2 }, memoizedState: count })
+      )
+    ).toEqual({ props: { step: 2 }, state: { 'State 1': 1 } });
+  });
+});
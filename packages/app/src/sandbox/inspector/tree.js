@@ -0,0 +1,130 @@
+// @flow
+import type Manager from '../eval/manager';
+
+export type ComponentNode = {
+  id: number,
+  name: string,
+  key: ?string,
+  // The sandbox file that exports the component
+  source: ?string,
+  children: Array<ComponentNode>,
+};
+
+export type Adapter = {
+  getRoots: () => Array<ComponentNode>,
+  getDetails: (instance: any) => { props: ?Object, state: ?Object },
+  getDOMNodes: (instance: any) => Array<Node>,
+};
+
+type Entry = { adapter: Adapter, instance: any, name: string };
+
+type NodeOptions = {
+  name: string,
+  key?: ?(string | number),
+  // The component types to look up in the exports, or paths of files
+  types: Array<any>,
+  // The other fiber of a React component, which should keep the same id
+  alternate?: ?Object,
+};
+
+const ids: WeakMap<Object, number> = new WeakMap();
+let lastId = 0;
+let entries: Map<number, Entry> = new Map();
+let exportPaths: Map<any, string> = new Map();
+
+function getId(instance: Object, alternate: ?Object) {
+  const id = ids.get(instance) || (alternate && ids.get(alternate));
+  if (id) {
+    ids.set(instance, id);
+    return id;
+  }
+
+  lastId += 1;
+  ids.set(instance, lastId);
+
+  return lastId;
+}
+
+/**
+ * Maps the exported values of the evaluated sandbox files to their path, so
+ * the file of a component can be found by its type.
+ */
+export function getExportPaths(manager: ?Manager): Map<any, string> {
+  const paths = new Map();
+  if (!manager) {
+    return paths;
+  }
+
+  manager.getTranspiledModules().forEach(tModule => {
+    const { path } = tModule.module;
+    const exports = tModule.compilation && tModule.compilation.exports;
+
+    if (
+      !exports ||
+      path.startsWith('/node_modules/') ||
+      (typeof exports !== 'object' && typeof exports !== 'function')
+    ) {
+      return;
+    }
+
+    const values = Object.keys(exports).map(name => {
+      try {
+        return exports[name];
+      } catch (e) {
+        return null;
+      }
+    });
+
+    [exports, ...values].forEach(value => {
+      const isObject =
+        value && (typeof value === 'object' || typeof value === 'function');
+      if (isObject && !paths.has(value)) {
+        paths.set(value, path);
+      }
+    });
+  });
+
+  return paths;
+}
+
+export function createNode(
+  adapter: Adapter,
+  instance: Object,
+  { name, key, types, alternate }: NodeOptions
+): ComponentNode {
+  const id = getId(instance, alternate);
+  entries.set(id, { adapter, instance, name });
+
+  const source = types
+    .map(type => (typeof type === 'string' ? type : exportPaths.get(type)))
+    .find(Boolean);
+
+  return {
+    id,
+    name,
+    key: key == null ? null : String(key),
+    source: source || null,
+    children: [],
+  };
+}
+
+/**
+ * Builds the component trees of all frameworks, the components of the
+ * previous tree are forgotten.
+ */
+export function buildTree(
+  manager: ?Manager,
+  adapters: Array<Adapter>
+): Array<ComponentNode> {
+  entries = new Map();
+  exportPaths = getExportPaths(manager);
+
+  return adapters.reduce(
+    (roots, adapter) => [...roots, ...adapter.getRoots()],
+    []
+  );
+}
+
+export function getEntry(id: number): ?Entry {
+  return entries.get(id);
+}
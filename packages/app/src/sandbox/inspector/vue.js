@@ -0,0 +1,130 @@
+// @flow
+import { createNode, type Adapter, type ComponentNode } from './tree';
+
+type VueInstance = {
+  $options: Object,
+  $root: VueInstance,
+  $children: Array<VueInstance>,
+  $vnode: ?{ key: ?(string | number) },
+  $el: ?Node,
+  $props: ?Object,
+  $data: ?Object,
+  _isDestroyed: boolean,
+  constructor: { extendOptions?: Object },
+};
+
+let isInitialized = false;
+
+function getName(vm: VueInstance) {
+  const { name, _componentTag: tag, __file: file } = vm.$options;
+  if (name || tag) {
+    return name || tag;
+  }
+
+  if (file) {
+    return file.replace(/^.*\//, '').replace(/\.vue$/, '');
+  }
+
+  return vm.$root === vm ? 'Root' : 'Anonymous Component';
+}
+
+function collect(vm: VueInstance): ComponentNode {
+  const file = vm.$options.__file;
+
+  // eslint-disable-next-line no-use-before-define
+  const node = createNode(vueAdapter, vm, {
+    name: getName(vm),
+    key: vm.$vnode && vm.$vnode.key,
+    // vue-loader adds the file of a component in development
+    types: [
+      file && (file.startsWith('/') ? file : `/${file}`),
+      vm.constructor.extendOptions,
+    ],
+  });
+  node.children = vm.$children
+    .filter(child => !child._isDestroyed)
+    .map(collect);
+
+  return node;
+}
+
+const vueAdapter: Adapter = {
+  getRoots() {
+    if (!isInitialized || !document.body) {
+      return [];
+    }
+
+    // The root instances are found by the elements they're mounted on
+    const roots = new Set();
+    Array.from(document.body.querySelectorAll('*')).forEach(element => {
+      const vm = element.__vue__;
+      if (vm && vm.$root === vm && !vm._isDestroyed) {
+        roots.add(vm);
+      }
+    });
+
+    return Array.from(roots).map(collect);
+  },
+
+  getDetails(vm: VueInstance) {
+    return { props: vm.$props, state: vm.$data };
+  },
+
+  getDOMNodes(vm: VueInstance) {
+    return vm.$el ? [vm.$el] : [];
+  },
+};
+
+/**
+ * Installs the global hook of the Vue devtools, Vue emits `init` on it when
+ * it's loaded and `flush` after every update.
+ */
+export function installVueHook(onUpdate: () => void) {
+  const handleEvent = (event: string) => {
+    if (event === 'init') {
+      isInitialized = true;
+    }
+
+    if (event === 'init' || event === 'flush') {
+      onUpdate();
+    }
+  };
+
+  const existingHook = window.__VUE_DEVTOOLS_GLOBAL_HOOK__;
+  if (existingHook) {
+    if (!existingHook.__csbInspector) {
+      const { emit } = existingHook;
+      existingHook.emit = function emitEvent(event, ...args) {
+        handleEvent(event);
+        return emit.call(this, event, ...args);
+      };
+      existingHook.__csbInspector = true;
+    }
+    return;
+  }
+
+  // Vuex listens on the hook as well
+  const listeners: { [event: string]: Array<Function> } = {};
+  window.__VUE_DEVTOOLS_GLOBAL_HOOK__ = {
+    __csbInspector: true,
+    on(event: string, listener: Function) {
+      listeners[event] = [...(listeners[event] || []), listener];
+    },
+    once(event: string, listener: Function) {
+      const onceListener = (...args) => {
+        this.off(event, onceListener);
+        listener(...args);
+      };
+      this.on(event, onceListener);
+    },
+    off(event: string, listener: Function) {
+      listeners[event] = (listeners[event] || []).filter(l => l !== listener);
+    },
+    emit(event: string, ...args) {
+      handleEvent(event);
+      (listeners[event] || []).forEach(listener => listener(...args));
+    },
+  };
+}
+
+export default vueAdapter;
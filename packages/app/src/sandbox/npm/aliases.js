@@ -0,0 +1,111 @@
+// @flow
+import { parseNpmAlias } from 'common/utils/npm-alias';
+import type { NpmAlias } from 'common/utils/npm-alias';
+
+import type { Manifest } from '../eval/manager';
+
+type Dependencies = {
+  [dependency: string]: string,
+};
+
+/**
+ * Splits the dependencies that use the npm alias syntax (`npm:react@16`) from
+ * the other dependencies. The packager can only resolve one version of a
+ * package, so we request a separate manifest for every alias.
+ */
+export function splitAliasedDependencies(
+  dependencies: Dependencies
+): { dependencies: Dependencies, aliases: { [alias: string]: NpmAlias } } {
+  const otherDependencies = {};
+  const aliases = {};
+
+  Object.keys(dependencies).forEach(name => {
+    const alias = parseNpmAlias(dependencies[name]);
+
+    if (alias) {
+      aliases[name] = alias;
+    } else {
+      otherDependencies[name] = dependencies[name];
+    }
+  });
+
+  return { dependencies: otherDependencies, aliases };
+}
+
+/**
+ * Adds the manifest of an aliased package to the manifest of the sandbox. The
+ * package is moved to `/node_modules/{alias}` and its dependencies are nested
+ * in there, so they don't conflict with the other versions in the sandbox.
+ */
+export function addAliasManifest(
+  manifest: ?Manifest,
+  alias: string,
+  packageName: string,
+  aliasManifest: Manifest
+): Manifest {
+  const baseManifest = manifest || {
+    contents: {},
+    dependencies: [],
+    dependencyDependencies: {},
+    dependencyAliases: {},
+  };
+
+  const packageRoot = `/node_modules/${packageName}/`;
+  const aliasRoot = `/node_modules/${alias}/`;
+
+  const contents = { ...baseManifest.contents };
+  Object.keys(aliasManifest.contents).forEach(path => {
+    const aliasedPath = path.startsWith(packageRoot)
+      ? path.replace(packageRoot, aliasRoot)
+      : path.replace('/node_modules/', `${aliasRoot}node_modules/`);
+
+    contents[aliasedPath] = aliasManifest.contents[path];
+  });
+
+  // The versions of the sandbox win, the files of the other versions are
+  // nested in the alias and have their own package.json
+  const dependencyDependencies = { ...baseManifest.dependencyDependencies };
+  const aliasDependencyDependencies =
+    aliasManifest.dependencyDependencies || {};
+  Object.keys(aliasDependencyDependencies)
+    .filter(
+      name =>
+        !dependencyDependencies[name] &&
+        !baseManifest.dependencies.find(d => d.name === name)
+    )
+    .forEach(name => {
+      const dependency = aliasDependencyDependencies[name];
+
+      dependencyDependencies[name] = {
+        ...dependency,
+        parents: dependency.parents.map(
+          parent => (parent === packageName ? alias : parent)
+        ),
+      };
+    });
+
+  const dependency = aliasManifest.dependencies.find(
+    d => d.name === packageName
+  );
+
+  return {
+    ...baseManifest,
+    contents,
+    dependencies: [
+      ...baseManifest.dependencies,
+      {
+        name: alias,
+        // Keep the alias syntax, so we know which package to download
+        version: `npm:${packageName}@${
+          dependency ? dependency.version : 'latest'
+        }`,
+      },
+    ],
+    dependencyDependencies,
+    dependencyAliases: {
+      ...baseManifest.dependencyAliases,
+      // The package can require itself by its real name
+      [alias]: { [packageName]: alias },
+    },
+  };
+}
@@ -0,0 +1,99 @@
+import { splitAliasedDependencies, addAliasManifest } from './aliases';
+
+const MANIFEST = {
+  contents: {
+    '/node_modules/react/package.json': { content: '{}', requires: [] },
+  },
+  dependencies: [{ name: 'react', version: '16.4.1' }],
+  dependencyDependencies: {
+    'object-assign': {
+      semver: '^4.1.1',
+      resolved: '4.1.1',
+      parents: ['react'],
+    },
+  },
+  dependencyAliases: {},
+};
+
+const ALIAS_MANIFEST = {
+  contents: {
+    '/node_modules/react/package.json': { content: '{}', requires: [] },
+    '/node_modules/fbjs/package.json': { content: '{}', requires: [] },
+  },
+  dependencies: [{ name: 'react', version: '15.6.2' }],
+  dependencyDependencies: {
+    'object-assign': {
+      semver: '^4.1.0',
+      resolved: '4.1.0',
+      parents: ['react'],
+    },
+    fbjs: { semver: '^0.8.9', resolved: '0.8.16', parents: ['react'] },
+  },
+  dependencyAliases: {},
+};
+
+describe('aliases', () => {
+  it('splits the aliased dependencies', () => {
+    expect(
+      splitAliasedDependencies({ react: '^16.0.0', 'react-15': 'npm:react@15' })
+    ).toEqual({
+      dependencies: { react: '^16.0.0' },
+      aliases: { 'react-15': { name: 'react', version: '15' } },
+    });
+  });
+
+  it('nests the files of the alias', () => {
+    const manifest = addAliasManifest(
+      MANIFEST,
+      'react-15',
+      'react',
+      ALIAS_MANIFEST
+    );
+
+    expect(Object.keys(manifest.contents)).toEqual([
+      '/node_modules/react/package.json',
+      '/node_modules/react-15/package.json',
+      '/node_modules/react-15/node_modules/fbjs/package.json',
+    ]);
+    expect(manifest.dependencies).toEqual([
+      { name: 'react', version: '16.4.1' },
+      { name: 'react-15', version: 'npm:react@15.6.2' },
+    ]);
+    expect(manifest.dependencyAliases).toEqual({
+      'react-15': { react: 'react-15' },
+    });
+  });
+
+  it('adds the dependencies of the alias', () => {
+    const manifest = addAliasManifest(
+      MANIFEST,
+      'react-15',
+      'react',
+      ALIAS_MANIFEST
+    );
+
+    expect(manifest.dependencyDependencies).toEqual({
+      // The version of the sandbox is kept
+      'object-assign': MANIFEST.dependencyDependencies['object-assign'],
+      fbjs: { semver: '^0.8.9', resolved: '0.8.16', parents: ['react-15'] },
+    });
+  });
+
+  it("doesn't add the dependencies of the alias the sandbox depends on", () => {
+    const manifest = addAliasManifest(
+      { ...MANIFEST, dependencyDependencies: {} },
+      'react-dom-15',
+      'react-dom',
+      {
+        contents: {},
+        dependencies: [{ name: 'react-dom', version: '15.6.2' }],
+        dependencyDependencies: {
+          react: { semver: '^15.6.2', resolved: '15.6.2', parents: [] },
+        },
+        dependencyAliases: {},
+      }
+    );
+
+    expect(manifest.dependencyDependencies).toEqual({});
+  });
+});
@@ -0,0 +1,113 @@
+// @flow
+import localforage from 'localforage';
+import _debug from 'app/utils/debug';
+
+import { getPackagerUrl } from './packager-url';
+
+const debug = _debug('cs:sandbox:dependency-cache');
+
+// Entries that haven't been used for this long are removed from the store
+const MAX_AGE = 1000 * 60 * 60 * 24 * 30;
+// We only update the time an entry was used once a day, instead of on every read
+const TOUCH_INTERVAL = 1000 * 60 * 60 * 24;
+
+type Entry = {
+  usedAt: number,
+  value: any,
+};
+
+/**
+ * Persists the manifests and files of dependencies we fetched, so sandboxes
+ * can still load their dependencies when the packager or unpkg can't be
+ * reached. The store is separate from the sandbox cache, which is cleared much
+ * more often.
+ */
+let store = null;
+
+try {
+  store = localforage.createInstance({
+    name: 'CodeSandboxApp',
+    storeName: 'dependencies', // Should be alphanumeric, with underscores.
+    description: 'Fetched dependency manifests and files, for offline usage.',
+  });
+} catch (e) {
+  debug(`Problems initializing IndexedDB store for dependencies: ${e.message}`);
+}
+
+/**
+ * Every sandbox can point to its own packager, so the manifests are stored
+ * per packager. Files are stored by their url, which already contains it.
+ */
+function getManifestKey(query: string) {
+  return `manifest:${getPackagerUrl() || 'default'}:${query}`;
+}
+
+function saveEntry(key: string, value: any) {
+  if (store) {
+    store.setItem(key, { usedAt: Date.now(), value }).catch(() => {});
+  }
+}
+
+async function getEntry(key: string) {
+  try {
+    const entry: ?Entry = store ? await store.getItem(key) : null;
+
+    if (!entry || typeof entry.usedAt !== 'number') {
+      return null;
+    }
+
+    if (Date.now() - entry.usedAt > TOUCH_INTERVAL) {
+      saveEntry(key, entry.value);
+    }
+
+    return entry.value;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Removes the entries that weren't used for MAX_AGE, and the entries of older
+ * versions of the store.
+ */
+export async function evictDependencyCache() {
+  if (!store) {
+    return;
+  }
+
+  const now = Date.now();
+  const expiredKeys = [];
+
+  try {
+    await store.iterate((entry: ?Entry, key: string) => {
+      if (
+        !entry ||
+        typeof entry.usedAt !== 'number' ||
+        now - entry.usedAt > MAX_AGE
+      ) {
+        expiredKeys.push(key);
+      }
+    });
+
+    await Promise.all(expiredKeys.map(key => store && store.removeItem(key)));
+    debug(`Evicted ${expiredKeys.length} dependencies from the cache`);
+  } catch (e) {
+    debug(`Could not evict the dependency cache: ${e.message}`);
+  }
+}
+
+export function getCachedManifest(query: string): Promise<?Object> {
+  return getEntry(getManifestKey(query));
+}
+
+export function saveManifest(query: string, manifest: Object) {
+  saveEntry(getManifestKey(query), manifest);
+}
+
+export function getCachedFile(url: string): Promise<any> {
+  return getEntry(`file:${url}`);
+}
+
+export function saveFile(url: string, content: any) {
+  saveEntry(`file:${url}`, content);
+}
@@ -0,0 +1,108 @@
+import { items } from 'localforage';
+
+import {
+  getCachedManifest,
+  saveManifest,
+  getCachedFile,
+  saveFile,
+  evictDependencyCache,
+} from './dependency-cache';
+import { setPackagerUrl } from './packager-url';
+
+const DAY = 1000 * 60 * 60 * 24;
+
+jest.mock('localforage', () => {
+  const storedItems = {};
+
+  return {
+    items: storedItems,
+    createInstance: () => ({
+      getItem: key =>
+        /broken$/.test(key)
+          ? Promise.reject(new Error('IndexedDB is closed'))
+          : Promise.resolve(key in storedItems ? storedItems[key] : null),
+      setItem: (key, value) => {
+        storedItems[key] = value;
+        return Promise.resolve(value);
+      },
+      removeItem: key => {
+        delete storedItems[key];
+        return Promise.resolve();
+      },
+      iterate: callback => {
+        Object.keys(storedItems).forEach(key =>
+          callback(storedItems[key], key)
+        );
+        return Promise.resolve();
+      },
+    }),
+  };
+});
+
+describe('dependency-cache', () => {
+  beforeEach(() => {
+    Object.keys(items).forEach(key => delete items[key]);
+    setPackagerUrl(null);
+  });
+
+  it('returns the saved manifest of a query', async () => {
+    const manifest = { contents: {}, dependencies: [] };
+    saveManifest('react@16.3.0', manifest);
+
+    expect(await getCachedManifest('react@16.3.0')).toEqual(manifest);
+    expect(await getCachedManifest('react@16.4.0')).toBe(null);
+  });
+
+  it('keeps the manifests of every packager apart', async () => {
+    const manifest = { contents: {}, dependencies: [] };
+    setPackagerUrl('http://localhost:4000');
+    saveManifest('react@16.3.0', manifest);
+
+    expect(await getCachedManifest('react@16.3.0')).toEqual(manifest);
+
+    setPackagerUrl(null);
+    expect(await getCachedManifest('react@16.3.0')).toBe(null);
+  });
+
+  it('keeps manifests and files apart', async () => {
+    saveFile('https://unpkg.com/react@16.3.0/index.js', 'module.exports = 1');
+
+    expect(await getCachedFile('https://unpkg.com/react@16.3.0/index.js')).toBe(
+      'module.exports = 1'
+    );
+    expect(
+      await getCachedManifest('https://unpkg.com/react@16.3.0/index.js')
+    ).toBe(null);
+  });
+
+  it('returns null when the store fails', async () => {
+    expect(await getCachedManifest('broken')).toBe(null);
+  });
+
+  it('evicts the entries that were not used for a month', async () => {
+    saveFile('https://unpkg.com/react@16.3.0/index.js', 'recent');
+    saveFile('https://unpkg.com/react@15.0.0/index.js', 'old');
+    items['file:https://unpkg.com/react@15.0.0/index.js'].usedAt =
+      Date.now() - 31 * DAY;
+    // An entry of before the store kept track of its usage
+    items['manifest:react@14.0.0'] = { contents: {}, dependencies: [] };
+
+    await evictDependencyCache();
+
+    expect(Object.keys(items)).toEqual([
+      'file:https://unpkg.com/react@16.3.0/index.js',
+    ]);
+  });
+
+  it('marks an entry as used when it is read', async () => {
+    saveFile('https://unpkg.com/react@16.3.0/index.js', 'content');
+    const entry = items['file:https://unpkg.com/react@16.3.0/index.js'];
+    entry.usedAt = Date.now() - 29 * DAY;
+
+    await getCachedFile('https://unpkg.com/react@16.3.0/index.js');
+
+    expect(
+      items['file:https://unpkg.com/react@16.3.0/index.js'].usedAt
+    ).toBeGreaterThan(Date.now() - DAY);
+  });
+});
@@ -2,6 +2,8 @@ import { actions, dispatch } from 'codesandbox-api';
 import _debug from 'app/utils/debug';
 
 import dependenciesToQuery from './dependencies-to-query';
+import { getPackagerUrl } from './packager-url';
+import { getCachedManifest, saveManifest } from './dependency-cache';
 
 import delay from '../utils/delay';
 import setScreen from '../status-screen';
@@ -47,12 +49,13 @@ function callApi(url: string, method = 'GET') {
 }
 
 /**
- * Request the packager, if retries > RETRY_COUNT it will throw if something goes wrong
- * otherwise it will retry again with an incremented retry
+ * Request the packager, if retries > retryCount it will throw if something goes wrong
+ * otherwise it will retry again with an incremented retry. We don't retry when
+ * the browser is offline.
  *
  * @param {string} query The dependencies to call
  */
-async function requestPackager(url, method = 'GET') {
+async function requestPackager(url, method = 'GET', retryCount = RETRY_COUNT) {
   let retries = 0;
 
   // eslint-disable-next-line no-constant-condition
@@ -67,7 +70,7 @@ async function requestPackager(url, method = 'GET') {
         throw new Error(e.response.error);
       }
       // 403 status code means the bundler is still bundling
-      if (retries < RETRY_COUNT) {
+      if (retries < retryCount && navigator.onLine !== false) {
         retries += 1;
         await delay(1000 * 2); // eslint-disable-line no-await-in-loop
       } else {
@@ -90,13 +93,13 @@ function dependenciesToBucketPath(dependencies: Object) {
     .join('%2B')}.json`;
 }
 
+const isAbsoluteVersion = (version: string) => /^\d+\.\d+\.\d+$/.test(version);
+
 async function getAbsoluteDependencies(dependencies: Object) {
   const nonAbsoluteDependencies = Object.keys(dependencies).filter(dep => {
     const version = dependencies[dep];
 
-    const isAbsolute = /^\d+\.\d+\.\d+$/.test(version);
-
-    return !isAbsolute && !/\//.test(version);
+    return !isAbsoluteVersion(version) && !/\//.test(version);
   });
 
   const newDependencies = { ...dependencies };
@@ -123,10 +126,21 @@ async function getAbsoluteDependencies(dependencies: Object) {
   return newDependencies;
 }
 
-async function getDependencies(dependencies: Object) {
-  const absoluteDependencies = await getAbsoluteDependencies(dependencies);
-  const dependencyUrl = dependenciesToQuery(absoluteDependencies);
-  const bucketDependencyUrl = dependenciesToBucketPath(absoluteDependencies);
+async function fetchManifest(dependencies: Object, retryCount: number) {
+  const dependencyUrl = dependenciesToQuery(dependencies);
+  const packagerUrl = getPackagerUrl();
+
+  if (packagerUrl) {
+    // A self-hosted packager resolves the versions and returns the manifest
+    setScreen({ type: 'loading', text: 'Resolving Dependencies...' });
+    return requestPackager(
+      `${packagerUrl}/packages/${dependencyUrl}`,
+      'GET',
+      retryCount
+    );
+  }
+
+  const bucketDependencyUrl = dependenciesToBucketPath(dependencies);
 
   setScreen({ type: 'loading', text: 'Downloading Dependencies...' });
   try {
@@ -140,10 +154,58 @@ async function getDependencies(dependencies: Object) {
     // The dep has not been generated yet...
     const { url } = await requestPackager(
       `${PACKAGER_URL}/${dependencyUrl}`,
-      'POST'
+      'POST',
+      retryCount
     );
 
-    return requestPackager(`${BUCKET_URL}/${url}`);
+    return requestPackager(`${BUCKET_URL}/${url}`, 'GET', retryCount);
+  }
+}
+
+/**
+ * Manifests of absolute versions never change, so we use the cached manifest
+ * if we have one. Otherwise we only use the cache when the packager can't be
+ * reached, in that case we don't keep retrying the packager.
+ */
+async function getDependencies(dependencies: Object) {
+  const query = dependenciesToQuery(dependencies);
+  const absoluteDependencies = getPackagerUrl()
+    ? dependencies
+    : await getAbsoluteDependencies(dependencies);
+  const absoluteQuery = dependenciesToQuery(absoluteDependencies);
+
+  const isAbsoluteCombination = Object.keys(absoluteDependencies).every(dep =>
+    isAbsoluteVersion(absoluteDependencies[dep])
+  );
+
+  if (isAbsoluteCombination) {
+    const cachedManifest = await getCachedManifest(absoluteQuery);
+
+    if (cachedManifest) {
+      return cachedManifest;
+    }
+  }
+
+  const fallbackManifest = await getCachedManifest(query);
+
+  try {
+    const manifest = await fetchManifest(
+      absoluteDependencies,
+      fallbackManifest ? 0 : RETRY_COUNT
+    );
+
+    saveManifest(absoluteQuery, manifest);
+    if (query !== absoluteQuery) {
+      saveManifest(query, manifest);
+    }
+
+    return manifest;
+  } catch (e) {
+    if (fallbackManifest) {
+      return fallbackManifest;
+    }
+
+    throw e;
   }
 }
 
@@ -0,0 +1,51 @@
+import fetchDependencies from './fetch-dependencies';
+import { setPackagerUrl } from './packager-url';
+import { getCachedManifest } from './dependency-cache';
+import dependenciesToQuery from './dependencies-to-query';
+
+jest.mock('../status-screen', () => jest.fn());
+jest.mock('./dependency-cache', () => ({
+  getCachedManifest: jest.fn(),
+  saveManifest: jest.fn(),
+}));
+
+describe('fetchDependencies', () => {
+  const cachedManifest = { contents: {}, dependencies: [] };
+  let onLine;
+
+  beforeAll(() => {
+    Object.defineProperty(window.navigator, 'onLine', {
+      configurable: true,
+      get: () => onLine,
+    });
+  });
+
+  beforeEach(() => {
+    onLine = true;
+    setPackagerUrl('http://localhost:3001');
+    window.fetch = jest.fn(() =>
+      Promise.reject(new TypeError('Failed to fetch'))
+    );
+    getCachedManifest.mockImplementation(query =>
+      Promise.resolve(
+        query === dependenciesToQuery({ react: '^16.0.0' })
+          ? cachedManifest
+          : null
+      )
+    );
+  });
+
+  it('uses the cached manifest after the first failed request', async () => {
+    expect(await fetchDependencies({ react: '^16.0.0' })).toBe(cachedManifest);
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("doesn't retry the packager when offline", async () => {
+    onLine = false;
+
+    await expect(fetchDependencies({ vue: '^2.5.0' })).rejects.toBeInstanceOf(
+      TypeError
+    );
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -2,10 +2,14 @@ import { pickBy } from 'lodash-es';
 
 import fetchDependencies from './fetch-dependencies';
 import dependenciesToQuery from './dependencies-to-query';
+import { pinTransitiveDependencies } from './lockfile';
+import { splitAliasedDependencies, addAliasManifest } from './aliases';
+import type { Lockfile } from './lockfile';
 
 import setScreen from '../status-screen';
 
 let loadedDependencyCombination: ?string = null;
+let loadedLockfileCode: ?string = null;
 let manifest = null;
 
 type NPMDependencies = {
@@ -15,8 +19,12 @@ type NPMDependencies = {
 /**
  * This fetches the manifest and dependencies from the
  * @param {*} dependencies
+ * @param {*} lockfile Transitive dependencies are pinned to this lockfile
  */
-export default async function loadDependencies(dependencies: NPMDependencies) {
+export default async function loadDependencies(
+  dependencies: NPMDependencies,
+  lockfile: ?Lockfile
+) {
   let isNewCombination = false;
   if (Object.keys(dependencies).length !== 0) {
     // We filter out all @types, as they are not of any worth to the bundler
@@ -26,15 +34,40 @@ export default async function loadDependencies(dependencies: NPMDependencies) {
     );
 
     const depQuery = dependenciesToQuery(dependenciesWithoutTypings);
+    const lockfileCode = lockfile ? lockfile.code : null;
 
-    if (loadedDependencyCombination !== depQuery) {
+    if (
+      loadedDependencyCombination !== depQuery ||
+      loadedLockfileCode !== lockfileCode
+    ) {
       isNewCombination = true;
 
-      const data = await fetchDependencies(dependenciesWithoutTypings);
+      const {
+        dependencies: packagerDependencies,
+        aliases,
+      } = splitAliasedDependencies(dependenciesWithoutTypings);
+
+      const [data, ...aliasManifests] = await Promise.all([
+        fetchDependencies(packagerDependencies),
+        ...Object.keys(aliases).map(alias =>
+          fetchDependencies({ [aliases[alias].name]: aliases[alias].version })
+        ),
+      ]);
 
       // Mark that the last requested url is this
       loadedDependencyCombination = depQuery;
-      manifest = data;
+      loadedLockfileCode = lockfileCode;
+      manifest =
+        lockfile && data ? pinTransitiveDependencies(data, lockfile) : data;
+
+      Object.keys(aliases).forEach((alias, i) => {
+        manifest = addAliasManifest(
+          manifest,
+          alias,
+          aliases[alias].name,
+          aliasManifests[i]
+        );
+      });
 
       setScreen({ type: 'loading', text: 'Transpiling Modules...' });
     }
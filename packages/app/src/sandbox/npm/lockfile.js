@@ -0,0 +1,265 @@
+// @flow
+import { actions, dispatch } from 'codesandbox-api';
+import semver from 'semver';
+import { parseNpmAlias } from 'common/utils/npm-alias';
+
+import type { Manifest } from '../eval/manager';
+
+type Dependencies = {
+  [dependency: string]: string,
+};
+
+export type Lockfile = {
+  path: string,
+  code: string,
+  // The locked version of a dependency that is requested with the range
+  getVersion: (name: string, range: string) => ?string,
+};
+
+export type LockfileMismatch = {
+  name: string,
+  range: string,
+  version: ?string,
+};
+
+const unquote = (value: string) => value.trim().replace(/^"|"$/g, '');
+
+function splitDependency(dependency: string): [string, string] {
+  // The first character can be the @ of a scoped package
+  const versionIndex = dependency.indexOf('@', 1);
+
+  return [
+    dependency.slice(0, versionIndex),
+    dependency.slice(versionIndex + 1),
+  ];
+}
+
+/**
+ * A yarn.lock has an entry for every `name@range` that was requested, the
+ * entry has the version that was installed for it.
+ *
+ * "@babel/code-frame@^7.0.0", "@babel/code-frame@^7.0.0-beta.35":
+ *   version "7.0.0"
+ */
+export function parseYarnLock(code: string): Dependencies {
+  const versions = {};
+  let currentKeys = [];
+
+  code.split('\n').forEach(line => {
+    if (line.startsWith('#') || line.trim() === '') {
+      return;
+    }
+
+    if (!/^\s/.test(line)) {
+      currentKeys = line
+        .replace(/:\s*$/, '')
+        .split(',')
+        .map(unquote);
+      return;
+    }
+
+    const versionMatch = /^ {2}version:? "?([^"\s]+)"?\s*$/.exec(line);
+    if (versionMatch) {
+      currentKeys.forEach(key => {
+        versions[key] = versionMatch[1];
+      });
+    }
+  });
+
+  return versions;
+}
+
+/**
+ * A package-lock.json has the installed version of every dependency, we use
+ * the hoisted ones in the root of node_modules.
+ */
+export function parsePackageLock(code: string): Dependencies {
+  const { dependencies = {} } = JSON.parse(code);
+
+  return Object.keys(dependencies).reduce(
+    (versions, name) => ({ ...versions, [name]: dependencies[name].version }),
+    {}
+  );
+}
+
+function createYarnLockfile(path: string, code: string): Lockfile {
+  const versions = parseYarnLock(code);
+  const versionsByName = {};
+
+  Object.keys(versions).forEach(key => {
+    const [name] = splitDependency(key);
+    versionsByName[name] = [...(versionsByName[name] || []), versions[key]];
+  });
+
+  return {
+    path,
+    code,
+    getVersion: (name, range) => {
+      if (versions[`${name}@${range}`]) {
+        return versions[`${name}@${range}`];
+      }
+
+      // The range can differ from the one in the lockfile, for example when
+      // the packager resolved a transitive dependency with another range
+      return (versionsByName[name] || []).find(
+        version => semver.validRange(range) && semver.satisfies(version, range)
+      );
+    },
+  };
+}
+
+/**
+ * Returns the yarn.lock or package-lock.json of the sandbox, yarn.lock wins
+ * if both exist.
+ */
+export function getLockfile(modules: {
+  [path: string]: { code: string },
+}): ?Lockfile {
+  const yarnLock = modules['/yarn.lock'];
+  if (yarnLock) {
+    return createYarnLockfile('/yarn.lock', yarnLock.code);
+  }
+
+  const packageLock = modules['/package-lock.json'];
+  if (packageLock) {
+    try {
+      const versions = parsePackageLock(packageLock.code);
+
+      return {
+        path: '/package-lock.json',
+        code: packageLock.code,
+        getVersion: name => versions[name],
+      };
+    } catch (e) {
+      dispatch(
+        actions.correction.show(
+          `Could not parse package-lock.json: ${e.message}`,
+          {
+            path: '/package-lock.json',
+            line: 1,
+            column: 1,
+            severity: 'warning',
+            source: 'lockfile',
+          }
+        )
+      );
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replaces the ranges of the dependencies with the versions of the lockfile.
+ * Dependencies that are missing in the lockfile, or of which the locked version
+ * doesn't satisfy the range, are returned as mismatches and keep their range.
+ */
+export function pinDependencies(
+  dependencies: Dependencies,
+  lockfile: Lockfile
+): { dependencies: Dependencies, mismatches: Array<LockfileMismatch> } {
+  const pinnedDependencies = { ...dependencies };
+  const mismatches = [];
+
+  Object.keys(dependencies).forEach(name => {
+    const range = dependencies[name];
+    const alias = parseNpmAlias(range);
+
+    if (alias) {
+      // package-lock.json locks aliases to a version like `npm:react@16.4.1`
+      const lockedVersion = lockfile.getVersion(name, range);
+      const lockedAlias = lockedVersion && parseNpmAlias(lockedVersion);
+      const version = lockedAlias ? lockedAlias.version : lockedVersion;
+
+      if (
+        version &&
+        semver.validRange(alias.version) &&
+        semver.satisfies(version, alias.version)
+      ) {
+        pinnedDependencies[name] = `npm:${alias.name}@${version}`;
+      }
+      return;
+    }
+
+    // GitHub dependencies and tags can't be checked against the lockfile
+    if (!semver.validRange(range)) {
+      return;
+    }
+
+    const version = lockfile.getVersion(name, range);
+
+    if (version && semver.satisfies(version, range)) {
+      pinnedDependencies[name] = version;
+    } else {
+      mismatches.push({ name, range, version });
+    }
+  });
+
+  return { dependencies: pinnedDependencies, mismatches };
+}
+
+/**
+ * The packager resolves the transitive dependencies itself. If it resolved
+ * another version than the lockfile we remove the files of that version from
+ * the manifest, so the files of the locked version are downloaded instead.
+ */
+export function pinTransitiveDependencies(
+  manifest: Manifest,
+  lockfile: Lockfile
+): Manifest {
+  const contents = { ...manifest.contents };
+  const dependencyDependencies = { ...manifest.dependencyDependencies };
+
+  Object.keys(dependencyDependencies).forEach(name => {
+    const dependency = dependencyDependencies[name];
+    const version = lockfile.getVersion(name, dependency.semver);
+
+    if (!version || version === dependency.resolved) {
+      return;
+    }
+
+    dependencyDependencies[name] = { ...dependency, resolved: version };
+
+    const packagePath = `/node_modules/${name}/`;
+    Object.keys(contents)
+      .filter(path => path.startsWith(packagePath))
+      // Other versions of the dependency are aliased to a versioned directory
+      .filter(path => !/^\d+\.\d+\.\d+\//.test(path.slice(packagePath.length)))
+      .forEach(path => {
+        delete contents[path];
+      });
+  });
+
+  return { ...manifest, contents, dependencyDependencies };
+}
+
+export function showLockfileMismatches(
+  mismatches: Array<LockfileMismatch>,
+  lockfile: Lockfile,
+  packageJSONCode: string
+) {
+  const lines = packageJSONCode.split('\n');
+
+  mismatches.forEach(({ name, range, version }) => {
+    const lineIndex = lines.findIndex(line => line.includes(`"${name}"`));
+
+    dispatch(
+      actions.correction.show(
+        version
+          ? `${name}@${range} is locked to ${version} in ${
+              lockfile.path
+            }, which doesn't satisfy the range. We use the range instead.`
+          : `${name}@${range} is missing in ${
+              lockfile.path
+            }. We use the range instead.`,
+        {
+          path: '/package.json',
+          line: lineIndex + 1 || 1,
+          column: 1,
+          severity: 'warning',
+          source: 'lockfile',
+        }
+      )
+    );
+  });
+}
@@ -0,0 +1,108 @@
+import {
+  parseYarnLock,
+  parsePackageLock,
+  getLockfile,
+  pinDependencies,
+  pinTransitiveDependencies,
+} from './lockfile';
+
+const YARN_LOCK = `# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+# yarn lockfile v1
+
+
+"@babel/code-frame@^7.0.0", "@babel/code-frame@^7.0.0-beta.35":
+  version "7.0.0"
+  resolved "https://registry.yarnpkg.com/@babel/code-frame/-/code-frame-7.0.0.tgz"
+  dependencies:
+    "@babel/highlight" "^7.0.0"
+
+react@^16.3.0:
+  version "16.4.1"
+  resolved "https://registry.yarnpkg.com/react/-/react-16.4.1.tgz"
+
+object-assign@^4.1.0, object-assign@^4.1.1:
+  version "4.1.1"
+
+"react-15@npm:react@15":
+  version "15.6.2"
+`;
+
+describe('lockfile', () => {
+  it('parses a yarn.lock', () => {
+    expect(parseYarnLock(YARN_LOCK)).toEqual({
+      '@babel/code-frame@^7.0.0': '7.0.0',
+      '@babel/code-frame@^7.0.0-beta.35': '7.0.0',
+      'react@^16.3.0': '16.4.1',
+      'object-assign@^4.1.0': '4.1.1',
+      'object-assign@^4.1.1': '4.1.1',
+      'react-15@npm:react@15': '15.6.2',
+    });
+  });
+
+  it('parses a package-lock.json', () => {
+    const code = JSON.stringify({
+      lockfileVersion: 1,
+      dependencies: {
+        react: { version: '16.4.1' },
+        'object-assign': { version: '4.1.1' },
+      },
+    });
+
+    expect(parsePackageLock(code)).toEqual({
+      react: '16.4.1',
+      'object-assign': '4.1.1',
+    });
+  });
+
+  it('pins dependencies and returns mismatches', () => {
+    const lockfile = getLockfile({ '/yarn.lock': { code: YARN_LOCK } });
+
+    expect(
+      pinDependencies(
+        {
+          react: '^16.3.0',
+          'react-15': 'npm:react@15',
+          'object-assign': '^5.0.0',
+          vue: 'latest',
+        },
+        lockfile
+      )
+    ).toEqual({
+      dependencies: {
+        react: '16.4.1',
+        'react-15': 'npm:react@15.6.2',
+        'object-assign': '^5.0.0',
+        vue: 'latest',
+      },
+      mismatches: [{ name: 'object-assign', range: '^5.0.0' }],
+    });
+  });
+
+  it('pins transitive dependencies of the manifest', () => {
+    const lockfile = getLockfile({ '/yarn.lock': { code: YARN_LOCK } });
+    const manifest = {
+      contents: {
+        '/node_modules/object-assign/package.json': { content: '{}' },
+        '/node_modules/react/package.json': { content: '{}' },
+      },
+      dependencies: [{ name: 'react', version: '16.4.1' }],
+      dependencyDependencies: {
+        'object-assign': {
+          semver: '^4.1.1',
+          resolved: '4.1.0',
+          parents: ['react'],
+        },
+      },
+      dependencyAliases: {},
+    };
+
+    const pinnedManifest = pinTransitiveDependencies(manifest, lockfile);
+
+    const { resolved } = pinnedManifest.dependencyDependencies['object-assign'];
+
+    expect(resolved).toBe('4.1.1');
+    expect(Object.keys(pinnedManifest.contents)).toEqual([
+      '/node_modules/react/package.json',
+    ]);
+  });
+});
@@ -0,0 +1,21 @@
+// @flow
+
+/**
+ * A self-hosted packager can be configured with the PACKAGER_URL environment
+ * variable or with the `packager` field of sandbox.config.json. It serves the
+ * manifests on `/packages/:query` and the files of dependencies on `/files`,
+ * in the same format as unpkg.
+ */
+const DEFAULT_PACKAGER_URL = process.env.PACKAGER_URL || null;
+
+let packagerUrl: ?string = DEFAULT_PACKAGER_URL;
+
+export function setPackagerUrl(url: ?string) {
+  const usedUrl = url || DEFAULT_PACKAGER_URL;
+
+  packagerUrl = usedUrl ? usedUrl.replace(/\/+$/, '') : null;
+}
+
+export function getPackagerUrl(): ?string {
+  return packagerUrl;
+}
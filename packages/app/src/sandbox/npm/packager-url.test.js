@@ -0,0 +1,44 @@
+describe('packager-url', () => {
+  const { PACKAGER_URL } = process.env;
+
+  function loadPackagerUrl(envUrl) {
+    if (envUrl) {
+      process.env.PACKAGER_URL = envUrl;
+    } else {
+      delete process.env.PACKAGER_URL;
+    }
+
+    jest.resetModules();
+    // eslint-disable-next-line global-require
+    return require('./packager-url');
+  }
+
+  afterEach(() => {
+    if (PACKAGER_URL) {
+      process.env.PACKAGER_URL = PACKAGER_URL;
+    } else {
+      delete process.env.PACKAGER_URL;
+    }
+  });
+
+  it('uses the hosted packager by default', () => {
+    const { getPackagerUrl } = loadPackagerUrl();
+
+    expect(getPackagerUrl()).toBe(null);
+  });
+
+  it('uses the PACKAGER_URL environment variable', () => {
+    const { getPackagerUrl, setPackagerUrl } = loadPackagerUrl(
+      'http://localhost:3001'
+    );
+
+    expect(getPackagerUrl()).toBe('http://localhost:3001');
+
+    setPackagerUrl('https://packager.example.com//');
+    expect(getPackagerUrl()).toBe('https://packager.example.com');
+
+    // Sandboxes without a packager go back to the environment variable
+    setPackagerUrl(null);
+    expect(getPackagerUrl()).toBe('http://localhost:3001');
+  });
+});
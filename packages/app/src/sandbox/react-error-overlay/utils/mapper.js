@@ -9,7 +9,8 @@
 
 // @flow
 import StackFrame from './stack-frame';
-import { getSourceMap } from './getSourceMap';
+import { SourceMapConsumer } from 'source-map';
+import { getSourceMap, SourceMap } from './getSourceMap';
 import { getCurrentManager } from '../../compile';
 import { getLinesAround } from './getLinesAround';
 import { settle } from 'settle-promise';
@@ -55,7 +56,12 @@ async function map(
           const fileSource =
             transpiledModule.source && transpiledModule.source.compiledCode;
 
-          const map = await getSourceMap(fileName, fileSource);
+          // The source map of the loaders is kept on the module, older
+          // transpilations can still have it inlined in the code
+          const { sourceMap } = transpiledModule.source || {};
+          const map = sourceMap
+            ? new SourceMap(new SourceMapConsumer(sourceMap))
+            : await getSourceMap(fileName, fileSource);
 
           cache[fileName] = { fileSource, map };
         }
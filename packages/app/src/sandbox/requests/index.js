@@ -0,0 +1,401 @@
+// @flow
+
+/**
+ * The `fetch` and XMLHttpRequest calls of the sandbox go through one layer, so
+ * features that work with the requests (the mocks, the Network pane) don't
+ * have to patch the globals themselves and don't depend on each other's order.
+ */
+
+export type HeaderMap = { [name: string]: string };
+
+export type InterceptedRequest = {
+  kind: 'fetch' | 'xhr',
+  method: string,
+  url: string,
+  headers: HeaderMap,
+  // The body as it was given to `fetch` or `send`
+  body: any,
+  // Requests of the sandbox itself (dependencies, source maps) are not made
+  // by the code of the user
+  fromUser: boolean,
+  readBody: () => Promise<?string>,
+};
+
+export type InterceptedResponse = {
+  status: number,
+  statusText: string,
+  headers: HeaderMap,
+  body: string,
+};
+
+export type RequestObserver = {
+  response: (status: number, statusText: string, headers: HeaderMap) => void,
+  // The body is only read for text responses
+  finished: (body: ?string, size: ?number) => void,
+  error: (message: string) => void,
+};
+
+export type RequestInterceptor = {
+  // Answers the request instead of the network, the first interceptor that
+  // returns a response wins
+  respond?: (request: InterceptedRequest) => ?Promise<InterceptedResponse>,
+  // Is told about every request, also the ones that are answered
+  observe?: (request: InterceptedRequest) => ?RequestObserver,
+};
+
+const TEXT_CONTENT_TYPE = /^text\/|json|xml|javascript|urlencoded|graphql/;
+// The properties an answered XMLHttpRequest gets, instead of the native getters
+const XHR_PROPERTIES = [
+  'readyState',
+  'status',
+  'statusText',
+  'responseURL',
+  'responseText',
+  'response',
+  'getAllResponseHeaders',
+  'getResponseHeader',
+];
+
+const interceptors: Array<RequestInterceptor> = [];
+let nativeFetch: ?typeof fetch = null;
+let installed = false;
+
+/**
+ * The sandbox fetches dependencies, source maps and its cache itself. The code
+ * of the sandbox is evaluated, so the caller of a request by the user is an
+ * `eval` (or a blob URL in the ES module mode).
+ */
+export function isUserRequest(error: Error) {
+  const frames = (error.stack || '')
+    .split('\n')
+    .filter(line => /^\s*at |@/.test(line));
+  // The first frame is the wrapper that created the error
+  const caller = frames[1];
+
+  return !caller || /\beval\b|blob:/.test(caller);
+}
+
+export function serializeHeaders(headers: any): HeaderMap {
+  const result = {};
+
+  if (!headers) {
+    return result;
+  }
+
+  if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+    headers.forEach((value, name) => {
+      result[name] = value;
+    });
+  } else if (Array.isArray(headers)) {
+    headers.forEach(([name, value]) => {
+      result[name.toLowerCase()] = value;
+    });
+  } else {
+    Object.keys(headers).forEach(name => {
+      result[name.toLowerCase()] = String(headers[name]);
+    });
+  }
+
+  return result;
+}
+
+function parseHeaders(rawHeaders: string): HeaderMap {
+  const result = {};
+
+  rawHeaders
+    .trim()
+    .split(/[\r\n]+/)
+    .filter(Boolean)
+    .forEach(line => {
+      const index = line.indexOf(':');
+      result[line.slice(0, index).toLowerCase()] = line.slice(index + 1).trim();
+    });
+
+  return result;
+}
+
+function isText(headers: HeaderMap) {
+  const contentType = headers['content-type'];
+  return !contentType || TEXT_CONTENT_TYPE.test(contentType);
+}
+
+function getObservers(request: InterceptedRequest): Array<RequestObserver> {
+  return interceptors
+    .map(interceptor => interceptor.observe && interceptor.observe(request))
+    .filter(Boolean);
+}
+
+function getResponse(request: InterceptedRequest) {
+  for (let i = 0; i < interceptors.length; i += 1) {
+    const { respond } = interceptors[i];
+    const response = respond && respond(request);
+
+    if (response) {
+      return response;
+    }
+  }
+
+  return null;
+}
+
+function toFetchResponse({
+  status,
+  statusText,
+  headers,
+  body,
+}: InterceptedResponse) {
+  return new Response([204, 205, 304].includes(status) ? null : body, {
+    status,
+    statusText,
+    headers,
+  });
+}
+
+function interceptFetch(input: any, init: Object = {}, fromUser: boolean) {
+  const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+  const method = init.method || (isRequest ? input.method : 'GET');
+  const request: InterceptedRequest = {
+    kind: 'fetch',
+    method: method.toUpperCase(),
+    url: isRequest ? input.url : String(input),
+    headers: {
+      ...serializeHeaders(isRequest ? input.headers : null),
+      ...serializeHeaders(init.headers),
+    },
+    body: init.body,
+    fromUser,
+    readBody: () => new Request(input, init).text(),
+  };
+  const observers = getObservers(request);
+  const answer = getResponse(request);
+  const result = answer
+    ? answer.then(toFetchResponse)
+    : // $FlowIssue: nativeFetch is set when the layer is installed
+      nativeFetch(input, init);
+
+  if (observers.length === 0) {
+    return result;
+  }
+
+  return result.then(
+    response => {
+      const headers = serializeHeaders(response.headers);
+      observers.forEach(o =>
+        o.response(response.status, response.statusText, headers)
+      );
+
+      if (isText(headers)) {
+        response
+          .clone()
+          .text()
+          .then(
+            text => observers.forEach(o => o.finished(text, null)),
+            e => observers.forEach(o => o.error(e.message))
+          );
+      } else {
+        const length = headers['content-length'];
+        observers.forEach(o => o.finished(null, length ? +length : null));
+      }
+
+      return response;
+    },
+    e => {
+      observers.forEach(o => o.error(e.message));
+      throw e;
+    }
+  );
+}
+
+/**
+ * Fetches like the code of the user does, so the request is observed even
+ * though it's made by the sandbox (e.g. to replay a request).
+ */
+export function userFetch(input: any, init?: Object) {
+  return interceptFetch(input, init, true);
+}
+
+/**
+ * Gives the XMLHttpRequest the response as if it came from the network.
+ */
+function answerXHR(
+  xhr: XMLHttpRequest,
+  url: string,
+  response: InterceptedResponse
+) {
+  const { headers } = response;
+  const rawHeaders = Object.keys(headers)
+    .map(name => `${name}: ${headers[name]}`)
+    .join('\r\n');
+
+  let body = response.body;
+  if (xhr.responseType === 'json') {
+    try {
+      body = JSON.parse(response.body);
+    } catch (e) {
+      body = null;
+    }
+  }
+
+  let responseURL = url;
+  try {
+    responseURL = new URL(url, document.location.href).href;
+  } catch (e) {
+    // Keep the url as it was given
+  }
+
+  const values = {
+    readyState: XMLHttpRequest.DONE,
+    status: response.status,
+    statusText: response.statusText,
+    responseURL,
+    responseText: response.body,
+    response: body,
+    getAllResponseHeaders: () => rawHeaders,
+    getResponseHeader: (name: string) => {
+      const value = headers[name.toLowerCase()];
+      return value == null ? null : value;
+    },
+  };
+
+  XHR_PROPERTIES.forEach(name => {
+    Object.defineProperty(xhr, name, {
+      configurable: true,
+      value: values[name],
+    });
+  });
+
+  ['readystatechange', 'load', 'loadend'].forEach(type => {
+    xhr.dispatchEvent(new Event(type));
+  });
+}
+
+function observeXHR(xhr: XMLHttpRequest, observers: Array<RequestObserver>) {
+  let responded = false;
+
+  const respond = () => {
+    if (!responded && xhr.readyState >= XMLHttpRequest.HEADERS_RECEIVED) {
+      responded = true;
+      const headers = parseHeaders(xhr.getAllResponseHeaders());
+      observers.forEach(o => o.response(xhr.status, xhr.statusText, headers));
+    }
+  };
+
+  xhr.addEventListener('readystatechange', respond);
+  xhr.addEventListener('loadend', () => {
+    if (xhr.status === 0) {
+      observers.forEach(o => o.error('The request failed'));
+      return;
+    }
+
+    respond();
+    const { responseType } = xhr;
+    let body = null;
+    if (responseType === '' || responseType === 'text') {
+      body = xhr.responseText;
+    } else if (responseType === 'json') {
+      body = JSON.stringify(xhr.response);
+    }
+    observers.forEach(o => o.finished(body, null));
+  });
+}
+
+function installXHR() {
+  const { prototype } = XMLHttpRequest;
+  const { open, send, setRequestHeader } = prototype;
+
+  prototype.open = function interceptedOpen(method, url, ...rest) {
+    // The request could be reused after an answered request
+    XHR_PROPERTIES.forEach(name => {
+      delete this[name];
+    });
+    this.__csbRequest = {
+      method: String(method).toUpperCase(),
+      url: String(url),
+      headers: {},
+      fromUser: isUserRequest(new Error()),
+    };
+
+    return open.call(this, method, url, ...rest);
+  };
+
+  prototype.setRequestHeader = function interceptedSetRequestHeader(
+    name,
+    value
+  ) {
+    if (this.__csbRequest) {
+      this.__csbRequest.headers[name.toLowerCase()] = value;
+    }
+
+    return setRequestHeader.call(this, name, value);
+  };
+
+  prototype.send = function interceptedSend(body) {
+    const xhr = this;
+    const info = xhr.__csbRequest;
+
+    if (!info) {
+      send.call(xhr, body);
+      return;
+    }
+
+    const request: InterceptedRequest = {
+      kind: 'xhr',
+      ...info,
+      body,
+      readBody: () => Promise.resolve(typeof body === 'string' ? body : null),
+    };
+    const observers = getObservers(request);
+    const answer = getResponse(request);
+
+    if (observers.length > 0) {
+      observeXHR(xhr, observers);
+    }
+
+    if (!answer) {
+      send.call(xhr, body);
+      return;
+    }
+
+    answer.then(response => {
+      // Don't answer when the request was opened again in the meantime
+      if (xhr.__csbRequest === info) {
+        answerXHR(xhr, info.url, response);
+      }
+    });
+  };
+}
+
+function install() {
+  installed = true;
+
+  if (typeof window.fetch === 'function') {
+    nativeFetch = window.fetch.bind(window);
+    window.fetch = function fetch(input: any, init?: Object) {
+      return interceptFetch(input, init, isUserRequest(new Error()));
+    };
+  }
+
+  if (typeof XMLHttpRequest !== 'undefined') {
+    installXHR();
+  }
+}
+
+/**
+ * Adds an interceptor for the requests of the sandbox, `fetch` and
+ * XMLHttpRequest are patched when the first interceptor is added.
+ * @returns A function that removes the interceptor
+ */
+export function addRequestInterceptor(interceptor: RequestInterceptor) {
+  if (!installed) {
+    install();
+  }
+
+  interceptors.push(interceptor);
+
+  return () => {
+    const index = interceptors.indexOf(interceptor);
+    if (index > -1) {
+      interceptors.splice(index, 1);
+    }
+  };
+}
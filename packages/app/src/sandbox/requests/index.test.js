@@ -0,0 +1,159 @@
+import 'whatwg-fetch';
+
+import { addRequestInterceptor } from './';
+
+const nativeFetch = jest.fn(() =>
+  Promise.resolve(new Response('native', { status: 200 }))
+);
+window.fetch = nativeFetch;
+
+function answer(body) {
+  return () =>
+    Promise.resolve({
+      status: 201,
+      statusText: 'Created',
+      headers: { 'content-type': 'application/json' },
+      body,
+    });
+}
+
+function createObserver(events) {
+  return () => ({
+    response: (status, statusText, headers) =>
+      events.push(`response ${status} ${headers['content-type']}`),
+    finished: body => events.push(`finished ${body}`),
+    error: message => events.push(`error ${message}`),
+  });
+}
+
+describe('requests', () => {
+  let removers;
+
+  const intercept = interceptor => {
+    removers.push(addRequestInterceptor(interceptor));
+  };
+
+  beforeEach(() => {
+    removers = [];
+    nativeFetch.mockClear();
+  });
+
+  afterEach(() => {
+    removers.forEach(remove => remove());
+  });
+
+  describe('fetch', () => {
+    it('fetches from the network when no interceptor answers', async () => {
+      intercept({ respond: () => null });
+
+      const response = await fetch('/api/users', { method: 'post' });
+
+      expect(await response.text()).toBe('native');
+      expect(nativeFetch).toHaveBeenCalledWith('/api/users', {
+        method: 'post',
+      });
+    });
+
+    it('answers with the response of the first interceptor that responds', async () => {
+      const requests = [];
+      intercept({
+        respond: request => {
+          requests.push(request);
+          return request.url === '/api/users' ? answer('[]')() : null;
+        },
+      });
+      intercept({ respond: answer('second') });
+
+      const response = await fetch('/api/users', {
+        method: 'post',
+        headers: { 'X-Test': 'yes' },
+        body: 'name=Ada',
+      });
+
+      expect(nativeFetch).not.toHaveBeenCalled();
+      expect(response.status).toBe(201);
+      expect(response.headers.get('content-type')).toBe('application/json');
+      expect(await response.text()).toBe('[]');
+      expect(requests[0]).toEqual(
+        expect.objectContaining({
+          kind: 'fetch',
+          method: 'POST',
+          url: '/api/users',
+          headers: { 'x-test': 'yes' },
+          body: 'name=Ada',
+        })
+      );
+      expect(await requests[0].readBody()).toBe('name=Ada');
+      expect(await (await fetch('/api/posts')).text()).toBe('second');
+    });
+
+    it('tells the observers about answered requests', async () => {
+      const events = [];
+      intercept({ observe: createObserver(events) });
+      intercept({ respond: answer('{"id":1}') });
+
+      const response = await fetch('/api/users/1');
+
+      expect(await response.json()).toEqual({ id: 1 });
+      expect(events).toEqual([
+        'response 201 application/json',
+        'finished {"id":1}',
+      ]);
+    });
+
+    it('stops intercepting after an interceptor is removed', async () => {
+      const remove = addRequestInterceptor({ respond: answer('mocked') });
+      remove();
+
+      expect(await (await fetch('/api/users')).text()).toBe('native');
+    });
+  });
+
+  describe('XMLHttpRequest', () => {
+    it('answers the request with events, like the network does', done => {
+      const events = [];
+      const requests = [];
+      intercept({ observe: createObserver(events) });
+      intercept({
+        respond: request => {
+          requests.push(request);
+          return answer('{"id":1}')();
+        },
+      });
+
+      const xhr = new XMLHttpRequest();
+      xhr.responseType = 'json';
+      xhr.open('put', 'http://localhost/api/users/1');
+      xhr.setRequestHeader('Content-Type', 'text/plain');
+      xhr.send('name=Ada');
+      // The observers hear about the end of the request first, they listen
+      // from the moment it's sent
+      xhr.addEventListener('loadend', () => {
+        try {
+          expect(xhr.readyState).toBe(XMLHttpRequest.DONE);
+          expect(xhr.status).toBe(201);
+          expect(xhr.response).toEqual({ id: 1 });
+          expect(xhr.getResponseHeader('Content-Type')).toBe(
+            'application/json'
+          );
+          expect(xhr.responseURL).toBe('http://localhost/api/users/1');
+          expect(requests[0]).toEqual(
+            expect.objectContaining({
+              kind: 'xhr',
+              method: 'PUT',
+              headers: { 'content-type': 'text/plain' },
+              body: 'name=Ada',
+            })
+          );
+          expect(events).toEqual([
+            'response 201 application/json',
+            'finished {"id":1}',
+          ]);
+          done();
+        } catch (e) {
+          done.fail(e);
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,30 @@
+/* eslint-disable */
+/**
+ * Monaco loads TypeScript as the AMD module
+ * `vs/language/typescript/lib/typescriptServices`. The editor maps that module
+ * to this file to use the TypeScript version of the sandbox, the urls are
+ * passed with the module config.
+ */
+define(['module'], function(module) {
+  var config = module.config();
+
+  if (typeof importScripts !== 'function') {
+    // Only the worker of the language service runs TypeScript
+    return self.ts;
+  }
+
+  try {
+    importScripts(config.url);
+  } catch (e) {
+    console.error(
+      'Could not load TypeScript ' +
+        config.version +
+        ', the editor uses TypeScript ' +
+        config.defaultVersion +
+        ' instead.'
+    );
+    importScripts(config.defaultUrl);
+  }
+
+  return self.ts;
+});
@@ -5,7 +5,7 @@ export interface CorrectionOptions {
   column?: number;
   path: string;
   payload?: Object;
-  severity: 'warning' | 'notice';
+  severity: 'error' | 'warning' | 'notice';
   source?: string;
 }
 
@@ -15,7 +15,7 @@ export interface CorrectionAction extends Action {
   column?: number;
   path: string;
   payload?: Object;
-  severity: 'warning' | 'notice';
+  severity: 'error' | 'warning' | 'notice';
   source?: string;
 }
 
@@ -56,3 +56,23 @@ export function show(
     action: 'show-correction',
   };
 }
+
+export interface ClearCorrectionsAction extends Action {
+  source?: string;
+}
+
+/**
+ * Returns an action that clears the corrections of the given source, or all
+ * corrections if no source is given
+ *
+ * @export
+ * @param {string} [source]
+ * @returns {ClearCorrectionsAction}
+ */
+export function clear(source?: string): ClearCorrectionsAction {
+  return {
+    source,
+    type: 'action',
+    action: 'clear-corrections',
+  };
+}
@@ -0,0 +1,48 @@
+import { Action } from './';
+
+export interface CoverageOptions {
+  path: string;
+  coveredLines: Array<number>;
+  uncoveredLines: Array<number>;
+}
+
+export interface CoverageAction extends Action {
+  path: string;
+  coveredLines: Array<number>;
+  uncoveredLines: Array<number>;
+}
+
+/**
+ * Returns an action that describes to show which lines of a file were
+ * covered by the last test run in the editor
+ *
+ * @export
+ * @param {CoverageOptions} { path, coveredLines, uncoveredLines }
+ * @returns {CoverageAction}
+ */
+export function show({
+  path,
+  coveredLines,
+  uncoveredLines,
+}: CoverageOptions): CoverageAction {
+  return {
+    path,
+    coveredLines,
+    uncoveredLines,
+    type: 'action',
+    action: 'show-coverage',
+  };
+}
+
+/**
+ * Returns an action that removes all coverage decorations from the editor
+ *
+ * @export
+ * @returns {Action}
+ */
+export function clear(): Action {
+  return {
+    type: 'action',
+    action: 'clear-coverage',
+  };
+}
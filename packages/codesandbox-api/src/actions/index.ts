@@ -8,6 +8,7 @@ import * as source from './source';
 import * as error from './error';
 import * as correction from './correction';
 import * as glyph from './glyph';
+import * as coverage from './coverage';
 
 export interface Action {
   type: 'action';
@@ -21,4 +22,5 @@ export const actions = {
   error,
   correction,
   glyph,
+  coverage,
 };
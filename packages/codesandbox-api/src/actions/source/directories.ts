@@ -0,0 +1,43 @@
+import { Action } from '../';
+
+export interface DirectoryAction extends Action {
+  path: string;
+}
+
+export interface DirectoryRenameAction extends DirectoryAction {
+  newPath: string;
+}
+
+/**
+ * Create a new directory in the sandbox, the parent directory should exist.
+ */
+export function create(path: string): DirectoryAction {
+  return {
+    type: 'action',
+    action: 'source.directories.create',
+    path,
+  };
+}
+
+/**
+ * Move an existing directory and everything in it to a new path.
+ */
+export function rename(path: string, newPath: string): DirectoryRenameAction {
+  return {
+    type: 'action',
+    action: 'source.directories.rename',
+    path,
+    newPath,
+  };
+}
+
+/**
+ * Delete an existing directory and everything in it from the sandbox.
+ */
+export function remove(path: string): DirectoryAction {
+  return {
+    type: 'action',
+    action: 'source.directories.remove',
+    path,
+  };
+}
@@ -0,0 +1,62 @@
+import { Action } from '../';
+
+export interface FileAction extends Action {
+  path: string;
+}
+
+export interface FileContentAction extends FileAction {
+  code: string;
+}
+
+export interface FileRenameAction extends FileAction {
+  newPath: string;
+}
+
+/**
+ * Create a new file in the sandbox, directories that don't exist yet in the
+ * given path will be created as well.
+ */
+export function create(path: string, code: string): FileContentAction {
+  return {
+    type: 'action',
+    action: 'source.files.create',
+    path,
+    code,
+  };
+}
+
+/**
+ * Replace the code of an existing file in the sandbox.
+ */
+export function update(path: string, code: string): FileContentAction {
+  return {
+    type: 'action',
+    action: 'source.files.update',
+    path,
+    code,
+  };
+}
+
+/**
+ * Delete an existing file from the sandbox.
+ */
+export function remove(path: string): FileAction {
+  return {
+    type: 'action',
+    action: 'source.files.remove',
+    path,
+  };
+}
+
+/**
+ * Move an existing file in the sandbox to a new path, the directory of the new
+ * path should exist.
+ */
+export function rename(path: string, newPath: string): FileRenameAction {
+  return {
+    type: 'action',
+    action: 'source.files.rename',
+    path,
+    newPath,
+  };
+}
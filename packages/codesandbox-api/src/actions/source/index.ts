@@ -1,5 +1,9 @@
 import * as d from './dependencies';
 import * as m from './modules';
+import * as f from './files';
+import * as dir from './directories';
 
 export const dependencies = d;
 export const modules = m;
+export const files = f;
+export const directories = dir;
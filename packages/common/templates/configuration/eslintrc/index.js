@@ -7,7 +7,25 @@ const config: ConfigurationFile = {
   description: 'Configuration for the linter.',
   moreInfoUrl: 'https://eslint.org/docs/user-guide/configuring',
 
-  getDefaultCode: () => {
+  getDefaultCode: (
+    template: string,
+    resolveModule: (path: string) => ?{ code: string }
+  ) => {
+    // ESLint also reads the `eslintConfig` field of package.json
+    const packageJSONModule = resolveModule('/package.json');
+
+    if (packageJSONModule) {
+      try {
+        const { eslintConfig } = JSON.parse(packageJSONModule.code);
+
+        if (eslintConfig) {
+          return JSON.stringify(eslintConfig, null, 2);
+        }
+      } catch (e) {
+        /* do nothing */
+      }
+    }
+
     return '{}';
   },
 
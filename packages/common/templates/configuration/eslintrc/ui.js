@@ -0,0 +1,124 @@
+// @flow
+import React from 'react';
+
+import {
+  PaddedPreference,
+  ConfigItem,
+  ConfigDescription,
+  PaddedConfig,
+} from '../elements';
+
+type Props = {
+  file: string,
+  updateFile: (code: string) => void,
+};
+
+const NO_EXTENDS = 'none';
+
+class ConfigWizard extends React.Component<Props> {
+  updateFile = (file: Object) => {
+    this.props.updateFile(JSON.stringify(file, null, 2));
+  };
+
+  bindExtends = (file: Object) => ({
+    value: typeof file.extends === 'string' ? file.extends : NO_EXTENDS,
+    setValue: (value: string) => {
+      const newFile = { ...file, extends: value };
+      if (value === NO_EXTENDS) {
+        delete newFile.extends;
+      }
+
+      this.updateFile(newFile);
+    },
+  });
+
+  bindEnv = (file: Object, env: string) => ({
+    value: Boolean(file.env && file.env[env]),
+    setValue: (value: boolean) => {
+      this.updateFile({ ...file, env: { ...file.env, [env]: value } });
+    },
+  });
+
+  render() {
+    const { file } = this.props;
+
+    let parsedFile;
+    let error;
+    try {
+      parsedFile = JSON.parse(file);
+    } catch (e) {
+      error = e;
+    }
+
+    if (error) {
+      return <div>Problem parsing .eslintrc: {error.message}</div>;
+    }
+
+    if (!parsedFile) {
+      return <div>Could not parse .eslintrc</div>;
+    }
+
+    return (
+      <div>
+        <PaddedConfig>
+          <ConfigItem>
+            <PaddedPreference
+              title="Extends"
+              type="dropdown"
+              options={[
+                NO_EXTENDS,
+                'react-app',
+                'eslint:recommended',
+                'plugin:vue/essential',
+              ]}
+              {...this.bindExtends(parsedFile)}
+            />
+          </ConfigItem>
+          <ConfigDescription>
+            The shared config with the rules to start from. The rules of this
+            file are applied on top of it.
+          </ConfigDescription>
+        </PaddedConfig>
+
+        <PaddedConfig>
+          <ConfigItem>
+            <PaddedPreference
+              title="Browser"
+              type="boolean"
+              {...this.bindEnv(parsedFile, 'browser')}
+            />
+          </ConfigItem>
+          <ConfigDescription>Browser global variables.</ConfigDescription>
+        </PaddedConfig>
+
+        <PaddedConfig>
+          <ConfigItem>
+            <PaddedPreference
+              title="Node"
+              type="boolean"
+              {...this.bindEnv(parsedFile, 'node')}
+            />
+          </ConfigItem>
+          <ConfigDescription>
+            Node.js global variables and Node.js scoping.
+          </ConfigDescription>
+        </PaddedConfig>
+
+        <PaddedConfig>
+          <ConfigItem>
+            <PaddedPreference
+              title="Jest"
+              type="boolean"
+              {...this.bindEnv(parsedFile, 'jest')}
+            />
+          </ConfigItem>
+          <ConfigDescription>Jest global variables.</ConfigDescription>
+        </PaddedConfig>
+      </div>
+    );
+  }
+}
+
+export default {
+  ConfigWizard,
+};
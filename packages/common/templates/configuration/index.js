@@ -3,6 +3,7 @@ import packageJSON from './package-json';
 import prettierRC from './prettierRC';
 import sandboxConfig from './sandbox';
 import babelrc from './babelrc';
+import eslintrc from './eslintrc';
 import angularCli from './angular-cli';
 import angularJSON from './angular-json';
 import tsconfig from './tsconfig';
@@ -11,6 +12,7 @@ import babelTranspiler from './babel-transpiler';
 const configs = {
   babelrc,
   babelTranspiler,
+  eslintrc,
   packageJSON,
   prettierRC,
   sandboxConfig,
@@ -78,6 +78,36 @@ class ConfigWizard extends React.Component<Props> {
           </ConfigDescription>
         </PaddedConfig>
 
+        <PaddedConfig>
+          <ConfigItem>
+            <PaddedPreference
+              title="Native ES Modules"
+              type="boolean"
+              {...this.bindValue(parsedFile, 'esModules')}
+            />
+          </ConfigItem>
+          <ConfigDescription>
+            Run the files of the sandbox as real ES modules in the browser,
+            dependencies are imported as CommonJS modules. The preview reloads
+            on every change.
+          </ConfigDescription>
+        </PaddedConfig>
+
+        <PaddedConfig>
+          <ConfigItem>
+            <PaddedPreference
+              title="Mock API"
+              type="boolean"
+              {...this.bindValue(parsedFile, 'mocks')}
+            />
+          </ConfigItem>
+          <ConfigDescription>
+            Answer the requests of the preview with the routes exported by the
+            files in /mocks. Latency and errors can be configured with
+            `latency`, `errorRate` and `errorStatus` in a `mocks` object.
+          </ConfigDescription>
+        </PaddedConfig>
+
         <PaddedConfig>
           <ConfigItem>
             <PaddedPreference
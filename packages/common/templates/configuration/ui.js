@@ -2,6 +2,7 @@
 import configs from './';
 
 import prettierUI from './prettierRC/ui';
+import eslintUI from './eslintrc/ui';
 import sandboxUI from './sandbox/ui';
 
 export default function getUI(configType: string) {
@@ -12,6 +13,9 @@ export default function getUI(configType: string) {
     case configs.sandboxConfig.type: {
       return sandboxUI;
     }
+    case configs.eslintrc.type: {
+      return eslintUI;
+    }
     default: {
       return null;
     }
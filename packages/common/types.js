@@ -21,6 +21,12 @@ export type ModuleCorrection = {
   severity: 'notice' | 'warning',
 };
 
+export type ModuleLineCoverage = {
+  moduleId: string,
+  coveredLines: Array<number>,
+  uncoveredLines: Array<number>,
+};
+
 export type Module = {
   id: string,
   title: string,
@@ -0,0 +1,20 @@
+// @flow
+
+export type NpmAlias = {
+  name: string,
+  version: string,
+};
+
+/**
+ * Parses the version of a dependency that uses the npm alias syntax, like
+ * `"react-16": "npm:react@16"`. Returns null if it's not an alias.
+ */
+export function parseNpmAlias(version: string): ?NpmAlias {
+  const match = /^npm:((?:@[^/@]+\/)?[^@]+)(?:@(.+))?$/.exec(version);
+
+  if (!match) {
+    return null;
+  }
+
+  return { name: match[1], version: match[2] || 'latest' };
+}
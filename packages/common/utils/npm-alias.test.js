@@ -0,0 +1,29 @@
+import { parseNpmAlias } from './npm-alias';
+
+describe('parseNpmAlias', () => {
+  it('parses an alias', () => {
+    expect(parseNpmAlias('npm:react@16')).toEqual({
+      name: 'react',
+      version: '16',
+    });
+  });
+
+  it('parses an alias of a scoped package', () => {
+    expect(parseNpmAlias('npm:@material-ui/core@^1.0.0')).toEqual({
+      name: '@material-ui/core',
+      version: '^1.0.0',
+    });
+  });
+
+  it('uses the latest version if there is no version', () => {
+    expect(parseNpmAlias('npm:react')).toEqual({
+      name: 'react',
+      version: 'latest',
+    });
+  });
+
+  it('returns null for other versions', () => {
+    expect(parseNpmAlias('^16.0.0')).toBe(null);
+    expect(parseNpmAlias('facebook/react')).toBe(null);
+  });
+});
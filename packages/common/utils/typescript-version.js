@@ -0,0 +1,34 @@
+// @flow
+
+export const DEFAULT_TYPESCRIPT_VERSION = '2.7.2';
+
+const DEFAULT_TYPESCRIPT_URL = `https://cdnjs.cloudflare.com/ajax/libs/typescript/${DEFAULT_TYPESCRIPT_VERSION}/typescript.min.js`;
+
+/**
+ * The version (or range) of TypeScript that the sandbox depends on, returns
+ * null if the package.json doesn't have TypeScript as a dependency.
+ */
+export function getTypeScriptVersion(packageJSON: ?Object): ?string {
+  if (!packageJSON) {
+    return null;
+  }
+
+  const { dependencies = {}, devDependencies = {} } = packageJSON;
+
+  return dependencies.typescript || devDependencies.typescript || null;
+}
+
+/**
+ * The url of a script that defines the global `ts` of the given version, unpkg
+ * resolves ranges and tags to a version. TypeScript 5 dropped
+ * `typescriptServices.js`, `typescript.js` defines the global in all versions.
+ */
+export function getTypeScriptUrl(version: ?string): string {
+  if (!version || version === DEFAULT_TYPESCRIPT_VERSION) {
+    return DEFAULT_TYPESCRIPT_URL;
+  }
+
+  return `https://unpkg.com/typescript@${encodeURIComponent(
+    version
+  )}/lib/typescript.js`;
+}
@@ -0,0 +1,52 @@
+import {
+  getTypeScriptVersion,
+  getTypeScriptUrl,
+  DEFAULT_TYPESCRIPT_VERSION,
+} from './typescript-version';
+
+describe('typescript-version', () => {
+  it('reads the version from the dependencies and devDependencies', () => {
+    expect(
+      getTypeScriptVersion({ dependencies: { typescript: '3.7.2' } })
+    ).toBe('3.7.2');
+    expect(
+      getTypeScriptVersion({ devDependencies: { typescript: '^3.0.0' } })
+    ).toBe('^3.0.0');
+    expect(getTypeScriptVersion({ dependencies: { react: '16.4.1' } })).toBe(
+      null
+    );
+    expect(getTypeScriptVersion(null)).toBe(null);
+  });
+
+  it('uses the bundled default for the default version', () => {
+    expect(getTypeScriptUrl(null)).toBe(
+      getTypeScriptUrl(DEFAULT_TYPESCRIPT_VERSION)
+    );
+    expect(getTypeScriptUrl(DEFAULT_TYPESCRIPT_VERSION)).toMatch(
+      /^https:\/\/cdnjs\.cloudflare\.com\//
+    );
+  });
+
+  it('loads other versions from unpkg', () => {
+    expect(getTypeScriptUrl('^3.0.0')).toBe(
+      'https://unpkg.com/typescript@%5E3.0.0/lib/typescript.js'
+    );
+    // TypeScript 5 doesn't have typescriptServices.js anymore
+    expect(getTypeScriptUrl('^5.0.0')).toBe(
+      'https://unpkg.com/typescript@%5E5.0.0/lib/typescript.js'
+    );
+    expect(getTypeScriptUrl('latest')).toBe(
+      'https://unpkg.com/typescript@latest/lib/typescript.js'
+    );
+  });
+
+  it('prefers the version of the dependencies', () => {
+    expect(getTypeScriptVersion({ devDependencies: {} })).toBe(null);
+    expect(
+      getTypeScriptVersion({
+        dependencies: { typescript: '5.6.3' },
+        devDependencies: { typescript: '^4.0.0' },
+      })
+    ).toBe('5.6.3');
+  });
+});
@@ -1,9 +1,10 @@
-import {FileSystem, SynchronousFileSystem, BFSOneArgCallback, BFSCallback, FileSystemOptions} from '../core/file_system';
+import {FileSystem, SynchronousFileSystem, BFSOneArgCallback, BFSCallback, FileSystemOptions, BFSWatchListener} from '../core/file_system';
 import {ApiError, ErrorCode} from '../core/api_error';
 import {FileFlag} from '../core/file_flag';
 import {File} from '../core/file';
 import Stats from '../core/node_fs_stats';
 import PreloadFile from '../generic/preload_file';
+import {mkdirpSync} from '../core/util';
 import * as path from 'path';
 
 /**
@@ -169,6 +170,17 @@ export default class AsyncMirror extends SynchronousFileSystem implements FileSy
   public supportsSynch(): boolean { return true; }
   public supportsLinks(): boolean { return false; }
   public supportsProps(): boolean { return this._sync.supportsProps() && this._async.supportsProps(); }
+  public supportsWatch(): boolean { return this._async.supportsWatch(); }
+
+  /**
+   * Watches the asynchronous file system. Changes that are made to it from
+   * elsewhere are copied to the mirror before the listener is called.
+   */
+  public watch(listener: BFSWatchListener): () => void {
+    return this._async.watch((event, p) => {
+      this._updateMirror(p, () => listener(event, p));
+    });
+  }
 
   public renameSync(oldPath: string, newPath: string): void {
     this._sync.renameSync(oldPath, newPath);
@@ -317,6 +329,41 @@ export default class AsyncMirror extends SynchronousFileSystem implements FileSy
     }
   }
 
+  /**
+   * Copies the current state of the path in the asynchronous file system to
+   * the synchronous file system.
+   */
+  private _updateMirror(p: string, cb: () => void): void {
+    const removeItem = (p: string) => {
+      if (this._sync.statSync(p, false).isDirectory()) {
+        this._sync.readdirSync(p).forEach((file) => removeItem(path.join(p, file)));
+        this._sync.rmdirSync(p);
+      } else {
+        this._sync.unlinkSync(p);
+      }
+    };
+
+    this._async.stat(p, false, (err, stats) => {
+      if (err) {
+        if (this._sync.existsSync(p)) {
+          removeItem(p);
+        }
+        cb();
+      } else if (stats!.isDirectory()) {
+        mkdirpSync(p, stats!.mode, this._sync);
+        cb();
+      } else {
+        this._async.readFile(p, null, FileFlag.getFileFlag('r'), (err, data) => {
+          if (!err) {
+            mkdirpSync(path.dirname(p), 0x1ff, this._sync);
+            this._sync.writeFileSync(p, data!, null, FileFlag.getFileFlag('w'), stats!.mode);
+          }
+          cb();
+        });
+      }
+    });
+  }
+
   private enqueueOp(op: IAsyncOperation) {
     this._queue.push(op);
     if (!this._queueRunning) {
@@ -5,6 +5,7 @@ import {
   BFSOneArgCallback,
   BFSCallback,
   FileSystemOptions,
+  BFSWatchListener,
 } from '../core/file_system';
 import { File } from '../core/file';
 import { FileFlag } from '../core/file_flag';
@@ -28,6 +29,16 @@ export interface IManager {
   removeModule(module: IModule): void;
   moveModule(module: IModule, newPath: string): void;
   updateModule(module: IModule): void;
+
+  // Directories only exist implicitly in the Manager, these let the Manager
+  // know about directory changes so it can pass them on
+  addDirectory?(path: string): void;
+  removeDirectory?(path: string): void;
+  moveDirectory?(path: string, newPath: string): void;
+
+  // Calls the listener for every change of the modules, also the changes
+  // that are made in the editor
+  addChangeListener?(listener: BFSWatchListener): () => void;
 }
 
 class CodeSandboxFile extends PreloadFile<CodeSandboxFS> implements File {
@@ -112,6 +123,8 @@ export default class CodeSandboxFS extends SynchronousFileSystem
   }
 
   private manager: IManager;
+  // Directories created with mkdir that don't contain any modules
+  private emptyDirectories: Set<string> = new Set();
 
   constructor(manager: IManager) {
     super();
@@ -135,6 +148,18 @@ export default class CodeSandboxFS extends SynchronousFileSystem
     return true;
   }
 
+  public supportsWatch(): boolean {
+    return !!this.manager.addChangeListener;
+  }
+
+  public watch(listener: BFSWatchListener): () => void {
+    if (!this.manager.addChangeListener) {
+      throw new ApiError(ErrorCode.ENOTSUP);
+    }
+
+    return this.manager.addChangeListener(listener);
+  }
+
   public empty(mainCb: BFSOneArgCallback): void {
     const tModules = this.manager.getTranspiledModules();
     Object.keys(tModules).forEach((pa: string) => {
@@ -146,16 +171,32 @@ export default class CodeSandboxFS extends SynchronousFileSystem
   public renameSync(oldPath: string, newPath: string) {
     const tModules = this.manager.getTranspiledModules();
     const modulesWithPath = Object.keys(tModules).filter(
-      (p: string) => p.startsWith(oldPath) + '/' || p === oldPath
+      (p: string) => p.startsWith(oldPath + '/') || p === oldPath
+    );
+    const emptyDirectoriesWithPath = Array.from(this.emptyDirectories).filter(
+      (p: string) => p.startsWith(oldPath + '/') || p === oldPath
     );
 
-    if (modulesWithPath.length === 0) {
+    if (modulesWithPath.length === 0 && emptyDirectoriesWithPath.length === 0) {
       throw ApiError.FileError(ErrorCode.ENOENT, oldPath);
     }
 
+    emptyDirectoriesWithPath.forEach((p: string) => {
+      this.emptyDirectories.delete(p);
+      this.emptyDirectories.add(newPath + p.slice(oldPath.length));
+    });
+
+    if (!tModules[oldPath] && this.manager.moveDirectory) {
+      this.manager.moveDirectory(oldPath, newPath);
+      return;
+    }
+
     modulesWithPath.map((p: string) => tModules[p]).forEach(moduleInfo => {
       const { module } = moduleInfo;
-      this.manager.moveModule(module, module.path.replace(oldPath, newPath));
+      this.manager.moveModule(
+        module,
+        newPath + module.path.slice(oldPath.length)
+      );
     });
   }
 
@@ -168,7 +209,10 @@ export default class CodeSandboxFS extends SynchronousFileSystem
         (pa: string) => pa.startsWith(p.endsWith('/') ? p : p + '/') || pa === p
       );
 
-      if (modulesStartingWithPath.length > 0) {
+      if (
+        modulesStartingWithPath.length > 0 ||
+        this.emptyDirectories.has(p.replace(/\/$/, ''))
+      ) {
         return new Stats(FileType.DIRECTORY, 0);
       } else {
         throw ApiError.FileError(ErrorCode.ENOENT, p);
@@ -218,24 +262,60 @@ export default class CodeSandboxFS extends SynchronousFileSystem
     return new CodeSandboxFile(this, p, flag, stats, buffer);
   }
 
+  public unlinkSync(p: string) {
+    const moduleInfo = this.manager.getTranspiledModules()[p];
+
+    if (!moduleInfo) {
+      throw ApiError.ENOENT(p);
+    }
+
+    this.manager.removeModule(moduleInfo.module);
+  }
+
   public rmdirSync(p: string) {
-    const tModules = this.manager.getTranspiledModules();
-    Object.keys(tModules)
+    // Throws if the directory doesn't exist
+    this.statSync(p, false);
+
+    Array.from(this.emptyDirectories)
       .filter((pa: string) => pa.startsWith(p + '/') || p === pa)
-      .forEach((pa: string) => {
-        const { module } = tModules[pa];
+      .forEach((pa: string) => this.emptyDirectories.delete(pa));
 
-        this.manager.removeModule(module);
-      });
+    const tModules = this.manager.getTranspiledModules();
+    const modulesInDirectory = Object.keys(tModules).filter(
+      (pa: string) => pa.startsWith(p + '/') || p === pa
+    );
+
+    if (this.manager.removeDirectory) {
+      this.manager.removeDirectory(p);
+      return;
+    }
+
+    modulesInDirectory.forEach((pa: string) => {
+      const { module } = tModules[pa];
+
+      this.manager.removeModule(module);
+    });
   }
 
   public mkdirSync(p: string) {
     // CodeSandbox Manager doesn't have the concept of directories, like git.
-    // For now we will do nothing, as we pretend that every directory already exists.
+    // We keep track of the new directories until a file is added to them.
+    if (this.existsSync(p)) {
+      throw ApiError.EEXIST(p);
+    }
+
+    this.emptyDirectories.add(p);
+
+    if (this.manager.addDirectory) {
+      this.manager.addDirectory(p);
+    }
   }
 
   public readdirSync(path: string): string[] {
-    const paths = Object.keys(this.manager.getTranspiledModules());
+    const paths = [
+      ...Object.keys(this.manager.getTranspiledModules()),
+      ...Array.from(this.emptyDirectories),
+    ];
 
     const p = path.endsWith('/') ? path : path + '/';
 
@@ -271,8 +351,7 @@ export default class CodeSandboxFS extends SynchronousFileSystem
         if (error) {
           cb(ApiError.FileError(ErrorCode.ENOENT, parent));
         } else {
-          const module = this.manager.getTranspiledModules()[p].module;
-          this.manager.updateModule(module);
+          this._writeModule(p, data);
 
           cb(null);
         }
@@ -284,7 +363,20 @@ export default class CodeSandboxFS extends SynchronousFileSystem
     const parent = path.dirname(p);
     this.statSync(parent, false);
 
-    const module = this.manager.getTranspiledModules()[p].module;
-    this.manager.updateModule(module);
+    this._writeModule(p, data);
+  }
+
+  private _writeModule(p: string, data: Buffer): void {
+    const moduleInfo = this.manager.getTranspiledModules()[p];
+    const code = data.toString();
+
+    // The file could've been removed while it was open
+    if (!moduleInfo) {
+      this.manager.addModule({ path: p, code });
+      return;
+    }
+
+    // A new object, the Manager compares the code to see if the module changed
+    this.manager.updateModule({ ...moduleInfo.module, code });
   }
 }
@@ -1,4 +1,4 @@
-import {FileSystem, BaseFileSystem, BFSOneArgCallback, BFSCallback, FileSystemOptions} from '../core/file_system';
+import {FileSystem, BaseFileSystem, BFSOneArgCallback, BFSCallback, FileSystemOptions, BFSWatchListener} from '../core/file_system';
 import InMemoryFileSystem from './InMemory';
 import {ApiError, ErrorCode} from '../core/api_error';
 import fs from '../core/node_fs';
@@ -187,6 +187,31 @@ export default class MountableFileSystem extends BaseFileSystem implements FileS
     return true;
   }
 
+  public supportsWatch(): boolean {
+    return this.rootFs.supportsWatch() || this.mountList.some((mountPoint) => this.mntMap[mountPoint].supportsWatch());
+  }
+
+  /**
+   * Watches the file systems that are mounted at the time of the call, the
+   * paths are reported relative to the MFS root.
+   */
+  public watch(listener: BFSWatchListener): () => void {
+    const unwatchers: Array<() => void> = [];
+    if (this.rootFs.supportsWatch()) {
+      unwatchers.push(this.rootFs.watch(listener));
+    }
+    this.mountList.forEach((mountPoint) => {
+      const fs = this.mntMap[mountPoint];
+      if (fs.supportsWatch()) {
+        unwatchers.push(fs.watch((event, p) => {
+          listener(event, p === '/' ? mountPoint : mountPoint + p);
+        }));
+      }
+    });
+
+    return () => unwatchers.forEach((unwatch) => unwatch());
+  }
+
   /**
    * Fixes up error messages so they mention the mounted file location relative
    * to the MFS root, not to the particular FS's root.
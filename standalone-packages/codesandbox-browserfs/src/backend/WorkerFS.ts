@@ -1,4 +1,4 @@
-import {BaseFileSystem, FileSystem, BFSOneArgCallback, BFSCallback, FileSystemOptions} from '../core/file_system';
+import {BaseFileSystem, FileSystem, BFSOneArgCallback, BFSCallback, FileSystemOptions, BFSWatchListener} from '../core/file_system';
 import {ApiError, ErrorCode} from '../core/api_error';
 import {FileFlag} from '../core/file_flag';
 import {buffer2ArrayBuffer, arrayBuffer2Buffer, emptyBuffer} from '../core/util';
@@ -56,6 +56,7 @@ interface IProbeResponse extends ISpecialArgument {
   isReadOnly: boolean;
   supportsLinks: boolean;
   supportsProps: boolean;
+  supportsWatch: boolean;
 }
 
 /**
@@ -405,6 +406,25 @@ function isAPIResponse(data: any): data is IAPIResponse {
   return data && typeof data === 'object' && data.hasOwnProperty('browserfsMessage') && data['browserfsMessage'];
 }
 
+/**
+ * A change of the remote file system, sent for every watch request until the
+ * worker unwatches it. Not an IBrowserFSMessage, responses are matched on that.
+ * @hidden
+ */
+interface IWatchEvent {
+  browserfsWatchEvent: boolean;
+  watchId: number;
+  event: 'rename' | 'change';
+  path: string;
+}
+
+/**
+ * @hidden
+ */
+function isWatchEvent(data: any): data is IWatchEvent {
+  return data && typeof data === 'object' && data.hasOwnProperty('browserfsWatchEvent') && data['browserfsWatchEvent'];
+}
+
 /**
  * Represents a remote file in a different worker/thread.
  */
@@ -518,9 +538,12 @@ export default class WorkerFS extends BaseFileSystem implements FileSystem {
 
   /**
    * Attaches a listener to the remote worker for file system requests.
+   * @return A function that detaches the listener and stops the watchers of
+   *   the worker.
    */
-  public static attachRemoteListener(worker: Worker) {
+  public static attachRemoteListener(worker: Worker): () => void {
     const fdConverter = new FileDescriptorArgumentConverter();
+    const unwatchers: { [watchId: number]: () => void } = {};
 
     function argLocal2Remote(arg: any, requestArgs: any[], cb: BFSCallback<any>): void {
       switch (typeof arg) {
@@ -628,7 +651,7 @@ export default class WorkerFS extends BaseFileSystem implements FileSystem {
       }
     }
 
-    worker.addEventListener('message', (e: MessageEvent) => {
+    const listener = (e: MessageEvent) => {
       const request: object = e.data;
       if (isAPIRequest(request)) {
         const args = request.args,
@@ -659,7 +682,8 @@ export default class WorkerFS extends BaseFileSystem implements FileSystem {
                   type: SpecialArgType.PROBE,
                   isReadOnly: rootFs.isReadOnly(),
                   supportsLinks: rootFs.supportsLinks(),
-                  supportsProps: rootFs.supportsProps()
+                  supportsProps: rootFs.supportsProps(),
+                  supportsWatch: rootFs.supportsWatch()
                 },
                 response: IAPIResponse = {
                   browserfsMessage: true,
@@ -670,6 +694,29 @@ export default class WorkerFS extends BaseFileSystem implements FileSystem {
               worker.postMessage(response);
             })();
             break;
+          case 'watch':
+            (() => {
+              const watchId = <number> args[0];
+              unwatchers[watchId] = (<FileSystem> fs.getRootFS()).watch((event, p) => {
+                const message: IWatchEvent = {
+                  browserfsWatchEvent: true,
+                  watchId: watchId,
+                  event: event,
+                  path: p
+                };
+                worker.postMessage(message);
+              });
+            })();
+            break;
+          case 'unwatch':
+            (() => {
+              const watchId = <number> args[0];
+              if (unwatchers[watchId]) {
+                unwatchers[watchId]();
+                delete unwatchers[watchId];
+              }
+            })();
+            break;
           default:
             // File system methods.
             for (let i = 0; i < args.length; i++) {
@@ -680,7 +727,17 @@ export default class WorkerFS extends BaseFileSystem implements FileSystem {
             break;
         }
       }
-    });
+    };
+
+    worker.addEventListener('message', listener);
+
+    return () => {
+      worker.removeEventListener('message', listener);
+      Object.keys(unwatchers).forEach((watchId) => {
+        unwatchers[<any> watchId]();
+        delete unwatchers[<any> watchId];
+      });
+    };
   }
 
   private _worker: Worker;
@@ -690,6 +747,9 @@ export default class WorkerFS extends BaseFileSystem implements FileSystem {
   private _isReadOnly: boolean = false;
   private _supportLinks: boolean = false;
   private _supportProps: boolean = false;
+  private _supportWatch: boolean = false;
+  private _watchListeners: { [watchId: number]: BFSWatchListener } = {};
+  private _nextWatchId: number = 0;
 
   /**
    * Constructs a new WorkerFS instance that connects with BrowserFS running on
@@ -700,7 +760,12 @@ export default class WorkerFS extends BaseFileSystem implements FileSystem {
     this._worker = worker;
     this._worker.addEventListener('message', (e: MessageEvent) => {
       const resp: object = e.data;
-      if (isAPIResponse(resp)) {
+      if (isWatchEvent(resp)) {
+        const listener = this._watchListeners[resp.watchId];
+        if (listener) {
+          listener(resp.event, resp.path);
+        }
+      } else if (isAPIResponse(resp)) {
         let i: number;
         const args = resp.args;
         const fixedArgs = new Array(args.length);
@@ -721,6 +786,7 @@ export default class WorkerFS extends BaseFileSystem implements FileSystem {
   public supportsSynch(): boolean { return false; }
   public supportsLinks(): boolean { return this._supportLinks; }
   public supportsProps(): boolean { return this._supportProps; }
+  public supportsWatch(): boolean { return this._supportWatch; }
 
   public rename(oldPath: string, newPath: string, cb: BFSOneArgCallback): void {
     this._rpc('rename', arguments);
@@ -780,6 +846,34 @@ export default class WorkerFS extends BaseFileSystem implements FileSystem {
     this._rpc('readlink', arguments);
   }
 
+  /**
+   * Watches the remote file system, the changes are posted back until the
+   * returned function is called.
+   */
+  public watch(listener: BFSWatchListener): () => void {
+    if (!this._supportWatch) {
+      throw new ApiError(ErrorCode.ENOTSUP);
+    }
+    const watchId = this._nextWatchId++;
+    this._watchListeners[watchId] = listener;
+    this._worker.postMessage({
+      browserfsMessage: true,
+      method: 'watch',
+      args: [watchId]
+    });
+
+    return () => {
+      if (this._watchListeners[watchId]) {
+        delete this._watchListeners[watchId];
+        this._worker.postMessage({
+          browserfsMessage: true,
+          method: 'unwatch',
+          args: [watchId]
+        });
+      }
+    };
+  }
+
   public syncClose(method: string, fd: File, cb: BFSOneArgCallback): void {
     this._worker.postMessage({
       browserfsMessage: true,
@@ -801,6 +895,7 @@ export default class WorkerFS extends BaseFileSystem implements FileSystem {
           this._isReadOnly = probeResponse.isReadOnly;
           this._supportLinks = probeResponse.supportsLinks;
           this._supportProps = probeResponse.supportsProps;
+          this._supportWatch = !!probeResponse.supportsWatch;
           cb();
         })]
       };
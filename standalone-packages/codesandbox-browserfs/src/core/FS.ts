@@ -4,6 +4,7 @@ import {FileSystem, BFSOneArgCallback, BFSCallback, BFSThreeArgCallback} from '.
 import {FileFlag} from './file_flag';
 import * as path from 'path';
 import Stats from './node_fs_stats';
+import {FSWatcher, StatWatcher} from './fs_watcher';
 
 // Typing info only.
 import * as _fs from 'fs';
@@ -135,11 +136,15 @@ export default class FS {
   private root: FileSystem | null = null;
   private fdMap: {[fd: number]: File} = {};
   private nextFd = 100;
+  private statWatchers: {[path: string]: StatWatcher} = {};
 
   public initialize(rootFS: FileSystem): FileSystem {
     if (!(<any> rootFS).constructor.isAvailable()) {
       throw new ApiError(ErrorCode.EINVAL, 'Tried to instantiate BrowserFS with an unavailable file system.');
     }
+    // The watched files belong to the previous file system
+    Object.keys(this.statWatchers).forEach((p) => this.statWatchers[p].stop());
+    this.statWatchers = {};
     return this.root = rootFS;
   }
 
@@ -1373,20 +1378,78 @@ export default class FS {
     return assertRoot(this.root).realpathSync(path, cache);
   }
 
+  /**
+   * Calls the listener with the current and previous stats of the file every
+   * time it changes. Requires a file system that supports watching.
+   * @param filename
+   * @param options The interval is ignored, changes aren't polled.
+   * @param listener
+   */
   public watchFile(filename: string, listener: (curr: Stats, prev: Stats) => void): void;
   public watchFile(filename: string, options: { persistent?: boolean; interval?: number; }, listener: (curr: Stats, prev: Stats) => void): void;
   public watchFile(filename: string, arg2: any, listener: (curr: Stats, prev: Stats) => void = nopCb): void {
-    throw new ApiError(ErrorCode.ENOTSUP);
+    if (typeof arg2 === 'function') {
+      listener = arg2;
+    }
+    filename = normalizePath(filename);
+    const root = assertRoot(this.root);
+    if (!root.supportsWatch()) {
+      throw new ApiError(ErrorCode.ENOTSUP);
+    }
+    if (!this.statWatchers[filename]) {
+      this.statWatchers[filename] = new StatWatcher(root, filename);
+    }
+    this.statWatchers[filename].listeners.push(listener);
   }
 
-  public unwatchFile(filename: string, listener: (curr: Stats, prev: Stats) => void = nopCb): void {
-    throw new ApiError(ErrorCode.ENOTSUP);
+  /**
+   * Stops calling the listener for changes of the file, or all listeners if
+   * no listener is given.
+   * @param filename
+   * @param listener
+   */
+  public unwatchFile(filename: string, listener?: (curr: Stats, prev: Stats) => void): void {
+    filename = normalizePath(filename);
+    const watcher = this.statWatchers[filename];
+    if (!watcher) {
+      return;
+    }
+    if (listener) {
+      watcher.listeners = watcher.listeners.filter((l) => l !== listener);
+    } else {
+      watcher.listeners = [];
+    }
+    if (watcher.listeners.length === 0) {
+      watcher.stop();
+      delete this.statWatchers[filename];
+    }
   }
 
+  /**
+   * Watches a file or the entries of a directory for changes. Requires a file
+   * system that supports watching.
+   * @param filename
+   * @param options Entries of subdirectories are watched when `recursive` is
+   *   true.
+   * @param listener Added as 'change' listener of the watcher.
+   * @return [fs.FSWatcher]
+   */
   public watch(filename: string, listener?: (event: string, filename: string) => any): _fs.FSWatcher;
-  public watch(filename: string, options: { persistent?: boolean; }, listener?: (event: string, filename: string) => any): _fs.FSWatcher;
-  public watch(filename: string, arg2: any, listener: (event: string, filename: string) => any = nopCb): _fs.FSWatcher {
-    throw new ApiError(ErrorCode.ENOTSUP);
+  public watch(filename: string, options: { persistent?: boolean; recursive?: boolean; }, listener?: (event: string, filename: string) => any): _fs.FSWatcher;
+  public watch(filename: string, arg2: any, listener?: (event: string, filename: string) => any): _fs.FSWatcher {
+    if (typeof arg2 === 'function') {
+      listener = arg2;
+    }
+    filename = normalizePath(filename);
+    const root = assertRoot(this.root);
+    if (!root.supportsWatch()) {
+      throw new ApiError(ErrorCode.ENOTSUP);
+    }
+    const watcher = new FSWatcher(root, filename, !!(arg2 && arg2.recursive));
+    if (listener) {
+      watcher.on('change', listener);
+    }
+    return <any> watcher;
   }
 
   public access(path: string, callback: (err: ApiError) => void): void;
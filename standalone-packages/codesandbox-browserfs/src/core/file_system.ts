@@ -9,6 +9,11 @@ export type BFSOneArgCallback = (e?: ApiError | null) => any;
 export type BFSCallback<T> = (e: ApiError | null | undefined, rv?: T) => any;
 export type BFSThreeArgCallback<T, U> =
   (e: ApiError | null | undefined, arg1?: T, arg2?: U) => any;
+/**
+ * Receives the changes of a file system. The event is 'rename' when the path
+ * is added or removed, and 'change' when the contents of a file change.
+ */
+export type BFSWatchListener = (event: 'rename' | 'change', p: string) => void;
 
 /**
  * Interface for a filesystem. **All** BrowserFS FileSystems should implement
@@ -98,6 +103,11 @@ export interface FileSystem {
    * @return True if the FileSystem supports synchronous operations.
    */
   supportsSynch(): boolean;
+  /**
+   * **Core**: Does the filesystem support the optional watch command?
+   * @return True if the FileSystem reports its changes through `watch`.
+   */
+  supportsWatch(): boolean;
   // **CORE API METHODS**
   // File or directory operations
   /**
@@ -324,6 +334,14 @@ export interface FileSystem {
    * **Optional**: Synchronous readlink.
    */
   readlinkSync(p: string): string;
+  // Watching
+  /**
+   * **Optional**: Calls the listener with the absolute path of every file or
+   * directory of this file system that changes, including the changes that
+   * are made outside of BrowserFS.
+   * @return A function that removes the listener.
+   */
+  watch(listener: BFSWatchListener): () => void;
 }
 
 /**
@@ -789,6 +807,12 @@ export class BaseFileSystem {
   public readlinkSync(p: string): string {
     throw new ApiError(ErrorCode.ENOTSUP);
   }
+  public supportsWatch(): boolean {
+    return false;
+  }
+  public watch(listener: BFSWatchListener): () => void {
+    throw new ApiError(ErrorCode.ENOTSUP);
+  }
 }
 
 /**
@@ -0,0 +1,120 @@
+import {FileSystem} from './file_system';
+import {default as Stats, FileType} from './node_fs_stats';
+import * as path from 'path';
+
+export type FSWatcherListener = (event: string, filename: string) => any;
+export type StatWatcherListener = (curr: Stats, prev: Stats) => any;
+
+/**
+ * The stats of a file that doesn't exist, like Node we report these when a
+ * watched file is removed.
+ * @hidden
+ */
+function emptyStats(): Stats {
+  return new Stats(FileType.FILE, 0, 0, new Date(0), new Date(0), new Date(0));
+}
+
+/**
+ * Returned by `fs.watch`. Emits a 'change' event with the name of the entry
+ * for every change of the watched file, or of the entries of the watched
+ * directory.
+ */
+export class FSWatcher {
+  private _listeners: {[event: string]: Function[]} = {};
+  private _unwatch: (() => void) | null;
+  private _path: string;
+  private _dirPrefix: string;
+  private _recursive: boolean;
+
+  constructor(fs: FileSystem, p: string, recursive: boolean) {
+    this._path = p;
+    this._dirPrefix = p === '/' ? '/' : `${p}/`;
+    this._recursive = recursive;
+    this._unwatch = fs.watch((event, changedPath) => this._onChange(event, changedPath));
+  }
+
+  public on(event: string, listener: Function): this {
+    (this._listeners[event] = this._listeners[event] || []).push(listener);
+    return this;
+  }
+
+  public addListener(event: string, listener: Function): this {
+    return this.on(event, listener);
+  }
+
+  public removeListener(event: string, listener: Function): this {
+    const listeners = this._listeners[event];
+    if (listeners && listeners.indexOf(listener) > -1) {
+      listeners.splice(listeners.indexOf(listener), 1);
+    }
+    return this;
+  }
+
+  public close(): void {
+    if (this._unwatch) {
+      this._unwatch();
+      this._unwatch = null;
+    }
+    this._listeners = {};
+  }
+
+  private _onChange(event: string, changedPath: string): void {
+    if (changedPath === this._path) {
+      this._emit(event, path.basename(changedPath));
+    } else if (changedPath.indexOf(this._dirPrefix) === 0) {
+      const filename = changedPath.slice(this._dirPrefix.length);
+      // Node only reports the direct entries of a directory by default
+      if (this._recursive || filename.indexOf('/') === -1) {
+        this._emit(event, filename);
+      }
+    }
+  }
+
+  private _emit(event: string, filename: string): void {
+    (this._listeners.change || []).slice().forEach((listener) => {
+      listener(event, filename);
+    });
+  }
+}
+
+/**
+ * Backs `fs.watchFile` for one path. Instead of polling like Node, the stats
+ * are compared when the file system reports a change of the path.
+ */
+export class StatWatcher {
+  public listeners: StatWatcherListener[] = [];
+  private _fs: FileSystem;
+  private _path: string;
+  private _prev: Stats = emptyStats();
+  private _unwatch: () => void;
+
+  constructor(fs: FileSystem, p: string) {
+    this._fs = fs;
+    this._path = p;
+    fs.stat(p, false, (e, stats?) => {
+      if (!e && stats) {
+        this._prev = stats;
+      }
+    });
+    this._unwatch = fs.watch((event, changedPath) => {
+      // Adding or removing entries changes the stats of a directory
+      if (changedPath === p || (event === 'rename' && path.dirname(changedPath) === p)) {
+        this._check();
+      }
+    });
+  }
+
+  public stop(): void {
+    this._unwatch();
+    this.listeners = [];
+  }
+
+  private _check(): void {
+    this._fs.stat(this._path, false, (e, stats?) => {
+      const prev = this._prev;
+      const curr = !e && stats ? stats : emptyStats();
+      this._prev = curr;
+      this.listeners.slice().forEach((listener) => listener(curr, prev));
+    });
+  }
+}
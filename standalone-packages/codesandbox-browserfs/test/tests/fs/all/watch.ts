@@ -0,0 +1,283 @@
+/**
+ * Tests for fs.watch and fs.watchFile. Only file systems that report their
+ * changes support watching, so besides the backend under test we watch a
+ * CodeSandboxFS whose manager reports the changes of the modules, like the
+ * sandbox does.
+ */
+import fs from '../../../../src/core/node_fs';
+import FS from '../../../../src/core/FS';
+import * as path from 'path';
+import assert from '../../../harness/wrapped-assert';
+import common from '../../../harness/common';
+import {BFSWatchListener, FileSystem} from '../../../../src/core/file_system';
+import setImmediate from '../../../../src/generic/setImmediate';
+import {FileFlag} from '../../../../src/core/file_flag';
+import Stats from '../../../../src/core/node_fs_stats';
+import CodeSandboxFS, {IModule, IManager} from '../../../../src/backend/CodeSandboxFS';
+import MountableFileSystem from '../../../../src/backend/MountableFileSystem';
+import WorkerFS from '../../../../src/backend/WorkerFS';
+import AsyncMirror from '../../../../src/backend/AsyncMirror';
+import InMemoryFileSystem from '../../../../src/backend/InMemory';
+
+interface ITestManager extends IManager {
+  modules: {[path: string]: {module: IModule}};
+  listeners: BFSWatchListener[];
+}
+
+/**
+ * A manager that reports every change of its modules, also the changes that
+ * don't go through BrowserFS (e.g. the ones made in the editor).
+ */
+function createManager(files: {[path: string]: string}): ITestManager {
+  const modules: {[path: string]: {module: IModule}} = {};
+  const listeners: BFSWatchListener[] = [];
+  const emit: BFSWatchListener = (event, p) => {
+    listeners.slice().forEach((listener) => listener(event, p));
+  };
+  Object.keys(files).forEach((p) => {
+    modules[p] = {module: {path: p, code: files[p]}};
+  });
+
+  const manager: ITestManager = {
+    modules,
+    listeners,
+    getTranspiledModules: () => modules,
+    addModule(module: IModule) {
+      modules[module.path] = {module};
+      emit('rename', module.path);
+    },
+    removeModule(module: IModule) {
+      delete modules[module.path];
+      emit('rename', module.path);
+    },
+    moveModule(module: IModule, newPath: string) {
+      manager.removeModule(module);
+      manager.addModule({...module, path: newPath});
+    },
+    updateModule(module: IModule) {
+      modules[module.path] = {module};
+      emit('change', module.path);
+    },
+    addChangeListener(listener: BFSWatchListener) {
+      listeners.push(listener);
+      return () => {
+        listeners.splice(listeners.indexOf(listener), 1);
+      };
+    }
+  };
+
+  return manager;
+}
+
+/**
+ * One end of a message channel between two threads. The messages are
+ * delivered synchronously, so the remote end handles the requests while the
+ * test has replaced the root file system.
+ */
+class FakeWorker {
+  public other: FakeWorker;
+  private _listeners: Function[] = [];
+
+  public addEventListener(type: string, listener: Function): void {
+    this._listeners.push(listener);
+  }
+
+  public removeEventListener(type: string, listener: Function): void {
+    this._listeners.splice(this._listeners.indexOf(listener), 1);
+  }
+
+  public postMessage(data: any): void {
+    this.other._listeners.slice().forEach((listener) => listener({data}));
+  }
+}
+
+/**
+ * Calls back asynchronously from the given methods, like the file systems
+ * that AsyncMirror mirrors.
+ */
+function deferCallbacks(fs: FileSystem, methods: string[]): FileSystem {
+  methods.forEach((method) => {
+    const original: Function = (<any> fs)[method];
+    (<any> fs)[method] = function(...args: any[]) {
+      const cb: Function = args.pop();
+      original.apply(fs, args.concat([(...results: any[]) => {
+        setImmediate(() => cb(...results));
+      }]));
+    };
+  });
+
+  return fs;
+}
+
+function assertNotSupported(fn: () => void) {
+  let error: any = null;
+  try {
+    fn();
+  } catch (e) {
+    error = e;
+  }
+  assert(error !== null, 'Watching a file system without watch support should fail.');
+  assert.equal(error.code, 'ENOTSUP');
+}
+
+export default function() {
+  const rootFS = fs.getRootFS();
+
+  // The backend under test
+  if (!rootFS.supportsWatch()) {
+    assertNotSupported(() => fs.watch('/', () => {}));
+    assertNotSupported(() => fs.watchFile('/', () => {}));
+  } else if (!rootFS.isReadOnly()) {
+    const dir = path.join(common.tmpDir, 'watchTest');
+    const events: string[] = [];
+    fs.mkdir(dir, (e) => {
+      assert(!e);
+      const watcher = fs.watch(dir, (event, filename) => events.push(filename));
+      fs.writeFile(path.join(dir, 'file.txt'), 'watched', (e) => {
+        assert(!e);
+        process.on('exit', () => {
+          watcher.close();
+          assert(events.indexOf('file.txt') > -1, 'The new file should be reported.');
+        });
+      });
+    });
+  }
+
+  // MountableFileSystem reports the paths relative to its root
+  const manager = createManager({
+    '/src/index.js': 'index',
+    '/src/components/Button.js': 'button',
+    '/srcs/index.js': 'other'
+  });
+  MountableFileSystem.Create({'/sandbox': new CodeSandboxFS(manager)}, (e, mfs?) => {
+    if (!mfs) {
+      throw e;
+    }
+
+    const mfsEvents: string[] = [];
+    const unwatchMfs = mfs.watch((event, p) => mfsEvents.push(`${event} ${p}`));
+    manager.updateModule({path: '/src/index.js', code: 'changed'});
+    unwatchMfs();
+    manager.updateModule({path: '/src/index.js', code: 'changed'});
+    assert.deepEqual(mfsEvents, ['change /sandbox/src/index.js']);
+    assert.equal(manager.listeners.length, 0);
+
+    // fs.watch reports the entries of a directory relative to it, and only
+    // the direct entries unless it's recursive
+    const watchFs = new FS();
+    watchFs.initialize(mfs);
+    const events: string[] = [];
+    const recursiveEvents: string[] = [];
+    const fileEvents: string[] = [];
+    const watcher = watchFs.watch('/sandbox/src', (event, filename) => events.push(`${event} ${filename}`));
+    const recursiveWatcher = watchFs.watch('/sandbox/src', {recursive: true}, (event, filename) => {
+      recursiveEvents.push(`${event} ${filename}`);
+    });
+    const fileWatcher = watchFs.watch('/sandbox/src/index.js', (event, filename) => fileEvents.push(`${event} ${filename}`));
+    manager.addModule({path: '/src/App.js', code: ''});
+    manager.updateModule({path: '/src/components/Button.js', code: ''});
+    manager.updateModule({path: '/srcs/index.js', code: ''});
+    manager.updateModule({path: '/src/index.js', code: ''});
+    watcher.close();
+    recursiveWatcher.close();
+    fileWatcher.close();
+    manager.removeModule(manager.modules['/src/App.js'].module);
+
+    assert.deepEqual(events, ['rename App.js', 'change index.js']);
+    assert.deepEqual(recursiveEvents, ['rename App.js', 'change components/Button.js', 'change index.js']);
+    assert.deepEqual(fileEvents, ['change index.js']);
+    assert.equal(manager.listeners.length, 0);
+
+    // fs.watchFile compares the stats of the file when it changes, a removed
+    // file has empty stats
+    const stats: Array<{curr: Stats, prev: Stats}> = [];
+    const statListener = (curr: Stats, prev: Stats) => stats.push({curr, prev});
+    watchFs.watchFile('/sandbox/src/index.js', statListener);
+    manager.updateModule({path: '/src/index.js', code: 'export default 1;'});
+    manager.removeModule(manager.modules['/src/index.js'].module);
+    watchFs.unwatchFile('/sandbox/src/index.js', statListener);
+    manager.addModule({path: '/src/index.js', code: ''});
+
+    assert.equal(stats.length, 2);
+    assert.equal(stats[0].prev.size, 0);
+    assert.equal(stats[0].curr.size, 'export default 1;'.length);
+    assert.equal(stats[1].prev.size, 'export default 1;'.length);
+    assert.equal(stats[1].curr.size, 0);
+    assert.equal(stats[1].curr.mtime.getTime(), 0);
+    assert.equal(manager.listeners.length, 0);
+
+    // WorkerFS forwards the changes of the file system of the other thread
+    const local = new FakeWorker();
+    const remote = new FakeWorker();
+    local.other = remote;
+    remote.other = local;
+    const workerEvents: string[] = [];
+    let workerFs: WorkerFS | undefined;
+    let unwatchWorker: () => void;
+    let detach: () => void;
+    try {
+      fs.initialize(mfs);
+      detach = WorkerFS.attachRemoteListener(<any> remote);
+      WorkerFS.Create({worker: <any> local}, (e, fs?) => {
+        workerFs = fs;
+      });
+      assert(workerFs && workerFs.supportsWatch(), 'WorkerFS should support watching when the remote file system does.');
+      unwatchWorker = workerFs!.watch((event, p) => workerEvents.push(`${event} ${p}`));
+    } finally {
+      fs.initialize(rootFS);
+    }
+
+    manager.updateModule({path: '/src/index.js', code: 'worker'});
+    unwatchWorker!();
+    manager.updateModule({path: '/src/index.js', code: 'worker'});
+    assert.deepEqual(workerEvents, ['change /sandbox/src/index.js']);
+    assert.equal(manager.listeners.length, 0);
+
+    // Detaching the worker stops the watchers it requested
+    try {
+      fs.initialize(mfs);
+      workerFs!.watch(() => {});
+    } finally {
+      fs.initialize(rootFS);
+    }
+    assert.equal(manager.listeners.length, 1);
+    detach!();
+    assert.equal(manager.listeners.length, 0);
+  });
+
+  // AsyncMirror copies the changes to the mirror before it reports them. The
+  // changes are made one by one, as the mirror is updated asynchronously.
+  const mirroredManager = createManager({'/src/index.js': 'index'});
+  const mirrored: string[] = [];
+  process.on('exit', () => {
+    assert.deepEqual(mirrored, [
+      'rename /src/utils/sum.js sum',
+      'change /src/index.js changed',
+      'rename /src/utils/sum.js removed'
+    ]);
+  });
+  InMemoryFileSystem.Create({}, (e, inMemory?) => {
+    const async = deferCallbacks(new CodeSandboxFS(mirroredManager), ['stat', 'readdir', 'readFile']);
+    AsyncMirror.Create({sync: inMemory!, async}, (e, mirror?) => {
+      if (!mirror) {
+        throw e;
+      }
+
+      const steps = [
+        () => mirroredManager.addModule({path: '/src/utils/sum.js', code: 'sum'}),
+        () => mirroredManager.updateModule({path: '/src/index.js', code: 'changed'}),
+        () => mirroredManager.removeModule(mirroredManager.modules['/src/utils/sum.js'].module),
+        () => {
+          unwatchMirror();
+          assert(mirror.statSync('/src/utils', false).isDirectory());
+        }
+      ];
+      const unwatchMirror = mirror.watch((event, p) => {
+        const content = mirror.existsSync(p) ? mirror.readFileSync(p, 'utf8', FileFlag.getFileFlag('r')) : 'removed';
+        mirrored.push(`${event} ${p} ${content}`);
+        steps.shift()!();
+      });
+      steps.shift()!();
+    });
+  });
+};
@@ -0,0 +1,188 @@
+/**
+ * Tests for the directory operations of the CodeSandboxFS, the Manager only
+ * knows about modules.
+ */
+import assert from '../../harness/wrapped-assert';
+import CodeSandboxFS, {IModule, IManager} from '../../../src/backend/CodeSandboxFS';
+import {FileFlag} from '../../../src/core/file_flag';
+import {ApiError, ErrorCode} from '../../../src/core/api_error';
+
+interface ITestManager extends IManager {
+  modules: {[path: string]: {module: IModule}};
+  calls: string[];
+}
+
+function createManager(paths: string[], withDirectories: boolean = false): ITestManager {
+  const modules: {[path: string]: {module: IModule}} = {};
+  const calls: string[] = [];
+  paths.forEach((p) => {
+    modules[p] = {module: {path: p, code: `// ${p}`}};
+  });
+
+  const manager: ITestManager = {
+    modules,
+    calls,
+    getTranspiledModules: () => modules,
+    addModule(module: IModule) {
+      calls.push(`add ${module.path}`);
+      modules[module.path] = {module};
+    },
+    removeModule(module: IModule) {
+      calls.push(`remove ${module.path}`);
+      delete modules[module.path];
+    },
+    moveModule(module: IModule, newPath: string) {
+      calls.push(`move ${module.path} ${newPath}`);
+      delete modules[module.path];
+      modules[newPath] = {module: {...module, path: newPath}};
+    },
+    updateModule(module: IModule) {
+      calls.push(`update ${module.path}`);
+      modules[module.path] = {module};
+    }
+  };
+
+  if (withDirectories) {
+    manager.addDirectory = (p: string) => {
+      calls.push(`add directory ${p}`);
+    };
+    manager.removeDirectory = (p: string) => {
+      calls.push(`remove directory ${p}`);
+    };
+    manager.moveDirectory = (p: string, newPath: string) => {
+      calls.push(`move directory ${p} ${newPath}`);
+    };
+  }
+
+  return manager;
+}
+
+function assertErrorCode(fn: () => void, code: ErrorCode) {
+  try {
+    fn();
+  } catch (e) {
+    assert(e instanceof ApiError, `Expected an ApiError, received ${e}`);
+    assert.equal((<ApiError> e).errno, code);
+    return;
+  }
+  assert(false, `Expected error ${ErrorCode[code]}`);
+}
+
+export default function() {
+  // mkdir keeps track of empty directories
+  (function() {
+    const manager = createManager(['/src/index.js'], true);
+    const fs = new CodeSandboxFS(manager);
+
+    fs.mkdirSync('/src/components');
+
+    assert(fs.statSync('/src/components', false).isDirectory());
+    assert.deepEqual(fs.readdirSync('/src').sort(), ['components', 'index.js']);
+    assert.deepEqual(manager.calls, ['add directory /src/components']);
+    assertErrorCode(() => fs.mkdirSync('/src/components'), ErrorCode.EEXIST);
+    assertErrorCode(() => fs.mkdirSync('/src/index.js'), ErrorCode.EEXIST);
+  })();
+
+  // rmdir removes the modules and empty directories in the directory
+  (function() {
+    const manager = createManager(['/src/app/index.js', '/src/app/utils/sum.js', '/src/apple.js']);
+    const fs = new CodeSandboxFS(manager);
+    fs.mkdirSync('/src/app/empty');
+
+    fs.rmdirSync('/src/app');
+
+    assert.deepEqual(Object.keys(manager.modules), ['/src/apple.js']);
+    assertErrorCode(() => fs.statSync('/src/app/empty', false), ErrorCode.ENOENT);
+    assertErrorCode(() => fs.rmdirSync('/src/app'), ErrorCode.ENOENT);
+  })();
+
+  // rmdir lets the Manager remove the directory if it knows about directories
+  (function() {
+    const manager = createManager(['/src/app/index.js'], true);
+    const fs = new CodeSandboxFS(manager);
+
+    fs.rmdirSync('/src/app');
+
+    assert.deepEqual(manager.calls, ['remove directory /src/app']);
+  })();
+
+  // rename moves the modules of a directory, but not the modules that only
+  // share a prefix with it
+  (function() {
+    const manager = createManager(['/src/app/index.js', '/src/app/utils/sum.js', '/src/apple.js']);
+    const fs = new CodeSandboxFS(manager);
+    fs.mkdirSync('/src/app/empty');
+
+    fs.renameSync('/src/app', '/src/main');
+
+    assert.deepEqual(Object.keys(manager.modules).sort(), [
+      '/src/apple.js',
+      '/src/main/index.js',
+      '/src/main/utils/sum.js'
+    ]);
+    assert(fs.statSync('/src/main/empty', false).isDirectory());
+    assertErrorCode(() => fs.statSync('/src/app/empty', false), ErrorCode.ENOENT);
+    assertErrorCode(() => fs.renameSync('/src/app', '/src/other'), ErrorCode.ENOENT);
+  })();
+
+  // rename lets the Manager move directories, and moves files itself
+  (function() {
+    const manager = createManager(['/src/app/index.js', '/src/apple.js'], true);
+    const fs = new CodeSandboxFS(manager);
+
+    fs.renameSync('/src/app', '/src/main');
+    fs.renameSync('/src/apple.js', '/src/pear.js');
+
+    assert.deepEqual(manager.calls, [
+      'move directory /src/app /src/main',
+      'move /src/apple.js /src/pear.js'
+    ]);
+  })();
+
+  // Writing a file updates the module with a new object, so the Manager sees
+  // that the code changed
+  (function() {
+    const manager = createManager(['/src/index.js']);
+    const fs = new CodeSandboxFS(manager);
+    const module = manager.modules['/src/index.js'].module;
+    const data = Buffer.from('export default 1;');
+
+    const file = fs.openSync('/src/index.js', FileFlag.getFileFlag('r+'), 0x1a4);
+    file.writeSync(data, 0, data.length, 0);
+    file.closeSync();
+
+    assert.deepEqual(manager.calls, ['update /src/index.js']);
+    assert.equal(manager.modules['/src/index.js'].module.code, 'export default 1;');
+    assert(manager.modules['/src/index.js'].module !== module);
+    assert.equal(module.code, '// /src/index.js');
+  })();
+
+  // Writing a file that was removed while it was open adds it again
+  (function() {
+    const manager = createManager(['/src/index.js', '/src/sum.js']);
+    const fs = new CodeSandboxFS(manager);
+    const data = Buffer.from('export default 1;');
+
+    const file = fs.openSync('/src/index.js', FileFlag.getFileFlag('r+'), 0x1a4);
+    file.writeSync(data, 0, data.length, 0);
+    fs.unlinkSync('/src/index.js');
+    file.closeSync();
+
+    assert.deepEqual(manager.calls, ['remove /src/index.js', 'add /src/index.js']);
+    assert.equal(manager.modules['/src/index.js'].module.code, 'export default 1;');
+  })();
+
+  // Writing a new file adds the module, in an existing directory only
+  (function() {
+    const manager = createManager(['/src/index.js']);
+    const fs = new CodeSandboxFS(manager);
+
+    fs.writeFileSync('/src/sum.js', 'export default 2;', 'utf8', FileFlag.getFileFlag('w'), 0x1a4);
+
+    assert.equal(manager.modules['/src/sum.js'].module.code, 'export default 2;');
+    assertErrorCode(
+      () => fs.writeFileSync('/lib/sum.js', '', 'utf8', FileFlag.getFileFlag('w'), 0x1a4),
+      ErrorCode.ENOENT
+    );
+  })();
+};